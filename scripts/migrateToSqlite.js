@@ -0,0 +1,36 @@
+/**
+ * Migrate to SQLite
+ * Imports data/*.json and data/logs.jsonl into the SQLite database, after
+ * applying any changes left in the journal
+ *
+ * Stop the bot first. Usage: npm run migrate:sqlite [-- --force]
+ * Afterwards start the bot with STORAGE_DRIVER=sqlite
+ */
+
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import { migrateJsonToSqlite } from '../src/storage/migrator.js';
+
+async function run() {
+    const settings = getStorageSettings();
+    const force = process.argv.includes('--force');
+
+    console.log(`📦 Importing ${settings.dataDir} into ${settings.sqliteFile}...`);
+
+    const report = await migrateJsonToSqlite({ ...settings, force });
+
+    if (report.recovered > 0) {
+        console.log(`  ♻️ Applied ${report.recovered} unsaved change(s) from the journal first`);
+    }
+
+    for (const [collection, count] of Object.entries(report.collections)) {
+        console.log(`  • ${collection}: ${count} record(s)`);
+    }
+    console.log(`  • logs: ${report.logs} entr${report.logs === 1 ? 'y' : 'ies'}${report.skippedLogLines > 0 ? ` (${report.skippedLogLines} unreadable line(s) skipped)` : ''}`);
+
+    console.log('\n✅ Migration complete! Start the bot with STORAGE_DRIVER=sqlite to use the database.');
+}
+
+run().catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+});
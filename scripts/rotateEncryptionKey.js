@@ -0,0 +1,53 @@
+/**
+ * Rotate Encryption Key
+ * Re-encrypts every file in the data directory with STORAGE_ENCRYPTION_KEY
+ * (also used to encrypt existing plain-text data, or to turn encryption off)
+ *
+ * Stop the bot first, then:
+ *   Rotate:   STORAGE_ENCRYPTION_KEY=<new> STORAGE_ENCRYPTION_PREVIOUS_KEYS=<old> npm run rotate:key
+ *   Encrypt:  STORAGE_ENCRYPTION_KEY=<key> npm run rotate:key
+ *   Decrypt:  STORAGE_ENCRYPTION_PREVIOUS_KEYS=<key> npm run rotate:key -- --decrypt
+ * Afterwards the previous keys are no longer needed.
+ */
+
+import fs from 'fs';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import { createEncryption, reencryptDataDir } from '../src/storage/encryption.js';
+
+function run() {
+    const settings = getStorageSettings();
+    const decrypt = process.argv.includes('--decrypt');
+
+    if (!settings.encryptionKey && !decrypt) {
+        throw new Error('Set STORAGE_ENCRYPTION_KEY to the new key, or pass --decrypt to turn encryption off.');
+    }
+
+    if (settings.encryptionKey && decrypt) {
+        throw new Error('--decrypt writes plain text; unset STORAGE_ENCRYPTION_KEY and pass the current key in STORAGE_ENCRYPTION_PREVIOUS_KEYS.');
+    }
+
+    if (!fs.existsSync(settings.dataDir)) {
+        throw new Error(`${settings.dataDir} does not exist.`);
+    }
+
+    const encryption = createEncryption(settings);
+    console.log(decrypt
+        ? `🔓 Decrypting ${settings.dataDir}...`
+        : `🔐 Encrypting ${settings.dataDir} with key ${encryption.keyId}...`);
+
+    let rewritten;
+    try {
+        rewritten = reencryptDataDir(settings.dataDir, encryption);
+    } catch (error) {
+        throw new Error(`${error.message}\nFiles already rewritten stay readable with the keys above, so the command can simply be re-run.`);
+    }
+
+    console.log(`\n✅ ${rewritten} file(s) rewritten.${decrypt ? ' Start the bot without STORAGE_ENCRYPTION_KEY.' : ' The previous keys can now be removed.'}`);
+}
+
+try {
+    run();
+} catch (error) {
+    console.error(`❌ Key rotation failed: ${error.message}`);
+    process.exit(1);
+}
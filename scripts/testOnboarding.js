@@ -3,7 +3,7 @@
  * Mocks WhatsApp client to verify the onboarding flow
  */
 
-import { initStorage, getGroup, saveGroup, clearOnboardingSession } from '../src/storage/storage.js';
+import { initStorage, closeStorage, getGroup, saveGroup, clearOnboardingSession } from '../src/storage/storage.js';
 import { handleOnboardingMessage, startOnboarding } from '../src/handlers/onboardingHandler.js';
 import { getDefaultConfig } from '../src/config/defaults.js';
 
@@ -78,6 +78,9 @@ async function runTest() {
     console.log('\n--- Action: Finishing ---');
     await handleOnboardingMessage(createMockMessage(adminId, 'next'), mockClient);
 
+    // Write batched changes before exiting
+    await closeStorage();
+
     console.log('\n✅ Verification Test Complete!');
 }
 
@@ -5,16 +5,52 @@
 
 import { logger } from '../utils/logger.js';
 import { getGroupConfig } from '../config/configManager.js';
-import { getUserName } from '../utils/permissions.js';
+import { MAX_MUTE_DURATION, MAX_BAN_DURATION, EXEMPTABLE_CHECKS } from '../config/settingLimits.js';
+import { getUserName, isBotAdmin } from '../utils/permissions.js';
 import { safeGetContactById } from '../utils/contactUtils.js';
+import { parseDuration, formatDuration } from '../utils/duration.js';
+import {
+    addWarning,
+    getUserWarnings,
+    revokeLastWarning,
+    pardonUser,
+    formatWarningHistory,
+    formatStrikes
+} from '../moderation/warningSystem.js';
+import {
+    muteMember,
+    unmuteMember,
+    getActiveMutes
+} from '../moderation/muteManager.js';
+import {
+    banMember,
+    unbanMember,
+    getActiveBans,
+    describeBanRemaining
+} from '../moderation/banManager.js';
+import {
+    parseChecks,
+    describeChecks,
+    getExemptions,
+    getMemberExemptions,
+    trustMember,
+    untrustMember,
+    setAdminExemptions
+} from '../moderation/exemptions.js';
+import { normalizePhoneNumber } from '../storage/dataPurge.js';
 
 /**
- * Handle !warn command
+ * Handle !warn command - records a strike issued by the admin
  */
 export async function handleWarn(message, args, client) {
     try {
         const chat = await message.getChat();
 
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
         // Check if user mentioned someone
         if (!message.mentionedIds || message.mentionedIds.length === 0) {
             await message.reply('⚠️ Please mention a user to warn.\n\nUsage: !warn @user [reason]');
@@ -28,12 +64,22 @@ export async function handleWarn(message, args, client) {
         const mentionedContact = await safeGetContactById(client, mentionedId);
         const userName = getUserName(mentionedContact);
 
+        const result = await addWarning(chat.id._serialized, mentionedId, reason, client, {
+            issuedBy: message.author || message.from
+        });
+
+        if (!result.success) {
+            await message.reply('❌ Failed to record the warning. Please try again.');
+            return;
+        }
+
         // Send gentle warning
         const warningMessage = `⚠️ *Friendly Reminder*
 
 Hi @${mentionedContact.number}, this is a gentle reminder from the group admins.
 
 *Reason:* ${reason}
+*Strikes:* ${formatStrikes(result.count)}/${result.threshold}
 
 Please help us maintain a positive environment for everyone. Thank you! 🙏`;
 
@@ -49,10 +95,473 @@ Please help us maintain a positive environment for everyone. Thank you! 🙏`;
 }
 
 /**
- * Handle !mute command (placeholder for MVP)
+ * Handle !unwarn command - revoke the most recent strike
+ */
+export async function handleUnwarn(message, args, client) {
+    try {
+        const chat = await message.getChat();
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        if (!message.mentionedIds || message.mentionedIds.length === 0) {
+            await message.reply('⚠️ Please mention a user.\n\nUsage: !unwarn @user');
+            return;
+        }
+
+        const mentionedId = message.mentionedIds[0];
+        const userName = getUserName(await safeGetContactById(client, mentionedId));
+        const groupId = chat.id._serialized;
+
+        if (!revokeLastWarning(groupId, mentionedId, message.author || message.from)) {
+            await message.reply(`ℹ️ ${userName} has no active strikes.`);
+            return;
+        }
+
+        const { count } = getUserWarnings(groupId, mentionedId);
+        await message.reply(`✅ Removed the last strike from ${userName}. Active strikes: ${formatStrikes(count)}.`);
+    } catch (error) {
+        logger.error('Error in unwarn command:', error);
+        await message.reply('❌ Failed to remove the warning. Please try again.');
+    }
+}
+
+/**
+ * Handle !warnings command - show a user's warning history
+ */
+export async function handleWarnings(message, args, client) {
+    try {
+        const chat = await message.getChat();
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        if (!message.mentionedIds || message.mentionedIds.length === 0) {
+            await message.reply('⚠️ Please mention a user.\n\nUsage: !warnings @user');
+            return;
+        }
+
+        const mentionedId = message.mentionedIds[0];
+        const userName = getUserName(await safeGetContactById(client, mentionedId));
+        const history = await formatWarningHistory(chat.id._serialized, mentionedId, client);
+
+        await message.reply(`📋 *Warnings for ${userName}*\n\n${history}`);
+    } catch (error) {
+        logger.error('Error in warnings command:', error);
+        await message.reply('❌ Failed to load warnings. Please try again.');
+    }
+}
+
+/**
+ * Handle !pardon command - clear all of a user's strikes
+ */
+export async function handlePardon(message, args, client) {
+    try {
+        const chat = await message.getChat();
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        if (!message.mentionedIds || message.mentionedIds.length === 0) {
+            await message.reply('⚠️ Please mention a user.\n\nUsage: !pardon @user');
+            return;
+        }
+
+        const mentionedId = message.mentionedIds[0];
+        const userName = getUserName(await safeGetContactById(client, mentionedId));
+        const removed = pardonUser(chat.id._serialized, mentionedId, message.author || message.from);
+
+        if (removed === 0) {
+            await message.reply(`ℹ️ ${userName} has no active strikes.`);
+            return;
+        }
+
+        await message.reply(`🕊️ ${userName} has been pardoned. ${formatStrikes(removed)} strike(s) cleared; the warning history is kept.`);
+    } catch (error) {
+        logger.error('Error in pardon command:', error);
+        await message.reply('❌ Failed to pardon the user. Please try again.');
+    }
+}
+
+/**
+ * Handle !mute command
  */
 export async function handleMute(message, args, client) {
-    await message.reply('🚧 Mute functionality is coming soon!\n\nFor now, please use WhatsApp\'s built-in group settings to remove members if needed.');
+    try {
+        const chat = await message.getChat();
+        const usage = 'Usage: !mute @user <duration> [reason]\nExample: !mute @user 30m Please take a break';
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        if (!message.mentionedIds || message.mentionedIds.length === 0) {
+            await message.reply(`⚠️ Please mention a user to mute.\n\n${usage}`);
+            return;
+        }
+
+        const durationMs = parseDuration(args[1]);
+
+        if (!durationMs || durationMs > MAX_MUTE_DURATION) {
+            await message.reply(`⚠️ Please give a duration such as 30m, 2h or 7d (up to 365 days).\n\n${usage}`);
+            return;
+        }
+
+        const mentionedId = message.mentionedIds[0];
+        const reason = args.slice(2).join(' ') || null;
+        const mentionedContact = await safeGetContactById(client, mentionedId);
+        const userName = getUserName(mentionedContact);
+
+        const mute = await muteMember(chat.id._serialized, mentionedId, durationMs, {
+            reason,
+            mutedBy: message.author || message.from
+        }, client);
+
+        if (!mute) {
+            await message.reply('❌ Failed to mute the user. Please try again.');
+            return;
+        }
+
+        const adminNote = await isBotAdmin(chat, client)
+            ? ''
+            : '\n\n⚠️ I am not an admin in this group, so I cannot remove their messages. Please make me an admin.';
+
+        await chat.sendMessage(`🔇 @${mentionedContact.number} has been muted for ${formatDuration(durationMs)}.${reason ? `\n*Reason:* ${reason}` : ''}${adminNote}`, {
+            mentions: [mentionedContact]
+        });
+
+        logger.info(`Muted ${userName} for ${formatDuration(durationMs)}`);
+    } catch (error) {
+        logger.error('Error in mute command:', error);
+        await message.reply('❌ Failed to mute the user. Please try again.');
+    }
+}
+
+/**
+ * Handle !unmute command
+ */
+export async function handleUnmute(message, args, client) {
+    try {
+        const chat = await message.getChat();
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        if (!message.mentionedIds || message.mentionedIds.length === 0) {
+            await message.reply('⚠️ Please mention a user to unmute.\n\nUsage: !unmute @user');
+            return;
+        }
+
+        const mentionedId = message.mentionedIds[0];
+        const mentionedContact = await safeGetContactById(client, mentionedId);
+
+        if (!(await unmuteMember(chat.id._serialized, mentionedId, client))) {
+            await message.reply(`ℹ️ ${getUserName(mentionedContact)} is not muted.`);
+            return;
+        }
+
+        await chat.sendMessage(`🔊 @${mentionedContact.number} can post again.`, {
+            mentions: [mentionedContact]
+        });
+
+        logger.info(`Unmuted ${getUserName(mentionedContact)}`);
+    } catch (error) {
+        logger.error('Error in unmute command:', error);
+        await message.reply('❌ Failed to unmute the user. Please try again.');
+    }
+}
+
+/**
+ * Handle !mutes command - list active mutes
+ */
+export async function handleMutes(message, args, client) {
+    try {
+        const chat = await message.getChat();
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        const mutes = getActiveMutes(chat.id._serialized);
+
+        if (mutes.length === 0) {
+            await message.reply('🔊 No one is muted right now.');
+            return;
+        }
+
+        const lines = [];
+        for (const mute of mutes) {
+            const contact = await safeGetContactById(client, mute.userId);
+            const remaining = formatDuration(new Date(mute.until) - Date.now());
+            lines.push(`• ${getUserName(contact)} - ${remaining} left${mute.reason ? ` (${mute.reason})` : ''}`);
+        }
+
+        await message.reply(`🔇 *Active Mutes (${mutes.length})*\n\n${lines.join('\n')}\n\nUse !unmute @user to lift a mute early.`);
+    } catch (error) {
+        logger.error('Error in mutes command:', error);
+        await message.reply('❌ Failed to list mutes. Please try again.');
+    }
+}
+
+/**
+ * Get the member a command targets: a mention, or a phone number for
+ * members who are no longer in the group
+ */
+function getTargetId(message, args) {
+    if (message.mentionedIds && message.mentionedIds.length > 0) {
+        return message.mentionedIds[0];
+    }
+
+    const number = normalizePhoneNumber(args[0]);
+    return number ? `${number}@c.us` : null;
+}
+
+/**
+ * Handle !ban command - remove a member and keep them out until the ban ends
+ */
+export async function handleBan(message, args, client) {
+    try {
+        const chat = await message.getChat();
+        const usage = 'Usage: !ban @user [duration] [reason]\nExample: !ban @user 7d Repeated spam';
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        const userId = getTargetId(message, args);
+
+        if (!userId) {
+            await message.reply(`⚠️ Please mention a user (or give their phone number) to ban.\n\n${usage}`);
+            return;
+        }
+
+        // The duration is optional: without one the ban lasts until lifted
+        const durationMs = parseDuration(args[1]);
+
+        if (durationMs && durationMs > MAX_BAN_DURATION) {
+            await message.reply(`⚠️ Timed bans can last up to 365 days. Leave out the duration for a ban until lifted.\n\n${usage}`);
+            return;
+        }
+
+        const reason = args.slice(durationMs ? 2 : 1).join(' ') || null;
+        const contact = await safeGetContactById(client, userId);
+        const userName = getUserName(contact);
+
+        const result = await banMember(chat, userId, durationMs, {
+            reason,
+            bannedBy: message.author || message.from
+        });
+
+        if (!result) {
+            await message.reply('❌ Failed to ban the user. Please try again.');
+            return;
+        }
+
+        const length = durationMs ? `for ${formatDuration(durationMs)}` : 'until lifted';
+        const removalNote = result.removed || !chat.participants.some(p => p.id._serialized === userId)
+            ? ''
+            : '\n\n⚠️ I could not remove them (am I an admin?). Please remove them manually - I will remove them if they rejoin.';
+
+        await message.reply(`🚫 ${userName} has been banned ${length}.${reason ? `\n*Reason:* ${reason}` : ''}${removalNote}`);
+
+        logger.info(`Banned ${userName} ${length}`);
+    } catch (error) {
+        logger.error('Error in ban command:', error);
+        await message.reply('❌ Failed to ban the user. Please try again.');
+    }
+}
+
+/**
+ * Handle !unban command
+ */
+export async function handleUnban(message, args, client) {
+    try {
+        const chat = await message.getChat();
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        const userId = getTargetId(message, args);
+
+        if (!userId) {
+            await message.reply('⚠️ Please give the phone number of the user to unban.\n\nUsage: !unban <phone>\nSee !bans for the list.');
+            return;
+        }
+
+        const contact = await safeGetContactById(client, userId);
+        const userName = getUserName(contact);
+
+        if (!unbanMember(chat.id._serialized, userId, message.author || message.from)) {
+            await message.reply(`ℹ️ ${userName} is not banned.`);
+            return;
+        }
+
+        await message.reply(`✅ ${userName} is no longer banned and may rejoin the group.`);
+
+        logger.info(`Unbanned ${userName}`);
+    } catch (error) {
+        logger.error('Error in unban command:', error);
+        await message.reply('❌ Failed to unban the user. Please try again.');
+    }
+}
+
+/**
+ * Handle !bans command - list active bans
+ */
+export async function handleBans(message, args, client) {
+    try {
+        const chat = await message.getChat();
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        const bans = getActiveBans(chat.id._serialized);
+
+        if (bans.length === 0) {
+            await message.reply('✅ No one is banned right now.');
+            return;
+        }
+
+        const lines = [];
+        for (const ban of bans) {
+            const contact = await safeGetContactById(client, ban.userId);
+            lines.push(`• ${getUserName(contact)} (${ban.userId.split('@')[0]}) - ${describeBanRemaining(ban)}${ban.reason ? ` (${ban.reason})` : ''}`);
+        }
+
+        await message.reply(`🚫 *Active Bans (${bans.length})*\n\n${lines.join('\n')}\n\nUse !unban <phone> to lift a ban early.`);
+    } catch (error) {
+        logger.error('Error in bans command:', error);
+        await message.reply('❌ Failed to list bans. Please try again.');
+    }
+}
+
+/**
+ * Handle !trust / !untrust - exempt a member (or all admins) from automated checks
+ * `!trust @user [checks]`, `!untrust @user [checks]`, `!trust admins [checks]`
+ * Without checks every check is meant
+ */
+export async function handleTrust(message, args, client, trusted = true) {
+    const command = trusted ? 'trust' : 'untrust';
+
+    try {
+        const chat = await message.getChat();
+        const usage = `Usage: !${command} @user [checks]\nChecks: ${EXEMPTABLE_CHECKS.join(', ')} (default: all)\nUse "admins" instead of @user for every group admin.`;
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        const groupId = chat.id._serialized;
+        const forAdmins = (args[0] || '').toLowerCase() === 'admins';
+        const userId = forAdmins ? null : getTargetId(message, args);
+
+        if (!forAdmins && !userId) {
+            await message.reply(`⚠️ Please mention a user.\n\n${usage}`);
+            return;
+        }
+
+        const checks = parseChecks(args.slice(1));
+
+        if (!checks) {
+            await message.reply(`⚠️ Unknown check.\n\n${usage}`);
+            return;
+        }
+
+        const changeInfo = { actor: message.author || message.from, command };
+
+        if (forAdmins) {
+            const current = getExemptions(groupId).admins;
+            const updated = trusted
+                ? [...current, ...checks]
+                : current.filter(check => !checks.includes(check));
+
+            if (!setAdminExemptions(groupId, updated, changeInfo)) {
+                await message.reply('❌ Failed to update exemptions. Please try again.');
+                return;
+            }
+
+            await message.reply(`✅ Group admins are now exempt from: *${describeChecks(getExemptions(groupId).admins)}*`);
+            return;
+        }
+
+        const userName = getUserName(await safeGetContactById(client, userId));
+
+        if (!trusted && getMemberExemptions(groupId, userId).length === 0) {
+            await message.reply(`ℹ️ ${userName} is not on the trusted list.`);
+            return;
+        }
+
+        const success = trusted
+            ? trustMember(groupId, userId, checks, changeInfo)
+            : untrustMember(groupId, userId, checks, changeInfo);
+
+        if (!success) {
+            await message.reply(trusted
+                ? '❌ Failed to update exemptions. Please try again.'
+                : `ℹ️ ${userName} is not exempt from ${describeChecks(checks)}.`);
+            return;
+        }
+
+        const remaining = getMemberExemptions(groupId, userId);
+        await message.reply(remaining.length > 0
+            ? `✅ ${userName} is exempt from: *${describeChecks(remaining)}*`
+            : `✅ ${userName} is no longer trusted; all checks apply again.`);
+
+        logger.info(`${trusted ? 'Trusted' : 'Untrusted'} ${userName} (${describeChecks(checks)})`);
+    } catch (error) {
+        logger.error(`Error in ${command} command:`, error);
+        await message.reply('❌ Failed to update exemptions. Please try again.');
+    }
+}
+
+/**
+ * Handle !trusted command - list exemptions
+ */
+export async function handleTrusted(message, args, client) {
+    try {
+        const chat = await message.getChat();
+
+        if (!chat.isGroup) {
+            await message.reply('ℹ️ This command only works in groups.');
+            return;
+        }
+
+        const { admins, members } = getExemptions(chat.id._serialized);
+
+        const lines = [];
+        for (const entry of members) {
+            const contact = await safeGetContactById(client, entry.userId);
+            lines.push(`• ${getUserName(contact)} - ${describeChecks(entry.checks)}`);
+        }
+
+        await message.reply(`🤝 *Exemptions*
+
+*Group admins:* ${describeChecks(admins)}
+
+*Trusted members (${members.length}):*
+${lines.length > 0 ? lines.join('\n') : '_No one yet._'}
+
+Use !trust @user [checks] or !untrust @user [checks] to change this.`);
+    } catch (error) {
+        logger.error('Error in trusted command:', error);
+        await message.reply('❌ Failed to list exemptions. Please try again.');
+    }
 }
 
 /**
@@ -5,6 +5,9 @@
 
 import { logger } from '../utils/logger.js';
 import { getGroupConfig, updateGroupConfig, addRule, removeRule, getRules } from '../config/configManager.js';
+import { MIN_SLOW_MODE_SECONDS, MAX_SLOW_MODE_SECONDS } from '../config/settingLimits.js';
+import { parseDuration, formatDuration } from '../utils/duration.js';
+import { getSlowMode, setSlowMode } from '../moderation/slowMode.js';
 
 /**
  * Handle !rules command
@@ -43,7 +46,7 @@ export async function handleRules(message, args, client) {
                 return;
             }
 
-            const added = addRule(groupId, rule);
+            const added = addRule(groupId, rule, { actor: message.author, command: '!rules add' });
 
             if (added) {
                 await message.reply(`✅ Rule added successfully!\n\n"${rule}"`);
@@ -58,7 +61,7 @@ export async function handleRules(message, args, client) {
                 return;
             }
 
-            const removed = removeRule(groupId, ruleNumber - 1); // Convert to 0-indexed
+            const removed = removeRule(groupId, ruleNumber - 1, { actor: message.author, command: '!rules remove' }); // Convert to 0-indexed
 
             if (removed) {
                 await message.reply(`✅ Rule #${ruleNumber} removed successfully!`);
@@ -103,7 +106,7 @@ export async function handleTopic(message, args, client) {
                     groupTopic: topic
                 }
             }
-        });
+        }, { actor: message.author, command: '!topic' });
 
         await message.reply(`✅ Group topic set to: *${topic}*\n\nOff-topic detection is now enabled.`);
     } catch (error) {
@@ -137,7 +140,7 @@ export async function handleLinks(message, args, client) {
                         linkBlockingEnabled: true
                     }
                 }
-            });
+            }, { actor: message.author, command: '!links on' });
             await message.reply('✅ Link blocking enabled! Links will now trigger warnings.');
         } else if (action === 'off') {
             updateGroupConfig(groupId, {
@@ -146,7 +149,7 @@ export async function handleLinks(message, args, client) {
                         linkBlockingEnabled: false
                     }
                 }
-            });
+            }, { actor: message.author, command: '!links off' });
             await message.reply('✅ Link blocking disabled. Links are now allowed.');
         } else {
             await message.reply('❓ Invalid option.\n\nUsage: !links on or !links off');
@@ -157,6 +160,48 @@ export async function handleLinks(message, args, client) {
     }
 }
 
+/**
+ * Handle !slowmode command
+ */
+export async function handleSlowMode(message, args, client) {
+    try {
+        const chat = await message.getChat();
+        const groupId = chat.id._serialized;
+        const usage = 'Usage: !slowmode <seconds|off>\nExample: !slowmode 30';
+
+        if (args.length === 0) {
+            const seconds = getSlowMode(groupId);
+            const status = seconds > 0 ? `on: one message every *${formatDuration(seconds * 1000)}*` : '*off*';
+
+            await message.reply(`🐢 Slow mode is currently ${status}.\n\n${usage}`);
+            return;
+        }
+
+        const value = args[0].toLowerCase();
+
+        if (value === 'off' || value === '0') {
+            setSlowMode(groupId, 0, { actor: message.author, command: '!slowmode off' });
+            await message.reply('✅ Slow mode disabled. Members can send messages freely again.');
+            return;
+        }
+
+        // Plain numbers are seconds; durations such as 2m work too
+        const ms = /^\d+$/.test(value) ? parseInt(value) * 1000 : parseDuration(value);
+        const seconds = ms ? Math.round(ms / 1000) : null;
+
+        if (!seconds || seconds < MIN_SLOW_MODE_SECONDS || seconds > MAX_SLOW_MODE_SECONDS) {
+            await message.reply(`⚠️ Please give an interval between ${MIN_SLOW_MODE_SECONDS} seconds and ${formatDuration(MAX_SLOW_MODE_SECONDS * 1000)}.\n\n${usage}`);
+            return;
+        }
+
+        setSlowMode(groupId, seconds, { actor: message.author, command: `!slowmode ${value}` });
+        await message.reply(`🐢 Slow mode enabled: members can send one message every *${formatDuration(seconds * 1000)}*. Messages sent sooner are removed, and the member is told once by DM. Admins and members trusted for flood are exempt.`);
+    } catch (error) {
+        logger.error('Error in slowmode command:', error);
+        await message.reply('❌ Failed to update slow mode. Please try again.');
+    }
+}
+
 /**
  * Handle !settings command
  */
@@ -177,6 +222,8 @@ export async function handleSettings(message, args, client) {
 • Enabled: ${config.moderation.spamDetection.enabled ? '✅' : '❌'}
 • Link Blocking: ${config.moderation.spamDetection.linkBlockingEnabled ? '✅' : '❌'}
 • Max Messages/Min: ${config.moderation.spamDetection.maxMessagesPerMinute}
+• Flood Burst: ${config.moderation.spamDetection.burstThreshold} messages in ${config.moderation.spamDetection.burstWindowSeconds}s
+• Slow Mode: ${config.moderation.slowModeSeconds > 0 ? `1 message per ${formatDuration(config.moderation.slowModeSeconds * 1000)}` : 'Off'}
 
 *Off-Topic Detection:*
 • Enabled: ${config.moderation.offTopicDetection.enabled ? '✅' : '❌'}
@@ -190,7 +237,8 @@ export async function handleSettings(message, args, client) {
 Use specific commands to modify settings:
 • !rules - Manage group rules
 • !topic - Set group topic
-• !links - Toggle link blocking`;
+• !links - Toggle link blocking
+• !slowmode - Limit how often members can post`;
 
         await message.reply(settingsText);
     } catch (error) {
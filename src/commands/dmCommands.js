@@ -8,10 +8,111 @@ import {
     hasActiveContext,
     promptGroupSelection
 } from '../handlers/adminContext.js';
-import { updateGroup, logAdminCommand } from '../storage/storage.js';
+import { logAdminCommand, getGroupsByAdmin, WarningDecayModes } from '../storage/storage.js';
+import {
+    getGroupConfig,
+    updateGroupConfig,
+    getRecentConfigChanges,
+    undoConfigChanges,
+    formatConfigValue
+} from '../config/configManager.js';
+import {
+    ViolationTypes,
+    MAX_STRIKE_WEIGHT,
+    isValidStrikeWeight,
+    MAX_LADDER_STRIKE,
+    FederationPolicies,
+    MAX_BAN_DURATION,
+    isValidTimezone,
+    FLOOD_SETTING_LIMITS,
+    DUPLICATE_SETTING_LIMITS,
+    RAID_SETTING_LIMITS,
+    MIN_LOCKDOWN_DURATION,
+    MAX_LOCKDOWN_DURATION,
+    MAX_PROBATION_DURATION
+} from '../config/settingLimits.js';
 import { logger } from '../utils/logger.js';
-import { getGroupWarningStats } from '../moderation/warningSystem.js';
+import { safeGetContactById } from '../utils/contactUtils.js';
+import { isBotOwner } from '../utils/permissions.js';
+import { parseDuration, formatDuration } from '../utils/duration.js';
+import { normalizeDomain, parseInviteLink } from '../utils/urlParser.js';
+import { getFloodSettings } from '../moderation/spamDetector.js';
+import { getDuplicateSettings } from '../moderation/duplicateDetector.js';
+import {
+    getRaidSettings,
+    getActiveLockdown,
+    startLockdown,
+    endLockdown
+} from '../moderation/raidMode.js';
+import {
+    NotificationModes,
+    getAdminNotificationSettings,
+    setNotificationMode,
+    setQuietHours,
+    parseQuietHours,
+    formatQuietHours
+} from '../moderation/adminNotifier.js';
+import {
+    addWarning,
+    getUserWarnings,
+    revokeLastWarning,
+    pardonUser,
+    formatWarningHistory,
+    getGroupWarningStats,
+    describeWarningDecay,
+    formatStrikes
+} from '../moderation/warningSystem.js';
+import {
+    EXAMPLE_LADDER,
+    parseEscalationActions,
+    describeLadder
+} from '../moderation/escalation.js';
+import {
+    AppealTypes,
+    submitAppeal,
+    decideAppeal,
+    getPendingAppeals,
+    describeAppealTarget
+} from '../moderation/appeals.js';
+import {
+    getLinkedGroups,
+    getFederatedBans,
+    getFederatedBan,
+    addFederatedBan,
+    liftFederatedBans
+} from '../moderation/federation.js';
 import { startOnboarding } from '../handlers/onboardingHandler.js';
+import {
+    createGroupBackup,
+    validateGroupBackup,
+    previewGroupBackup,
+    applyGroupBackup
+} from '../storage/groupBackup.js';
+import {
+    PurgeModes,
+    normalizePhoneNumber,
+    purgeUserData,
+    formatPurgeReport
+} from '../storage/dataPurge.js';
+import pkg from 'whatsapp-web.js';
+const { MessageMedia } = pkg;
+
+// Restores waiting for `restore confirm`, keyed by admin ID
+const pendingRestores = new Map();
+const RESTORE_CONFIRM_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const MAX_BACKUP_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Purges waiting for `purge confirm`, keyed by admin ID
+const pendingPurges = new Map();
+const PURGE_CONFIRM_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+// Limits for the history and undo commands
+const MAX_HISTORY_ENTRIES = 25;
+const MAX_HISTORY_CHANGES_SHOWN = 5;
+const MAX_UNDO_COUNT = 10;
+
+// Shared bans listed by the federation command
+const MAX_FEDERATION_BANS_SHOWN = 20;
 
 /**
  * Handle stats command - show group statistics
@@ -25,6 +126,7 @@ export async function handleStatsCommand(message, client) {
     }
 
     const group = getActiveGroup(adminId);
+    const config = getGroupConfig(group.id);
 
     try {
         // Get warning stats
@@ -45,13 +147,14 @@ export async function handleStatsCommand(message, client) {
 • Active Admins: *${adminCount}*
 
 🛡️ *Moderation:*
-• Warnings Issued: *${warningStats.totalWarnings}*
+• Active Strikes: *${warningStats.totalWarnings}*
+• Warnings Issued (all time): *${warningStats.issuedWarnings}*
 • Restricted Users: *${warningStats.usersAtThreshold}*
 
 ⚙️ *Protection Status:*
-• Spam Filter: ${group.config.moderation.spamDetection.enabled ? '✅' : '❌'}
-• Link Block: ${group.config.moderation.spamDetection.linkBlockingEnabled ? '✅' : '❌'}
-• Threshold: *${group.config.moderation.maxWarningsBeforeAction} strikes*
+• Spam Filter: ${config.moderation.spamDetection.enabled ? '✅' : '❌'}
+• Link Block: ${config.moderation.spamDetection.linkBlockingEnabled ? '✅' : '❌'}
+• Threshold: *${config.moderation.maxWarningsBeforeAction} strikes*
 
 _Type \`settings\` for a full configuration breakdown._`;
 
@@ -76,7 +179,7 @@ export async function handleSettingsCommand(message, client) {
     }
 
     const group = getActiveGroup(adminId);
-    const config = group.config;
+    const config = getGroupConfig(group.id);
 
     const settingsMessage = `⚙️ *Group Settings*
 ──────────────────
@@ -86,8 +189,17 @@ export async function handleSettingsCommand(message, client) {
 🛡️ *Moderation Enforcement:*
 • Spam Filtering: ${config.moderation.spamDetection.enabled ? '✅ *ON*' : '❌ *OFF*'}
 • Link Blocking: ${config.moderation.spamDetection.linkBlockingEnabled ? '✅ *ON*' : '❌ *OFF*'}
+• Invite Blocking: ${config.moderation.spamDetection.inviteBlockingEnabled ? '✅ *ON*' : '❌ *OFF*'}${config.moderation.spamDetection.allowedInvites.length > 0 ? ` (${config.moderation.spamDetection.allowedInvites.length} allowed)` : ''}
+• Slow Mode: *${config.moderation.slowModeSeconds > 0 ? `1 message per ${formatDuration(config.moderation.slowModeSeconds * 1000)}` : 'Off'}*
+• Raid Lockdown: ${getActiveLockdown(group.id) ? '🔒 *ACTIVE*' : `*Off* (automatic: ${config.moderation.raidMode.autoDetect ? 'on' : 'off'})`}
+• Duplicate Detection: ${config.moderation.duplicateDetection.enabled ? '✅ *ON*' : '❌ *OFF*'}
+• Link Domains: *${config.moderation.spamDetection.allowedDomains.length} allowed, ${config.moderation.spamDetection.blockedDomains.length} blocked*
 • Auto-Removal: ${config.moderation.autoRemoveThresholdReached ? '✅ *ON*' : '❌ *OFF*'}
+• Ban After Removal: *${config.moderation.autoRemoveBanDuration > 0 ? formatDuration(config.moderation.autoRemoveBanDuration) : 'Off'}*
 • Warning Strike Limit: *${config.moderation.maxWarningsBeforeAction}*
+• Strike Weights: *${Object.values(ViolationTypes).every(type => (config.moderation.strikeWeights[type] ?? 1) === 1) ? 'All 1' : 'Custom'}* (see \`strike_weights\`)
+• Warning Decay: *${describeWarningDecay(config.moderation.warningDecay)}*
+• Escalation Ladder: *${config.moderation.escalationLadder.length > 0 ? `${config.moderation.escalationLadder.length} step(s)` : 'Classic'}*
 
 📋 *Banned Words:*
 • Filter Status: ${config.moderation.bannedWords.enabled ? '✅ *ON*' : '❌ *OFF*'}
@@ -96,6 +208,10 @@ export async function handleSettingsCommand(message, client) {
 👋 *Member Welcome:*
 • Join Notifications: ${config.welcome.enabled ? '✅ *ON*' : '❌ *OFF*'}
 
+🔔 *Admin Alerts:*
+• Group Timezone: *${config.timezone}*
+• Your Delivery: *${getAdminNotificationSettings(adminId).mode}* (see \`notifications\`)
+
 📜 *Community Rules:*
 ${config.rules.length > 0 ? config.rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n') : '_No rules set yet._'}
 
@@ -118,12 +234,13 @@ export async function handleToggleLinksCommand(message, client) {
     }
 
     const group = getActiveGroup(adminId);
-    const currentState = group.config.moderation.spamDetection.linkBlockingEnabled;
+    const currentState = getGroupConfig(group.id).moderation.spamDetection.linkBlockingEnabled;
     const newState = !currentState;
 
     // Update config
-    group.config.moderation.spamDetection.linkBlockingEnabled = newState;
-    const success = updateGroup(group.id, group);
+    const success = updateGroupConfig(group.id, {
+        moderation: { spamDetection: { linkBlockingEnabled: newState } }
+    }, { actor: adminId, command: 'toggle_links' });
 
     if (success) {
         await message.reply(`✅ Link blocking ${newState ? 'enabled' : 'disabled'} for *${group.name}*`);
@@ -133,10 +250,16 @@ export async function handleToggleLinksCommand(message, client) {
     }
 }
 
+// Domain list commands and the config lists they edit
+const DOMAIN_LISTS = {
+    allow_domain: { key: 'allowedDomains', label: 'allowed' },
+    block_domain: { key: 'blockedDomains', label: 'blocked' }
+};
+
 /**
- * Handle toggle_welcome command
+ * Handle domains command - show the allowed and blocked domains
  */
-export async function handleToggleWelcomeCommand(message, client) {
+export async function handleDomainsCommand(message, client) {
     const adminId = message.from;
 
     if (!hasActiveContext(adminId)) {
@@ -145,25 +268,34 @@ export async function handleToggleWelcomeCommand(message, client) {
     }
 
     const group = getActiveGroup(adminId);
-    const currentState = group.config.welcome.enabled;
-    const newState = !currentState;
+    const spam = getGroupConfig(group.id).moderation.spamDetection;
+    const list = domains => (domains.length > 0 ? domains.map(domain => `• ${domain}`).join('\n') : '_None_');
 
-    // Update config
-    group.config.welcome.enabled = newState;
-    const success = updateGroup(group.id, group);
+    await message.reply(`🔗 *Link Domains*
+👥 *Group:* ${group.name}
+──────────────────
 
-    if (success) {
-        await message.reply(`✅ Welcome messages ${newState ? 'enabled' : 'disabled'} for *${group.name}*`);
-        logAdminCommand(group.id, adminId, 'toggle_welcome', [newState]);
-    } else {
-        await message.reply('❌ Failed to update settings.');
-    }
+• Link Blocking: ${spam.linkBlockingEnabled ? '✅ *ON* - only allowed domains may be posted' : '❌ *OFF* - only blocked domains are removed'}
+
+✅ *Allowed:*
+${list(spam.allowedDomains)}
+
+⛔ *Blocked:*
+${list(spam.blockedDomains)}
+
+_Each entry covers its subdomains too (youtube.com includes m.youtube.com)._
+
+• \`allow_domain <domain>\` - Allow a domain
+• \`block_domain <domain>\` - Always block a domain
+• \`remove_domain <domain>\` - Remove it from either list`);
+    logAdminCommand(group.id, adminId, 'domains', []);
 }
 
 /**
- * Handle set_threshold command
+ * Handle allow_domain and block_domain commands
+ * A domain can only be on one list, so adding it to one removes it from the other
  */
-export async function handleSetThresholdCommand(message, args, client) {
+export async function handleAddDomainCommand(message, args, client, command) {
     const adminId = message.from;
 
     if (!hasActiveContext(adminId)) {
@@ -171,31 +303,51 @@ export async function handleSetThresholdCommand(message, args, client) {
         return;
     }
 
-    const threshold = parseInt(args[0]);
+    const domain = normalizeDomain(args[0]);
 
-    if (isNaN(threshold) || threshold < 1 || threshold > 10) {
-        await message.reply('❌ Invalid threshold. Please provide a number between 1 and 10.\n\nUsage: `set_threshold 3`');
+    if (!domain || args.length > 1) {
+        await message.reply(`❌ Please give one domain, like \`example.com\`.\n\nUsage: \`${command} <domain>\``);
         return;
     }
 
+    const { key, label } = DOMAIN_LISTS[command];
+    const otherKey = key === 'allowedDomains' ? 'blockedDomains' : 'allowedDomains';
     const group = getActiveGroup(adminId);
+    const spam = getGroupConfig(group.id).moderation.spamDetection;
 
-    // Update config
-    group.config.moderation.maxWarningsBeforeAction = threshold;
-    const success = updateGroup(group.id, group);
+    const isDomain = entry => normalizeDomain(entry) === domain;
 
-    if (success) {
-        await message.reply(`✅ Warning threshold set to ${threshold} for *${group.name}*`);
-        logAdminCommand(group.id, adminId, 'set_threshold', [threshold]);
-    } else {
+    if (spam[key].some(isDomain)) {
+        await message.reply(`⚠️ ${domain} is already ${label}.`);
+        return;
+    }
+
+    const success = updateGroupConfig(group.id, {
+        moderation: {
+            spamDetection: {
+                [key]: [...spam[key], domain],
+                [otherKey]: spam[otherKey].filter(entry => !isDomain(entry))
+            }
+        }
+    }, { actor: adminId, command });
+
+    if (!success) {
         await message.reply('❌ Failed to update settings.');
+        return;
     }
+
+    const note = command === 'allow_domain' && !spam.linkBlockingEnabled
+        ? '\n\n_Link blocking is off, so every link is allowed anyway. Use `toggle_links` to turn it on._'
+        : '';
+
+    await message.reply(`✅ ${domain} (and its subdomains) is now ${label} in *${group.name}*${note}`);
+    logAdminCommand(group.id, adminId, command, [domain]);
 }
 
 /**
- * Handle add_banned_word command
+ * Handle remove_domain command
  */
-export async function handleAddBannedWordCommand(message, args, client) {
+export async function handleRemoveDomainCommand(message, args, client) {
     const adminId = message.from;
 
     if (!hasActiveContext(adminId)) {
@@ -203,37 +355,45 @@ export async function handleAddBannedWordCommand(message, args, client) {
         return;
     }
 
-    if (args.length === 0) {
-        await message.reply('❌ Please provide a word to ban.\n\nUsage: `add_banned_word spam`');
+    const domain = normalizeDomain(args[0]);
+
+    if (!domain) {
+        await message.reply('❌ Please give the domain to remove.\n\nUsage: `remove_domain <domain>`');
         return;
     }
 
-    const word = args.join(' ').toLowerCase();
     const group = getActiveGroup(adminId);
+    const { allowedDomains, blockedDomains } = getGroupConfig(group.id).moderation.spamDetection;
 
-    // Check if word already exists
-    if (group.config.moderation.bannedWords.words.includes(word)) {
-        await message.reply(`⚠️ "${word}" is already in the banned words list.`);
+    // Entries saved before domains were normalized may differ in case or carry a "www."
+    const keep = entry => normalizeDomain(entry) !== domain;
+
+    if (allowedDomains.every(keep) && blockedDomains.every(keep)) {
+        await message.reply(`⚠️ ${domain} is not on the allowed or blocked list. Type \`domains\` to see them.`);
         return;
     }
 
-    // Add word
-    group.config.moderation.bannedWords.words.push(word);
-    group.config.moderation.bannedWords.enabled = true; // Auto-enable
-    const success = updateGroup(group.id, group);
+    const success = updateGroupConfig(group.id, {
+        moderation: {
+            spamDetection: {
+                allowedDomains: allowedDomains.filter(keep),
+                blockedDomains: blockedDomains.filter(keep)
+            }
+        }
+    }, { actor: adminId, command: 'remove_domain' });
 
     if (success) {
-        await message.reply(`✅ Added "${word}" to banned words for *${group.name}*\n\nTotal banned words: ${group.config.moderation.bannedWords.words.length}`);
-        logAdminCommand(group.id, adminId, 'add_banned_word', [word]);
+        await message.reply(`✅ Removed ${domain} from the domain lists of *${group.name}*`);
+        logAdminCommand(group.id, adminId, 'remove_domain', [domain]);
     } else {
-        await message.reply('❌ Failed to add banned word.');
+        await message.reply('❌ Failed to update settings.');
     }
 }
 
 /**
- * Handle remove_banned_word command
+ * Handle invite_links command - show the invite filter, or turn it on/off
  */
-export async function handleRemoveBannedWordCommand(message, args, client) {
+export async function handleInviteLinksCommand(message, args, client) {
     const adminId = message.from;
 
     if (!hasActiveContext(adminId)) {
@@ -241,37 +401,97 @@ export async function handleRemoveBannedWordCommand(message, args, client) {
         return;
     }
 
-    if (args.length === 0) {
-        await message.reply('❌ Please provide a word to remove.\n\nUsage: `remove_banned_word spam`');
+    const group = getActiveGroup(adminId);
+    const action = (args[0] || '').toLowerCase();
+
+    if (action === 'on' || action === 'off') {
+        const success = updateGroupConfig(group.id, {
+            moderation: { spamDetection: { inviteBlockingEnabled: action === 'on' } }
+        }, { actor: adminId, command: 'invite_links' });
+
+        if (success) {
+            await message.reply(`✅ Invite link blocking ${action === 'on' ? 'enabled' : 'disabled'} for *${group.name}*`);
+            logAdminCommand(group.id, adminId, 'invite_links', [action]);
+        } else {
+            await message.reply('❌ Failed to update settings.');
+        }
         return;
     }
 
-    const word = args.join(' ').toLowerCase();
-    const group = getActiveGroup(adminId);
+    if (action) {
+        await message.reply('❌ Usage: `invite_links [on|off]`');
+        return;
+    }
 
-    const index = group.config.moderation.bannedWords.words.indexOf(word);
+    const { inviteBlockingEnabled, allowedInvites } = getGroupConfig(group.id).moderation.spamDetection;
 
-    if (index === -1) {
-        await message.reply(`⚠️ "${word}" is not in the banned words list.`);
+    await message.reply(`📨 *Invite Links*
+👥 *Group:* ${group.name}
+──────────────────
+
+• Invite Blocking: ${inviteBlockingEnabled ? '✅ *ON*' : '❌ *OFF*'}
+_Covers WhatsApp group invites, WhatsApp channels and Telegram links, even with link blocking off._
+
+✅ *Allowed Invites:*
+${allowedInvites.length > 0 ? allowedInvites.map(link => `• ${link}`).join('\n') : '_None_'}
+
+• \`invite_links on|off\` - Turn the filter on or off
+• \`allow_invite <link>\` - Allow invites to one group or channel
+• \`remove_invite <link>\` - Block it again`);
+    logAdminCommand(group.id, adminId, 'invite_links', []);
+}
+
+/**
+ * Handle allow_invite and remove_invite commands
+ */
+export async function handleAllowInviteCommand(message, args, client, allowed) {
+    const adminId = message.from;
+    const command = allowed ? 'allow_invite' : 'remove_invite';
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
         return;
     }
 
-    // Remove word
-    group.config.moderation.bannedWords.words.splice(index, 1);
-    const success = updateGroup(group.id, group);
+    const invite = args.length === 1 ? parseInviteLink(args[0]) : null;
+
+    if (!invite) {
+        await message.reply(`❌ Please send one invite link, like \`https://chat.whatsapp.com/AbCdEf123456\`.\n\nUsage: \`${command} <link>\``);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const allowedInvites = getGroupConfig(group.id).moderation.spamDetection.allowedInvites;
+
+    if (allowedInvites.includes(invite.link) === allowed) {
+        await message.reply(`⚠️ ${invite.link} is ${allowed ? 'already' : 'not'} on the allowed list.`);
+        return;
+    }
+
+    const success = updateGroupConfig(group.id, {
+        moderation: {
+            spamDetection: {
+                allowedInvites: allowed
+                    ? [...allowedInvites, invite.link]
+                    : allowedInvites.filter(link => link !== invite.link)
+            }
+        }
+    }, { actor: adminId, command });
 
     if (success) {
-        await message.reply(`✅ Removed "${word}" from banned words for *${group.name}*\n\nRemaining banned words: ${group.config.moderation.bannedWords.words.length}`);
-        logAdminCommand(group.id, adminId, 'remove_banned_word', [word]);
+        await message.reply(allowed
+            ? `✅ Invites to ${invite.link} are now allowed in *${group.name}*`
+            : `✅ Invites to ${invite.link} are blocked again in *${group.name}*`);
+        logAdminCommand(group.id, adminId, command, [invite.link]);
     } else {
-        await message.reply('❌ Failed to remove banned word.');
+        await message.reply('❌ Failed to update settings.');
     }
 }
 
 /**
- * Handle list_banned_words command
+ * Handle toggle_welcome command
  */
-export async function handleListBannedWordsCommand(message, client) {
+export async function handleToggleWelcomeCommand(message, client) {
     const adminId = message.from;
 
     if (!hasActiveContext(adminId)) {
@@ -280,23 +500,52 @@ export async function handleListBannedWordsCommand(message, client) {
     }
 
     const group = getActiveGroup(adminId);
-    const words = group.config.moderation.bannedWords.words;
+    const currentState = getGroupConfig(group.id).welcome.enabled;
+    const newState = !currentState;
 
-    if (words.length === 0) {
-        await message.reply(`📋 *Banned Words*\n\nNo banned words configured for *${group.name}*.\n\nUse \`add_banned_word <word>\` to add one.`);
+    // Update config
+    const success = updateGroupConfig(group.id, { welcome: { enabled: newState } }, { actor: adminId, command: 'toggle_welcome' });
+
+    if (success) {
+        await message.reply(`✅ Welcome messages ${newState ? 'enabled' : 'disabled'} for *${group.name}*`);
+        logAdminCommand(group.id, adminId, 'toggle_welcome', [newState]);
+    } else {
+        await message.reply('❌ Failed to update settings.');
+    }
+}
+
+/**
+ * Handle toggle_auto_remove command
+ */
+export async function handleToggleAutoRemoveCommand(message, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
         return;
     }
 
-    const wordList = words.map((word, i) => `${i + 1}. ${word}`).join('\n');
+    const group = getActiveGroup(adminId);
+    const currentState = getGroupConfig(group.id).moderation.autoRemoveThresholdReached;
+    const newState = !currentState;
 
-    await message.reply(`📋 *Banned Words for ${group.name}*\n\n${wordList}\n\nStatus: ${group.config.moderation.bannedWords.enabled ? '✅ Enabled' : '❌ Disabled'}`);
-    logAdminCommand(group.id, adminId, 'list_banned_words', []);
+    // Update config
+    const success = updateGroupConfig(group.id, {
+        moderation: { autoRemoveThresholdReached: newState }
+    }, { actor: adminId, command: 'toggle_auto_remove' });
+
+    if (success) {
+        await message.reply(`✅ Auto-removal at the strike limit ${newState ? 'enabled' : 'disabled'} for *${group.name}*${newState ? '\n\n_Make sure I am a group admin so I can remove members._' : ''}`);
+        logAdminCommand(group.id, adminId, 'toggle_auto_remove', [newState]);
+    } else {
+        await message.reply('❌ Failed to update settings.');
+    }
 }
 
 /**
- * Handle view_rules command
+ * Handle set_threshold command
  */
-export async function handleViewRulesCommand(message, client) {
+export async function handleSetThresholdCommand(message, args, client) {
     const adminId = message.from;
 
     if (!hasActiveContext(adminId)) {
@@ -304,24 +553,76 @@ export async function handleViewRulesCommand(message, client) {
         return;
     }
 
+    const threshold = parseInt(args[0]);
+
+    if (isNaN(threshold) || threshold < 1 || threshold > 10) {
+        await message.reply('❌ Invalid threshold. Please provide a number between 1 and 10.\n\nUsage: `set_threshold 3`');
+        return;
+    }
+
     const group = getActiveGroup(adminId);
-    const rules = group.config.rules;
 
-    if (rules.length === 0) {
-        await message.reply(`📋 *Group Rules*\n\nNo rules configured for *${group.name}*.\n\nUse \`add_rule <rule>\` to add one.`);
+    // Update config
+    const success = updateGroupConfig(group.id, {
+        moderation: { maxWarningsBeforeAction: threshold }
+    }, { actor: adminId, command: 'set_threshold' });
+
+    if (success) {
+        await message.reply(`✅ Warning threshold set to ${threshold} for *${group.name}*`);
+        logAdminCommand(group.id, adminId, 'set_threshold', [threshold]);
+    } else {
+        await message.reply('❌ Failed to update settings.');
+    }
+}
+
+// Readable names for the violation types
+const VIOLATION_TYPE_LABELS = {
+    [ViolationTypes.LINK]: 'Links',
+    [ViolationTypes.INVITE]: 'Invite links',
+    [ViolationTypes.FLOOD]: 'Flooding',
+    [ViolationTypes.REPEATED]: 'Repeated messages',
+    [ViolationTypes.BANNED_WORD]: 'Banned words',
+    [ViolationTypes.OFF_TOPIC]: 'Off-topic messages',
+    [ViolationTypes.MANUAL]: 'Manual warnings'
+};
+
+/**
+ * Handle strike_weights command - show how many strikes each violation adds
+ */
+export async function handleStrikeWeightsCommand(message, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
         return;
     }
 
-    const ruleList = rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n');
+    const group = getActiveGroup(adminId);
+    const config = getGroupConfig(group.id);
+    const weights = config.moderation.strikeWeights;
 
-    await message.reply(`📋 *Rules for ${group.name}*\n\n${ruleList}`);
-    logAdminCommand(group.id, adminId, 'view_rules', []);
+    const lines = Object.values(ViolationTypes).map(type =>
+        `• ${VIOLATION_TYPE_LABELS[type]} (\`${type}\`): *${formatStrikes(weights[type] ?? 1)}*`);
+
+    await message.reply(`⚖️ *Strike Weights*
+👥 *Group:* ${group.name}
+──────────────────
+
+${lines.join('\n')}
+
+Members reach the limit at *${config.moderation.maxWarningsBeforeAction}* strikes in total.
+
+• \`set_strike_weight <type> <weight>\` - e.g. \`set_strike_weight banned_word 3\` or \`set_strike_weight link 0.5\`
+_A weight of 0 records the warning without counting it._`);
+
+    logAdminCommand(group.id, adminId, 'strike_weights', []);
 }
 
 /**
- * Handle add_rule command
+ * Handle set_strike_weight command
+ * `set_strike_weight <type> <weight>`
  */
-export async function handleAddRuleCommand(message, args, client) {
+export async function handleSetStrikeWeightCommand(message, args, client) {
     const adminId = message.from;
 
     if (!hasActiveContext(adminId)) {
@@ -329,30 +630,47 @@ export async function handleAddRuleCommand(message, args, client) {
         return;
     }
 
-    if (args.length === 0) {
-        await message.reply('❌ Please provide a rule to add.\n\nUsage: `add_rule Be respectful to everyone`');
+    const type = (args[0] || '').toLowerCase();
+    const weight = Number(args[1]);
+    const usage = `Usage: \`set_strike_weight <type> <weight>\`\nTypes: ${Object.values(ViolationTypes).map(t => `\`${t}\``).join(', ')}`;
+
+    if (!Object.values(ViolationTypes).includes(type)) {
+        await message.reply(`❌ Please choose a violation type.\n\n${usage}`);
+        return;
+    }
+
+    if (args[1] === undefined || !isValidStrikeWeight(weight)) {
+        await message.reply(`❌ Please give a weight between 0 and ${MAX_STRIKE_WEIGHT} (up to two decimals, e.g. 0.5).\n\n${usage}`);
         return;
     }
 
-    const rule = args.join(' ');
     const group = getActiveGroup(adminId);
 
-    // Add rule
-    group.config.rules.push(rule);
-    const success = updateGroup(group.id, group);
+    const success = updateGroupConfig(group.id, {
+        moderation: { strikeWeights: { [type]: weight } }
+    }, { actor: adminId, command: 'set_strike_weight' });
 
     if (success) {
-        await message.reply(`✅ Added rule to *${group.name}*\n\n${group.config.rules.length}. ${rule}\n\nTotal rules: ${group.config.rules.length}`);
-        logAdminCommand(group.id, adminId, 'add_rule', [rule]);
+        await message.reply(`✅ ${VIOLATION_TYPE_LABELS[type]} now count as *${formatStrikes(weight)}* strike(s) in *${group.name}*.\n\n_Warnings already given keep the weight they had._`);
+        logAdminCommand(group.id, adminId, 'set_strike_weight', [type, weight]);
     } else {
-        await message.reply('❌ Failed to add rule.');
+        await message.reply('❌ Failed to update settings.');
     }
 }
 
+// spam_settings arguments and the config keys they change
+const SPAM_SETTING_KEYS = {
+    per_minute: 'maxMessagesPerMinute',
+    burst: 'burstThreshold',
+    window: 'burstWindowSeconds',
+    repeated: 'maxRepeatedMessages'
+};
+
 /**
- * Handle remove_rule command
+ * Handle spam_settings command - show the flood settings in effect, or change one
+ * `spam_settings per_minute|burst|window|repeated <number>`
  */
-export async function handleRemoveRuleCommand(message, args, client) {
+export async function handleSpamSettingsCommand(message, args, client) {
     const adminId = message.from;
 
     if (!hasActiveContext(adminId)) {
@@ -360,55 +678,1592 @@ export async function handleRemoveRuleCommand(message, args, client) {
         return;
     }
 
-    const ruleNumber = parseInt(args[0]);
     const group = getActiveGroup(adminId);
+    const setting = (args[0] || '').toLowerCase();
+
+    if (setting) {
+        const key = SPAM_SETTING_KEYS[setting];
+        const value = Number(args[1]);
+
+        if (!key) {
+            await message.reply(`❌ Unknown setting. Choose one of: ${Object.keys(SPAM_SETTING_KEYS).map(name => `\`${name}\``).join(', ')}`);
+            return;
+        }
+
+        const { min, max } = FLOOD_SETTING_LIMITS[key];
+
+        if (!Number.isInteger(value) || value < min || value > max) {
+            await message.reply(`❌ Please give a whole number between ${min} and ${max}.\n\nUsage: \`spam_settings ${setting} <number>\``);
+            return;
+        }
+
+        const success = updateGroupConfig(group.id, {
+            moderation: { spamDetection: { [key]: value } }
+        }, { actor: adminId, command: 'spam_settings' });
+
+        if (!success) {
+            await message.reply('❌ Failed to update settings.');
+            return;
+        }
+
+        logAdminCommand(group.id, adminId, 'spam_settings', [setting, value]);
+    }
+
+    const spam = getGroupConfig(group.id).moderation.spamDetection;
+    const flood = getFloodSettings(group.id);
+
+    await message.reply(`🌊 *Spam Settings*
+👥 *Group:* ${group.name}
+──────────────────
+
+• Spam Filtering: ${spam.enabled ? '✅ *ON*' : '❌ *OFF*'}
+• Link Blocking: ${spam.linkBlockingEnabled ? '✅ *ON*' : '❌ *OFF*'}
+
+*Flooding* is flagged when a member sends *${flood.burstThreshold}* messages within *${flood.burstWindowSeconds}s* and *${flood.maxMessagesPerMinute}* or more in a minute.
+*Repeated messages* are flagged after *${flood.maxRepeatedMessages}* identical messages in a row.
+_Media and forwarded messages don't count toward flooding._
+
+• \`spam_settings per_minute <n>\` - Messages per minute (${FLOOD_SETTING_LIMITS.maxMessagesPerMinute.min}-${FLOOD_SETTING_LIMITS.maxMessagesPerMinute.max})
+• \`spam_settings burst <n>\` - Messages in a burst (${FLOOD_SETTING_LIMITS.burstThreshold.min}-${FLOOD_SETTING_LIMITS.burstThreshold.max})
+• \`spam_settings window <seconds>\` - Burst window (${FLOOD_SETTING_LIMITS.burstWindowSeconds.min}-${FLOOD_SETTING_LIMITS.burstWindowSeconds.max})
+• \`spam_settings repeated <n>\` - Identical messages in a row (${FLOOD_SETTING_LIMITS.maxRepeatedMessages.min}-${FLOOD_SETTING_LIMITS.maxRepeatedMessages.max})`);
+
+    if (!setting) {
+        logAdminCommand(group.id, adminId, 'spam_settings', []);
+    }
+}
+
+// duplicates arguments and the config keys they change
+const DUPLICATE_SETTING_KEYS = {
+    senders: 'minSenders',
+    window: 'windowSeconds'
+};
 
-    if (isNaN(ruleNumber) || ruleNumber < 1 || ruleNumber > group.config.rules.length) {
-        await message.reply(`❌ Invalid rule number. Please provide a number between 1 and ${group.config.rules.length}.\n\nUse \`view_rules\` to see all rules.`);
+/**
+ * Handle duplicates command - show or change coordinated raid detection
+ * `duplicates on|off`, `duplicates senders <n>`, `duplicates window <seconds>`
+ */
+export async function handleDuplicatesCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
         return;
     }
 
-    const removedRule = group.config.rules[ruleNumber - 1];
+    const group = getActiveGroup(adminId);
+    const setting = (args[0] || '').toLowerCase();
+    let updates = null;
+
+    if (setting === 'on' || setting === 'off') {
+        updates = { enabled: setting === 'on' };
+    } else if (DUPLICATE_SETTING_KEYS[setting]) {
+        const key = DUPLICATE_SETTING_KEYS[setting];
+        const { min, max } = DUPLICATE_SETTING_LIMITS[key];
+        const value = Number(args[1]);
+
+        if (!Number.isInteger(value) || value < min || value > max) {
+            await message.reply(`❌ Please give a whole number between ${min} and ${max}.\n\nUsage: \`duplicates ${setting} <number>\``);
+            return;
+        }
+
+        updates = { [key]: value };
+    } else if (setting) {
+        await message.reply('❌ Usage: `duplicates [on|off]`, `duplicates senders <n>` or `duplicates window <seconds>`');
+        return;
+    }
 
-    // Remove rule
-    group.config.rules.splice(ruleNumber - 1, 1);
-    const success = updateGroup(group.id, group);
+    if (updates) {
+        const success = updateGroupConfig(group.id, {
+            moderation: { duplicateDetection: updates }
+        }, { actor: adminId, command: 'duplicates' });
 
-    if (success) {
-        await message.reply(`✅ Removed rule from *${group.name}*\n\n~~${removedRule}~~\n\nRemaining rules: ${group.config.rules.length}`);
-        logAdminCommand(group.id, adminId, 'remove_rule', [ruleNumber]);
-    } else {
-        await message.reply('❌ Failed to remove rule.');
+        if (!success) {
+            await message.reply('❌ Failed to update settings.');
+            return;
+        }
     }
+
+    const settings = getDuplicateSettings(group.id);
+
+    await message.reply(`👯 *Duplicate Messages*
+👥 *Group:* ${group.name}
+──────────────────
+
+• Raid Detection: ${settings.enabled ? '✅ *ON*' : '❌ *OFF*'}
+
+When *${settings.minSenders}* different members post the same (or nearly the same) message within *${formatDuration(settings.windowSeconds * 1000)}*, and it has a link or most of them joined in the last day, every copy is deleted and you are alerted right away. Later copies are deleted as they arrive.
+_Short messages and members exempt from \`repeated\` are not checked._
+
+• \`duplicates on|off\` - Turn detection on or off
+• \`duplicates senders <n>\` - Members needed (${DUPLICATE_SETTING_LIMITS.minSenders.min}-${DUPLICATE_SETTING_LIMITS.minSenders.max})
+• \`duplicates window <seconds>\` - Time window (${DUPLICATE_SETTING_LIMITS.windowSeconds.min}-${DUPLICATE_SETTING_LIMITS.windowSeconds.max})`);
+    logAdminCommand(group.id, adminId, 'duplicates', args.slice(0, 2));
 }
 
+// raid arguments that change a numeric setting, and the config keys they change
+const RAID_SETTING_KEYS = {
+    joins: 'joinThreshold',
+    violations: 'violationThreshold',
+    window: 'windowMinutes'
+};
+
+const RAID_USAGE = `Usage:
+• \`raid\` - Lockdown status and settings
+• \`raid on [duration]\` - Lock the group down now
+• \`raid off\` - Lift the lockdown
+• \`raid auto on|off\` - Automatic lockdowns
+• \`raid joins|violations <n>\` - Thresholds
+• \`raid window <minutes>\` - Detection window
+• \`raid lockdown <duration>\` - Automatic lockdown length
+• \`raid probation <duration|off>\` - Probation for recent joiners`;
+
 /**
- * Handle help command for DM
+ * Handle raid command - lock the group down, lift the lockdown, or change raid detection
  */
-export async function handleDMHelpCommand(message, client) {
-    const helpMessage = `📋 *Control Panel*
-────────────────────
-⚙️ *Setup & Guide:*
-• \`setup\` - Switch group / List all
-• \`restart_onboarding\` - Restart guide
+export async function handleRaidCommand(message, args, client) {
+    const adminId = message.from;
 
-📊 *Monitoring:*
-• \`stats\` - Engagement & moderation
-• \`settings\` - View current config
-• \`view_rules\` - Group rule list
-• \`list_banned_words\` - Filtered words
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
 
-🛡️ *Quick Toggles:*
-• \`toggle_links\` - Block/Allow links
-• \`toggle_welcome\` - Join greetings
-• \`toggle_auto_remove\` - Threshold KICK
-• \`set_threshold <number>\` - Strike limit
+    const group = getActiveGroup(adminId);
+    const action = (args[0] || 'status').toLowerCase();
+    const value = (args[1] || '').toLowerCase();
+    let updates = null;
+
+    if (action === 'on') {
+        const durationMs = value ? parseDuration(value) : getRaidSettings(group.id).lockdownDuration;
+
+        if (durationMs === null || durationMs < MIN_LOCKDOWN_DURATION || durationMs > MAX_LOCKDOWN_DURATION) {
+            await message.reply(`❌ Please give a duration between ${formatDuration(MIN_LOCKDOWN_DURATION)} and ${formatDuration(MAX_LOCKDOWN_DURATION)}, such as 30m or 2h.`);
+            return;
+        }
+
+        let chat;
+        try {
+            chat = await client.getChatById(group.id);
+        } catch (error) {
+            logger.error(`Failed to load ${group.id} for a lockdown:`, error);
+            await message.reply('❌ Could not reach the group. Please try again.');
+            return;
+        }
+
+        const lockdown = await startLockdown(chat, client, { duration: durationMs, startedBy: adminId, reason: 'Started by an admin' });
+
+        if (!lockdown) {
+            await message.reply(`⚠️ *${group.name}* is already locked down. Type \`raid off\` to lift it.`);
+            return;
+        }
+
+        await message.reply(lockdown.locked
+            ? `🔒 *${group.name}* is locked down for *${formatDuration(durationMs)}*. Only admins can send messages.${lockdown.probationCount > 0 ? `\n🔇 ${lockdown.probationCount} recent joiner(s) are on probation.` : ''}`
+            : '⚠️ The lockdown was recorded, but I could not make the group admins-only (am I an admin?). Please change the group settings manually.');
+        logAdminCommand(group.id, adminId, 'raid', ['on', formatDuration(durationMs)]);
+        return;
+    }
 
-📝 *Content Management:*
-• \`add_rule <text>\` - New group rule
-• \`remove_rule <id>\` - Remove by number
-• \`add_banned_word <w>\` - Blacklist word
-• \`remove_banned_word <w>\` - Whitelist word
+    if (action === 'off') {
+        const result = await endLockdown(group.id, client, adminId);
+
+        if (!result.success) {
+            await message.reply(`⚠️ ${result.error}`);
+            return;
+        }
+
+        await message.reply(result.reopened
+            ? `🔓 Lockdown lifted in *${group.name}*. Probation for recent joiners keeps running; use \`!unmute @user\` in the group to end it early.`
+            : '⚠️ The lockdown was lifted, but I could not reopen the group (am I still an admin?). Please change the group settings manually.');
+        logAdminCommand(group.id, adminId, 'raid', ['off']);
+        return;
+    }
+
+    if (action === 'auto' && (value === 'on' || value === 'off')) {
+        updates = { autoDetect: value === 'on' };
+    } else if (RAID_SETTING_KEYS[action]) {
+        const key = RAID_SETTING_KEYS[action];
+        const { min, max } = RAID_SETTING_LIMITS[key];
+        const number = Number(value);
+
+        if (!Number.isInteger(number) || number < min || number > max) {
+            await message.reply(`❌ Please give a whole number between ${min} and ${max}.\n\nUsage: \`raid ${action} <number>\``);
+            return;
+        }
+
+        updates = { [key]: number };
+    } else if (action === 'lockdown') {
+        const durationMs = parseDuration(value);
+
+        if (durationMs === null || durationMs < MIN_LOCKDOWN_DURATION || durationMs > MAX_LOCKDOWN_DURATION) {
+            await message.reply(`❌ Please give a duration between ${formatDuration(MIN_LOCKDOWN_DURATION)} and ${formatDuration(MAX_LOCKDOWN_DURATION)}, such as 30m or 2h.`);
+            return;
+        }
+
+        updates = { lockdownDuration: durationMs };
+    } else if (action === 'probation') {
+        const durationMs = value === 'off' ? 0 : parseDuration(value);
+
+        if (durationMs === null || durationMs > MAX_PROBATION_DURATION) {
+            await message.reply(`❌ Please give a duration such as 1h or 1d (up to ${formatDuration(MAX_PROBATION_DURATION)}), or \`off\`.`);
+            return;
+        }
+
+        updates = { probationDuration: durationMs };
+    } else if (action !== 'status') {
+        await message.reply(`❌ Unknown option.\n\n${RAID_USAGE}`);
+        return;
+    }
+
+    if (updates) {
+        const success = updateGroupConfig(group.id, {
+            moderation: { raidMode: updates }
+        }, { actor: adminId, command: 'raid' });
+
+        if (!success) {
+            await message.reply('❌ Failed to update settings.');
+            return;
+        }
+    }
+
+    const settings = getRaidSettings(group.id);
+    const lockdown = getActiveLockdown(group.id);
+
+    const lockdownStatus = lockdown
+        ? `🔒 *Locked down* - ${formatDuration(new Date(lockdown.until) - Date.now())} left (started by ${lockdown.startedBy ? lockdown.startedBy.split('@')[0] : 'raid detection'})`
+        : '🔓 Not locked down';
+
+    await message.reply(`🚨 *Raid Mode*
+👥 *Group:* ${group.name}
+──────────────────
+
+${lockdownStatus}
+
+• Automatic Lockdown: ${settings.autoDetect ? '✅ *ON*' : '❌ *OFF*'}
+• Trigger: *${settings.joinThreshold}* joins and *${settings.violationThreshold}* violations within *${settings.windowMinutes} min*
+• Lockdown Length: *${formatDuration(settings.lockdownDuration)}*
+• Probation for Recent Joiners: *${settings.probationDuration > 0 ? formatDuration(settings.probationDuration) : 'Off'}*
+
+${RAID_USAGE}`);
+    logAdminCommand(group.id, adminId, 'raid', args.slice(0, 2));
+}
+
+/**
+ * Handle set_removal_ban command
+ * `set_removal_ban <duration>` or `set_removal_ban off`
+ */
+export async function handleSetRemovalBanCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const value = (args[0] || '').toLowerCase();
+    const durationMs = value === 'off' ? 0 : parseDuration(value);
+
+    if (durationMs === null || durationMs > MAX_BAN_DURATION) {
+        await message.reply('❌ Please give a duration such as 12h or 7d (up to 365 days).\n\nUsage:\n• `set_removal_ban 7d` - Members removed at the strike limit can rejoin after 7 days\n• `set_removal_ban off` - They may rejoin right away');
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+
+    const success = updateGroupConfig(group.id, {
+        moderation: { autoRemoveBanDuration: durationMs }
+    }, { actor: adminId, command: 'set_removal_ban' });
+
+    if (success) {
+        await message.reply(durationMs > 0
+            ? `✅ Members removed at the strike limit in *${group.name}* are now banned for *${formatDuration(durationMs)}* and removed again if they rejoin sooner.`
+            : `✅ Members removed at the strike limit in *${group.name}* may now rejoin right away.`);
+        logAdminCommand(group.id, adminId, 'set_removal_ban', [value]);
+    } else {
+        await message.reply('❌ Failed to update settings.');
+    }
+}
+
+/**
+ * Handle set_warning_decay command
+ * `set_warning_decay expire <days>`, `set_warning_decay decay <days>` or `set_warning_decay off`
+ */
+export async function handleSetWarningDecayCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const mode = (args[0] || '').toLowerCase();
+    const usage = 'Usage:\n• `set_warning_decay expire 30` - Each strike expires after 30 days\n• `set_warning_decay decay 14` - Remove one strike per 14 days without warnings\n• `set_warning_decay off` - Strikes never expire';
+
+    if (!Object.values(WarningDecayModes).includes(mode)) {
+        await message.reply(`❌ Please choose a decay mode.\n\n${usage}`);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const decay = { mode };
+
+    if (mode !== WarningDecayModes.OFF) {
+        const days = parseInt(args[1]);
+
+        if (isNaN(days) || days < 1 || days > 365) {
+            await message.reply(`❌ Please provide a number of days between 1 and 365.\n\n${usage}`);
+            return;
+        }
+
+        decay.days = days;
+    }
+
+    const success = updateGroupConfig(group.id, {
+        moderation: { warningDecay: decay }
+    }, { actor: adminId, command: 'set_warning_decay' });
+
+    if (success) {
+        const current = getGroupConfig(group.id).moderation.warningDecay;
+        await message.reply(`✅ Warning decay updated for *${group.name}*\n\n${describeWarningDecay(current)}. Existing strikes are recounted right away; the full warning history is kept.`);
+        logAdminCommand(group.id, adminId, 'set_warning_decay', args.slice(0, 2));
+    } else {
+        await message.reply('❌ Failed to update settings.');
+    }
+}
+
+/**
+ * Handle view_ladder command
+ */
+export async function handleViewLadderCommand(message, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const config = getGroupConfig(group.id);
+    const ladder = config.moderation.escalationLadder;
+
+    const actionsHelp = `*Actions:* \`dm\`, \`notice\`, \`delete\`, \`mute:<duration>\` (e.g. \`mute:24h\`), \`remove\`, \`notify_admins\``;
+
+    const ladderText = ladder.length > 0
+        ? `${describeLadder(ladder)}\n\n_A strike without its own step repeats the step below it. Below the first step, the member gets the usual warning DM._`
+        : `_No ladder set._ Each strike sends the member a DM; at *${config.moderation.maxWarningsBeforeAction}* strikes admins are notified${config.moderation.autoRemoveThresholdReached ? ' and the member is removed' : ''}.
+
+*Example ladder:*
+${describeLadder(EXAMPLE_LADDER)}`;
+
+    await message.reply(`🪜 *Escalation Ladder*
+👥 *Group:* ${group.name}
+──────────────────
+
+${ladderText}
+
+${actionsHelp}
+
+• \`set_ladder_step 2 notice,delete\` - Set a step
+• \`remove_ladder_step 2\` - Remove a step
+• \`reset_ladder\` - Back to the classic behaviour`);
+
+    logAdminCommand(group.id, adminId, 'view_ladder', []);
+}
+
+/**
+ * Handle set_ladder_step command
+ */
+export async function handleSetLadderStepCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const usage = 'Usage: `set_ladder_step <strike> <actions>`\nExample: `set_ladder_step 3 mute:24h,notify_admins`\n\nType `view_ladder` to see the available actions.';
+    const strike = parseInt(args[0]);
+
+    if (isNaN(strike) || strike < 1 || strike > MAX_LADDER_STRIKE) {
+        await message.reply(`❌ Please provide a strike number between 1 and ${MAX_LADDER_STRIKE}.\n\n${usage}`);
+        return;
+    }
+
+    const actions = parseEscalationActions(args.slice(1).join(' '));
+
+    if (!actions) {
+        await message.reply(`❌ Please provide valid actions.\n\n${usage}`);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const ladder = getGroupConfig(group.id).moderation.escalationLadder
+        .filter(step => step.strike !== strike)
+        .concat({ strike, actions })
+        .sort((a, b) => a.strike - b.strike);
+
+    const success = updateGroupConfig(group.id, {
+        moderation: { escalationLadder: ladder }
+    }, { actor: adminId, command: 'set_ladder_step' });
+
+    if (success) {
+        await message.reply(`✅ Strike ${strike} updated for *${group.name}*\n\n🪜 *Ladder:*\n${describeLadder(ladder)}`);
+        logAdminCommand(group.id, adminId, 'set_ladder_step', [String(strike), actions.join(',')]);
+    } else {
+        await message.reply('❌ Failed to update settings.');
+    }
+}
+
+/**
+ * Handle remove_ladder_step command
+ */
+export async function handleRemoveLadderStepCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const strike = parseInt(args[0]);
+    const group = getActiveGroup(adminId);
+    const currentLadder = getGroupConfig(group.id).moderation.escalationLadder;
+
+    if (!currentLadder.some(step => step.strike === strike)) {
+        await message.reply('❌ There is no step for that strike.\n\nUsage: `remove_ladder_step <strike>`\nType `view_ladder` to see the current steps.');
+        return;
+    }
+
+    const ladder = currentLadder.filter(step => step.strike !== strike);
+    const success = updateGroupConfig(group.id, {
+        moderation: { escalationLadder: ladder }
+    }, { actor: adminId, command: 'remove_ladder_step' });
+
+    if (success) {
+        const ladderText = ladder.length > 0
+            ? `🪜 *Ladder:*\n${describeLadder(ladder)}`
+            : 'The ladder is now empty, so the classic warning behaviour applies.';
+        await message.reply(`✅ Strike ${strike} removed for *${group.name}*\n\n${ladderText}`);
+        logAdminCommand(group.id, adminId, 'remove_ladder_step', [String(strike)]);
+    } else {
+        await message.reply('❌ Failed to update settings.');
+    }
+}
+
+/**
+ * Handle reset_ladder command
+ */
+export async function handleResetLadderCommand(message, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const success = updateGroupConfig(group.id, {
+        moderation: { escalationLadder: [] }
+    }, { actor: adminId, command: 'reset_ladder' });
+
+    if (success) {
+        await message.reply(`✅ Escalation ladder cleared for *${group.name}*\n\nThe classic warning behaviour applies again. Use \`undo\` to bring the ladder back.`);
+        logAdminCommand(group.id, adminId, 'reset_ladder', []);
+    } else {
+        await message.reply('❌ Failed to update settings.');
+    }
+}
+
+/**
+ * Turn a phone number argument into a WhatsApp user ID
+ */
+function parseMemberId(arg) {
+    const number = normalizePhoneNumber(arg);
+    return number ? `${number}@c.us` : null;
+}
+
+/**
+ * Handle warn command - record a strike against a member of the active group
+ */
+export async function handleWarnCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const userId = parseMemberId(args[0]);
+
+    if (!userId) {
+        await message.reply('❌ Please provide the member\'s phone number with country code.\n\nUsage: `warn <phone> [reason]`');
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const reason = args.slice(1).join(' ') || 'No reason provided';
+    const result = await addWarning(group.id, userId, reason, client, { issuedBy: adminId });
+
+    if (result.success) {
+        await message.reply(`✅ Warning recorded in *${group.name}*\n\n*Member:* ${userId.split('@')[0]}\n*Reason:* ${reason}\n*Active Strikes:* ${formatStrikes(result.count)}/${result.threshold}`);
+        logAdminCommand(group.id, adminId, 'warn', [userId]);
+    } else {
+        await message.reply('❌ Failed to record the warning.');
+    }
+}
+
+/**
+ * Handle unwarn command - revoke a member's most recent strike
+ */
+export async function handleUnwarnCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const userId = parseMemberId(args[0]);
+
+    if (!userId) {
+        await message.reply('❌ Please provide the member\'s phone number with country code.\n\nUsage: `unwarn <phone>`');
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+
+    if (!revokeLastWarning(group.id, userId, adminId)) {
+        await message.reply(`ℹ️ ${userId.split('@')[0]} has no active strikes in *${group.name}*.`);
+        return;
+    }
+
+    await message.reply(`✅ Removed the last strike from ${userId.split('@')[0]} in *${group.name}*. Active strikes: ${formatStrikes(getUserWarnings(group.id, userId).count)}.`);
+    logAdminCommand(group.id, adminId, 'unwarn', [userId]);
+}
+
+/**
+ * Handle warnings command - show a member's warning history
+ */
+export async function handleWarningsCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const userId = parseMemberId(args[0]);
+
+    if (!userId) {
+        await message.reply('❌ Please provide the member\'s phone number with country code.\n\nUsage: `warnings <phone>`');
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const history = await formatWarningHistory(group.id, userId, client);
+
+    await message.reply(`📋 *Warnings for ${userId.split('@')[0]}*\n👥 *Group:* ${group.name}\n──────────────────\n\n${history}`);
+    logAdminCommand(group.id, adminId, 'warnings', [userId]);
+}
+
+/**
+ * Handle pardon command - clear all of a member's strikes
+ */
+export async function handlePardonCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const userId = parseMemberId(args[0]);
+
+    if (!userId) {
+        await message.reply('❌ Please provide the member\'s phone number with country code.\n\nUsage: `pardon <phone>`');
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const removed = pardonUser(group.id, userId, adminId);
+
+    if (removed === 0) {
+        await message.reply(`ℹ️ ${userId.split('@')[0]} has no active strikes in *${group.name}*.`);
+        return;
+    }
+
+    await message.reply(`🕊️ ${userId.split('@')[0]} has been pardoned in *${group.name}*. ${formatStrikes(removed)} strike(s) cleared; the warning history is kept.`);
+    logAdminCommand(group.id, adminId, 'pardon', [userId]);
+}
+
+/**
+ * Handle appeal command - a member contests their latest warning or removal
+ */
+export async function handleAppealCommand(message, args, client) {
+    const result = await submitAppeal(message.from, args.join(' '), client);
+
+    if (!result.success) {
+        await message.reply(`ℹ️ ${result.error}`);
+        return;
+    }
+
+    await message.reply(`📨 *Appeal sent*
+
+The admins of *${result.groupName}* will review your appeal about: ${describeAppealTarget(result.appeal)}.
+
+You'll get a message once they decide. Thank you for your patience! 🙏`);
+}
+
+/**
+ * Handle appeals command - list pending appeals of the active group
+ */
+export async function handleAppealsCommand(message, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const appeals = getPendingAppeals(group.id);
+
+    if (appeals.length === 0) {
+        await message.reply(`📭 No pending appeals in *${group.name}*.`);
+        return;
+    }
+
+    const lines = [];
+    for (const appeal of appeals) {
+        const member = await safeGetContactById(client, appeal.userId);
+        lines.push(`\`${appeal.id}\` · ${member.pushname || member.name || appeal.userId.split('@')[0]} · ${describeAppealTarget(appeal)}\n    _"${appeal.text}"_`);
+    }
+
+    await message.reply(`📨 *Pending Appeals (${appeals.length})*
+👥 *Group:* ${group.name}
+──────────────────
+
+${lines.join('\n\n')}
+
+Use \`appeal_accept <code> [note]\` or \`appeal_deny <code> [note]\`.`);
+
+    logAdminCommand(group.id, adminId, 'appeals', []);
+}
+
+/**
+ * Handle appeal_accept and appeal_deny commands
+ */
+export async function handleAppealDecisionCommand(message, args, client, accepted) {
+    const adminId = message.from;
+    const command = accepted ? 'appeal_accept' : 'appeal_deny';
+
+    if (!args[0]) {
+        await message.reply(`❌ Please provide the appeal code.\n\nUsage: \`${command} <code> [note]\``);
+        return;
+    }
+
+    const result = await decideAppeal(adminId, args[0], accepted, args.slice(1).join(' '), client);
+
+    if (!result.success) {
+        await message.reply(`❌ ${result.error}`);
+        return;
+    }
+
+    let outcome = 'The member has been told the appeal was denied.';
+    if (accepted && result.appeal.type === AppealTypes.REMOVAL) {
+        outcome = result.readded
+            ? 'The member has been added back to the group.'
+            : '⚠️ I could not add the member back (I may not be an admin, or they left WhatsApp). Please add them manually.';
+    } else if (accepted) {
+        outcome = 'The strike has been removed.';
+    }
+
+    await message.reply(`✅ Appeal \`${result.appeal.id}\` ${result.appeal.status} in *${result.group.name}*\n\n${outcome}`);
+    logAdminCommand(result.group.id, adminId, command, [result.appeal.id]);
+}
+
+/**
+ * Handle federation command - show and edit the shared ban list
+ * federation [on|off|policy <remove|alert>|add <phone> [reason]|remove <phone>]
+ */
+export async function handleFederationCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const subcommand = (args[0] || '').toLowerCase();
+    const federation = getGroupConfig(group.id).federation;
+
+    if (subcommand === 'on' || subcommand === 'off') {
+        const success = updateGroupConfig(group.id, {
+            federation: { enabled: subcommand === 'on' }
+        }, { actor: adminId, command: 'federation' });
+
+        if (!success) {
+            await message.reply('❌ Failed to update settings.');
+            return;
+        }
+
+        const linked = getLinkedGroups(group.id);
+        await message.reply(subcommand === 'on'
+            ? `✅ *${group.name}* now shares its ban list with ${linked.length} other group(s) you co-manage.\n\nMembers removed for reaching the warning limit are added to the list automatically.`
+            : `✅ *${group.name}* no longer uses or shares the ban list.`);
+        logAdminCommand(group.id, adminId, 'federation', [subcommand]);
+        return;
+    }
+
+    if (subcommand === 'policy') {
+        const policy = (args[1] || '').toLowerCase();
+
+        if (!Object.values(FederationPolicies).includes(policy)) {
+            await message.reply('❌ Please choose a policy.\n\n• `federation policy remove` - Remove banned members when they join\n• `federation policy alert` - Only alert the admins');
+            return;
+        }
+
+        const success = updateGroupConfig(group.id, {
+            federation: { policy }
+        }, { actor: adminId, command: 'federation' });
+
+        if (success) {
+            await message.reply(`✅ Shared ban policy for *${group.name}*: ${policy === FederationPolicies.REMOVE ? 'remove banned members on join' : 'alert the admins when a banned member joins'}.`);
+            logAdminCommand(group.id, adminId, 'federation', ['policy', policy]);
+        } else {
+            await message.reply('❌ Failed to update settings.');
+        }
+        return;
+    }
+
+    if (subcommand === 'add' || subcommand === 'remove') {
+        const userId = parseMemberId(args[1]);
+
+        if (!userId) {
+            await message.reply(`❌ Please provide the member's phone number with country code.\n\nUsage: \`federation ${subcommand} <phone>${subcommand === 'add' ? ' [reason]' : ''}\``);
+            return;
+        }
+
+        if (!federation.enabled) {
+            await message.reply(`ℹ️ *${group.name}* doesn't use the shared ban list. Turn it on with \`federation on\`.`);
+            return;
+        }
+
+        const number = userId.split('@')[0];
+
+        if (subcommand === 'add') {
+            const reason = args.slice(2).join(' ') || null;
+
+            if (!addFederatedBan(group.id, userId, { reason, bannedBy: adminId })) {
+                await message.reply('❌ Failed to update the shared ban list.');
+                return;
+            }
+
+            await message.reply(`✅ ${number} added to the shared ban list from *${group.name}*.`);
+        } else {
+            if (!getFederatedBan(group.id, userId)) {
+                await message.reply(`ℹ️ ${number} is not on the shared ban list.`);
+                return;
+            }
+
+            liftFederatedBans(group.id, userId, adminId);
+            await message.reply(`✅ ${number} removed from the shared ban list.`);
+        }
+
+        logAdminCommand(group.id, adminId, 'federation', [subcommand, userId]);
+        return;
+    }
+
+    // Show status and the list
+    const linked = getLinkedGroups(group.id);
+    const bans = getFederatedBans(group.id);
+    const shownBans = bans.slice(0, MAX_FEDERATION_BANS_SHOWN);
+
+    // Only name source groups the admin is in
+    const adminGroups = getGroupsByAdmin(adminId);
+    const banLines = shownBans.map(ban => {
+        const source = adminGroups.find(g => g.id === ban.sourceGroupId)?.name || 'a linked group';
+        const remaining = ban.until ? `, ${formatDuration(new Date(ban.until) - Date.now())} left` : '';
+        return `• ${ban.userId.split('@')[0]} - ${source}${ban.reason ? ` (${ban.reason})` : ''}${remaining}`;
+    });
+
+    await message.reply(`🤝 *Shared Ban List*
+👥 *Group:* ${group.name}
+──────────────────
+
+• Status: ${federation.enabled ? '✅ *ON*' : '❌ *OFF*'}
+• Policy: *${federation.policy === FederationPolicies.REMOVE ? 'Remove on join' : 'Alert admins'}*
+• Linked groups: ${linked.length > 0 ? linked.map(g => g.name).join(', ') : '_none yet_'}
+
+🚫 *Banned (${bans.length}):*
+${banLines.length > 0 ? banLines.join('\n') : '_The list is empty._'}${bans.length > shownBans.length ? `\n_…and ${bans.length - shownBans.length} more._` : ''}
+
+• \`federation on|off\` - Join or leave the shared list
+• \`federation policy remove|alert\` - What happens on join
+• \`federation add <phone> [reason]\` - Ban a number
+• \`federation remove <phone>\` - Lift a ban`);
+
+    logAdminCommand(group.id, adminId, 'federation', []);
+}
+
+/**
+ * Handle notifications command - the admin's own alert preferences
+ * `notifications instant|hourly|daily`, `notifications quiet <22-7|off>`
+ */
+export async function handleNotificationsCommand(message, args, client) {
+    const adminId = message.from;
+    const subcommand = (args[0] || '').toLowerCase();
+
+    if (Object.values(NotificationModes).includes(subcommand)) {
+        if (!setNotificationMode(adminId, subcommand)) {
+            await message.reply('❌ Failed to update settings.');
+            return;
+        }
+
+        await message.reply(subcommand === NotificationModes.INSTANT
+            ? '✅ You will get moderation alerts as they happen.'
+            : `✅ You will get one ${subcommand} digest of moderation alerts per group instead of a message for each event.\n\n_Critical alerts are still sent right away._`);
+        return;
+    }
+
+    if (subcommand === 'quiet') {
+        const value = (args[1] || '').toLowerCase();
+        const quietHours = value === 'off' ? null : parseQuietHours(value);
+
+        if (value !== 'off' && !quietHours) {
+            await message.reply('❌ Please give quiet hours as start-end in whole hours.\n\nUsage:\n• `notifications quiet 22-7` - No alerts from 22:00 to 07:00\n• `notifications quiet off` - Alerts at any time');
+            return;
+        }
+
+        if (!setQuietHours(adminId, quietHours)) {
+            await message.reply('❌ Failed to update settings.');
+            return;
+        }
+
+        await message.reply(quietHours
+            ? `✅ Quiet hours set to *${formatQuietHours(quietHours)}* (in each group's timezone). Alerts are held until they end, except critical ones.`
+            : '✅ Quiet hours turned off.');
+        return;
+    }
+
+    const settings = getAdminNotificationSettings(adminId);
+    const group = hasActiveContext(adminId) ? getActiveGroup(adminId) : null;
+
+    await message.reply(`🔔 *Your Notifications*
+──────────────────
+
+• Delivery: *${settings.mode === NotificationModes.INSTANT ? 'Instant' : `${settings.mode[0].toUpperCase()}${settings.mode.slice(1)} digest`}*
+• Quiet hours: *${formatQuietHours(settings.quietHours)}*${group ? `\n• Timezone of *${group.name}*: *${getGroupConfig(group.id).timezone}*` : ''}
+
+• \`notifications instant|hourly|daily\` - How often you get alerts
+• \`notifications quiet 22-7\` - Hold alerts at night
+• \`notifications quiet off\` - Turn quiet hours off
+• \`set_timezone <Area/City>\` - The selected group's timezone
+
+_Critical alerts (such as a banned member I could not remove) always arrive right away._`);
+}
+
+/**
+ * Handle set_timezone command - the active group's timezone for quiet hours and digests
+ */
+export async function handleSetTimezoneCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const timezone = args[0] || '';
+
+    if (!isValidTimezone(timezone)) {
+        await message.reply('❌ Please give a timezone name such as `Europe/Berlin`, `America/New_York` or `UTC`.\n\nUsage: `set_timezone <Area/City>`');
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+
+    const success = updateGroupConfig(group.id, { timezone }, { actor: adminId, command: 'set_timezone' });
+
+    if (success) {
+        await message.reply(`✅ Timezone of *${group.name}* set to *${timezone}*. Quiet hours and digest times for this group now follow it.`);
+        logAdminCommand(group.id, adminId, 'set_timezone', [timezone]);
+    } else {
+        await message.reply('❌ Failed to update settings.');
+    }
+}
+
+/**
+ * Handle add_banned_word command
+ */
+export async function handleAddBannedWordCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    if (args.length === 0) {
+        await message.reply('❌ Please provide a word to ban.\n\nUsage: `add_banned_word spam`');
+        return;
+    }
+
+    const word = args.join(' ').toLowerCase();
+    const group = getActiveGroup(adminId);
+    const words = getGroupConfig(group.id).moderation.bannedWords.words;
+
+    // Check if word already exists
+    if (words.includes(word)) {
+        await message.reply(`⚠️ "${word}" is already in the banned words list.`);
+        return;
+    }
+
+    // Add word
+    const updatedWords = [...words, word];
+    const success = updateGroupConfig(group.id, {
+        moderation: { bannedWords: { words: updatedWords, enabled: true } } // Auto-enable
+    }, { actor: adminId, command: 'add_banned_word' });
+
+    if (success) {
+        await message.reply(`✅ Added "${word}" to banned words for *${group.name}*\n\nTotal banned words: ${updatedWords.length}`);
+        logAdminCommand(group.id, adminId, 'add_banned_word', [word]);
+    } else {
+        await message.reply('❌ Failed to add banned word.');
+    }
+}
+
+/**
+ * Handle remove_banned_word command
+ */
+export async function handleRemoveBannedWordCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    if (args.length === 0) {
+        await message.reply('❌ Please provide a word to remove.\n\nUsage: `remove_banned_word spam`');
+        return;
+    }
+
+    const word = args.join(' ').toLowerCase();
+    const group = getActiveGroup(adminId);
+    const words = getGroupConfig(group.id).moderation.bannedWords.words;
+
+    if (!words.includes(word)) {
+        await message.reply(`⚠️ "${word}" is not in the banned words list.`);
+        return;
+    }
+
+    // Remove word
+    const updatedWords = words.filter(w => w !== word);
+    const success = updateGroupConfig(group.id, {
+        moderation: { bannedWords: { words: updatedWords } }
+    }, { actor: adminId, command: 'remove_banned_word' });
+
+    if (success) {
+        await message.reply(`✅ Removed "${word}" from banned words for *${group.name}*\n\nRemaining banned words: ${updatedWords.length}`);
+        logAdminCommand(group.id, adminId, 'remove_banned_word', [word]);
+    } else {
+        await message.reply('❌ Failed to remove banned word.');
+    }
+}
+
+/**
+ * Handle list_banned_words command
+ */
+export async function handleListBannedWordsCommand(message, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const config = getGroupConfig(group.id);
+    const words = config.moderation.bannedWords.words;
+
+    if (words.length === 0) {
+        await message.reply(`📋 *Banned Words*\n\nNo banned words configured for *${group.name}*.\n\nUse \`add_banned_word <word>\` to add one.`);
+        return;
+    }
+
+    const wordList = words.map((word, i) => `${i + 1}. ${word}`).join('\n');
+
+    await message.reply(`📋 *Banned Words for ${group.name}*\n\n${wordList}\n\nStatus: ${config.moderation.bannedWords.enabled ? '✅ Enabled' : '❌ Disabled'}`);
+    logAdminCommand(group.id, adminId, 'list_banned_words', []);
+}
+
+/**
+ * Handle view_rules command
+ */
+export async function handleViewRulesCommand(message, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const rules = getGroupConfig(group.id).rules;
+
+    if (rules.length === 0) {
+        await message.reply(`📋 *Group Rules*\n\nNo rules configured for *${group.name}*.\n\nUse \`add_rule <rule>\` to add one.`);
+        return;
+    }
+
+    const ruleList = rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n');
+
+    await message.reply(`📋 *Rules for ${group.name}*\n\n${ruleList}`);
+    logAdminCommand(group.id, adminId, 'view_rules', []);
+}
+
+/**
+ * Handle add_rule command
+ */
+export async function handleAddRuleCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    if (args.length === 0) {
+        await message.reply('❌ Please provide a rule to add.\n\nUsage: `add_rule Be respectful to everyone`');
+        return;
+    }
+
+    const rule = args.join(' ');
+    const group = getActiveGroup(adminId);
+
+    // Add rule
+    const rules = [...getGroupConfig(group.id).rules, rule];
+    const success = updateGroupConfig(group.id, { rules }, { actor: adminId, command: 'add_rule' });
+
+    if (success) {
+        await message.reply(`✅ Added rule to *${group.name}*\n\n${rules.length}. ${rule}\n\nTotal rules: ${rules.length}`);
+        logAdminCommand(group.id, adminId, 'add_rule', [rule]);
+    } else {
+        await message.reply('❌ Failed to add rule.');
+    }
+}
+
+/**
+ * Handle remove_rule command
+ */
+export async function handleRemoveRuleCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const ruleNumber = parseInt(args[0]);
+    const group = getActiveGroup(adminId);
+    const currentRules = getGroupConfig(group.id).rules;
+
+    if (isNaN(ruleNumber) || ruleNumber < 1 || ruleNumber > currentRules.length) {
+        await message.reply(`❌ Invalid rule number. Please provide a number between 1 and ${currentRules.length}.\n\nUse \`view_rules\` to see all rules.`);
+        return;
+    }
+
+    const removedRule = currentRules[ruleNumber - 1];
+
+    // Remove rule
+    const rules = currentRules.filter((_, i) => i !== ruleNumber - 1);
+    const success = updateGroupConfig(group.id, { rules }, { actor: adminId, command: 'remove_rule' });
+
+    if (success) {
+        await message.reply(`✅ Removed rule from *${group.name}*\n\n~~${removedRule}~~\n\nRemaining rules: ${rules.length}`);
+        logAdminCommand(group.id, adminId, 'remove_rule', [ruleNumber]);
+    } else {
+        await message.reply('❌ Failed to remove rule.');
+    }
+}
+
+/**
+ * Handle backup command - send the group's setup as a JSON document
+ */
+export async function handleBackupCommand(message, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+
+    try {
+        const backup = createGroupBackup(group.id);
+        const slug = (group.name || 'group').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'group';
+        const fileName = `backup-${slug}-${backup.exportedAt.slice(0, 10)}.json`;
+        const data = Buffer.from(JSON.stringify(backup, null, 2), 'utf8').toString('base64');
+
+        const media = new MessageMedia('application/json', data, fileName);
+        await client.sendMessage(adminId, media, {
+            sendMediaAsDocument: true,
+            caption: `💾 *Backup of ${group.name}*\n\nSettings, rules, banned words and warnings are in this file. Keep it safe!\n\nTo restore it, send the file back to me with the caption \`restore\`.`
+        });
+
+        logAdminCommand(group.id, adminId, 'backup', []);
+    } catch (error) {
+        logger.error('Error in backup command:', error);
+        await message.reply('❌ Failed to create backup.');
+    }
+}
+
+/**
+ * Handle restore command
+ * `restore` with an attached (or quoted) backup file shows a preview,
+ * `restore confirm` applies it and `restore cancel` discards it
+ */
+export async function handleRestoreCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const action = (args[0] || '').toLowerCase();
+
+    if (action === 'cancel') {
+        pendingRestores.delete(adminId);
+        await message.reply('↩️ Restore cancelled. Nothing was changed.');
+        return;
+    }
+
+    if (action === 'confirm') {
+        const pending = pendingRestores.get(adminId);
+        pendingRestores.delete(adminId);
+
+        if (!pending || pending.expiresAt < Date.now()) {
+            await message.reply('⚠️ There is no restore waiting for confirmation.\n\nSend the backup file with the caption `restore` first.');
+            return;
+        }
+
+        if (pending.groupId !== group.id) {
+            await message.reply('⚠️ That preview was for a different group. Please send the backup file again.');
+            return;
+        }
+
+        const success = applyGroupBackup(group.id, pending.doc, { actor: adminId, command: 'restore' });
+
+        if (success) {
+            await message.reply(`✅ Backup restored to *${group.name}*\n\nSend \`settings\` to review the restored configuration.`);
+            logAdminCommand(group.id, adminId, 'restore', [pending.fileName]);
+        } else {
+            await message.reply('❌ Failed to restore backup.');
+        }
+        return;
+    }
+
+    // The backup can be attached to this message or to the message it replies to
+    let documentMessage = message.hasMedia ? message : null;
+    if (!documentMessage && message.hasQuotedMsg) {
+        const quoted = await message.getQuotedMessage();
+        if (quoted && quoted.hasMedia) {
+            documentMessage = quoted;
+        }
+    }
+
+    if (!documentMessage) {
+        await message.reply('📎 Please send the backup file with the caption `restore`, or reply `restore` to the backup file.\n\nUse `backup` to create one.');
+        return;
+    }
+
+    let doc;
+    let fileName;
+    try {
+        const media = await documentMessage.downloadMedia();
+
+        if (!media || !media.data || media.data.length > MAX_BACKUP_SIZE * 4 / 3) {
+            throw new Error('Missing or oversized attachment');
+        }
+
+        fileName = media.filename || 'backup.json';
+        doc = JSON.parse(Buffer.from(media.data, 'base64').toString('utf8'));
+    } catch (error) {
+        logger.warn(`Could not read backup from ${adminId}: ${error.message}`);
+        await message.reply('❌ I couldn\'t read that file. Please send the `.json` backup exactly as I sent it to you.');
+        return;
+    }
+
+    const validation = validateGroupBackup(doc);
+    if (!validation.valid) {
+        await message.reply(`❌ Invalid backup: ${validation.error}`);
+        return;
+    }
+
+    const preview = previewGroupBackup(group.id, doc);
+    pendingRestores.set(adminId, {
+        groupId: group.id,
+        doc,
+        fileName,
+        expiresAt: Date.now() + RESTORE_CONFIRM_TIMEOUT
+    });
+
+    const sourceNotice = doc.group?.id && doc.group.id !== group.id
+        ? `\n⚠️ _This backup comes from a different group._`
+        : '';
+
+    await message.reply(`♻️ *Restore Preview*
+──────────────────
+👥 *Target:* ${group.name}
+📦 *Backup of:* ${doc.group?.name || 'Unknown group'} (${new Date(doc.exportedAt).toLocaleString()})${sourceNotice}
+━━━━━━━━━━━━━━━━━━
+
+🔧 *Setting Changes (${preview.settingChanges}):*
+${preview.text}
+
+━━━━━━━━━━━━━━━━━━
+Reply \`restore confirm\` to apply or \`restore cancel\` to discard.
+_This preview expires in 10 minutes._`);
+}
+
+/**
+ * Resolve display names for the admins in config history entries
+ */
+async function getActorNames(client, entries) {
+    const names = new Map();
+    const actors = new Set(entries.flatMap(entry => [entry.actor, entry.undoneBy]).filter(Boolean));
+
+    for (const actor of actors) {
+        // Purged admins are stored as a placeholder or pseudonym, not a WhatsApp ID
+        if (!actor.includes('@')) {
+            names.set(actor, actor);
+            continue;
+        }
+
+        const contact = await safeGetContactById(client, actor);
+        names.set(actor, contact.pushname || contact.name || actor.split('@')[0]);
+    }
+
+    return names;
+}
+
+/**
+ * Format the changed settings of a history entry as bullet lines
+ */
+function formatConfigChanges(changes) {
+    const lines = changes
+        .slice(0, MAX_HISTORY_CHANGES_SHOWN)
+        .map(change => `• ${change.path}: ${formatConfigValue(change.from)} → ${formatConfigValue(change.to)}`);
+
+    if (changes.length > MAX_HISTORY_CHANGES_SHOWN) {
+        lines.push(`• ...and ${changes.length - MAX_HISTORY_CHANGES_SHOWN} more`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Handle history command - show recent config changes
+ */
+export async function handleHistoryCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const count = args.length > 0 ? parseInt(args[0]) : 10;
+
+    if (isNaN(count) || count < 1 || count > MAX_HISTORY_ENTRIES) {
+        await message.reply(`❌ Please provide a number between 1 and ${MAX_HISTORY_ENTRIES}.\n\nUsage: \`history 10\``);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const entries = getRecentConfigChanges(group.id, count);
+
+    if (entries.length === 0) {
+        await message.reply(`📜 *Config History*\n\nNo setting changes have been recorded for *${group.name}* yet.`);
+        return;
+    }
+
+    const names = await getActorNames(client, entries);
+    const nameOf = actor => (actor ? names.get(actor) : 'System');
+
+    const entryTexts = entries.map(entry => {
+        let text = `*#${entry.id}* ${entry.command ? `\`${entry.command}\`` : 'change'} by ${nameOf(entry.actor)}
+🕒 ${new Date(entry.timestamp).toLocaleString()}
+${formatConfigChanges(entry.changes)}`;
+
+        if (entry.undoOf) {
+            text += `\n↩️ _Reverted ${entry.undoOf.map(id => `#${id}`).join(', ')}_`;
+        }
+        if (entry.undoneAt) {
+            text += `\n↩️ _Undone by ${nameOf(entry.undoneBy)}_`;
+        }
+
+        return text;
+    });
+
+    await message.reply(`📜 *Config History*
+──────────────────
+👥 *Community:* ${group.name}
+━━━━━━━━━━━━━━━━━━
+
+${entryTexts.join('\n\n')}
+
+━━━━━━━━━━━━━━━━━━
+💡 Use \`undo\` to revert the latest change, or \`undo <n>\` for the last n.`);
+
+    logAdminCommand(group.id, adminId, 'history', [count]);
+}
+
+/**
+ * Handle undo command - revert the last n config changes
+ */
+export async function handleUndoCommand(message, args, client) {
+    const adminId = message.from;
+
+    if (!hasActiveContext(adminId)) {
+        await promptGroupSelection(message);
+        return;
+    }
+
+    const force = args.length > 0 && args[args.length - 1].toLowerCase() === 'force';
+    const countArgs = force ? args.slice(0, -1) : args;
+    const count = countArgs.length > 0 ? parseInt(countArgs[0]) : 1;
+
+    if (isNaN(count) || count < 1 || count > MAX_UNDO_COUNT) {
+        await message.reply(`❌ Please provide a number between 1 and ${MAX_UNDO_COUNT}.\n\nUsage: \`undo 2\``);
+        return;
+    }
+
+    const group = getActiveGroup(adminId);
+    const { success, reverted, conflicts } = undoConfigChanges(group.id, count, adminId, { force });
+
+    if (reverted.length === 0) {
+        await message.reply(`ℹ️ There are no changes to undo for *${group.name}*.\n\nUse \`history\` to see recent changes.`);
+        return;
+    }
+
+    if (!success && conflicts.length > 0) {
+        const lines = conflicts
+            .slice(0, MAX_HISTORY_CHANGES_SHOWN)
+            .map(conflict => `• ${conflict.path}: now ${formatConfigValue(conflict.current)}, the change left ${formatConfigValue(conflict.expected)}`);
+
+        await message.reply(`⚠️ *Nothing was undone for ${group.name}*
+
+These settings no longer hold the value the change left them at, so something else changed them since:
+${lines.join('\n')}
+
+Undoing would overwrite them. Type \`undo ${count} force\` to revert anyway.`);
+        return;
+    }
+
+    if (!success) {
+        await message.reply('❌ Failed to undo changes.');
+        return;
+    }
+
+    const summary = reverted
+        .map(entry => `*#${entry.id}* ${entry.command ? `\`${entry.command}\`` : 'change'}\n${formatConfigChanges(entry.changes.map(change => ({ ...change, from: change.to, to: change.from })))}`)
+        .join('\n\n');
+
+    await message.reply(`↩️ Reverted ${reverted.length} change(s) for *${group.name}*\n\n${summary}`);
+    logAdminCommand(group.id, adminId, 'undo', reverted.map(entry => entry.id));
+}
+
+/**
+ * Handle purge command - erase or pseudonymize a member's stored data
+ * Bot owners purge across every group, group admins across the groups they manage
+ * `purge <phone> [pseudonymize]` shows what would change, `purge confirm` applies it
+ */
+export async function handlePurgeCommand(message, args, client) {
+    const adminId = message.from;
+    const action = (args[0] || '').toLowerCase();
+
+    if (action === 'cancel') {
+        pendingPurges.delete(adminId);
+        await message.reply('↩️ Purge cancelled. Nothing was changed.');
+        return;
+    }
+
+    if (action === 'confirm') {
+        const pending = pendingPurges.get(adminId);
+        pendingPurges.delete(adminId);
+
+        if (!pending || pending.expiresAt < Date.now()) {
+            await message.reply('⚠️ There is no purge waiting for confirmation.\n\nUsage: `purge <phone number>`');
+            return;
+        }
+
+        try {
+            const report = await purgeUserData(pending.number, {
+                groupIds: pending.groupIds,
+                mode: pending.mode
+            });
+
+            await message.reply(`🧹 *Data Purge Complete*
+──────────────────
+👤 *Member:* +${report.number}
+🌐 *Scope:* ${report.groupCount === null ? 'All groups' : `${report.groupCount} group(s) you manage`}
+━━━━━━━━━━━━━━━━━━
+
+${formatPurgeReport(report)}`);
+
+            // The number itself is not logged
+            logAdminCommand(null, adminId, 'purge', [pending.mode]);
+        } catch (error) {
+            logger.error('Error in purge command:', error);
+            await message.reply('❌ Failed to purge data. Some records may already have been changed; run the purge again to finish.');
+        }
+        return;
+    }
+
+    let mode = PurgeModes.DELETE;
+    let numberArgs = args;
+    if (args.length > 1 && args[args.length - 1].toLowerCase() === PurgeModes.PSEUDONYMIZE) {
+        mode = PurgeModes.PSEUDONYMIZE;
+        numberArgs = args.slice(0, -1);
+    }
+
+    const number = normalizePhoneNumber(numberArgs.join(''));
+
+    if (!number) {
+        await message.reply('❌ Please provide the member\'s phone number with country code.\n\nUsage:\n• `purge 15551234567` - Delete their data\n• `purge 15551234567 pseudonymize` - Replace their number with an anonymous ID');
+        return;
+    }
+
+    // Owners can purge everywhere, admins only in their own groups
+    let groupIds = null;
+    if (!isBotOwner(adminId)) {
+        groupIds = getGroupsByAdmin(adminId).map(group => group.id);
+
+        if (groupIds.length === 0) {
+            await message.reply('❌ Only group admins and bot owners can purge member data.');
+            return;
+        }
+    }
+
+    try {
+        const preview = await purgeUserData(number, { groupIds, mode, dryRun: true });
+
+        pendingPurges.set(adminId, {
+            number,
+            groupIds,
+            mode,
+            expiresAt: Date.now() + PURGE_CONFIRM_TIMEOUT
+        });
+
+        await message.reply(`🧹 *Data Purge Preview*
+──────────────────
+👤 *Member:* +${number}
+🌐 *Scope:* ${groupIds === null ? 'All groups' : `${groupIds.length} group(s) you manage`}
+🔧 *Mode:* ${mode === PurgeModes.PSEUDONYMIZE ? 'Pseudonymize (replace the number with an anonymous ID)' : 'Delete'}
+━━━━━━━━━━━━━━━━━━
+
+${formatPurgeReport(preview)}
+
+━━━━━━━━━━━━━━━━━━
+Reply \`purge confirm\` to apply or \`purge cancel\` to discard.
+_This cannot be undone. The preview expires in 10 minutes._`);
+    } catch (error) {
+        logger.error('Error in purge preview:', error);
+        await message.reply('❌ Failed to look up this member\'s data.');
+    }
+}
+
+/**
+ * Handle help command for DM
+ */
+export async function handleDMHelpCommand(message, client) {
+    const helpMessage = `📋 *Control Panel*
+────────────────────
+⚙️ *Setup & Guide:*
+• \`setup\` - Switch group / List all
+• \`restart_onboarding\` - Restart guide
+
+📊 *Monitoring:*
+• \`stats\` - Engagement & moderation
+• \`settings\` - View current config
+• \`view_rules\` - Group rule list
+• \`list_banned_words\` - Filtered words
+
+🛡️ *Quick Toggles:*
+• \`toggle_links\` - Block/Allow links
+• \`domains\` - Allowed and blocked link domains
+• \`allow_domain|block_domain <domain>\` - Add a domain
+• \`remove_domain <domain>\` - Remove a domain
+• \`invite_links [on|off]\` - Group invite filter
+• \`allow_invite|remove_invite <link>\` - Allowed invites
+• \`toggle_welcome\` - Join greetings
+• \`toggle_auto_remove\` - Threshold KICK
+• \`set_threshold <number>\` - Strike limit
+• \`set_warning_decay <mode> [days]\` - Strike expiry
+• \`set_removal_ban <duration|off>\` - Ban after auto-removal
+• \`strike_weights\` - Strikes per violation type
+• \`set_strike_weight <type> <weight>\` - Change a weight
+• \`spam_settings [setting] [n]\` - Flood limits
+• \`duplicates [setting] [n]\` - Coordinated raid detection
+
+⚠️ *Member Warnings:*
+• \`warn <phone> [reason]\` - Add a strike
+• \`unwarn <phone>\` - Remove the last strike
+• \`warnings <phone>\` - Warning history
+• \`pardon <phone>\` - Clear all strikes
+
+📨 *Appeals:*
+• \`appeals\` - Pending member appeals
+• \`appeal_accept <code> [note]\` - Accept an appeal
+• \`appeal_deny <code> [note]\` - Deny an appeal
+
+🤝 *Shared Ban List:*
+• \`federation\` - Status and banned numbers
+• \`federation on|off\` - Share bans with your other groups
+• \`federation add|remove <phone>\` - Edit the list
+
+🚨 *Raid Mode:*
+• \`raid\` - Lockdown status and settings
+• \`raid on [duration]\` - Admins-only messaging now
+• \`raid off\` - Lift the lockdown
+• \`raid auto on|off\` - Automatic lockdowns
+
+🪜 *Escalation Ladder:*
+• \`view_ladder\` - Actions per strike
+• \`set_ladder_step <strike> <actions>\` - Set a step
+• \`remove_ladder_step <strike>\` - Remove a step
+• \`reset_ladder\` - Classic behaviour
+
+🔔 *Notifications:*
+• \`notifications\` - Your alert settings
+• \`notifications instant|hourly|daily\` - Alerts or digests
+• \`notifications quiet <22-7|off>\` - Quiet hours
+• \`set_timezone <Area/City>\` - Group timezone
+
+📝 *Content Management:*
+• \`add_rule <text>\` - New group rule
+• \`remove_rule <id>\` - Remove by number
+• \`add_banned_word <w>\` - Blacklist word
+• \`remove_banned_word <w>\` - Whitelist word
+
+💾 *Backup & Restore:*
+• \`backup\` - Export group setup as a file
+• \`restore\` - Send a backup file with this caption
+
+🕒 *History:*
+• \`history [n]\` - Recent setting changes
+• \`undo [n] [force]\` - Revert the last n changes
+
+🔒 *Privacy:*
+• \`purge <phone>\` - Erase a member's data
+• \`purge <phone> pseudonymize\` - Anonymize it instead
 
 ━━━━━━━━━━━━━━━━━━━━
 💡 *Tip:* All commands above apply to your currently selected group. Type \`setup\` to change groups.`;
@@ -4,7 +4,8 @@
  */
 
 import { logger } from '../utils/logger.js';
-import { getGroup, logEveryoneUsage } from '../storage/storage.js';
+import { logEveryoneUsage } from '../storage/storage.js';
+import { getGroupConfig } from '../config/configManager.js';
 import { isAdmin } from '../utils/permissions.js';
 
 // Internal cooldown cache to avoid frequent storage writes
@@ -39,13 +40,12 @@ export async function handleEveryoneCommand(message, chat, client) {
         }
     }
     
-    const group = getGroup(groupId);
+    const { features } = getGroupConfig(groupId, chat.name);
     logger.info(`Checking @everyone for group ${groupId} (Sender: ${authorId})`);
 
-    // 1. Check if feature is enabled (Assume true if missing for legacy groups)
-    const isEnabled = group?.features?.everyoneEnabled !== false; // Only false if explicitly disabled
-    if (!isEnabled) {
-        logger.warn(`@everyone is disabled for group: ${group?.name || groupId}`);
+    // 1. Check if feature is enabled
+    if (!features.everyoneEnabled) {
+        logger.warn(`@everyone is disabled for group: ${chat.name || groupId}`);
         return;
     }
 
@@ -81,7 +81,7 @@ export async function handleEveryoneCommand(message, chat, client) {
 
     // 3. Check rate limit (optional - can be configured per group)
     const now = Date.now();
-    const cooldown = group?.features?.everyoneCooldown || 0; // No cooldown by default
+    const cooldown = features.everyoneCooldown;
     const lastUsed = lastUsedCache.get(groupId) || 0;
 
     if (cooldown > 0 && now - lastUsed < cooldown) {
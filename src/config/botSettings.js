@@ -0,0 +1,19 @@
+/**
+ * Bot Settings
+ * Deployment-level bot options (not per-group configuration)
+ * Values are read from environment variables
+ */
+
+/**
+ * Get the effective bot settings
+ *
+ * BOT_OWNERS - Comma-separated phone numbers of the bot operators (e.g. "15551234567,447700900123")
+ */
+export function getBotSettings() {
+    return {
+        owners: (process.env.BOT_OWNERS || '')
+            .split(',')
+            .map(owner => owner.replace(/\D/g, ''))
+            .filter(Boolean)
+    };
+}
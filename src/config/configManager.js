@@ -1,107 +1,78 @@
 /**
  * Configuration Manager
- * Handles loading, saving, and updating group configurations
+ * Single source of truth for group configurations
+ * Every module reads and writes group settings through here; the settings
+ * themselves live on the group record in storage (group.config)
  * Internal layer - users never interact with this directly
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { getDefaultConfig } from './defaults.js';
+import { getStorageSettings } from './storageSettings.js';
+import { createEncryption } from '../storage/encryption.js';
+import {
+    getGroup,
+    saveGroup,
+    getAllGroups,
+    getConfigHistory,
+    addConfigHistoryEntry,
+    updateConfigHistoryEntry
+} from '../storage/storage.js';
 import { logger } from '../utils/logger.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CONFIG_DIR = path.join(__dirname, '../../data');
-const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
-
-// In-memory cache of configurations
-let configCache = {};
-
-/**
- * Ensure config directory exists
- */
-function ensureConfigDir() {
-    if (!fs.existsSync(CONFIG_DIR)) {
-        fs.mkdirSync(CONFIG_DIR, { recursive: true });
-        logger.info('Created config directory');
-    }
-}
-
-/**
- * Load all configurations from file
- */
-function loadConfigFromFile() {
-    try {
-        ensureConfigDir();
-
-        if (!fs.existsSync(CONFIG_FILE)) {
-            logger.info('No config file found, starting with empty config');
-            return {};
-        }
-
-        const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        logger.error('Error loading config file:', error);
-        return {};
-    }
-}
-
-/**
- * Save all configurations to file
- */
-function saveConfigToFile() {
-    try {
-        ensureConfigDir();
-        fs.writeFileSync(CONFIG_FILE, JSON.stringify(configCache, null, 2), 'utf8');
-        logger.info('Configuration saved to file');
-    } catch (error) {
-        logger.error('Error saving config file:', error);
-    }
-}
+// Metadata keys that are not user settings
+const META_KEYS = ['groupId', 'groupName', 'createdAt', 'updatedAt'];
 
 /**
  * Initialize config manager
+ * Merges the legacy data/config.json store into the group records (once)
  */
 export function initConfigManager() {
-    configCache = loadConfigFromFile();
+    mergeLegacyConfigFile();
     logger.success('Config manager initialized');
 }
 
 /**
  * Get configuration for a specific group
+ * Unregistered groups get the defaults until something is changed
  */
 export function getGroupConfig(groupId, groupName = null) {
-    // If config doesn't exist for this group, create default
-    if (!configCache[groupId]) {
-        logger.info(`Creating default config for group: ${groupName || groupId}`);
-        configCache[groupId] = getDefaultConfig(groupId, groupName);
-        saveConfigToFile();
+    const group = getGroup(groupId);
+
+    if (group && group.config) {
+        return group.config;
     }
 
-    return configCache[groupId];
+    return getDefaultConfig(groupId, group?.name || groupName);
 }
 
 /**
  * Update a specific configuration value for a group
+ * Changed settings are recorded in the config history with the given
+ * change info: { actor, command } (plus undoOf for undo change sets)
  */
-export function updateGroupConfig(groupId, updates) {
+export function updateGroupConfig(groupId, updates, changeInfo = {}) {
     try {
-        // Ensure config exists
-        if (!configCache[groupId]) {
+        const group = getGroup(groupId) || createGroupRecord(groupId);
+
+        if (!group.config) {
             logger.warn(`Config not found for group ${groupId}, creating default`);
-            configCache[groupId] = getDefaultConfig(groupId);
         }
 
         // Deep merge updates
-        configCache[groupId] = deepMerge(configCache[groupId], updates);
-        configCache[groupId].updatedAt = new Date().toISOString();
+        const previous = group.config || getDefaultConfig(groupId, group.name);
+        const config = deepMerge(previous, updates);
+        config.updatedAt = new Date().toISOString();
+
+        const success = saveGroup(groupId, { ...group, config });
 
-        saveConfigToFile();
-        logger.success(`Config updated for group ${groupId}`);
-        return true;
+        if (success) {
+            recordConfigChanges(groupId, previous, config, changeInfo);
+            logger.success(`Config updated for group ${groupId}`);
+        }
+
+        return success;
     } catch (error) {
         logger.error('Error updating config:', error);
         return false;
@@ -109,13 +80,36 @@ export function updateGroupConfig(groupId, updates) {
 }
 
 /**
- * Deep merge two objects
+ * Create a minimal record for a group that was never registered
+ */
+function createGroupRecord(groupId) {
+    logger.info(`Registering unknown group ${groupId} to store its config`);
+
+    return {
+        id: groupId,
+        name: null,
+        admins: [],
+        config: getDefaultConfig(groupId, null),
+        createdAt: new Date().toISOString(),
+        active: true
+    };
+}
+
+/**
+ * Check for a plain (non-array) object
+ */
+function isPlainObject(value) {
+    return value instanceof Object && !Array.isArray(value);
+}
+
+/**
+ * Deep merge two objects (arrays are replaced, not merged)
  */
 function deepMerge(target, source) {
     const output = { ...target };
 
     for (const key in source) {
-        if (source[key] instanceof Object && key in target) {
+        if (isPlainObject(source[key]) && isPlainObject(target[key])) {
             output[key] = deepMerge(target[key], source[key]);
         } else {
             output[key] = source[key];
@@ -128,13 +122,11 @@ function deepMerge(target, source) {
 /**
  * Add a rule to a group's rules list
  */
-export function addRule(groupId, rule) {
+export function addRule(groupId, rule, changeInfo = {}) {
     const config = getGroupConfig(groupId);
 
     if (!config.rules.includes(rule)) {
-        config.rules.push(rule);
-        updateGroupConfig(groupId, { rules: config.rules });
-        return true;
+        return updateGroupConfig(groupId, { rules: [...config.rules, rule] }, changeInfo);
     }
 
     return false; // Rule already exists
@@ -143,13 +135,13 @@ export function addRule(groupId, rule) {
 /**
  * Remove a rule from a group's rules list
  */
-export function removeRule(groupId, ruleIndex) {
+export function removeRule(groupId, ruleIndex, changeInfo = {}) {
     const config = getGroupConfig(groupId);
 
     if (ruleIndex >= 0 && ruleIndex < config.rules.length) {
-        config.rules.splice(ruleIndex, 1);
-        updateGroupConfig(groupId, { rules: config.rules });
-        return true;
+        return updateGroupConfig(groupId, {
+            rules: config.rules.filter((_, index) => index !== ruleIndex)
+        }, changeInfo);
     }
 
     return false; // Invalid index
@@ -162,3 +154,258 @@ export function getRules(groupId) {
     const config = getGroupConfig(groupId);
     return config.rules;
 }
+
+// ============================================================================
+// CONFIG HISTORY
+// ============================================================================
+
+/**
+ * Flatten a config into { 'a.b.c': value } (arrays are treated as values)
+ * Metadata keys are left out
+ */
+export function flattenConfig(value, prefix = '', output = {}) {
+    if (isPlainObject(value)) {
+        for (const [key, child] of Object.entries(value)) {
+            if (!prefix && META_KEYS.includes(key)) continue;
+            flattenConfig(child, prefix ? `${prefix}.${key}` : key, output);
+        }
+    } else {
+        output[prefix] = value;
+    }
+
+    return output;
+}
+
+/**
+ * Format a setting value for a WhatsApp message
+ */
+export function formatConfigValue(value) {
+    if (value === undefined) {
+        return 'not set';
+    }
+    if (Array.isArray(value)) {
+        return `${value.length} item(s)`;
+    }
+    if (typeof value === 'string' && value.length > 40) {
+        return `"${value.substring(0, 37)}..."`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * List the settings that differ between two configs
+ * Returns [{ path, from, to }]
+ */
+function diffConfigs(before, after) {
+    const flatBefore = flattenConfig(before);
+    const flatAfter = flattenConfig(after);
+    const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+    return [...paths]
+        .filter(path => !isSameValue(flatBefore[path], flatAfter[path]))
+        .map(path => ({ path, from: flatBefore[path], to: flatAfter[path] }));
+}
+
+/**
+ * Store a change set for the settings an update actually changed
+ */
+function recordConfigChanges(groupId, before, after, { actor = null, command = null, ...extra }) {
+    const changes = diffConfigs(before, after);
+
+    if (changes.length === 0) {
+        return;
+    }
+
+    if (!addConfigHistoryEntry(groupId, { actor, command, ...extra, changes })) {
+        logger.warn(`Could not record config history for group ${groupId}`);
+    }
+}
+
+/**
+ * Get recent config change sets for a group, newest first
+ */
+export function getRecentConfigChanges(groupId, count = 10) {
+    return getConfigHistory(groupId).slice(-count).reverse();
+}
+
+/**
+ * List the settings of change sets (newest first) whose current value is no
+ * longer what the newest of them left it at (changed outside the history,
+ * e.g. by a data migration or a purge)
+ * Returns [{ path, expected, current }]
+ */
+function findUndoConflicts(groupId, entries) {
+    const current = flattenConfig(getGroupConfig(groupId));
+    const expected = new Map();
+
+    for (const entry of entries) {
+        for (const change of entry.changes) {
+            if (!expected.has(change.path)) expected.set(change.path, change.to);
+        }
+    }
+
+    return [...expected]
+        .filter(([path, value]) => !isSameValue(current[path], value))
+        .map(([path, value]) => ({ path, expected: value, current: current[path] }));
+}
+
+/**
+ * Revert the most recent change sets of a group that are still in effect
+ * Undo change sets are skipped, so repeated undos keep stepping back
+ * Settings changed since outside the history are not overwritten unless force is set
+ * Returns { success, reverted: [entries], conflicts: [{ path, expected, current }] }
+ */
+export function undoConfigChanges(groupId, count = 1, actor = null, { force = false } = {}) {
+    const reverted = getConfigHistory(groupId)
+        .filter(entry => !entry.undoneAt && !entry.undoOf)
+        .slice(-count)
+        .reverse();
+
+    if (reverted.length === 0) {
+        return { success: false, reverted, conflicts: [] };
+    }
+
+    const conflicts = findUndoConflicts(groupId, reverted);
+    if (conflicts.length > 0 && !force) {
+        return { success: false, reverted, conflicts };
+    }
+
+    // Newest first, so the oldest previous value of a setting wins
+    const updates = {};
+    for (const entry of reverted) {
+        for (const change of entry.changes) {
+            setPath(updates, change.path, change.from);
+        }
+    }
+
+    const success = updateGroupConfig(groupId, updates, {
+        actor,
+        command: 'undo',
+        undoOf: reverted.map(entry => entry.id)
+    });
+
+    if (success) {
+        const undoneAt = new Date().toISOString();
+        for (const entry of reverted) {
+            updateConfigHistoryEntry(groupId, entry.id, { undoneAt, undoneBy: actor });
+        }
+    }
+
+    return { success, reverted, conflicts };
+}
+
+/**
+ * Set a dotted path on an object, creating intermediate objects
+ */
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(node[key])) {
+            node[key] = {};
+        }
+        node = node[key];
+    }
+
+    node[keys[keys.length - 1]] = value;
+}
+
+// ============================================================================
+// LEGACY CONFIG MIGRATION
+// ============================================================================
+
+/**
+ * Merge data/config.json (the old group-command store) into group records
+ * The file is renamed afterwards so the merge only runs once
+ */
+function mergeLegacyConfigFile() {
+    const settings = getStorageSettings();
+    const legacyFile = path.join(settings.dataDir, 'config.json');
+
+    if (!fs.existsSync(legacyFile)) {
+        return;
+    }
+
+    let legacyConfigs;
+    try {
+        legacyConfigs = JSON.parse(createEncryption(settings).decrypt(fs.readFileSync(legacyFile, 'utf8'), legacyFile));
+    } catch (error) {
+        logger.error('Could not read legacy config.json, leaving it in place:', error);
+        return;
+    }
+
+    const knownGroups = getAllGroups();
+    let merged = 0;
+
+    for (const [groupId, legacyConfig] of Object.entries(legacyConfigs)) {
+        const group = knownGroups[groupId] || createGroupRecord(groupId);
+        const defaults = getDefaultConfig(groupId, group.name);
+        const config = mergeConfigs(group.config || defaults, legacyConfig, defaults);
+
+        saveGroup(groupId, { ...group, config });
+        merged++;
+    }
+
+    fs.renameSync(legacyFile, `${legacyFile}.migrated`);
+    logger.success(`Merged legacy config.json into ${merged} group(s)`);
+}
+
+/**
+ * Three-way merge of a stored config and a legacy config against the defaults
+ * A value edited in only one store wins; if both were edited the newer store wins
+ */
+function mergeConfigs(current, legacy, defaults) {
+    const legacyIsNewer = new Date(legacy.updatedAt || 0) > new Date(current.updatedAt || 0);
+
+    const mergeNode = (currentValue, legacyValue, defaultValue) => {
+        if (isPlainObject(currentValue) || isPlainObject(legacyValue)) {
+            const output = {};
+            const keys = new Set([
+                ...Object.keys(currentValue || {}),
+                ...Object.keys(legacyValue || {}),
+                ...Object.keys(defaultValue || {})
+            ]);
+
+            for (const key of keys) {
+                output[key] = mergeNode(currentValue?.[key], legacyValue?.[key], defaultValue?.[key]);
+            }
+
+            return output;
+        }
+
+        const currentEdited = currentValue !== undefined && !isSameValue(currentValue, defaultValue);
+        const legacyEdited = legacyValue !== undefined && !isSameValue(legacyValue, defaultValue);
+
+        if (currentEdited && legacyEdited) {
+            return legacyIsNewer ? legacyValue : currentValue;
+        }
+        if (legacyEdited) {
+            return legacyValue;
+        }
+        return currentValue !== undefined ? currentValue : defaultValue;
+    };
+
+    const settings = {};
+    const metadata = {};
+    for (const key of new Set([...Object.keys(current), ...Object.keys(legacy)])) {
+        if (META_KEYS.includes(key)) {
+            metadata[key] = current[key] !== undefined ? current[key] : legacy[key];
+        } else {
+            settings[key] = mergeNode(current[key], legacy[key], defaults[key]);
+        }
+    }
+
+    return {
+        ...metadata,
+        ...settings,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Compare two config values structurally
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -8,6 +8,9 @@ export const DEFAULT_CONFIG = {
     groupId: null,
     groupName: null,
 
+    // Timezone for admins' quiet hours and digest times (IANA name, e.g. 'Europe/Berlin')
+    timezone: 'UTC',
+
     // Moderation settings
     moderation: {
         // Warnings are enabled by default, auto-delete is disabled
@@ -15,15 +18,82 @@ export const DEFAULT_CONFIG = {
         autoDeleteEnabled: false,
         maxWarningsBeforeAction: 3,
 
+        // Strikes each kind of violation adds toward the limit (0-10, fractions allowed)
+        // e.g. banned_word: 3 counts a slur as three strikes, link: 0.5 as half of one
+        strikeWeights: {
+            link: 1,
+            invite: 1,
+            flood: 1,
+            repeated: 1,
+            banned_word: 1,
+            off_topic: 1,
+            manual: 1
+        },
+
+        // Warning decay: 'off', 'expire' (strikes stop counting after `days`)
+        // or 'decay' (one strike removed per `days` without a new warning)
+        warningDecay: {
+            mode: 'off',
+            days: 30
+        },
+
+        // Escalation ladder: actions taken at each strike count, e.g.
+        // [{ strike: 1, actions: ['dm'] }, { strike: 3, actions: ['mute:24h'] }]
+        // Actions: dm, notice, delete, mute:<duration>, remove, notify_admins
+        // Empty = DM each strike, notify admins at the threshold, optional auto-remove
+        escalationLadder: [],
+
+        // Members skipped by automated checks (link, flood, repeated, banned_word, off_topic)
+        // Group admins skip the checks in `admins`; trusted members are managed with !trust
+        exemptions: {
+            admins: ['link', 'invite', 'flood', 'repeated', 'banned_word', 'off_topic'],
+            members: [] // [{ userId, checks }]
+        },
+
+        // Short public notice in the group when a violation is handled
+        groupNoticesEnabled: false,
+
         // Spam detection
         spamDetection: {
             enabled: true,
+            // Flooding = at least maxMessagesPerMinute messages in a minute,
+            // of which burstThreshold arrived within burstWindowSeconds
             maxMessagesPerMinute: 10,
+            burstThreshold: 15,
+            burstWindowSeconds: 5,
             maxRepeatedMessages: 3,
             linkBlockingEnabled: false, // Disabled by default, can be enabled with !links on
-            allowedDomains: [] // Whitelist for allowed domains
+            allowedDomains: [], // Whitelist for allowed domains (subdomains included)
+            blockedDomains: [], // Always blocked, even with link blocking off
+            // Invites to other WhatsApp groups/channels and Telegram chats,
+            // blocked separately from other links
+            inviteBlockingEnabled: true,
+            allowedInvites: [] // Canonical invite links, e.g. 'chat.whatsapp.com/<code>'
         },
 
+        // Coordinated raids: near-identical messages from minSenders different
+        // members within windowSeconds are all deleted and the admins alerted
+        duplicateDetection: {
+            enabled: true,
+            minSenders: 3,
+            windowSeconds: 300
+        },
+
+        // Raid mode: joinThreshold joins and violationThreshold violations within
+        // windowMinutes make the group admins-only for lockdownDuration (ms);
+        // the recent joiners are muted for probationDuration (ms, 0 = no probation)
+        raidMode: {
+            autoDetect: true,
+            joinThreshold: 10,
+            violationThreshold: 5,
+            windowMinutes: 10,
+            lockdownDuration: 30 * 60 * 1000,
+            probationDuration: 60 * 60 * 1000
+        },
+
+        // Slow mode: members may send one message per slowModeSeconds (0 = off)
+        slowModeSeconds: 0,
+
         // Off-topic detection
         offTopicDetection: {
             enabled: false, // Disabled until topic is set
@@ -38,7 +108,17 @@ export const DEFAULT_CONFIG = {
         },
 
         // Auto-remove persistent violators (KICK)
-        autoRemoveThresholdReached: false // Disabled by default for safety
+        autoRemoveThresholdReached: false, // Disabled by default for safety
+
+        // How long removed violators are kept out (ms, 0 = they may rejoin right away)
+        autoRemoveBanDuration: 7 * 24 * 60 * 60 * 1000 // 7 days
+    },
+
+    // Shared ban list with other groups that have an admin in common (opt-in)
+    // policy: 'remove' banned members on join, or 'alert' the admins first
+    federation: {
+        enabled: false,
+        policy: 'remove'
     },
 
     // Feature toggles for extra utilities
@@ -77,10 +157,11 @@ Enjoy your stay! 🎉`
 
 /**
  * Get default config for a new group
+ * Deep-copied so groups never share nested objects with each other or the defaults
  */
 export function getDefaultConfig(groupId, groupName) {
     return {
-        ...DEFAULT_CONFIG,
+        ...structuredClone(DEFAULT_CONFIG),
         groupId,
         groupName,
         createdAt: new Date().toISOString(),
@@ -0,0 +1,167 @@
+/**
+ * Setting Limits
+ * The values group settings may take: ranges, names and checks shared by
+ * the commands that change settings, the moderation modules that apply
+ * them and backup validation (which must not load the moderation modules)
+ */
+
+import { parseDuration } from '../utils/duration.js';
+
+/**
+ * Kinds of violation, each with its own strike weight
+ */
+export const ViolationTypes = {
+    LINK: 'link',
+    INVITE: 'invite',
+    FLOOD: 'flood',
+    REPEATED: 'repeated',
+    BANNED_WORD: 'banned_word',
+    OFF_TOPIC: 'off_topic',
+    MANUAL: 'manual'
+};
+
+// Highest weight a violation can be given
+export const MAX_STRIKE_WEIGHT = 10;
+
+/**
+ * Check a strike weight (0 to MAX_STRIKE_WEIGHT, up to two decimals)
+ */
+export function isValidStrikeWeight(weight) {
+    return typeof weight === 'number' && weight >= 0 && weight <= MAX_STRIKE_WEIGHT &&
+        Math.round(weight * 100) === weight * 100;
+}
+
+/**
+ * Automated checks a member can be exempted from
+ */
+export const EXEMPTABLE_CHECKS = [
+    ViolationTypes.LINK,
+    ViolationTypes.INVITE,
+    ViolationTypes.FLOOD,
+    ViolationTypes.REPEATED,
+    ViolationTypes.BANNED_WORD,
+    ViolationTypes.OFF_TOPIC
+];
+
+/**
+ * Check an exemption setting loaded from a backup
+ */
+export function isValidExemptions(exemptions) {
+    const isCheckList = checks => Array.isArray(checks) && checks.every(check => EXEMPTABLE_CHECKS.includes(check));
+
+    return exemptions instanceof Object &&
+        isCheckList(exemptions.admins) &&
+        Array.isArray(exemptions.members) &&
+        exemptions.members.every(entry => entry instanceof Object && typeof entry.userId === 'string' && isCheckList(entry.checks));
+}
+
+// Longest mute that can be applied
+export const MAX_MUTE_DURATION = 365 * 24 * 60 * 60 * 1000;
+
+// Longest timed ban (longer bans are made permanent)
+export const MAX_BAN_DURATION = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Escalation ladder actions
+ */
+export const EscalationActions = {
+    DM: 'dm',
+    NOTICE: 'notice',
+    DELETE: 'delete',
+    MUTE: 'mute',
+    REMOVE: 'remove',
+    NOTIFY_ADMINS: 'notify_admins'
+};
+
+// Highest strike number a ladder step can be defined for
+export const MAX_LADDER_STRIKE = 20;
+
+/**
+ * Parse one ladder action ("dm", "mute:24h", ...)
+ * Returns { type, durationMs } or null when invalid
+ */
+export function parseEscalationAction(text) {
+    const [type, argument] = String(text || '').trim().toLowerCase().split(':');
+
+    if (type === EscalationActions.MUTE) {
+        const durationMs = parseDuration(argument);
+        return durationMs && durationMs <= MAX_MUTE_DURATION ? { type, durationMs } : null;
+    }
+
+    if (argument === undefined && Object.values(EscalationActions).includes(type)) {
+        return { type, durationMs: null };
+    }
+
+    return null;
+}
+
+/**
+ * Check a ladder loaded from a backup or config
+ */
+export function isValidLadder(ladder) {
+    return Array.isArray(ladder) && ladder.every(step =>
+        step instanceof Object &&
+        Number.isInteger(step.strike) && step.strike >= 1 && step.strike <= MAX_LADDER_STRIKE &&
+        Array.isArray(step.actions) && step.actions.length > 0 &&
+        step.actions.every(action => parseEscalationAction(action))
+    );
+}
+
+/**
+ * What happens when a member on the shared ban list joins
+ */
+export const FederationPolicies = {
+    REMOVE: 'remove',
+    ALERT: 'alert'
+};
+
+/**
+ * Check whether a timezone name is known (e.g. 'Europe/Berlin')
+ */
+export function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string') {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Limits for the per-group flood settings (group config: moderation.spamDetection)
+ */
+export const FLOOD_SETTING_LIMITS = {
+    maxMessagesPerMinute: { min: 2, max: 120 },
+    burstThreshold: { min: 2, max: 100 },
+    burstWindowSeconds: { min: 1, max: 60 },
+    maxRepeatedMessages: { min: 2, max: 10 }
+};
+
+/**
+ * Limits for the duplicate detection settings (group config: moderation.duplicateDetection)
+ */
+export const DUPLICATE_SETTING_LIMITS = {
+    minSenders: { min: 2, max: 20 },
+    windowSeconds: { min: 30, max: 3600 }
+};
+
+/**
+ * Limits for the raid detection settings (group config: moderation.raidMode)
+ */
+export const RAID_SETTING_LIMITS = {
+    joinThreshold: { min: 2, max: 200 },
+    violationThreshold: { min: 1, max: 100 },
+    windowMinutes: { min: 1, max: 60 }
+};
+
+export const MIN_LOCKDOWN_DURATION = 5 * 60 * 1000;
+export const MAX_LOCKDOWN_DURATION = 24 * 60 * 60 * 1000;
+export const MAX_PROBATION_DURATION = 7 * 24 * 60 * 60 * 1000;
+
+// Slow mode interval range (group config: moderation.slowModeSeconds, 0 = off)
+export const MIN_SLOW_MODE_SECONDS = 5;
+export const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60;
@@ -0,0 +1,93 @@
+/**
+ * Storage Settings
+ * Deployment-level storage options (not per-group configuration)
+ * Values can be overridden with environment variables
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Supported storage drivers
+ */
+export const StorageDrivers = {
+    JSON: 'json',
+    SQLITE: 'sqlite'
+};
+
+/**
+ * Log rotation strategies
+ */
+export const LogRotation = {
+    DAILY: 'daily',
+    SIZE: 'size'
+};
+
+/**
+ * Get the effective storage settings
+ *
+ * STORAGE_DRIVER     - "json" (default) or "sqlite"
+ * DATA_DIR           - Directory holding the bot's data files
+ * SQLITE_FILE        - Database file used by the SQLite driver
+ * LOG_ROTATION       - "daily" (default) or "size"
+ * LOG_MAX_BYTES      - Size at which the log file is rotated in "size" mode (default 10 MB)
+ * LOG_RETENTION_DAYS - Days to keep log entries, 0 keeps them forever (default 90)
+ * STORAGE_FLUSH_MS   - How often batched changes are written to storage (default 1000)
+ *
+ * Encryption at rest (JSON driver only, off unless a key is set):
+ * STORAGE_ENCRYPTION_KEY           - 32-byte key as base64 or hex
+ * STORAGE_ENCRYPTION_KEY_FILE      - File containing the key (instead of the variable)
+ * STORAGE_ENCRYPTION_PREVIOUS_KEYS - Comma-separated old keys that can still decrypt data while rotating
+ */
+export function getStorageSettings() {
+    const dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR;
+
+    return {
+        driver: (process.env.STORAGE_DRIVER || StorageDrivers.JSON).toLowerCase(),
+        dataDir,
+        sqliteFile: process.env.SQLITE_FILE || path.join(dataDir, 'community-bot.db'),
+        logRotation: (process.env.LOG_ROTATION || LogRotation.DAILY).toLowerCase(),
+        logMaxBytes: parseInt(process.env.LOG_MAX_BYTES) || 10 * 1024 * 1024,
+        logRetentionDays: readInteger(process.env.LOG_RETENTION_DAYS, 90),
+        flushIntervalMs: parseInt(process.env.STORAGE_FLUSH_MS) || 1000,
+        encryptionKey: readEncryptionKey(),
+        previousEncryptionKeys: (process.env.STORAGE_ENCRYPTION_PREVIOUS_KEYS || '')
+            .split(',')
+            .map(key => key.trim())
+            .filter(Boolean)
+    };
+}
+
+/**
+ * Read the encryption key from the environment or the key file
+ */
+function readEncryptionKey() {
+    if (process.env.STORAGE_ENCRYPTION_KEY) {
+        return process.env.STORAGE_ENCRYPTION_KEY;
+    }
+
+    const keyFile = process.env.STORAGE_ENCRYPTION_KEY_FILE;
+    if (!keyFile) {
+        return null;
+    }
+
+    try {
+        return fs.readFileSync(keyFile, 'utf8').trim();
+    } catch (error) {
+        throw new Error(`Cannot read STORAGE_ENCRYPTION_KEY_FILE (${keyFile}): ${error.message}`);
+    }
+}
+
+/**
+ * Parse an integer setting, falling back to the default when unset or invalid
+ */
+function readInteger(value, defaultValue) {
+    const parsed = parseInt(value);
+    return isNaN(parsed) ? defaultValue : parsed;
+}
@@ -48,6 +48,30 @@ export async function handleCommand(message, client) {
                 }
                 break;
 
+            case 'unwarn':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleUnwarn(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
+            case 'warnings':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleWarnings(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
+            case 'pardon':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handlePardon(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
             case 'mute':
                 if (await canExecuteAdminCommand(message, client)) {
                     await adminCommands.handleMute(message, args, client);
@@ -56,6 +80,70 @@ export async function handleCommand(message, client) {
                 }
                 break;
 
+            case 'unmute':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleUnmute(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
+            case 'mutes':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleMutes(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
+            case 'ban':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleBan(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
+            case 'unban':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleUnban(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
+            case 'bans':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleBans(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
+            case 'trust':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleTrust(message, args, client, true);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
+            case 'untrust':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleTrust(message, args, client, false);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
+            case 'trusted':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await adminCommands.handleTrusted(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
             case 'status':
                 if (await canExecuteAdminCommand(message, client)) {
                     await adminCommands.handleStatus(message, args, client);
@@ -89,6 +177,14 @@ export async function handleCommand(message, client) {
                 }
                 break;
 
+            case 'slowmode':
+                if (await canExecuteAdminCommand(message, client)) {
+                    await configCommands.handleSlowMode(message, args, client);
+                } else {
+                    await message.reply('⛔ Only group admins can use this command.');
+                }
+                break;
+
             case 'settings':
                 if (await canExecuteAdminCommand(message, client)) {
                     await configCommands.handleSettings(message, args, client);
@@ -117,8 +213,19 @@ async function handleHelp(message) {
     const helpText = `📋 *WhatsApp Community Manager - Commands*
 
 *Admin Commands:*
-• !warn @user [reason] - Warn a user
-• !mute @user [duration] - Mute a user (coming soon)
+• !warn @user [reason] - Warn a user (adds a strike)
+• !unwarn @user - Remove the last strike
+• !warnings @user - Show a user's warnings
+• !pardon @user - Clear all strikes
+• !mute @user <duration> [reason] - Mute a user (e.g. 30m, 2h, 1d)
+• !unmute @user - Lift a mute
+• !mutes - List active mutes
+• !ban @user [duration] [reason] - Remove a user and keep them out (no duration = until lifted)
+• !unban <phone> - Lift a ban
+• !bans - List active bans
+• !trust @user [checks] - Exempt a user from automated checks (e.g. link)
+• !untrust @user [checks] - Remove an exemption
+• !trusted - List exemptions (admins are exempt by default)
 • !status - Show bot statistics
 
 *Configuration:*
@@ -127,6 +234,7 @@ async function handleHelp(message) {
 • !rules remove <number> - Remove a rule
 • !topic <topic> - Set group topic
 • !links on|off - Enable/disable link blocking
+• !slowmode <seconds|off> - One message per member per interval
 • !settings - Show all settings
 
 *General:*
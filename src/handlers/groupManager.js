@@ -8,10 +8,13 @@ import { getDefaultConfig } from '../config/defaults.js';
 import { logger } from '../utils/logger.js';
 import { safeGetContactById } from '../utils/contactUtils.js';
 import { startOnboarding } from './onboardingHandler.js';
+import { enforceFederatedBans } from '../moderation/federation.js';
+import { enforceBans } from '../moderation/banManager.js';
+import { recordJoins } from '../moderation/raidMode.js';
 
 /**
- * Handle when bot is added to a group
- * Automatically registers the group and notifies admins
+ * Handle a group join: the bot itself, or new members of a group it manages
+ * When the bot is added, the group is registered and its admins are notified
  */
 export async function handleGroupJoin(notification, client) {
     try {
@@ -24,6 +27,14 @@ export async function handleGroupJoin(notification, client) {
         const groupId = chat.id._serialized;
         const groupName = chat.name;
 
+        // Someone else joined a group the bot is already in
+        const botId = client.info.wid._serialized;
+        const joinedIds = notification.recipientIds || [];
+        if (joinedIds.length > 0 && !joinedIds.includes(botId)) {
+            await handleMemberJoin(chat, joinedIds, client);
+            return;
+        }
+
         logger.info(`Bot added to group: ${groupName} (${groupId})`);
 
         // Check if group already registered
@@ -76,6 +87,27 @@ export async function handleGroupJoin(notification, client) {
     }
 }
 
+/**
+ * Handle members joining a managed group
+ */
+async function handleMemberJoin(chat, memberIds, client) {
+    if (!getGroup(chat.id._serialized)) {
+        return;
+    }
+
+    logger.info(`${memberIds.length} member(s) joined ${chat.name}`);
+
+    // Members banned here are removed again
+    const banned = await enforceBans(chat, memberIds, client);
+
+    // Members on the shared ban list are removed or reported
+    const allowed = memberIds.filter(id => !banned.includes(id));
+    await enforceFederatedBans(chat, allowed, client);
+
+    // A wave of joins may be the start of a raid
+    await recordJoins(chat, allowed, client);
+}
+
 /**
  * Notify group admins and start onboarding
  */
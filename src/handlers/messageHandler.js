@@ -7,7 +7,12 @@
 import { logger } from '../utils/logger.js';
 import { isCommand, handleCommand } from './commandHandler.js';
 import { checkForSpam } from '../moderation/spamDetector.js';
+import { checkForDuplicates } from '../moderation/duplicateDetector.js';
+import { recordViolation } from '../moderation/raidMode.js';
 import { checkRuleViolations } from '../moderation/ruleEnforcer.js';
+import { enforceMute } from '../moderation/muteManager.js';
+import { enforceSlowMode } from '../moderation/slowMode.js';
+import { getExemptChecks } from '../moderation/exemptions.js';
 import {
     handleSetupCommand,
     handleGroupSelection,
@@ -56,6 +61,12 @@ export async function handleMessage(message, client) {
         // Group message handling
         logger.info(`Message from ${contact.pushname || contact.number} in ${chat.name || 'group'}`);
 
+        // Messages from muted members are removed before anything else
+        if (await enforceMute(message, chat, client)) {
+            logger.info(`Removed message from muted member ${contact.pushname || contact.number}`);
+            return;
+        }
+
         // Handle commands
         if (isCommand(message.body)) {
             await handleCommand(message, client);
@@ -71,19 +82,38 @@ export async function handleMessage(message, client) {
 
         // Only apply moderation in groups
         if (chat.isGroup) {
+            // Messages sent before the member's slow mode interval has passed are removed
+            if (await enforceSlowMode(message, chat, client)) {
+                logger.info(`Removed slow mode message from ${contact.pushname || contact.number}`);
+                return;
+            }
+
+            // Admins and trusted members skip the checks they are exempt from
+            const exempt = getExemptChecks(chat, message.author || message.from);
+
+            // Check for the same message from several members (runs first so every copy is caught)
+            const duplicateResult = await checkForDuplicates(message, chat, client, exempt);
+            if (duplicateResult.isRaid && duplicateResult.deleted) {
+                logger.warn(`Raid message from ${contact.pushname || contact.number} removed`);
+                await recordViolation(chat, client);
+                return;
+            }
+
             // Check for spam
-            const spamResult = await checkForSpam(message, chat, client);
+            const spamResult = await checkForSpam(message, chat, client, exempt);
             if (spamResult.isSpam) {
                 logger.warn(`Spam detected from ${contact.pushname || contact.number}`);
                 // Spam handler will send warning
+                await recordViolation(chat, client);
                 return;
             }
 
             // Check for rule violations
-            const ruleResult = await checkRuleViolations(message, chat);
+            const ruleResult = await checkRuleViolations(message, chat, client, exempt);
             if (ruleResult.violation) {
                 logger.warn(`Rule violation detected from ${contact.pushname || contact.number}`);
                 // Rule enforcer will send warning
+                await recordViolation(chat, client);
                 return;
             }
         }
@@ -144,9 +174,17 @@ async function handleDMMessage(message, client) {
     // List of valid commands
     const validCommands = [
         'stats', 'settings', 'toggle_links', 'toggle_welcome',
+        'domains', 'allow_domain', 'block_domain', 'remove_domain',
+        'invite_links', 'allow_invite', 'remove_invite',
         'set_threshold', 'add_banned_word', 'remove_banned_word',
         'list_banned_words', 'view_rules', 'add_rule', 'remove_rule', 'help',
-        'restart_onboarding', 'toggle_auto_remove'
+        'restart_onboarding', 'toggle_auto_remove', 'backup', 'restore',
+        'history', 'undo', 'purge', 'set_warning_decay', 'set_removal_ban',
+        'strike_weights', 'set_strike_weight', 'spam_settings', 'duplicates', 'raid',
+        'view_ladder', 'set_ladder_step', 'remove_ladder_step', 'reset_ladder',
+        'warn', 'unwarn', 'warnings', 'pardon',
+        'appeal', 'appeals', 'appeal_accept', 'appeal_deny', 'federation',
+        'notifications', 'set_timezone'
     ];
 
     // Only respond if it's a valid command
@@ -170,6 +208,28 @@ async function handleDMMessage(message, client) {
             await dmCommands.handleToggleLinksCommand(message, client);
             break;
 
+        case 'domains':
+            await dmCommands.handleDomainsCommand(message, client);
+            break;
+
+        case 'allow_domain':
+        case 'block_domain':
+            await dmCommands.handleAddDomainCommand(message, args, client, command);
+            break;
+
+        case 'remove_domain':
+            await dmCommands.handleRemoveDomainCommand(message, args, client);
+            break;
+
+        case 'invite_links':
+            await dmCommands.handleInviteLinksCommand(message, args, client);
+            break;
+
+        case 'allow_invite':
+        case 'remove_invite':
+            await dmCommands.handleAllowInviteCommand(message, args, client, command === 'allow_invite');
+            break;
+
         case 'toggle_welcome':
             await dmCommands.handleToggleWelcomeCommand(message, client);
             break;
@@ -178,6 +238,94 @@ async function handleDMMessage(message, client) {
             await dmCommands.handleSetThresholdCommand(message, args, client);
             break;
 
+        case 'set_warning_decay':
+            await dmCommands.handleSetWarningDecayCommand(message, args, client);
+            break;
+
+        case 'set_removal_ban':
+            await dmCommands.handleSetRemovalBanCommand(message, args, client);
+            break;
+
+        case 'spam_settings':
+            await dmCommands.handleSpamSettingsCommand(message, args, client);
+            break;
+
+        case 'duplicates':
+            await dmCommands.handleDuplicatesCommand(message, args, client);
+            break;
+
+        case 'raid':
+            await dmCommands.handleRaidCommand(message, args, client);
+            break;
+
+        case 'strike_weights':
+            await dmCommands.handleStrikeWeightsCommand(message, client);
+            break;
+
+        case 'set_strike_weight':
+            await dmCommands.handleSetStrikeWeightCommand(message, args, client);
+            break;
+
+        case 'warn':
+            await dmCommands.handleWarnCommand(message, args, client);
+            break;
+
+        case 'unwarn':
+            await dmCommands.handleUnwarnCommand(message, args, client);
+            break;
+
+        case 'warnings':
+            await dmCommands.handleWarningsCommand(message, args, client);
+            break;
+
+        case 'pardon':
+            await dmCommands.handlePardonCommand(message, args, client);
+            break;
+
+        case 'appeal':
+            await dmCommands.handleAppealCommand(message, args, client);
+            break;
+
+        case 'appeals':
+            await dmCommands.handleAppealsCommand(message, client);
+            break;
+
+        case 'appeal_accept':
+            await dmCommands.handleAppealDecisionCommand(message, args, client, true);
+            break;
+
+        case 'appeal_deny':
+            await dmCommands.handleAppealDecisionCommand(message, args, client, false);
+            break;
+
+        case 'federation':
+            await dmCommands.handleFederationCommand(message, args, client);
+            break;
+
+        case 'notifications':
+            await dmCommands.handleNotificationsCommand(message, args, client);
+            break;
+
+        case 'set_timezone':
+            await dmCommands.handleSetTimezoneCommand(message, args, client);
+            break;
+
+        case 'view_ladder':
+            await dmCommands.handleViewLadderCommand(message, client);
+            break;
+
+        case 'set_ladder_step':
+            await dmCommands.handleSetLadderStepCommand(message, args, client);
+            break;
+
+        case 'remove_ladder_step':
+            await dmCommands.handleRemoveLadderStepCommand(message, args, client);
+            break;
+
+        case 'reset_ladder':
+            await dmCommands.handleResetLadderCommand(message, client);
+            break;
+
         case 'add_banned_word':
             await dmCommands.handleAddBannedWordCommand(message, args, client);
             break;
@@ -213,5 +361,25 @@ async function handleDMMessage(message, client) {
         case 'toggle_auto_remove':
             await dmCommands.handleToggleAutoRemoveCommand(message, client);
             break;
+
+        case 'backup':
+            await dmCommands.handleBackupCommand(message, client);
+            break;
+
+        case 'restore':
+            await dmCommands.handleRestoreCommand(message, args, client);
+            break;
+
+        case 'history':
+            await dmCommands.handleHistoryCommand(message, args, client);
+            break;
+
+        case 'undo':
+            await dmCommands.handleUndoCommand(message, args, client);
+            break;
+
+        case 'purge':
+            await dmCommands.handlePurgeCommand(message, args, client);
+            break;
     }
 }
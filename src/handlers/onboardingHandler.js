@@ -8,9 +8,9 @@ import {
     setOnboardingSession,
     clearOnboardingSession,
     getGroup,
-    updateGroup,
     setAdminContext
 } from '../storage/storage.js';
+import { getGroupConfig, updateGroupConfig } from '../config/configManager.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -78,10 +78,10 @@ export async function handleOnboardingMessage(message, client) {
 
         case STEPS.CORE_FEATURES:
             if (body === '1' || body === 'yes' || body === 'enable links') {
-                await toggleLinkBlocking(session.groupId, true);
+                await toggleLinkBlocking(session.groupId, true, adminId);
                 session.completedSteps.push('links_enabled');
             } else if (body === '2' || body === 'no' || body === 'skip') {
-                await toggleLinkBlocking(session.groupId, false);
+                await toggleLinkBlocking(session.groupId, false, adminId);
                 session.completedSteps.push('links_disabled');
             } else {
                 await message.reply('Please reply with *1* (Yes) or *2* (No/Skip).');
@@ -92,7 +92,7 @@ export async function handleOnboardingMessage(message, client) {
 
         case STEPS.RULES:
             if (body !== 'skip' && body !== 'next') {
-                await addFirstRule(session.groupId, message.body.trim());
+                await addFirstRule(session.groupId, message.body.trim(), adminId);
                 session.completedSteps.push('rule_added');
             }
             session.step = STEPS.SUMMARY;
@@ -168,8 +168,9 @@ _Type your rule now, or send *skip* to do this later._`;
             break;
 
         case STEPS.SUMMARY:
-            const linksStatus = group.config.moderation.spamDetection.linkBlockingEnabled ? '✅ Enabled' : '❌ Disabled';
-            const rulesCount = group.config.rules ? group.config.rules.length : 0;
+            const config = getGroupConfig(groupId);
+            const linksStatus = config.moderation.spamDetection.linkBlockingEnabled ? '✅ Enabled' : '❌ Disabled';
+            const rulesCount = config.rules ? config.rules.length : 0;
 
             text = `🎉 *Configuration Complete!*
 ${progress}
@@ -204,22 +205,20 @@ Reply with *finish* to close this guide.`;
 /**
  * Helper: Toggle link blocking
  */
-async function toggleLinkBlocking(groupId, enabled) {
-    const group = getGroup(groupId);
-    if (group) {
-        group.config.moderation.spamDetection.linkBlockingEnabled = enabled;
-        updateGroup(groupId, group);
+async function toggleLinkBlocking(groupId, enabled, adminId) {
+    if (getGroup(groupId)) {
+        updateGroupConfig(groupId, {
+            moderation: { spamDetection: { linkBlockingEnabled: enabled } }
+        }, { actor: adminId, command: 'onboarding' });
     }
 }
 
 /**
  * Helper: Add first rule
  */
-async function addFirstRule(groupId, rule) {
-    const group = getGroup(groupId);
-    if (group) {
-        if (!group.config.rules) group.config.rules = [];
-        group.config.rules.push(rule);
-        updateGroup(groupId, group);
+async function addFirstRule(groupId, rule, adminId) {
+    if (getGroup(groupId)) {
+        const rules = getGroupConfig(groupId).rules || [];
+        updateGroupConfig(groupId, { rules: [...rules, rule] }, { actor: adminId, command: 'onboarding' });
     }
 }
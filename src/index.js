@@ -6,7 +6,12 @@
 import { createClient, initializeClient } from './client.js';
 import { handleMessage } from './handlers/messageHandler.js';
 import { handleGroupJoin, handleGroupLeave, syncAllGroups } from './handlers/groupManager.js';
-import { initStorage } from './storage/storage.js';
+import { initStorage, closeStorage, getPersistenceStats } from './storage/storage.js';
+import { initConfigManager } from './config/configManager.js';
+import { startMuteExpiry, stopMuteExpiry } from './moderation/muteManager.js';
+import { startBanExpiry, stopBanExpiry } from './moderation/banManager.js';
+import { startRaidMonitor, stopRaidMonitor } from './moderation/raidMode.js';
+import { startNotifier, stopNotifier } from './moderation/adminNotifier.js';
 import { logger } from './utils/logger.js';
 
 /**
@@ -20,6 +25,9 @@ async function main() {
         // Initialize storage system
         initStorage();
 
+        // Merge legacy config stores into the single group config
+        initConfigManager();
+
         // Create and initialize WhatsApp client
         const client = createClient();
 
@@ -47,6 +55,14 @@ async function main() {
             logger.info('Syncing groups...');
             await syncAllGroups(client);
 
+            // Lift mutes as they run out (including any that ended while offline)
+            startMuteExpiry(client);
+            startBanExpiry();
+            startRaidMonitor(client);
+
+            // Send admin digests when they are due
+            startNotifier(client);
+
             logger.info('');
             logger.success('✅ Bot is fully operational!');
         });
@@ -58,17 +74,28 @@ async function main() {
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
+async function shutdown() {
     logger.info('');
     logger.info('Shutting down bot gracefully...');
-    process.exit(0);
-});
 
-process.on('SIGTERM', () => {
-    logger.info('');
-    logger.info('Shutting down bot gracefully...');
+    stopMuteExpiry();
+    stopBanExpiry();
+    stopRaidMonitor();
+    stopNotifier();
+
+    // Write any batched changes before exiting
+    const stats = getPersistenceStats();
+    await closeStorage();
+
+    if (stats) {
+        logger.info(`Storage: ${stats.flushes} flush(es), avg ${stats.avgFlushMs.toFixed(1)}ms, max ${stats.maxFlushMs.toFixed(1)}ms`);
+    }
+
     process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Start the bot
 main();
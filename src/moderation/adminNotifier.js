@@ -0,0 +1,259 @@
+/**
+ * Admin Notifier
+ * Delivers moderation alerts to group admins according to each admin's
+ * preferences: instantly, or queued and summarized per group in an hourly or
+ * daily digest. Quiet hours (in the group's timezone) hold alerts until they
+ * end; critical alerts are always sent right away
+ */
+
+import {
+    getGroup,
+    getNotificationSettings,
+    setNotificationSettings,
+    getNotificationQueues,
+    queueNotification,
+    setNotificationQueue
+} from '../storage/storage.js';
+import { getGroupConfig } from '../config/configManager.js';
+import { isValidTimezone } from '../config/settingLimits.js';
+import { logger } from '../utils/logger.js';
+import { safeGetContactById } from '../utils/contactUtils.js';
+
+/**
+ * How often an admin receives alerts
+ */
+export const NotificationModes = {
+    INSTANT: 'instant',
+    HOURLY: 'hourly',
+    DAILY: 'daily'
+};
+
+// Minimum time between two digests
+const DIGEST_INTERVALS = {
+    [NotificationModes.INSTANT]: 0,
+    [NotificationModes.HOURLY]: 60 * 60 * 1000,
+    [NotificationModes.DAILY]: 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_SETTINGS = {
+    mode: NotificationModes.INSTANT,
+    quietHours: null // { start, end } as hours 0-23 in the group's timezone
+};
+
+// Alerts listed per group in a digest before the rest are only counted
+const MAX_DIGEST_LINES_PER_GROUP = 10;
+
+// How often queued alerts are checked for delivery
+const DIGEST_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+let digestTimer = null;
+
+/**
+ * Get an admin's notification settings, with defaults for anything unset
+ */
+export function getAdminNotificationSettings(adminId) {
+    return { ...DEFAULT_SETTINGS, ...getNotificationSettings(adminId) };
+}
+
+/**
+ * Change how often an admin receives alerts
+ */
+export function setNotificationMode(adminId, mode) {
+    return setNotificationSettings(adminId, { ...getAdminNotificationSettings(adminId), mode });
+}
+
+/**
+ * Set an admin's quiet hours ({ start, end } or null to turn them off)
+ */
+export function setQuietHours(adminId, quietHours) {
+    return setNotificationSettings(adminId, { ...getAdminNotificationSettings(adminId), quietHours });
+}
+
+/**
+ * Parse quiet hours such as "22-7" or "22:00-07:00"
+ * Returns { start, end } or null when invalid
+ */
+export function parseQuietHours(text) {
+    const match = String(text || '').trim().match(/^(\d{1,2})(?::00)?-(\d{1,2})(?::00)?$/);
+
+    if (!match) {
+        return null;
+    }
+
+    const start = parseInt(match[1]);
+    const end = parseInt(match[2]);
+
+    return start <= 23 && end <= 23 && start !== end ? { start, end } : null;
+}
+
+/**
+ * Describe quiet hours, e.g. "22:00-07:00"
+ */
+export function formatQuietHours(quietHours) {
+    if (!quietHours) {
+        return 'Off';
+    }
+
+    const pad = hour => `${String(hour).padStart(2, '0')}:00`;
+    return `${pad(quietHours.start)}-${pad(quietHours.end)}`;
+}
+
+/**
+ * Get a group's timezone, falling back to UTC
+ */
+function getGroupTimezone(groupId) {
+    const timezone = getGroupConfig(groupId).timezone;
+    return isValidTimezone(timezone) ? timezone : 'UTC';
+}
+
+/**
+ * Check whether a moment falls in quiet hours in a timezone
+ * Quiet hours may run past midnight (e.g. 22-7)
+ */
+export function isQuietTime(quietHours, timezone, date = new Date()) {
+    if (!quietHours) {
+        return false;
+    }
+
+    const hour = Number(new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23' }).format(date));
+    const { start, end } = quietHours;
+
+    return start < end
+        ? hour >= start && hour < end
+        : hour >= start || hour < end;
+}
+
+/**
+ * DM an admin
+ */
+async function sendToAdmin(client, adminId, text) {
+    try {
+        const adminContact = await safeGetContactById(client, adminId);
+        await adminContact.sendMessage(text);
+        return true;
+    } catch (error) {
+        logger.error(`Failed to notify admin ${adminId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Alert every admin of a group
+ * alert: { title, summary, text, critical } - text is the full instant message,
+ * title and summary make up its line in a digest
+ * Critical alerts ignore digests and quiet hours
+ */
+export async function sendAdminAlert(groupId, { title, summary, text, critical = false }, client) {
+    const group = getGroup(groupId);
+
+    if (!group || !group.admins) {
+        logger.warn('Cannot notify admins - group or admin list not found');
+        return false;
+    }
+
+    const timezone = getGroupTimezone(groupId);
+
+    for (const adminId of group.admins) {
+        const settings = getAdminNotificationSettings(adminId);
+        const instant = critical ||
+            (settings.mode === NotificationModes.INSTANT && !isQuietTime(settings.quietHours, timezone));
+
+        if (instant) {
+            await sendToAdmin(client, adminId, text);
+            continue;
+        }
+
+        queueNotification(adminId, {
+            groupId,
+            title,
+            summary,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    return true;
+}
+
+/**
+ * Build a digest message, grouped by group
+ */
+function formatDigest(events) {
+    const byGroup = new Map();
+    for (const event of events) {
+        byGroup.set(event.groupId, [...(byGroup.get(event.groupId) || []), event]);
+    }
+
+    const sections = [...byGroup.entries()].map(([groupId, groupEvents]) => {
+        const timezone = getGroupTimezone(groupId);
+        const time = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', day: 'numeric', month: 'short' });
+
+        const lines = groupEvents.slice(-MAX_DIGEST_LINES_PER_GROUP).map(event =>
+            `• ${time.format(new Date(event.createdAt))} - ${event.title.replace(/\*/g, '')}${event.summary ? `: ${event.summary}` : ''}`);
+        const hidden = groupEvents.length - lines.length;
+
+        return `👥 *${getGroup(groupId)?.name || 'Unknown group'}* (${groupEvents.length})
+${hidden > 0 ? `_…${hidden} earlier alert(s) not shown._\n` : ''}${lines.join('\n')}`;
+    });
+
+    return `📬 *Moderation Digest*
+──────────────────
+
+${sections.join('\n\n')}
+
+_Type \`notifications\` to change how often you get these._`;
+}
+
+/**
+ * Send every digest that is due
+ * Alerts for groups that are in the admin's quiet hours stay queued
+ * Returns the number of digests sent
+ */
+export async function deliverDigests(client, now = Date.now()) {
+    let sent = 0;
+
+    for (const [adminId, queue] of Object.entries(getNotificationQueues())) {
+        if (!queue.events || queue.events.length === 0) continue;
+
+        const settings = getAdminNotificationSettings(adminId);
+
+        // Without a previous digest, the interval runs from the oldest queued alert
+        const since = new Date(queue.lastDigestAt || queue.events[0].createdAt).getTime();
+        if (now - since < (DIGEST_INTERVALS[settings.mode] ?? 0)) continue;
+
+        const due = queue.events.filter(event =>
+            !isQuietTime(settings.quietHours, getGroupTimezone(event.groupId), new Date(now)));
+
+        if (due.length === 0) continue;
+
+        if (await sendToAdmin(client, adminId, formatDigest(due))) {
+            // Re-read the queue: alerts may have been added while the digest was sent
+            const events = getNotificationQueues()[adminId].events.filter(event => !due.includes(event));
+            setNotificationQueue(adminId, { events, lastDigestAt: new Date(now).toISOString() });
+            sent++;
+        }
+    }
+
+    return sent;
+}
+
+/**
+ * Start delivering digests in the background
+ */
+export function startNotifier(client) {
+    stopNotifier();
+
+    const check = () => deliverDigests(client).catch(error => logger.error('Error delivering digests:', error));
+
+    digestTimer = setInterval(check, DIGEST_CHECK_INTERVAL);
+    digestTimer.unref();
+}
+
+/**
+ * Stop the digest timer
+ */
+export function stopNotifier() {
+    if (digestTimer) {
+        clearInterval(digestTimer);
+        digestTimer = null;
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * Appeals
+ * Lets a member contest their latest warning or auto-removal by DM
+ * (`appeal <text>`). Appeals wait in a per-group queue until one of the
+ * group's admins accepts or denies them
+ */
+
+import crypto from 'crypto';
+import {
+    getGroup,
+    getGroupsByAdmin,
+    getWarnings,
+    getWarningGroupIds,
+    revokeWarnings,
+    setWarningRemoval,
+    getGroupAppeals,
+    addAppeal,
+    updateAppeal,
+    logAppeal
+} from '../storage/storage.js';
+import { unbanMember } from './banManager.js';
+import { sendAdminAlert } from './adminNotifier.js';
+import { logger } from '../utils/logger.js';
+import { safeGetContactById } from '../utils/contactUtils.js';
+import { getUserName } from '../utils/permissions.js';
+
+/**
+ * Appeal states
+ */
+export const AppealStatus = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    DENIED: 'denied'
+};
+
+/**
+ * What an appeal contests
+ */
+export const AppealTypes = {
+    WARNING: 'warning',
+    REMOVAL: 'removal'
+};
+
+export const MAX_APPEAL_LENGTH = 500;
+
+/**
+ * Find the member's most recent sanction across all groups:
+ * an auto-removal, or otherwise their latest strike that still counts
+ */
+function findLatestSanction(userId) {
+    let latest = null;
+
+    for (const groupId of getWarningGroupIds(userId)) {
+        const warnings = getWarnings(groupId, userId);
+        const lastWarning = warnings.history.filter(entry => !entry.revokedAt).at(-1);
+
+        let sanction = null;
+        if (warnings.removedAt) {
+            sanction = { groupId, type: AppealTypes.REMOVAL, sanctionAt: warnings.removedAt, warningAt: lastWarning?.timestamp || null, reason: lastWarning?.reason || null };
+        } else if (lastWarning && warnings.count > 0) {
+            sanction = { groupId, type: AppealTypes.WARNING, sanctionAt: lastWarning.timestamp, warningAt: lastWarning.timestamp, reason: lastWarning.reason };
+        }
+
+        if (sanction && (!latest || sanction.sanctionAt > latest.sanctionAt)) {
+            latest = sanction;
+        }
+    }
+
+    return latest;
+}
+
+/**
+ * Describe what an appeal contests
+ */
+export function describeAppealTarget(appeal) {
+    const reason = appeal.reason ? ` (${appeal.reason})` : '';
+    return appeal.type === AppealTypes.REMOVAL ? `Removal from the group${reason}` : `Warning${reason}`;
+}
+
+/**
+ * DM every admin of the group about a new appeal
+ */
+async function notifyAdminsOfAppeal(groupId, appeal, client) {
+    const group = getGroup(groupId);
+
+    if (!group || !group.admins) {
+        logger.warn('Cannot notify admins of appeal - group or admin list not found');
+        return false;
+    }
+
+    const member = await safeGetContactById(client, appeal.userId);
+
+    const adminMessage = `📨 *New Appeal* (\`${appeal.id}\`)
+
+*Group:* ${group.name}
+*Member:* ${getUserName(member)} (${appeal.userId.split('@')[0]})
+*Contesting:* ${describeAppealTarget(appeal)}
+
+*Appeal:*
+${appeal.text}
+
+• \`appeal_accept ${appeal.id} [note]\` - ${appeal.type === AppealTypes.REMOVAL ? 'Re-add the member' : 'Remove the strike'}
+• \`appeal_deny ${appeal.id} [note]\` - Keep the decision`;
+
+    return sendAdminAlert(groupId, {
+        title: `📨 New Appeal (${appeal.id})`,
+        summary: `${getUserName(member)} contests: ${describeAppealTarget(appeal)}`,
+        text: adminMessage
+    }, client);
+}
+
+/**
+ * File an appeal against the member's latest sanction
+ * Returns { success, appeal, groupName } or { success: false, error }
+ */
+export async function submitAppeal(userId, text, client) {
+    const appealText = (text || '').trim();
+
+    if (!appealText) {
+        return { success: false, error: 'Please tell the admins why the decision should be reconsidered.\n\nUsage: `appeal <your message>`' };
+    }
+
+    if (appealText.length > MAX_APPEAL_LENGTH) {
+        return { success: false, error: `Please keep your appeal under ${MAX_APPEAL_LENGTH} characters.` };
+    }
+
+    const sanction = findLatestSanction(userId);
+
+    if (!sanction) {
+        return { success: false, error: 'You have no active warnings or removals to appeal.' };
+    }
+
+    const groupName = getGroup(sanction.groupId)?.name || 'the group';
+    const previous = getGroupAppeals(sanction.groupId).find(appeal =>
+        appeal.userId === userId && (appeal.status === AppealStatus.PENDING || appeal.sanctionAt === sanction.sanctionAt));
+
+    if (previous?.status === AppealStatus.PENDING) {
+        return { success: false, error: `You already have an appeal waiting for the admins of *${groupName}*. You'll get a message once they decide.` };
+    }
+
+    if (previous) {
+        return { success: false, error: `Your appeal against this decision in *${groupName}* was already ${previous.status}.` };
+    }
+
+    const appeal = {
+        id: crypto.randomBytes(3).toString('hex'),
+        userId,
+        text: appealText,
+        ...sanction,
+        status: AppealStatus.PENDING,
+        createdAt: new Date().toISOString()
+    };
+
+    if (!addAppeal(sanction.groupId, appeal)) {
+        return { success: false, error: 'Your appeal could not be saved. Please try again later.' };
+    }
+
+    logAppeal(sanction.groupId, userId, appeal.id, AppealStatus.PENDING);
+    logger.info(`Appeal ${appeal.id} filed by ${userId} in ${sanction.groupId}`);
+
+    await notifyAdminsOfAppeal(sanction.groupId, appeal, client);
+
+    return { success: true, appeal, groupName };
+}
+
+/**
+ * Get the pending appeals of a group, oldest first
+ */
+export function getPendingAppeals(groupId) {
+    return getGroupAppeals(groupId).filter(appeal => appeal.status === AppealStatus.PENDING);
+}
+
+/**
+ * Find an appeal in the groups an admin manages
+ */
+function findAdminAppeal(adminId, appealId) {
+    for (const group of getGroupsByAdmin(adminId)) {
+        const appeal = getGroupAppeals(group.id).find(entry => entry.id === appealId);
+        if (appeal) {
+            return { group, appeal };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Undo the sanction of an accepted appeal
+ * Returns { readded, revoked }
+ */
+async function reverseSanction(groupId, appeal, adminId, client) {
+    const revoked = appeal.warningAt
+        ? revokeWarnings(groupId, appeal.userId, { revokedBy: adminId, timestamp: appeal.warningAt }) > 0
+        : false;
+
+    if (appeal.type !== AppealTypes.REMOVAL) {
+        return { readded: false, revoked };
+    }
+
+    // Lift the ban first so they aren't removed again on rejoin,
+    // and so the removal no longer counts against them in other groups either
+    unbanMember(groupId, appeal.userId, adminId);
+
+    try {
+        const chat = await client.getChatById(groupId);
+        await chat.addParticipants([appeal.userId]);
+        setWarningRemoval(groupId, appeal.userId, null);
+        return { readded: true, revoked };
+    } catch (error) {
+        logger.error(`Failed to re-add ${appeal.userId} to ${groupId}:`, error);
+        return { readded: false, revoked };
+    }
+}
+
+/**
+ * Accept or deny an appeal and DM the member the outcome
+ * Returns { success, appeal, group, readded } or { success: false, error }
+ */
+export async function decideAppeal(adminId, appealId, accepted, note, client) {
+    const found = findAdminAppeal(adminId, (appealId || '').toLowerCase());
+
+    if (!found) {
+        return { success: false, error: 'No appeal with that code was found in your groups. Type `appeals` to see the pending ones.' };
+    }
+
+    const { group, appeal } = found;
+
+    if (appeal.status !== AppealStatus.PENDING) {
+        return { success: false, error: `This appeal was already ${appeal.status}.` };
+    }
+
+    const status = accepted ? AppealStatus.ACCEPTED : AppealStatus.DENIED;
+    let outcome = { readded: false, revoked: false };
+    const decided = {
+        status,
+        decidedBy: adminId,
+        decidedAt: new Date().toISOString(),
+        note: note || null
+    };
+
+    // Saved before the first await, so a second accept or deny meanwhile finds it decided
+    if (!updateAppeal(group.id, appeal.id, { ...decided, ...outcome })) {
+        return { success: false, error: 'Failed to save the decision. Please try again.' };
+    }
+
+    if (accepted) {
+        outcome = await reverseSanction(group.id, appeal, adminId, client);
+        updateAppeal(group.id, appeal.id, outcome);
+    }
+
+    logAppeal(group.id, appeal.userId, appeal.id, status, adminId);
+    logger.info(`Appeal ${appeal.id} ${status} by ${adminId}`);
+
+    let memberMessage;
+    if (!accepted) {
+        memberMessage = `❌ *Your appeal in ${group.name} was denied*
+
+*Contested:* ${describeAppealTarget(appeal)}`;
+    } else if (appeal.type === AppealTypes.REMOVAL) {
+        memberMessage = `✅ *Your appeal in ${group.name} was accepted*
+
+${outcome.readded ? 'You have been added back to the group. Welcome back! 👋' : 'An admin will add you back to the group shortly.'}`;
+    } else {
+        memberMessage = `✅ *Your appeal in ${group.name} was accepted*
+
+The strike has been removed from your record.`;
+    }
+
+    try {
+        const member = await safeGetContactById(client, appeal.userId);
+        await member.sendMessage(`${memberMessage}${note ? `\n\n*Note from the admins:* ${note}` : ''}`);
+    } catch (error) {
+        logger.error(`Failed to send appeal outcome to ${appeal.userId}:`, error);
+    }
+
+    return { success: true, appeal: { ...appeal, ...decided, ...outcome }, group, readded: outcome.readded };
+}
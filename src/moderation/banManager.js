@@ -0,0 +1,226 @@
+/**
+ * Ban Manager
+ * Per-group bans: banned members are removed, and removed again whenever they
+ * rejoin (e.g. through an invite link) until the ban ends
+ */
+
+import {
+    getGroupBans,
+    getAllBans,
+    setBan,
+    removeBan,
+    getFederationBans,
+    logBotEvent
+} from '../storage/storage.js';
+import { logger } from '../utils/logger.js';
+import { safeGetContactById } from '../utils/contactUtils.js';
+import { getUserName } from '../utils/permissions.js';
+import { formatDuration } from '../utils/duration.js';
+import { MAX_BAN_DURATION } from '../config/settingLimits.js';
+import { addFederatedBan, removeFederatedBan } from './federation.js';
+import { sendAdminAlert } from './adminNotifier.js';
+
+// How often expired bans are cleared
+const EXPIRY_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+let expiryTimer = null;
+
+/**
+ * Check whether a ban has run out (bans without an end never do)
+ */
+function isExpired(ban, now = Date.now()) {
+    return ban.until !== null && new Date(ban.until).getTime() <= now;
+}
+
+/**
+ * Describe how long a ban still runs
+ */
+export function describeBanRemaining(ban) {
+    return ban.until === null
+        ? 'until lifted'
+        : `${formatDuration(new Date(ban.until) - Date.now())} left`;
+}
+
+/**
+ * Record a ban without removing anyone (durationMs null = no end)
+ * Bans in federated groups are also added to the shared ban list
+ * Returns the stored ban or null on failure
+ */
+export function recordBan(groupId, userId, durationMs, { reason = null, bannedBy = null } = {}) {
+    const now = Date.now();
+    const ban = {
+        until: durationMs ? new Date(now + durationMs).toISOString() : null,
+        reason,
+        bannedBy,
+        bannedAt: new Date(now).toISOString()
+    };
+
+    if (!setBan(groupId, userId, ban)) {
+        logger.error(`Failed to save ban for ${userId} in ${groupId}`);
+        return null;
+    }
+
+    logBotEvent('member_banned', { groupId, userId, until: ban.until, bannedBy });
+    addFederatedBan(groupId, userId, { reason, bannedBy, until: ban.until });
+
+    logger.info(`Banned ${userId} in ${groupId}${durationMs ? ` for ${formatDuration(durationMs)}` : ''}`);
+    return ban;
+}
+
+/**
+ * Ban a member: record the ban and remove them if they are in the group
+ * Returns { ban, removed } or null when the ban could not be saved
+ */
+export async function banMember(chat, userId, durationMs, options = {}) {
+    const ban = recordBan(chat.id._serialized, userId, durationMs, options);
+
+    if (!ban) {
+        return null;
+    }
+
+    let removed = false;
+    if (chat.participants.some(p => p.id._serialized === userId)) {
+        try {
+            await chat.removeParticipants([userId]);
+            removed = true;
+        } catch (error) {
+            logger.error(`Failed to remove banned member ${userId} from ${chat.name}:`, error);
+        }
+    }
+
+    return { ban, removed };
+}
+
+/**
+ * Lift a member's ban (and the shared ban it created)
+ * The shared ban is lifted even when there is no local ban, e.g. after an
+ * auto-removal that only added the member to the shared list
+ * Returns false when the member was not banned
+ */
+export function unbanMember(groupId, userId, unbannedBy = null) {
+    const unbanned = Boolean(getActiveBan(groupId, userId)) && removeBan(groupId, userId);
+    const unshared = removeFederatedBan(userId, { sourceGroupId: groupId, removedBy: unbannedBy });
+
+    if (!unbanned && !unshared) {
+        return false;
+    }
+
+    logBotEvent('member_unbanned', { groupId, userId, unbannedBy });
+    logger.info(`Unbanned ${userId} in ${groupId}`);
+    return true;
+}
+
+/**
+ * Get a member's ban if it is still running
+ */
+export function getActiveBan(groupId, userId) {
+    const ban = getGroupBans(groupId)[userId];
+    return ban && !isExpired(ban) ? ban : null;
+}
+
+/**
+ * Get a group's running bans, soonest to end first (bans without an end last)
+ */
+export function getActiveBans(groupId) {
+    const endOf = ban => (ban.until === null ? Infinity : new Date(ban.until).getTime());
+
+    return Object.entries(getGroupBans(groupId))
+        .filter(([, ban]) => !isExpired(ban))
+        .map(([userId, ban]) => ({ userId, ...ban }))
+        .sort((a, b) => endOf(a) - endOf(b));
+}
+
+/**
+ * Clear every ban that has run out, along with the shared bans they created
+ * Returns the number of bans cleared
+ */
+export function expireBans() {
+    const now = Date.now();
+    let expired = 0;
+
+    for (const [groupId, bans] of Object.entries(getAllBans())) {
+        for (const [userId, ban] of Object.entries(bans)) {
+            if (isExpired(ban, now) && removeBan(groupId, userId)) {
+                expired++;
+                logger.info(`Ban expired for ${userId} in ${groupId}`);
+            }
+        }
+    }
+
+    // Shared bans carry the end of the ban they were made from
+    for (const [userId, sharedBans] of Object.entries(getFederationBans())) {
+        for (const [sourceGroupId, ban] of Object.entries(sharedBans)) {
+            if (ban.until && isExpired(ban, now)) {
+                removeFederatedBan(userId, { sourceGroupId });
+            }
+        }
+    }
+
+    return expired;
+}
+
+/**
+ * Start clearing expired bans in the background
+ */
+export function startBanExpiry() {
+    stopBanExpiry();
+
+    expireBans();
+    expiryTimer = setInterval(expireBans, EXPIRY_CHECK_INTERVAL);
+    expiryTimer.unref();
+}
+
+/**
+ * Stop the expiry timer
+ */
+export function stopBanExpiry() {
+    if (expiryTimer) {
+        clearInterval(expiryTimer);
+        expiryTimer = null;
+    }
+}
+
+/**
+ * Remove banned members who just rejoined and tell the admins
+ * Returns the IDs of the joined members who are banned
+ */
+export async function enforceBans(chat, memberIds, client) {
+    const groupId = chat.id._serialized;
+    const banned = [];
+
+    for (const userId of memberIds) {
+        const ban = getActiveBan(groupId, userId);
+        if (!ban) continue;
+
+        banned.push(userId);
+
+        let removed = false;
+        try {
+            await chat.removeParticipants([userId]);
+            removed = true;
+        } catch (error) {
+            logger.error(`Failed to remove banned member ${userId} from ${chat.name}:`, error);
+        }
+
+        logBotEvent('banned_member_rejoined', { groupId, userId, removed });
+
+        const contact = await safeGetContactById(client, userId);
+        const memberName = `${getUserName(contact)} (${userId.split('@')[0]})`;
+
+        // A banned member still in the group needs an admin right away
+        await sendAdminAlert(groupId, {
+            title: '🚫 Banned Member Rejoined',
+            summary: `${memberName} ${removed ? 'was removed again' : 'could not be removed'}`,
+            text: `🚫 *Banned Member Rejoined*
+
+*Group:* ${chat.name}
+*Member:* ${memberName}${ban.reason ? `\n*Ban reason:* ${ban.reason}` : ''}
+*Ban:* ${describeBanRemaining(ban)}
+
+${removed ? 'They have been removed again.' : '⚠️ I could not remove them (am I an admin?). Please remove them manually.'}`,
+            critical: !removed
+        }, client);
+    }
+
+    return banned;
+}
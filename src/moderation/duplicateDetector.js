@@ -0,0 +1,224 @@
+/**
+ * Duplicate Detector
+ * Catches coordinated raids: the same (or nearly the same) message posted by
+ * several members within a short window. Each group keeps fingerprints of its
+ * recent messages; once enough different senders match and the copies also
+ * carry a link or come mostly from new members, every copy is deleted, the
+ * admins are alerted, and further copies are deleted as they arrive
+ * (group config: moderation.duplicateDetection = { enabled, minSenders, windowSeconds })
+ */
+
+import crypto from 'crypto';
+import { logDeletedMessage, logBotEvent } from '../storage/storage.js';
+import { getGroupConfig } from '../config/configManager.js';
+import { ViolationTypes } from '../config/settingLimits.js';
+import { logger } from '../utils/logger.js';
+import { safeGetContactById } from '../utils/contactUtils.js';
+import { getUserName, isBotAdmin } from '../utils/permissions.js';
+import { containsUrl } from '../utils/urlParser.js';
+import { sendAdminAlert } from './adminNotifier.js';
+import { isNewMember } from './raidMode.js';
+
+// Share of character trigrams two messages must have in common to count as copies
+const SIMILARITY_THRESHOLD = 0.8;
+
+// Shorter messages ("good morning everyone") are too common to compare
+const MIN_TEXT_LENGTH = 30;
+
+// Recent messages remembered per group
+const MAX_TRACKED_MESSAGES = 200;
+
+// groupId -> [{ userId, message, shingles, at }]
+const recentMessages = new Map();
+
+// groupId -> [{ shingles, senders, copies, lastSeen }]
+const activeRaids = new Map();
+
+/**
+ * Normalize message text so trivial edits (case, accents, punctuation,
+ * spacing, emoji) don't hide a copy
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Fingerprint normalized text as its set of character trigrams
+ */
+function fingerprint(text) {
+    const shingles = new Set();
+    for (let i = 0; i <= text.length - 3; i++) {
+        shingles.add(text.slice(i, i + 3));
+    }
+    return shingles;
+}
+
+/**
+ * Jaccard similarity of two fingerprints (1 = identical)
+ */
+function similarity(a, b) {
+    let shared = 0;
+    for (const shingle of a) {
+        if (b.has(shingle)) shared++;
+    }
+
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Get the duplicate detection settings in effect for a group (defaults filled in)
+ */
+export function getDuplicateSettings(groupId) {
+    const settings = getGroupConfig(groupId).moderation.duplicateDetection || {};
+
+    return {
+        enabled: settings.enabled !== false,
+        minSenders: settings.minSenders || 3,
+        windowSeconds: settings.windowSeconds || 300
+    };
+}
+
+/**
+ * Look for a second sign of a raid besides the copies themselves: a link, or
+ * most senders having just joined (a greeting shared by regulars has neither)
+ * Returns a description of the sign, or null
+ */
+function findRaidSignal(groupId, messages, senders) {
+    if (messages.some(message => containsUrl(message.body))) {
+        return 'the message contains a link';
+    }
+
+    const newSenders = [...senders].filter(userId => isNewMember(groupId, userId)).length;
+    return newSenders * 2 > senders.size
+        ? `${newSenders} of the ${senders.size} senders joined in the last day`
+        : null;
+}
+
+/**
+ * Delete one copy of a raid message and log it
+ */
+async function deleteCopy(groupId, userId, message) {
+    try {
+        await message.delete(true); // Delete for everyone
+        const messageHash = crypto.createHash('md5').update(message.body || '').digest('hex');
+        logDeletedMessage(groupId, userId, 'raid', messageHash);
+        return true;
+    } catch (error) {
+        logger.warn(`Could not delete raid message from ${userId}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Tell the admins about a new raid
+ */
+async function alertAdmins(chat, raid, signal, deleted, sample, client) {
+    const names = [];
+    for (const userId of raid.senders) {
+        const contact = await safeGetContactById(client, userId);
+        names.push(`• ${getUserName(contact)} (${userId.split('@')[0]})`);
+    }
+
+    const preview = sample.length > 200 ? `${sample.slice(0, 200)}…` : sample;
+
+    await sendAdminAlert(chat.id._serialized, {
+        title: '🚨 Coordinated Raid',
+        summary: `${raid.senders.size} members posted the same message`,
+        text: `🚨 *Coordinated Raid Detected*
+
+*Group:* ${chat.name}
+The same message was posted by *${raid.senders.size}* different members, and ${signal}:
+${names.join('\n')}
+
+*Message:*
+${preview}
+
+${deleted ? `🗑️ Deleted ${raid.copies} cop${raid.copies === 1 ? 'y' : 'ies'}. Further copies will be deleted as they arrive.` : '⚠️ I could not delete the copies (am I an admin?). Please remove them manually.'}
+Use \`!ban\` to keep these accounts out.`,
+        critical: true
+    }, client);
+}
+
+/**
+ * Check a group message against the group's recent messages
+ * exempt holds the checks the author skips; members exempt from repeated
+ * messages are not tracked either
+ * Returns { isRaid, deleted } - deleted is false when the bot could not remove the copy
+ */
+export async function checkForDuplicates(message, chat, client, exempt = new Set()) {
+    const groupId = chat.id._serialized;
+    const settings = getDuplicateSettings(groupId);
+    const text = normalizeText(message.body);
+
+    if (!settings.enabled || exempt.has(ViolationTypes.REPEATED) || text.length < MIN_TEXT_LENGTH) {
+        return { isRaid: false };
+    }
+
+    const userId = message.author || message.from;
+    const now = Date.now();
+    const windowMs = settings.windowSeconds * 1000;
+    const shingles = fingerprint(text);
+
+    // Forget messages and raids that fell out of the window
+    const recent = (recentMessages.get(groupId) || []).filter(entry => now - entry.at < windowMs);
+    const raids = (activeRaids.get(groupId) || []).filter(raid => now - raid.lastSeen < windowMs);
+    recentMessages.set(groupId, recent);
+    activeRaids.set(groupId, raids);
+
+    // Another copy of a raid that was already caught
+    const ongoing = raids.find(raid => similarity(raid.shingles, shingles) >= SIMILARITY_THRESHOLD);
+    if (ongoing) {
+        ongoing.lastSeen = now;
+        ongoing.senders.add(userId);
+        ongoing.copies++;
+
+        // Whether the bot can delete was checked when the raid was caught
+        if (!await ongoing.canDelete) {
+            return { isRaid: true, deleted: false };
+        }
+
+        const deleted = await deleteCopy(groupId, userId, message);
+        if (deleted) {
+            logger.info(`Deleted another copy of a raid message from ${userId} in ${chat.name}`);
+        }
+        return { isRaid: true, deleted };
+    }
+
+    const matches = recent.filter(entry => similarity(entry.shingles, shingles) >= SIMILARITY_THRESHOLD);
+    const senders = new Set([...matches.map(entry => entry.userId), userId]);
+    const signal = senders.size >= settings.minSenders
+        ? findRaidSignal(groupId, [message, ...matches.map(entry => entry.message)], senders)
+        : null;
+
+    if (!signal) {
+        recent.push({ userId, message, shingles, at: now });
+        recent.splice(0, Math.max(0, recent.length - MAX_TRACKED_MESSAGES));
+        return { isRaid: false };
+    }
+
+    // Enough different senders and another sign of a raid
+    // canDelete is kept as a promise, so copies arriving while it is checked wait for the answer
+    const raid = { shingles, senders, copies: matches.length + 1, lastSeen: now, canDelete: isBotAdmin(chat, client) };
+    raids.push(raid);
+    recentMessages.set(groupId, recent.filter(entry => !matches.includes(entry)));
+
+    const canDelete = await raid.canDelete;
+    if (canDelete) {
+        for (const entry of matches) {
+            await deleteCopy(groupId, entry.userId, entry.message);
+        }
+        await deleteCopy(groupId, userId, message);
+    }
+
+    logBotEvent('duplicate_raid_detected', { groupId, senders: [...senders], copies: raid.copies, signal, deleted: canDelete });
+    logger.warn(`Coordinated raid in ${chat.name}: ${senders.size} senders, ${raid.copies} copies (${signal})`);
+
+    await alertAdmins(chat, raid, signal, canDelete, message.body, client);
+
+    return { isRaid: true, deleted: canDelete };
+}
@@ -0,0 +1,82 @@
+/**
+ * Escalation Ladder
+ * Parses and describes the per-strike actions of a group's escalation ladder
+ * (group config: moderation.escalationLadder = [{ strike, actions }])
+ * An empty ladder keeps the classic behaviour: DM every strike, notify admins
+ * at the threshold and optionally auto-remove
+ */
+
+import { formatDuration } from '../utils/duration.js';
+import { EscalationActions, parseEscalationAction } from '../config/settingLimits.js';
+
+/**
+ * Example ladder offered from DM: DM, then notice + delete, then a 24h mute, then removal
+ */
+export const EXAMPLE_LADDER = [
+    { strike: 1, actions: ['dm'] },
+    { strike: 2, actions: ['notice', 'delete'] },
+    { strike: 3, actions: ['mute:24h'] },
+    { strike: 4, actions: ['remove'] }
+];
+
+/**
+ * Parse a list of actions separated by commas or spaces
+ * Returns the normalized action strings, or null if any is invalid
+ */
+export function parseEscalationActions(text) {
+    const actions = String(text || '').split(/[\s,]+/).filter(Boolean).map(action => action.toLowerCase());
+
+    if (actions.length === 0 || !actions.every(action => parseEscalationAction(action))) {
+        return null;
+    }
+
+    return [...new Set(actions)];
+}
+
+/**
+ * Get the step that applies at a strike count: the highest step at or below it
+ */
+export function getEscalationStep(ladder, strikeCount) {
+    return (ladder || [])
+        .filter(step => step.strike <= strikeCount)
+        .reduce((best, step) => (!best || step.strike > best.strike ? step : best), null);
+}
+
+/**
+ * Describe an action in plain words
+ */
+export function describeEscalationAction(action) {
+    const parsed = parseEscalationAction(action);
+
+    switch (parsed?.type) {
+        case EscalationActions.DM:
+            return 'DM the member';
+        case EscalationActions.NOTICE:
+            return 'Group notice';
+        case EscalationActions.DELETE:
+            return 'Delete the message';
+        case EscalationActions.MUTE:
+            return `Mute for ${formatDuration(parsed.durationMs)}`;
+        case EscalationActions.REMOVE:
+            return 'Remove from group';
+        case EscalationActions.NOTIFY_ADMINS:
+            return 'Notify admins';
+        default:
+            return action;
+    }
+}
+
+/**
+ * Describe a whole ladder, one step per line
+ */
+export function describeLadder(ladder) {
+    const steps = [...ladder].sort((a, b) => a.strike - b.strike);
+
+    // The last step also applies to every later strike
+    return steps
+        .map((step, index) => {
+            const label = index === steps.length - 1 ? `${step.strike}+` : `${step.strike}`;
+            return `• Strike ${label}: ${step.actions.map(describeEscalationAction).join(', ')}`;
+        })
+        .join('\n');
+}
@@ -0,0 +1,119 @@
+/**
+ * Exemptions
+ * Members who skip some or all automated checks (group config:
+ * moderation.exemptions = { admins: [checks], members: [{ userId, checks }] })
+ * Group admins are exempt from every check unless the group changes that
+ */
+
+import { getGroupConfig, updateGroupConfig } from '../config/configManager.js';
+import { isParticipantAdmin } from '../utils/permissions.js';
+import { EXEMPTABLE_CHECKS } from '../config/settingLimits.js';
+
+/**
+ * Parse the checks named in command arguments
+ * No arguments (or "all") means every check; returns null if any name is unknown
+ */
+export function parseChecks(args) {
+    const names = args.map(arg => arg.toLowerCase().replace(/,$/, '')).filter(Boolean);
+
+    if (names.length === 0 || names.includes('all')) {
+        return [...EXEMPTABLE_CHECKS];
+    }
+
+    return names.every(name => EXEMPTABLE_CHECKS.includes(name)) ? [...new Set(names)] : null;
+}
+
+/**
+ * Describe a list of checks
+ */
+export function describeChecks(checks) {
+    if (checks.length === 0) {
+        return 'none';
+    }
+
+    return EXEMPTABLE_CHECKS.every(check => checks.includes(check)) ? 'all checks' : checks.join(', ');
+}
+
+/**
+ * Get a group's exemption settings
+ */
+export function getExemptions(groupId) {
+    const exemptions = getGroupConfig(groupId).moderation.exemptions || {};
+
+    return {
+        admins: exemptions.admins || [],
+        members: exemptions.members || []
+    };
+}
+
+/**
+ * Get the checks a trusted member is exempt from (empty when not trusted)
+ */
+export function getMemberExemptions(groupId, userId) {
+    return getExemptions(groupId).members.find(entry => entry.userId === userId)?.checks || [];
+}
+
+/**
+ * Get every check the author of a group message is exempt from
+ */
+export function getExemptChecks(chat, userId) {
+    const groupId = chat.id._serialized;
+    const exempt = new Set(getMemberExemptions(groupId, userId));
+    const { admins } = getExemptions(groupId);
+
+    if (admins.length > 0 && isParticipantAdmin(chat, userId)) {
+        admins.forEach(check => exempt.add(check));
+    }
+
+    return exempt;
+}
+
+/**
+ * Exempt a member from checks (added to the ones they already have)
+ */
+export function trustMember(groupId, userId, checks, changeInfo = {}) {
+    const { members } = getExemptions(groupId);
+    const current = getMemberExemptions(groupId, userId);
+    const merged = EXEMPTABLE_CHECKS.filter(check => current.includes(check) || checks.includes(check));
+
+    return updateGroupConfig(groupId, {
+        moderation: {
+            exemptions: {
+                members: [...members.filter(entry => entry.userId !== userId), { userId, checks: merged }]
+            }
+        }
+    }, changeInfo);
+}
+
+/**
+ * Remove checks from a member's exemptions (all of them removes the member from the list)
+ * Returns false when the member had none of the checks
+ */
+export function untrustMember(groupId, userId, checks, changeInfo = {}) {
+    const { members } = getExemptions(groupId);
+    const current = getMemberExemptions(groupId, userId);
+
+    if (!current.some(check => checks.includes(check))) {
+        return false;
+    }
+
+    const remaining = current.filter(check => !checks.includes(check));
+    const others = members.filter(entry => entry.userId !== userId);
+
+    return updateGroupConfig(groupId, {
+        moderation: {
+            exemptions: {
+                members: remaining.length > 0 ? [...others, { userId, checks: remaining }] : others
+            }
+        }
+    }, changeInfo);
+}
+
+/**
+ * Set the checks group admins are exempt from
+ */
+export function setAdminExemptions(groupId, checks, changeInfo = {}) {
+    return updateGroupConfig(groupId, {
+        moderation: { exemptions: { admins: EXEMPTABLE_CHECKS.filter(check => checks.includes(check)) } }
+    }, changeInfo);
+}
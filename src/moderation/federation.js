@@ -0,0 +1,213 @@
+/**
+ * Federation
+ * Opt-in shared ban list for groups run by the same admins. A ban made in a
+ * federated group applies to every other federated group that has at least
+ * one admin in common with it (group config: federation = { enabled, policy })
+ */
+
+import {
+    getGroup,
+    getAllGroups,
+    getFederationBans,
+    setFederationBan,
+    removeFederationBan,
+    logBotEvent
+} from '../storage/storage.js';
+import { getGroupConfig } from '../config/configManager.js';
+import { FederationPolicies } from '../config/settingLimits.js';
+import { logger } from '../utils/logger.js';
+import { safeGetContactById } from '../utils/contactUtils.js';
+import { getUserName } from '../utils/permissions.js';
+import { sendAdminAlert } from './adminNotifier.js';
+
+/**
+ * Check whether a group takes part in the federation
+ */
+export function isFederated(groupId) {
+    return Boolean(getGroupConfig(groupId).federation?.enabled);
+}
+
+/**
+ * Check whether two groups share at least one admin
+ */
+function sharesAdmin(groupIdA, groupIdB) {
+    const adminsA = getGroup(groupIdA)?.admins || [];
+    const adminsB = getGroup(groupIdB)?.admins || [];
+    return adminsA.some(adminId => adminsB.includes(adminId));
+}
+
+/**
+ * Get the other federated groups that share an admin with a group
+ */
+export function getLinkedGroups(groupId) {
+    return Object.keys(getAllGroups())
+        .filter(otherId => otherId !== groupId && isFederated(otherId) && sharesAdmin(groupId, otherId))
+        .map(otherId => getGroup(otherId));
+}
+
+/**
+ * Check whether a ban made in sourceGroupId applies to a group
+ * Bans from groups that have since left the federation are not shared
+ */
+function appliesTo(sourceGroupId, groupId) {
+    return sourceGroupId === groupId || (isFederated(sourceGroupId) && sharesAdmin(sourceGroupId, groupId));
+}
+
+/**
+ * Check whether a shared ban is still running (bans without an end always are)
+ */
+function isRunning(ban, now = Date.now()) {
+    return !ban.until || new Date(ban.until).getTime() > now;
+}
+
+/**
+ * Get every running shared ban of a member that applies to a group, newest first
+ */
+function getApplyingBans(groupId, userId, bans = getFederationBans()[userId] || {}) {
+    return Object.entries(bans)
+        .filter(([sourceGroupId, ban]) => isRunning(ban) && appliesTo(sourceGroupId, groupId))
+        .map(([sourceGroupId, ban]) => ({ userId, sourceGroupId, ...ban }))
+        .sort((a, b) => new Date(b.bannedAt) - new Date(a.bannedAt));
+}
+
+/**
+ * Get the shared bans that apply to a group, newest first
+ * A member banned from several linked groups is listed once, with the newest ban
+ */
+export function getFederatedBans(groupId) {
+    return Object.entries(getFederationBans())
+        .map(([userId, bans]) => getApplyingBans(groupId, userId, bans)[0])
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.bannedAt) - new Date(a.bannedAt));
+}
+
+/**
+ * Get the newest shared ban of a member that applies to a group, if any
+ */
+export function getFederatedBan(groupId, userId) {
+    return getApplyingBans(groupId, userId)[0] || null;
+}
+
+/**
+ * Add a member to the shared ban list (only from federated groups)
+ * Each group keeps its own entry, so bans from other groups are left alone
+ * until is when the ban ends (an ISO date, null = no end)
+ * Returns false when the group is not federated or saving failed
+ */
+export function addFederatedBan(groupId, userId, { reason = null, bannedBy = null, until = null } = {}) {
+    if (!isFederated(groupId)) {
+        return false;
+    }
+
+    const success = setFederationBan(userId, groupId, {
+        reason,
+        bannedBy,
+        bannedAt: new Date().toISOString(),
+        until
+    });
+
+    if (success) {
+        logger.info(`Added ${userId} to the shared ban list from ${groupId}`);
+        logBotEvent('federation_ban_added', { groupId, userId, bannedBy, until });
+    }
+
+    return success;
+}
+
+/**
+ * Remove a member's shared ban made in one group (or in every group when
+ * sourceGroupId is null)
+ * Returns false when there was no such ban
+ */
+export function removeFederatedBan(userId, { sourceGroupId = null, removedBy = null } = {}) {
+    const success = removeFederationBan(userId, sourceGroupId);
+
+    if (success) {
+        logger.info(`Removed ${userId} from the shared ban list${sourceGroupId ? ` for ${sourceGroupId}` : ''}`);
+        logBotEvent('federation_ban_removed', { userId, sourceGroupId, removedBy });
+    }
+
+    return success;
+}
+
+/**
+ * Lift every shared ban of a member that applies to a group
+ * Returns the number of bans removed
+ */
+export function liftFederatedBans(groupId, userId, removedBy = null) {
+    return getApplyingBans(groupId, userId)
+        .filter(ban => removeFederatedBan(userId, { sourceGroupId: ban.sourceGroupId, removedBy }))
+        .length;
+}
+
+/**
+ * Apply the shared ban list to members who just joined a federated group
+ * Depending on the group's policy, banned members are removed or the admins are alerted
+ * Returns the IDs of the joined members who are on the list
+ */
+export async function enforceFederatedBans(chat, memberIds, client) {
+    const groupId = chat.id._serialized;
+
+    if (!isFederated(groupId)) {
+        return [];
+    }
+
+    const policy = getGroupConfig(groupId).federation.policy;
+    const matched = [];
+
+    for (const userId of memberIds) {
+        const ban = getFederatedBan(groupId, userId);
+        if (!ban) continue;
+
+        matched.push(userId);
+
+        const contact = await safeGetContactById(client, userId);
+        const sourceName = getGroup(ban.sourceGroupId)?.name || 'another group';
+        const details = `*Member:* ${getUserName(contact)} (${userId.split('@')[0]})
+*Banned in:* ${sourceName}${ban.reason ? `\n*Reason:* ${ban.reason}` : ''}`;
+
+        let removed = false;
+        if (policy === FederationPolicies.REMOVE) {
+            try {
+                await chat.removeParticipants([userId]);
+                removed = true;
+            } catch (error) {
+                logger.error(`Failed to remove federated ban ${userId} from ${chat.name}:`, error);
+            }
+        }
+
+        logBotEvent('federation_ban_matched', { groupId, userId, sourceGroupId: ban.sourceGroupId, policy, removed });
+
+        const memberName = `${getUserName(contact)} (${userId.split('@')[0]})`;
+
+        if (removed) {
+            await sendAdminAlert(groupId, {
+                title: '🛡️ Shared Ban Applied',
+                summary: `${memberName} removed on join (banned in ${sourceName})`,
+                text: `🛡️ *Shared Ban Applied*
+
+A member on the shared ban list joined *${chat.name}* and was removed.
+
+${details}
+
+Use \`federation remove ${userId.split('@')[0]}\` in DM if they should be allowed back.`
+            }, client);
+        } else {
+            // The member is in the group now, so this can't wait for a digest
+            await sendAdminAlert(groupId, {
+                title: '⚠️ Shared Ban Alert',
+                summary: `${memberName} joined (banned in ${sourceName})`,
+                text: `⚠️ *Shared Ban Alert*
+
+A member on the shared ban list just joined *${chat.name}*.
+
+${details}
+
+${policy === FederationPolicies.REMOVE ? 'I could not remove them (am I an admin?). ' : ''}Please review them and remove them if needed.`,
+                critical: true
+            }, client);
+        }
+    }
+
+    return matched;
+}
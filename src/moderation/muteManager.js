@@ -0,0 +1,195 @@
+/**
+ * Mute Manager
+ * Bot-enforced member mutes. WhatsApp has no per-member mute, so while a
+ * member is muted the bot deletes their group messages (it must be a group admin)
+ * Mutes are stored, so they survive restarts, and expire on a timer
+ */
+
+import crypto from 'crypto';
+import {
+    getGroupMutes,
+    getAllMutes,
+    setMute,
+    removeMute,
+    getGroup,
+    logDeletedMessage
+} from '../storage/storage.js';
+import { logger } from '../utils/logger.js';
+import { safeGetContactById } from '../utils/contactUtils.js';
+import { isBotAdmin } from '../utils/permissions.js';
+import { formatDuration } from '../utils/duration.js';
+
+// How often expired mutes are lifted
+const EXPIRY_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+let expiryTimer = null;
+
+/**
+ * Check whether a mute has run out
+ */
+function isExpired(mute, now = Date.now()) {
+    return new Date(mute.until).getTime() <= now;
+}
+
+/**
+ * DM a member about their mute
+ */
+async function notifyMember(client, userId, text) {
+    try {
+        const contact = await safeGetContactById(client, userId);
+        await contact.sendMessage(text);
+        return true;
+    } catch (error) {
+        logger.error(`Failed to send mute notice to ${userId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Mute a member for a duration and let them know by DM
+ * Returns the stored mute or null on failure
+ */
+export async function muteMember(groupId, userId, durationMs, { reason = null, mutedBy = null } = {}, client = null) {
+    const now = Date.now();
+    const mute = {
+        until: new Date(now + durationMs).toISOString(),
+        reason,
+        mutedBy,
+        mutedAt: new Date(now).toISOString()
+    };
+
+    if (!setMute(groupId, userId, mute)) {
+        logger.error(`Failed to save mute for ${userId} in ${groupId}`);
+        return null;
+    }
+
+    logger.info(`Muted ${userId} in ${groupId} for ${formatDuration(durationMs)}`);
+
+    if (client) {
+        const groupName = getGroup(groupId)?.name || 'the group';
+
+        await notifyMember(client, userId, `🔇 *You have been muted in ${groupName}*
+
+*Duration:* ${formatDuration(durationMs)}${reason ? `\n*Reason:* ${reason}` : ''}
+
+Messages you send to the group during this time will be removed. Thank you for your patience! 🙏`);
+    }
+
+    return mute;
+}
+
+/**
+ * Lift a member's mute early and let them know by DM
+ * Returns false when the member was not muted
+ */
+export async function unmuteMember(groupId, userId, client = null) {
+    if (!getActiveMute(groupId, userId)) {
+        return false;
+    }
+
+    if (!removeMute(groupId, userId)) {
+        return false;
+    }
+
+    logger.info(`Unmuted ${userId} in ${groupId}`);
+
+    if (client) {
+        const groupName = getGroup(groupId)?.name || 'the group';
+        await notifyMember(client, userId, `🔊 *Your mute in ${groupName} was lifted*\n\nYou can post in the group again. Welcome back! 👋`);
+    }
+
+    return true;
+}
+
+/**
+ * Get a member's mute if it is still running
+ */
+export function getActiveMute(groupId, userId) {
+    const mute = getGroupMutes(groupId)[userId];
+    return mute && !isExpired(mute) ? mute : null;
+}
+
+/**
+ * Get a group's running mutes, soonest to end first
+ */
+export function getActiveMutes(groupId) {
+    return Object.entries(getGroupMutes(groupId))
+        .filter(([, mute]) => !isExpired(mute))
+        .map(([userId, mute]) => ({ userId, ...mute }))
+        .sort((a, b) => new Date(a.until) - new Date(b.until));
+}
+
+/**
+ * Lift every mute that has run out and DM the members
+ * Returns the number of mutes lifted
+ */
+export async function expireMutes(client) {
+    const now = Date.now();
+    let expired = 0;
+
+    for (const [groupId, mutes] of Object.entries(getAllMutes())) {
+        for (const [userId, mute] of Object.entries(mutes)) {
+            if (!isExpired(mute, now) || !removeMute(groupId, userId)) continue;
+
+            expired++;
+            logger.info(`Mute expired for ${userId} in ${groupId}`);
+
+            const groupName = getGroup(groupId)?.name || 'the group';
+            await notifyMember(client, userId, `🔊 *Your mute in ${groupName} has ended*\n\nYou can post in the group again. Welcome back! 👋`);
+        }
+    }
+
+    return expired;
+}
+
+/**
+ * Start lifting expired mutes in the background
+ * Mutes that ran out while the bot was offline are lifted on the first check
+ */
+export function startMuteExpiry(client) {
+    stopMuteExpiry();
+
+    const check = () => expireMutes(client).catch(error => logger.error('Error expiring mutes:', error));
+
+    check();
+    expiryTimer = setInterval(check, EXPIRY_CHECK_INTERVAL);
+    expiryTimer.unref();
+}
+
+/**
+ * Stop the expiry timer
+ */
+export function stopMuteExpiry() {
+    if (expiryTimer) {
+        clearInterval(expiryTimer);
+        expiryTimer = null;
+    }
+}
+
+/**
+ * Delete a group message when its author is muted
+ * Returns true when the message was removed
+ */
+export async function enforceMute(message, chat, client) {
+    const groupId = chat.id._serialized;
+    const userId = message.author || message.from;
+
+    if (!getActiveMute(groupId, userId)) {
+        return false;
+    }
+
+    if (!(await isBotAdmin(chat, client))) {
+        logger.warn(`Cannot enforce mute for ${userId} - bot is not admin in ${chat.name}`);
+        return false;
+    }
+
+    try {
+        await message.delete(true); // Delete for everyone
+        const messageHash = crypto.createHash('md5').update(message.body || '').digest('hex');
+        logDeletedMessage(groupId, userId, 'muted', messageHash);
+        return true;
+    } catch (error) {
+        logger.warn(`Could not delete message from muted member: ${error.message}`);
+        return false;
+    }
+}
@@ -0,0 +1,343 @@
+/**
+ * Raid Mode
+ * Locks a group down when a wave of joins is followed by a wave of violations:
+ * only admins can post (setMessagesAdminsOnly) until the lockdown ends, and
+ * the members who joined during the wave are put on probation (muted for a
+ * while). Lockdowns are stored, so they are lifted on time across restarts
+ * (group config: moderation.raidMode)
+ */
+
+import {
+    getGroup,
+    getRaidLockdown,
+    getAllRaidLockdowns,
+    setRaidLockdown,
+    removeRaidLockdown,
+    logBotEvent
+} from '../storage/storage.js';
+import { getGroupConfig } from '../config/configManager.js';
+import { logger } from '../utils/logger.js';
+import { formatDuration } from '../utils/duration.js';
+import { muteMember, getActiveMute } from './muteManager.js';
+import { sendAdminAlert } from './adminNotifier.js';
+
+// How often lockdowns are checked for expiry
+const EXPIRY_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+// How long a member counts as new after joining
+export const NEW_MEMBER_PERIOD = 24 * 60 * 60 * 1000;
+
+// groupId -> [{ userId, at }] and groupId -> [{ at }]
+const recentJoins = new Map();
+const recentViolations = new Map();
+
+// groupId -> Map(userId -> joinedAt) for members who joined within NEW_MEMBER_PERIOD
+const newMembers = new Map();
+
+let expiryTimer = null;
+
+/**
+ * Get the raid settings in effect for a group (defaults filled in)
+ */
+export function getRaidSettings(groupId) {
+    const settings = getGroupConfig(groupId).moderation.raidMode || {};
+
+    return {
+        autoDetect: settings.autoDetect !== false,
+        joinThreshold: settings.joinThreshold || 10,
+        violationThreshold: settings.violationThreshold || 5,
+        windowMinutes: settings.windowMinutes || 10,
+        lockdownDuration: settings.lockdownDuration || 30 * 60 * 1000,
+        probationDuration: settings.probationDuration ?? 60 * 60 * 1000
+    };
+}
+
+/**
+ * Get a group's lockdown if it is still running
+ */
+export function getActiveLockdown(groupId) {
+    const lockdown = getRaidLockdown(groupId);
+    return lockdown && new Date(lockdown.until).getTime() > Date.now() ? lockdown : null;
+}
+
+/**
+ * Keep the entries of a map list that are inside the detection window
+ */
+function recentEntries(map, groupId, windowMs, now) {
+    const entries = (map.get(groupId) || []).filter(entry => now - entry.at < windowMs);
+    map.set(groupId, entries);
+    return entries;
+}
+
+/**
+ * Put members on probation: muted for the group's probation period
+ * Returns the number of members put on probation
+ */
+async function putOnProbation(groupId, userIds, startedBy, client) {
+    const { probationDuration } = getRaidSettings(groupId);
+
+    if (probationDuration <= 0) {
+        return 0;
+    }
+
+    let count = 0;
+    for (const userId of userIds) {
+        if (getActiveMute(groupId, userId)) continue;
+
+        const mute = await muteMember(groupId, userId, probationDuration, {
+            reason: 'New member probation during a raid',
+            mutedBy: startedBy
+        }, client);
+
+        if (mute) count++;
+    }
+
+    return count;
+}
+
+/**
+ * Lock a group down: only admins can post until the lockdown ends
+ * Members who joined within the detection window go on probation
+ * startedBy is the admin's ID, or null when the lockdown was automatic
+ * Returns the stored lockdown, or null when the group is already locked down
+ */
+export async function startLockdown(chat, client, { duration = null, startedBy = null, reason = null } = {}) {
+    const groupId = chat.id._serialized;
+
+    if (getActiveLockdown(groupId)) {
+        return null;
+    }
+
+    const settings = getRaidSettings(groupId);
+    const lockdownDuration = duration || settings.lockdownDuration;
+    const now = Date.now();
+
+    // A group that was already admins-only stays that way when the lockdown ends
+    // (a lockdown that ran out but wasn't lifted yet still knows the original setting)
+    const previous = getRaidLockdown(groupId);
+    const wasAdminsOnly = previous ? previous.wasAdminsOnly : Boolean(chat.groupMetadata?.announce);
+
+    const lockdown = {
+        until: new Date(now + lockdownDuration).toISOString(),
+        startedAt: new Date(now).toISOString(),
+        startedBy,
+        reason,
+        wasAdminsOnly,
+        locked: wasAdminsOnly,
+        probationCount: 0
+    };
+
+    // Stored before the first await, so a second trigger arriving meanwhile sees the lockdown
+    setRaidLockdown(groupId, lockdown);
+    recentViolations.delete(groupId);
+
+    if (!wasAdminsOnly) {
+        try {
+            lockdown.locked = Boolean(await chat.setMessagesAdminsOnly(true));
+        } catch (error) {
+            logger.error(`Failed to lock down ${chat.name}:`, error);
+        }
+    }
+
+    const joiners = recentEntries(recentJoins, groupId, settings.windowMinutes * 60 * 1000, now).map(entry => entry.userId);
+    recentJoins.delete(groupId);
+    lockdown.probationCount = await putOnProbation(groupId, joiners, startedBy, client);
+
+    // Unless an admin lifted it in the meantime
+    if (getRaidLockdown(groupId)) {
+        setRaidLockdown(groupId, lockdown);
+    }
+
+    logBotEvent('raid_lockdown_started', { groupId, until: lockdown.until, startedBy, locked: lockdown.locked, probationCount: lockdown.probationCount });
+    logger.warn(`Raid lockdown in ${chat.name} for ${formatDuration(lockdownDuration)}${startedBy ? ` by ${startedBy}` : ''}`);
+
+    // Automatic lockdowns, and ones the bot could not apply, need the admins right away
+    await sendAdminAlert(groupId, {
+        title: '🚨 Raid Lockdown',
+        summary: `${lockdown.locked ? 'Locked' : 'Could not lock'} for ${formatDuration(lockdownDuration)}`,
+        text: `🚨 *Raid Lockdown*
+
+*Group:* ${chat.name}
+${reason ? `*Why:* ${reason}\n` : ''}*Started by:* ${startedBy ? startedBy.split('@')[0] : 'automatic raid detection'}
+*Ends in:* ${formatDuration(lockdownDuration)}
+
+${lockdown.locked ? '🔒 Only admins can send messages until then.' : '⚠️ I could not make the group admins-only (am I an admin?). Please change the group settings manually.'}${lockdown.probationCount > 0 ? `\n🔇 ${lockdown.probationCount} recent joiner(s) are on probation for ${formatDuration(settings.probationDuration)}.` : ''}
+
+Type \`raid off\` in DM to lift the lockdown early.`,
+        critical: !startedBy || !lockdown.locked
+    }, client);
+
+    return lockdown;
+}
+
+/**
+ * Lift a group's lockdown (early or because it ran out)
+ * Probation mutes keep running until they end
+ * Returns { success, reopened } or { success: false, error }
+ */
+export async function endLockdown(groupId, client, endedBy = null) {
+    const lockdown = getRaidLockdown(groupId);
+
+    if (!lockdown) {
+        return { success: false, error: 'This group is not locked down.' };
+    }
+
+    // Nothing to undo when the group was admins-only already or could not be locked
+    let reopened = true;
+    if (lockdown.locked && !lockdown.wasAdminsOnly) {
+        reopened = false;
+        try {
+            const chat = await client.getChatById(groupId);
+            reopened = await chat.setMessagesAdminsOnly(false);
+        } catch (error) {
+            logger.error(`Failed to reopen ${groupId} after a lockdown:`, error);
+        }
+    }
+
+    removeRaidLockdown(groupId);
+    logBotEvent('raid_lockdown_ended', { groupId, endedBy, reopened: Boolean(reopened) });
+    logger.info(`Raid lockdown lifted in ${groupId}${endedBy ? ` by ${endedBy}` : ''}`);
+
+    const groupName = getGroup(groupId)?.name || 'the group';
+
+    await sendAdminAlert(groupId, {
+        title: '🔓 Lockdown Lifted',
+        summary: reopened ? 'Members can post again' : 'Could not reopen the group',
+        text: `🔓 *Lockdown Lifted*
+
+*Group:* ${groupName}
+*Lifted by:* ${endedBy ? endedBy.split('@')[0] : 'timer'}
+
+${reopened ? (lockdown.wasAdminsOnly ? 'The group was admins-only before the lockdown and stays that way.' : 'Members can send messages again.') : '⚠️ I could not reopen the group (am I still an admin?). Please change the group settings manually.'}`,
+        critical: !reopened
+    }, client);
+
+    return { success: true, reopened: Boolean(reopened) };
+}
+
+/**
+ * Start a lockdown when joins and violations both passed their thresholds
+ */
+async function checkForRaid(chat, client) {
+    const groupId = chat.id._serialized;
+    const settings = getRaidSettings(groupId);
+
+    if (!settings.autoDetect || getActiveLockdown(groupId)) {
+        return false;
+    }
+
+    const now = Date.now();
+    const windowMs = settings.windowMinutes * 60 * 1000;
+    const joins = recentEntries(recentJoins, groupId, windowMs, now).length;
+    const violations = recentEntries(recentViolations, groupId, windowMs, now).length;
+
+    if (joins < settings.joinThreshold || violations < settings.violationThreshold) {
+        return false;
+    }
+
+    await startLockdown(chat, client, {
+        reason: `${joins} joins and ${violations} violations in ${formatDuration(windowMs)}`
+    });
+    return true;
+}
+
+/**
+ * Check whether a member joined a group within NEW_MEMBER_PERIOD
+ * (joins are only known while the bot is running)
+ */
+export function isNewMember(groupId, userId) {
+    const joinedAt = newMembers.get(groupId)?.get(userId);
+    return joinedAt !== undefined && Date.now() - joinedAt < NEW_MEMBER_PERIOD;
+}
+
+/**
+ * Remember when members joined, forgetting the ones who are no longer new
+ */
+function rememberNewMembers(groupId, memberIds, now) {
+    const joined = newMembers.get(groupId) || new Map();
+
+    for (const [userId, joinedAt] of joined) {
+        if (now - joinedAt >= NEW_MEMBER_PERIOD) joined.delete(userId);
+    }
+    memberIds.forEach(userId => joined.set(userId, now));
+
+    newMembers.set(groupId, joined);
+}
+
+/**
+ * Count members who just joined a group
+ * During a lockdown they go straight on probation
+ */
+export async function recordJoins(chat, memberIds, client) {
+    const groupId = chat.id._serialized;
+
+    if (memberIds.length === 0) {
+        return false;
+    }
+
+    rememberNewMembers(groupId, memberIds, Date.now());
+
+    if (getActiveLockdown(groupId)) {
+        await putOnProbation(groupId, memberIds, null, client);
+        return false;
+    }
+
+    const now = Date.now();
+    recentJoins.set(groupId, [...(recentJoins.get(groupId) || []), ...memberIds.map(userId => ({ userId, at: now }))]);
+
+    return checkForRaid(chat, client);
+}
+
+/**
+ * Count a handled violation (spam, rule break or raid message) in a group
+ */
+export async function recordViolation(chat, client) {
+    const groupId = chat.id._serialized;
+
+    recentViolations.set(groupId, [...(recentViolations.get(groupId) || []), { at: Date.now() }]);
+
+    return checkForRaid(chat, client);
+}
+
+/**
+ * Lift every lockdown that has run out
+ * Returns the number of lockdowns lifted
+ */
+export async function expireLockdowns(client) {
+    const now = Date.now();
+    let expired = 0;
+
+    for (const [groupId, lockdown] of Object.entries(getAllRaidLockdowns())) {
+        if (new Date(lockdown.until).getTime() > now) continue;
+
+        if ((await endLockdown(groupId, client)).success) {
+            expired++;
+        }
+    }
+
+    return expired;
+}
+
+/**
+ * Start lifting expired lockdowns in the background
+ * Lockdowns that ran out while the bot was offline are lifted on the first check
+ */
+export function startRaidMonitor(client) {
+    stopRaidMonitor();
+
+    const check = () => expireLockdowns(client).catch(error => logger.error('Error lifting lockdowns:', error));
+
+    check();
+    expiryTimer = setInterval(check, EXPIRY_CHECK_INTERVAL);
+    expiryTimer.unref();
+}
+
+/**
+ * Stop the expiry timer
+ */
+export function stopRaidMonitor() {
+    if (expiryTimer) {
+        clearInterval(expiryTimer);
+        expiryTimer = null;
+    }
+}
@@ -1,37 +1,42 @@
 /**
  * Rule Enforcer
  * Checks messages for rule violations and off-topic content
+ * Each violation is recorded as a (weighted) strike
  */
 
 import { logger } from '../utils/logger.js';
 import { getGroupConfig } from '../config/configManager.js';
+import { ViolationTypes } from '../config/settingLimits.js';
 import { getUserName } from '../utils/permissions.js';
+import { addWarning } from './warningSystem.js';
 
 /**
  * Check message for rule violations
+ * exempt holds the checks the author skips (see exemptions.js)
  */
-export async function checkRuleViolations(message, chat) {
+export async function checkRuleViolations(message, chat, client, exempt = new Set()) {
     const config = getGroupConfig(chat.id._serialized, chat.name);
     const messageBody = message.body.toLowerCase();
 
     // Check for banned words
-    if (config.moderation.bannedWords.enabled) {
+    if (config.moderation.bannedWords.enabled && !exempt.has(ViolationTypes.BANNED_WORD)) {
         const hasBannedWord = config.moderation.bannedWords.words.some(word =>
             messageBody.includes(word.toLowerCase())
         );
 
         if (hasBannedWord) {
-            await handleRuleViolation(message, chat, 'banned_word');
+            await handleRuleViolation(message, chat, ViolationTypes.BANNED_WORD, client);
             return { violation: true, reason: 'banned_word' };
         }
     }
 
     // Check for off-topic content
-    if (config.moderation.offTopicDetection.enabled && config.moderation.offTopicDetection.groupTopic) {
+    if (config.moderation.offTopicDetection.enabled && config.moderation.offTopicDetection.groupTopic &&
+        !exempt.has(ViolationTypes.OFF_TOPIC)) {
         const isOffTopic = checkOffTopic(messageBody, config.moderation.offTopicDetection);
 
         if (isOffTopic) {
-            await handleRuleViolation(message, chat, 'off_topic');
+            await handleRuleViolation(message, chat, ViolationTypes.OFF_TOPIC, client);
             return { violation: true, reason: 'off_topic' };
         }
     }
@@ -64,9 +69,9 @@ function checkOffTopic(messageBody, offTopicConfig) {
 }
 
 /**
- * Handle rule violation - send gentle warning
+ * Handle rule violation - send gentle warning and record a strike
  */
-async function handleRuleViolation(message, chat, reason) {
+async function handleRuleViolation(message, chat, reason, client) {
     try {
         // Get contact safely with fallback
         let contact;
@@ -105,21 +110,38 @@ Please help us keep discussions relevant. Thank you! 🙏`;
                 break;
         }
 
-        await chat.sendMessage(warningMessage, {
-            mentions: [contact]
-        });
+        // Groups with an escalation ladder post notices from the ladder instead
+        if (!(config.moderation.escalationLadder?.length > 0)) {
+            await chat.sendMessage(warningMessage, {
+                mentions: [contact]
+            });
 
-        logger.info(`Rule violation warning sent to ${userName} for: ${reason}`);
+            logger.info(`Rule violation warning sent to ${userName} for: ${reason}`);
+        }
 
         // If auto-delete is enabled, delete the message
+        let deleted = false;
         if (config.moderation.autoDeleteEnabled) {
             try {
                 await message.delete(true); // Delete for everyone
+                deleted = true;
                 logger.info(`Deleted message from ${userName} due to rule violation`);
             } catch (error) {
                 logger.warn('Could not delete message (bot may not be admin):', error.message);
             }
         }
+
+        // Record the strike
+        const reasonText = {
+            [ViolationTypes.BANNED_WORD]: 'Using banned words',
+            [ViolationTypes.OFF_TOPIC]: 'Off-topic message'
+        }[reason] || reason;
+
+        await addWarning(chat.id._serialized, message.author || message.from, reasonText, client, {
+            type: reason,
+            message,
+            messageDeleted: deleted
+        });
     } catch (error) {
         logger.error('Error handling rule violation:', error);
     }
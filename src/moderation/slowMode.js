@@ -0,0 +1,100 @@
+/**
+ * Slow Mode
+ * Limits members to one message per interval in a group (group config:
+ * moderation.slowModeSeconds, 0 = off). Messages sent too soon are deleted
+ * (the bot must be a group admin); instead of a strike, the member gets a
+ * single DM explaining the limit. Admins, and members trusted with the
+ * flood exemption, are exempt
+ */
+
+import NodeCache from 'node-cache';
+import crypto from 'crypto';
+import { logDeletedMessage } from '../storage/storage.js';
+import { getGroupConfig, updateGroupConfig } from '../config/configManager.js';
+import { logger } from '../utils/logger.js';
+import { safeGetContactById } from '../utils/contactUtils.js';
+import { isParticipantAdmin, isBotAdmin } from '../utils/permissions.js';
+import { formatDuration } from '../utils/duration.js';
+import { ViolationTypes, MAX_SLOW_MODE_SECONDS } from '../config/settingLimits.js';
+import { getMemberExemptions } from './exemptions.js';
+
+// Time of each member's last accepted message, per group and user
+const lastMessageCache = new NodeCache({ stdTTL: MAX_SLOW_MODE_SECONDS, checkperiod: 120 });
+
+// Members who were already told about the limit (told again at most once a day)
+const noticeCache = new NodeCache({ stdTTL: 24 * 60 * 60, checkperiod: 600 });
+
+/**
+ * Get a group's slow mode interval in seconds (0 = off)
+ */
+export function getSlowMode(groupId) {
+    return getGroupConfig(groupId).moderation.slowModeSeconds || 0;
+}
+
+/**
+ * Set a group's slow mode interval in seconds (0 turns it off)
+ */
+export function setSlowMode(groupId, seconds, changeInfo = {}) {
+    return updateGroupConfig(groupId, { moderation: { slowModeSeconds: seconds } }, changeInfo);
+}
+
+/**
+ * Delete a group message sent before the member's interval has passed
+ * Returns true when the message was removed
+ */
+export async function enforceSlowMode(message, chat, client) {
+    const groupId = chat.id._serialized;
+    const seconds = getSlowMode(groupId);
+
+    if (seconds <= 0) {
+        return false;
+    }
+
+    const userId = message.author || message.from;
+
+    // Slow mode limits message rate, so only a flood exemption lifts it
+    if (isParticipantAdmin(chat, userId) || getMemberExemptions(groupId, userId).includes(ViolationTypes.FLOOD)) {
+        return false;
+    }
+
+    const cacheKey = `${groupId}_${userId}`;
+    const now = Date.now();
+    const last = lastMessageCache.get(cacheKey);
+
+    // Outside the interval: accept the message and start a new interval
+    if (last === undefined || now - last >= seconds * 1000) {
+        lastMessageCache.set(cacheKey, now, seconds);
+        return false;
+    }
+
+    if (!(await isBotAdmin(chat, client))) {
+        logger.warn(`Cannot enforce slow mode for ${userId} - bot is not admin in ${chat.name}`);
+        return false;
+    }
+
+    try {
+        await message.delete(true); // Delete for everyone
+        const messageHash = crypto.createHash('md5').update(message.body || '').digest('hex');
+        logDeletedMessage(groupId, userId, 'slow_mode', messageHash);
+    } catch (error) {
+        logger.error(`Failed to delete slow mode message from ${userId}:`, error);
+        return false;
+    }
+
+    if (!noticeCache.has(cacheKey)) {
+        noticeCache.set(cacheKey, true);
+
+        try {
+            const contact = await safeGetContactById(client, userId);
+            await contact.sendMessage(`🐢 *Slow mode is on in ${chat.name}*
+
+Members can send one message every *${formatDuration(seconds * 1000)}*. Messages sent sooner are removed automatically. This doesn't count as a warning.
+
+Please wait a moment between messages. Thank you! 🙏`);
+        } catch (error) {
+            logger.error(`Failed to send slow mode notice to ${userId}:`, error);
+        }
+    }
+
+    return true;
+}
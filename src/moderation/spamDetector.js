@@ -1,35 +1,54 @@
 /**
  * Spam Detector
- * Detects and handles spam, links, and flood messages
+ * Detects and handles spam, links, invite links, and flood messages
  */
 
 import NodeCache from 'node-cache';
 import { logger } from '../utils/logger.js';
-import { getGroup, logDeletedMessage } from '../storage/storage.js';
-import { getUserName } from '../utils/permissions.js';
+import { logDeletedMessage } from '../storage/storage.js';
+import { getGroupConfig } from '../config/configManager.js';
+import { ViolationTypes } from '../config/settingLimits.js';
+import { getUserName, isBotAdmin } from '../utils/permissions.js';
 import { addWarning, sendGroupNotice } from './warningSystem.js';
+import { extractUrls, findMatchingDomain, parseInviteLink } from '../utils/urlParser.js';
 import crypto from 'crypto';
 
-// Cache for tracking user message history
+// Cache for tracking user message history, per group and user
 // TTL of 60 seconds - messages older than this are automatically removed
 const messageCache = new NodeCache({ stdTTL: 60, checkperiod: 10 });
 
-// Cache for tracking repeated messages
+// Cache for tracking repeated messages, per group and user
 const repeatedMessageCache = new NodeCache({ stdTTL: 300, checkperiod: 30 });
 
+/**
+ * Get the flood settings in effect for a group (defaults filled in)
+ */
+export function getFloodSettings(groupId) {
+    const spam = getGroupConfig(groupId).moderation.spamDetection;
+
+    return {
+        maxMessagesPerMinute: spam.maxMessagesPerMinute || 20,
+        burstThreshold: spam.burstThreshold || 15,
+        burstWindowSeconds: spam.burstWindowSeconds || 5,
+        maxRepeatedMessages: spam.maxRepeatedMessages || 5
+    };
+}
+
 /**
  * Check if message contains spam
+ * exempt holds the checks the author skips (see exemptions.js)
  */
-export async function checkForSpam(message, chat, client) {
+export async function checkForSpam(message, chat, client, exempt = new Set()) {
     const groupId = chat.id._serialized;
-    const group = getGroup(groupId);
+    const config = getGroupConfig(groupId, chat.name);
 
-    if (!group || !group.config.moderation.spamDetection.enabled) {
+    if (!config.moderation.spamDetection.enabled) {
         return { isSpam: false };
     }
 
     const userId = message.author || message.from;
     const messageBody = message.body;
+    const flood = getFloodSettings(groupId);
     
     // Check message type - be more lenient with media
     const isMedia = message.hasMedia || message.type === 'image' || message.type === 'video' || 
@@ -38,19 +57,25 @@ export async function checkForSpam(message, chat, client) {
     // Forwarded messages are usually legitimate, don't check for flooding
     const isForwarded = message.isForwarded || message._data?.isForwarded;
 
-    // Check for links
-    if (group.config.moderation.spamDetection.linkBlockingEnabled) {
-        const hasLink = containsLink(messageBody);
+    const { allowedDomains = [], blockedDomains = [] } = config.moderation.spamDetection;
+    const links = extractUrls(messageBody, { domains: [...allowedDomains, ...blockedDomains] });
 
-        if (hasLink && !isWhitelistedDomain(messageBody, group.config.moderation.spamDetection.allowedDomains)) {
-            await handleSpamDetection(message, chat, 'link', client);
-            return { isSpam: true, reason: 'link' };
-        }
+    // Check for invites to other groups (independent of link blocking)
+    if (!exempt.has(ViolationTypes.INVITE) && hasForbiddenInvite(links, config.moderation.spamDetection)) {
+        await handleSpamDetection(message, chat, 'invite', client);
+        return { isSpam: true, reason: 'invite' };
+    }
+
+    // Check for links (invites the group allows are not checked again)
+    const otherLinks = links.filter(({ url }) => !isAllowedInvite(url, config.moderation.spamDetection));
+    if (!exempt.has(ViolationTypes.LINK) && hasForbiddenLink(otherLinks, config.moderation.spamDetection)) {
+        await handleSpamDetection(message, chat, 'link', client);
+        return { isSpam: true, reason: 'link' };
     }
 
     // Check for message flooding (skip for media and forwarded messages)
-    if (!isMedia && !isForwarded) {
-        const isFlooding = checkMessageFlood(userId, group.config.moderation.spamDetection.maxMessagesPerMinute);
+    if (!isMedia && !isForwarded && !exempt.has(ViolationTypes.FLOOD)) {
+        const isFlooding = checkMessageFlood(groupId, userId, flood);
         if (isFlooding) {
             await handleSpamDetection(message, chat, 'flood', client);
             return { isSpam: true, reason: 'flood' };
@@ -58,8 +83,8 @@ export async function checkForSpam(message, chat, client) {
     }
 
     // Check for repeated messages (only for text messages)
-    if (!isMedia && messageBody && messageBody.trim().length > 0) {
-        const isRepeated = checkRepeatedMessage(userId, messageBody, group.config.moderation.spamDetection.maxRepeatedMessages);
+    if (!isMedia && messageBody && messageBody.trim().length > 0 && !exempt.has(ViolationTypes.REPEATED)) {
+        const isRepeated = checkRepeatedMessage(groupId, userId, messageBody, flood.maxRepeatedMessages);
         if (isRepeated) {
             await handleSpamDetection(message, chat, 'repeated', client);
             return { isSpam: true, reason: 'repeated' };
@@ -70,29 +95,38 @@ export async function checkForSpam(message, chat, client) {
 }
 
 /**
- * Check if message contains a link
+ * Check if a link is an invite the group has allowed
  */
-function containsLink(text) {
-    const urlPattern = /(https?:\/\/[^\s]+)|(www\.[^\s]+)|([a-zA-Z0-9-]+\.(com|net|org|io|co|app|dev|xyz|me|info|biz)[^\s]*)/gi;
-    return urlPattern.test(text);
+function isAllowedInvite(url, { allowedInvites = [] }) {
+    const invite = parseInviteLink(url);
+    return invite !== null && allowedInvites.includes(invite.link);
 }
 
 /**
- * Check if link is from a whitelisted domain
+ * Check if any of a message's links is an invite that isn't allowed
  */
-function isWhitelistedDomain(text, allowedDomains) {
-    if (allowedDomains.length === 0) {
-        return false;
-    }
+function hasForbiddenInvite(links, spamDetection) {
+    return spamDetection.inviteBlockingEnabled !== false &&
+        links.some(({ url }) => parseInviteLink(url) !== null && !isAllowedInvite(url, spamDetection));
+}
 
-    return allowedDomains.some(domain => text.toLowerCase().includes(domain.toLowerCase()));
+/**
+ * Check if any of a message's links isn't allowed
+ * Blocked domains are always refused; with link blocking on, every link
+ * must point to an allowed domain (each link's host is checked on its own)
+ */
+function hasForbiddenLink(links, { linkBlockingEnabled, allowedDomains = [], blockedDomains = [] }) {
+    return links.some(({ host }) =>
+        findMatchingDomain(host, blockedDomains) !== null ||
+        (linkBlockingEnabled && findMatchingDomain(host, allowedDomains) === null));
 }
 
 /**
  * Check for message flooding (improved with burst tolerance)
+ * Counted per group, so activity in other groups doesn't add up
  */
-function checkMessageFlood(userId, maxMessages) {
-    const cacheKey = `flood_${userId}`;
+function checkMessageFlood(groupId, userId, { maxMessagesPerMinute, burstThreshold, burstWindowSeconds }) {
+    const cacheKey = `flood_${groupId}_${userId}`;
     const messageHistory = messageCache.get(cacheKey) || [];
     
     const now = Date.now();
@@ -105,24 +139,21 @@ function checkMessageFlood(userId, maxMessages) {
     
     messageCache.set(cacheKey, recentMessages);
     
-    // Allow bursts: if someone sends 10 messages in 5 seconds, that's okay (sharing photos)
-    // But if they send 20+ messages in 60 seconds, that's flooding
-    const burstThreshold = 15; // Allow up to 15 messages in short burst
-    const extendedThreshold = maxMessages || 20; // But cap at 20 in full minute
-    
-    const last5Seconds = recentMessages.filter(timestamp => now - timestamp < 5000);
+    // Allow short bursts below the burst threshold (sharing photos),
+    // but a minute over the limit with a burst at the end is flooding
+    const burst = recentMessages.filter(timestamp => now - timestamp < burstWindowSeconds * 1000);
     
     // Only flag as spam if:
-    // 1. More than extendedThreshold messages in 60 seconds AND
-    // 2. More than burstThreshold in last 5 seconds (continuous spam)
-    return recentMessages.length >= extendedThreshold && last5Seconds.length >= burstThreshold;
+    // 1. At least maxMessagesPerMinute messages in 60 seconds AND
+    // 2. At least burstThreshold of them in the burst window (continuous spam)
+    return recentMessages.length >= maxMessagesPerMinute && burst.length >= burstThreshold;
 }
 
 /**
  * Check for repeated messages (improved to allow some repetition)
  */
-function checkRepeatedMessage(userId, messageBody, maxRepeated) {
-    const cacheKey = `repeated_${userId}`;
+function checkRepeatedMessage(groupId, userId, messageBody, maxRepeated) {
+    const cacheKey = `repeated_${groupId}_${userId}`;
     const messageHistory = repeatedMessageCache.get(cacheKey) || [];
 
     // Ignore very short messages (like "ok", "yes", emojis) - these are naturally repeated
@@ -182,11 +213,7 @@ async function handleSpamDetection(message, chat, reason, client) {
         // Try to delete the message if bot is admin
         let deleted = false;
         try {
-            const group = getGroup(groupId);
-            const botNumber = client.info.wid._serialized;
-            const botParticipant = chat.participants.find(p => p.id._serialized === botNumber);
-
-            if (botParticipant && (botParticipant.isAdmin || botParticipant.isSuperAdmin)) {
+            if (await isBotAdmin(chat, client)) {
                 await message.delete(true); // Delete for everyone
                 deleted = true;
 
@@ -203,11 +230,12 @@ async function handleSpamDetection(message, chat, reason, client) {
         // Add warning to user
         const reasonText = {
             'link': 'Posting unauthorized links',
+            'invite': 'Posting invite links to other groups',
             'flood': 'Message flooding',
             'repeated': 'Repeated messages'
         }[reason] || reason;
 
-        await addWarning(groupId, userId, reasonText, client);
+        await addWarning(groupId, userId, reasonText, client, { type: reason, message, messageDeleted: deleted });
 
         // Send optional group notice (if enabled)
         await sendGroupNotice(chat, userId, reasonText);
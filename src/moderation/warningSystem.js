@@ -1,26 +1,67 @@
 /**
  * Warning System
  * Manages per-user, per-group warning tracking with 3-strike system
+ * Strike counts only include active strikes (see the group's warning decay setting)
+ * and are weighted per kind of violation (group config: moderation.strikeWeights)
+ * Groups with an escalation ladder run the ladder's actions for each strike instead
  */
 
+import crypto from 'crypto';
 import {
     getWarnings,
+    getGroupWarnings,
     addWarning as storageAddWarning,
     clearWarnings as storageClearWarnings,
+    revokeWarnings,
+    setWarningRemoval,
     logWarning,
-    getGroup
+    logEscalationAction,
+    logDeletedMessage,
+    getGroup,
+    WarningDecayModes
 } from '../storage/storage.js';
+import { getGroupConfig } from '../config/configManager.js';
+import { ViolationTypes, EscalationActions, parseEscalationAction } from '../config/settingLimits.js';
+import { getEscalationStep } from './escalation.js';
+import { muteMember } from './muteManager.js';
+import { addFederatedBan } from './federation.js';
+import { recordBan } from './banManager.js';
+import { sendAdminAlert } from './adminNotifier.js';
+import { formatDuration } from '../utils/duration.js';
 import { logger } from '../utils/logger.js';
 import { safeGetContactById } from '../utils/contactUtils.js';
+import { isBotAdmin, getUserName } from '../utils/permissions.js';
+
+/**
+ * Get the strikes a kind of violation adds in a group
+ */
+export function getStrikeWeight(groupId, type) {
+    const weight = getGroupConfig(groupId).moderation.strikeWeights?.[type];
+    return typeof weight === 'number' ? weight : 1;
+}
+
+/**
+ * Format a weighted strike count (2, 2.5, 0.25)
+ */
+export function formatStrikes(count) {
+    return String(Math.round(count * 100) / 100);
+}
 
 /**
  * Add a warning to a user
+ * context: { type } - the kind of violation (defaults to a manual warning)
+ *          { message, messageDeleted } - the offending message, used by ladder actions
+ *          { issuedBy } - the admin giving a manual warning
+ * A warning whose weight is 0 is recorded without escalating
  * Returns warning details including whether action threshold is reached
  */
-export async function addWarning(groupId, userId, reason, client) {
+export async function addWarning(groupId, userId, reason, client, context = {}) {
     try {
+        const type = context.type || ViolationTypes.MANUAL;
+        const weight = getStrikeWeight(groupId, type);
+
         // Add warning to storage
-        const result = storageAddWarning(groupId, userId, reason);
+        const result = storageAddWarning(groupId, userId, reason, context.issuedBy || null, { type, weight });
 
         if (!result.success) {
             logger.error('Failed to save warning to storage');
@@ -31,32 +72,49 @@ export async function addWarning(groupId, userId, reason, client) {
         logWarning(groupId, userId, reason, result.count);
 
         // Get group config for threshold
-        const group = getGroup(groupId);
-        const threshold = group?.config?.moderation?.maxWarningsBeforeAction || 3;
+        const config = getGroupConfig(groupId);
+        const threshold = config.moderation.maxWarningsBeforeAction || 3;
 
         // Check if threshold reached
         const thresholdReached = result.count >= threshold;
 
-        // Send DM warning to user
-        await sendWarningDM(userId, reason, result.count, threshold, groupId, client);
+        // A configured ladder decides what happens at each strike
+        const ladder = config.moderation.escalationLadder || [];
+        const step = getEscalationStep(ladder, result.count);
 
-        // Notify admins if threshold reached
-        if (thresholdReached) {
-            await notifyAdminsThresholdReached(groupId, userId, result.count, client);
+        if (ladder.length > 0 && step && weight > 0) {
+            await runEscalationStep(step, groupId, userId, reason, result.count, threshold, { ...context, weight }, client);
+        } else if (ladder.length > 0) {
+            // Below the first step (e.g. half-strikes) the member is still told, as without a ladder
+            await sendWarningDM(userId, reason, result.count, threshold, groupId, client, weight);
 
-            // Check for Auto-Removal
-            if (group?.config?.moderation?.autoRemoveThresholdReached) {
-                await attemptAutoRemove(groupId, userId, client);
+            if (config.moderation.groupNoticesEnabled) {
+                await postGroupNotice(await client.getChatById(groupId), userId, reason);
+            }
+        } else {
+            // Send DM warning to user
+            await sendWarningDM(userId, reason, result.count, threshold, groupId, client, weight);
+
+            // Notify admins if threshold reached
+            if (thresholdReached && weight > 0) {
+                await notifyAdminsThresholdReached(groupId, userId, result.count, client);
+
+                // Check for Auto-Removal
+                if (config.moderation.autoRemoveThresholdReached) {
+                    await attemptAutoRemove(groupId, userId, client);
+                }
             }
         }
 
-        logger.info(`Warning added to user ${userId} in group ${groupId}. Count: ${result.count}/${threshold}`);
+        logger.info(`Warning added to user ${userId} in group ${groupId} (${type}, weight ${weight}). Count: ${formatStrikes(result.count)}/${threshold}`);
 
         return {
             success: true,
+            weight,
             count: result.count,
             threshold,
             thresholdReached,
+            escalation: step,
             history: result.history
         };
     } catch (error) {
@@ -65,6 +123,69 @@ export async function addWarning(groupId, userId, reason, client) {
     }
 }
 
+/**
+ * Run the actions of a ladder step, logging each one
+ */
+async function runEscalationStep(step, groupId, userId, reason, strikeCount, threshold, context, client) {
+    for (const action of step.actions) {
+        const parsed = parseEscalationAction(action);
+        let success = false;
+
+        switch (parsed?.type) {
+            case EscalationActions.DM:
+                success = await sendWarningDM(userId, reason, strikeCount, threshold, groupId, client, context.weight);
+                break;
+            case EscalationActions.NOTICE:
+                success = await postGroupNotice(await client.getChatById(groupId), userId, reason);
+                break;
+            case EscalationActions.DELETE:
+                success = await deleteOffendingMessage(groupId, userId, reason, context, client);
+                break;
+            case EscalationActions.MUTE:
+                success = Boolean(await muteMember(groupId, userId, parsed.durationMs, { reason }, client));
+                break;
+            case EscalationActions.REMOVE:
+                success = await attemptAutoRemove(groupId, userId, client);
+                break;
+            case EscalationActions.NOTIFY_ADMINS:
+                success = await notifyAdminsThresholdReached(groupId, userId, strikeCount, client, `🚨 *Strike ${formatStrikes(strikeCount)} Reached*`);
+                break;
+            default:
+                logger.warn(`Unknown escalation action "${action}" in group ${groupId}`);
+        }
+
+        logEscalationAction(groupId, userId, strikeCount, action, success);
+    }
+}
+
+/**
+ * Delete the message that caused a strike (unless it is already gone)
+ */
+async function deleteOffendingMessage(groupId, userId, reason, { message, messageDeleted } = {}, client) {
+    if (messageDeleted) {
+        return true;
+    }
+
+    if (!message) {
+        return false;
+    }
+
+    try {
+        if (!(await isBotAdmin(await message.getChat(), client))) {
+            logger.warn(`Cannot delete message from ${userId} - bot is not admin in ${groupId}`);
+            return false;
+        }
+
+        await message.delete(true); // Delete for everyone
+        const messageHash = crypto.createHash('md5').update(message.body || '').digest('hex');
+        logDeletedMessage(groupId, userId, reason, messageHash);
+        return true;
+    } catch (error) {
+        logger.warn(`Could not delete message: ${error.message}`);
+        return false;
+    }
+}
+
 /**
  * Get warning count for a user in a group
  */
@@ -85,32 +206,115 @@ export function clearUserWarnings(groupId, userId) {
     return success;
 }
 
+/**
+ * Revoke a user's most recent strike (kept in the history as revoked)
+ * Returns false when the user has no active strikes
+ */
+export function revokeLastWarning(groupId, userId, revokedBy) {
+    const removed = revokeWarnings(groupId, userId, { revokedBy });
+
+    if (removed > 0) {
+        logger.info(`Revoked last warning of ${userId} in group ${groupId}`);
+    }
+
+    return removed > 0;
+}
+
+/**
+ * Pardon a user: revoke every active strike (kept in the history as revoked)
+ * Returns the number of strikes removed
+ */
+export function pardonUser(groupId, userId, revokedBy) {
+    const removed = revokeWarnings(groupId, userId, { revokedBy, all: true });
+
+    if (removed > 0) {
+        logger.info(`Pardoned ${userId} in group ${groupId} (${formatStrikes(removed)} strike(s) removed)`);
+    }
+
+    return removed;
+}
+
+/**
+ * Format a user's warning history with reasons, times and issuers
+ */
+export async function formatWarningHistory(groupId, userId, client, limit = 10) {
+    const warnings = getWarnings(groupId, userId);
+    const threshold = getGroupConfig(groupId).moderation.maxWarningsBeforeAction || 3;
+
+    if (warnings.history.length === 0) {
+        return '✅ No warnings on record.';
+    }
+
+    // Resolve each issuer once (purged admins are stored as a placeholder, not a WhatsApp ID)
+    const issuers = new Map();
+    for (const entry of warnings.history) {
+        if (entry.issuedBy && !issuers.has(entry.issuedBy)) {
+            issuers.set(entry.issuedBy, entry.issuedBy.includes('@')
+                ? getUserName(await safeGetContactById(client, entry.issuedBy))
+                : entry.issuedBy);
+        }
+    }
+
+    const shown = warnings.history.slice(-limit);
+    const offset = warnings.history.length - shown.length;
+
+    const lines = shown.map((entry, i) => {
+        const issuer = entry.issuedBy ? issuers.get(entry.issuedBy) : 'Auto-moderation';
+        const weight = (entry.weight ?? 1) !== 1 ? ` (${formatStrikes(entry.weight)} strike(s))` : '';
+        const line = `${offset + i + 1}. ${entry.reason}${weight}\n    _${new Date(entry.timestamp).toLocaleString()} · ${issuer}_`;
+        return entry.revokedAt ? `${line} · ❎ revoked` : line;
+    });
+
+    return `*Active Strikes:* ${formatStrikes(warnings.count)}/${threshold}${warnings.totalCount !== warnings.count ? ` (${warnings.totalCount} warnings in total)` : ''}
+
+${lines.join('\n')}${offset > 0 ? `\n\n_Showing the last ${limit} of ${warnings.history.length}._` : ''}`;
+}
+
 /**
  * Check if user should receive action (reached threshold)
  */
 export function shouldTakeAction(groupId, userId) {
     const warnings = getWarnings(groupId, userId);
-    const group = getGroup(groupId);
-    const threshold = group?.config?.moderation?.maxWarningsBeforeAction || 3;
+    const threshold = getGroupConfig(groupId).moderation.maxWarningsBeforeAction || 3;
 
     return warnings.count >= threshold;
 }
 
+/**
+ * Describe a warning decay setting in plain words
+ */
+export function describeWarningDecay(decay) {
+    switch (decay?.mode) {
+        case WarningDecayModes.EXPIRE:
+            return `Strikes expire after ${decay.days} day(s)`;
+        case WarningDecayModes.DECAY:
+            return `One strike is removed for every ${decay.days} day(s) without a new warning`;
+        default:
+            return 'Strikes never expire';
+    }
+}
+
 /**
  * Send warning DM to user
+ * weight is the strikes this warning added (mentioned when it is not one)
  */
-async function sendWarningDM(userId, reason, strikeCount, threshold, groupId, client) {
+async function sendWarningDM(userId, reason, strikeCount, threshold, groupId, client, weight = 1) {
     try {
         const contact = await safeGetContactById(client, userId);
         const group = getGroup(groupId);
         const groupName = group?.name || 'the group';
 
         // Get group rules
-        const rules = group?.config?.rules || [];
+        const rules = getGroupConfig(groupId).rules || [];
         const rulesText = rules.length > 0
             ? '\n\n📋 *Group Rules:*\n' + rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n')
             : '';
 
+        const decay = getGroupConfig(groupId).moderation.warningDecay;
+        const decayText = decay && decay.mode !== WarningDecayModes.OFF
+            ? `\n_${describeWarningDecay(decay)}._`
+            : '';
+
         const warningMessage = `⚠️ *Warning from ${groupName}*
 
 Hi ${contact.pushname || contact.name || 'there'},
@@ -118,14 +322,16 @@ Hi ${contact.pushname || contact.name || 'there'},
 You've received a warning from the group moderators.
 
 *Reason:* ${reason}
-*Strike Count:* ${strikeCount}/${threshold}
+*Strike Count:* ${formatStrikes(strikeCount)}/${threshold}${weight !== 1 ? `\n_This warning counts as ${formatStrikes(weight)} strike(s)._` : ''}
 
 ${strikeCount >= threshold
                 ? '🚨 *You have reached the warning threshold.* Group admins have been notified and may take action.'
-                : `You have ${threshold - strikeCount} warning(s) remaining before action is taken.`
-            }${rulesText}
+                : `You have ${formatStrikes(threshold - strikeCount)} strike(s) remaining before action is taken.`
+            }${decayText}${rulesText}
+
+Please help us maintain a positive environment for everyone. Thank you! 🙏
 
-Please help us maintain a positive environment for everyone. Thank you! 🙏`;
+_Think this was a mistake? Reply \`appeal <your message>\` and the admins will review it._`;
 
         await contact.sendMessage(warningMessage);
         logger.info(`Warning DM sent to ${contact.pushname || userId}`);
@@ -139,16 +345,24 @@ Please help us maintain a positive environment for everyone. Thank you! 🙏`;
 
 /**
  * Send short group notice about violation (optional, configurable)
+ * Groups with an escalation ladder post notices from the ladder instead
  */
 export async function sendGroupNotice(chat, userId, reason) {
-    try {
-        const group = getGroup(chat.id._serialized);
+    const config = getGroupConfig(chat.id._serialized);
 
-        // Check if group notices are enabled
-        if (!group?.config?.moderation?.groupNoticesEnabled) {
-            return false;
-        }
+    // Check if group notices are enabled
+    if (!config.moderation.groupNoticesEnabled || config.moderation.escalationLadder?.length > 0) {
+        return false;
+    }
+
+    return postGroupNotice(chat, userId, reason);
+}
 
+/**
+ * Post a short notice mentioning the member
+ */
+async function postGroupNotice(chat, userId, reason) {
+    try {
         const contact = await safeGetContactById(chat.client, userId);
 
         const noticeMessage = `⚠️ @${contact.number} - ${reason}`;
@@ -164,9 +378,6 @@ export async function sendGroupNotice(chat, userId, reason) {
     }
 }
 
-/**
- * Notify admins when user reaches warning threshold
- */
 /**
  * Attempt to remove a user from a group
  */
@@ -176,32 +387,40 @@ async function attemptAutoRemove(groupId, userId, client) {
         const contact = await safeGetContactById(client, userId);
 
         // Check if bot is admin
-        const botNumber = client.info.wid._serialized;
-        const botParticipant = chat.participants.find(p => p.id._serialized === botNumber);
-
-        if (!botParticipant || (!botParticipant.isAdmin && !botParticipant.isSuperAdmin)) {
+        if (!(await isBotAdmin(chat, client))) {
             logger.warn(`Cannot auto-remove ${userId} - bot is not admin in ${chat.name}`);
             return false;
         }
 
         logger.info(`Auto-removing user ${userId} from ${chat.name} (Threshold Reached)`);
         await chat.removeParticipants([userId]);
+        setWarningRemoval(groupId, userId, new Date().toISOString());
+
+        // Keep them out for a while so they can't rejoin right away
+        // (recordBan also shares the ban with federated groups)
+        const banDuration = getGroupConfig(groupId).moderation.autoRemoveBanDuration;
+        if (banDuration > 0) {
+            recordBan(groupId, userId, banDuration, { reason: 'Reached the warning limit' });
+        } else {
+            addFederatedBan(groupId, userId, { reason: 'Reached the warning limit' });
+        }
+
+        // Let the member know how to contest the removal
+        try {
+            await contact.sendMessage(`🚫 *You have been removed from ${chat.name}*
+
+You reached the group's warning limit.${banDuration > 0 ? ` You can rejoin in ${formatDuration(banDuration)}.` : ''} If you think this was a mistake, reply \`appeal <your message>\` and the admins will review it.`);
+        } catch (e) { /* the member may not accept messages */ }
 
         // Notify admins about the removal
-        const adminMessage = `🛡️ *Auto-Removal Execution*
-        
-*User:* ${contact.pushname || contact.number}
-*Status:* Successfully removed from *${chat.name}* after reaching the strike limit.`;
+        await sendAdminAlert(groupId, {
+            title: '🛡️ Auto-Removal',
+            summary: `${contact.pushname || contact.number} removed at the strike limit`,
+            text: `🛡️ *Auto-Removal Execution*
 
-        const group = getGroup(groupId);
-        if (group && group.admins) {
-            for (const adminId of group.admins) {
-                try {
-                    const adminContact = await safeGetContactById(client, adminId);
-                    await adminContact.sendMessage(adminMessage);
-                } catch (e) { /* ignore individual failures */ }
-            }
-        }
+*User:* ${contact.pushname || contact.number}
+*Status:* Successfully removed from *${chat.name}* after reaching the strike limit.`
+        }, client);
 
         return true;
     } catch (error) {
@@ -210,7 +429,10 @@ async function attemptAutoRemove(groupId, userId, client) {
     }
 }
 
-async function notifyAdminsThresholdReached(groupId, userId, strikeCount, client) {
+/**
+ * Notify admins when user reaches warning threshold (or a ladder step asks for it)
+ */
+async function notifyAdminsThresholdReached(groupId, userId, strikeCount, client, title = '🚨 *Warning Threshold Reached*') {
     try {
         const group = getGroup(groupId);
 
@@ -224,15 +446,16 @@ async function notifyAdminsThresholdReached(groupId, userId, strikeCount, client
 
         // Create violation history
         const historyText = warnings.history
+            .filter(w => !w.revokedAt)
             .slice(-5) // Last 5 warnings
             .map((w, i) => `${i + 1}. ${w.reason} (${new Date(w.timestamp).toLocaleString()})`)
             .join('\n');
 
-        const adminMessage = `🚨 *Warning Threshold Reached*
+        const adminMessage = `${title}
 
 *Group:* ${group.name}
 *User:* ${contact.pushname || contact.name || contact.number}
-*Total Warnings:* ${strikeCount}
+*Active Strikes:* ${formatStrikes(strikeCount)}${warnings.totalCount !== strikeCount ? ` (${warnings.totalCount} warnings in total)` : ''}
 
 *Recent Violations:*
 ${historyText}
@@ -244,17 +467,14 @@ ${historyText}
 
 You can manage this user directly in WhatsApp group settings.`;
 
-        // Send to all admins
-        for (const adminId of group.admins) {
-            try {
-                const adminContact = await safeGetContactById(client, adminId);
-                await adminContact.sendMessage(adminMessage);
-                logger.info(`Threshold alert sent to admin ${adminContact.pushname || adminId}`);
-            } catch (error) {
-                logger.error(`Failed to notify admin ${adminId}:`, error);
-            }
-        }
+        // Send to all admins (or queue for their digest)
+        await sendAdminAlert(groupId, {
+            title,
+            summary: `${contact.pushname || contact.name || contact.number} has ${formatStrikes(strikeCount)} active strike(s)`,
+            text: adminMessage
+        }, client);
 
+        logger.info(`Threshold alert sent for ${userId} in ${group.name}`);
         return true;
     } catch (error) {
         logger.error('Error notifying admins:', error);
@@ -264,23 +484,29 @@ You can manage this user directly in WhatsApp group settings.`;
 
 /**
  * Get warning statistics for a group
+ * totalWarnings counts active strikes, issuedWarnings every warning ever given
  */
 export function getGroupWarningStats(groupId) {
-    const warnings = getWarnings(groupId);
+    const warnings = getGroupWarnings(groupId);
 
     const stats = {
         totalUsers: 0,
         totalWarnings: 0,
+        issuedWarnings: 0,
         usersAtThreshold: 0,
         recentWarnings: []
     };
 
-    const group = getGroup(groupId);
-    const threshold = group?.config?.moderation?.maxWarningsBeforeAction || 3;
+    const threshold = getGroupConfig(groupId).moderation.maxWarningsBeforeAction || 3;
+
+    for (const userId of Object.keys(warnings)) {
+        const userWarnings = getWarnings(groupId, userId);
+        stats.issuedWarnings += userWarnings.totalCount;
 
-    for (const [userId, userWarnings] of Object.entries(warnings)) {
-        stats.totalUsers++;
-        stats.totalWarnings += userWarnings.count;
+        if (userWarnings.count > 0) {
+            stats.totalUsers++;
+            stats.totalWarnings += userWarnings.count;
+        }
 
         if (userWarnings.count >= threshold) {
             stats.usersAtThreshold++;
@@ -288,7 +514,7 @@ export function getGroupWarningStats(groupId) {
 
         // Add recent warnings
         if (userWarnings.history && Array.isArray(userWarnings.history)) {
-            stats.recentWarnings.push(...userWarnings.history.map(h => ({
+            stats.recentWarnings.push(...userWarnings.history.filter(h => !h.revokedAt).map(h => ({
                 userId,
                 ...h
             })));
@@ -302,6 +528,7 @@ export function getGroupWarningStats(groupId) {
 
     // Keep only last 10
     stats.recentWarnings = stats.recentWarnings.slice(0, 10);
+    stats.totalWarnings = Math.round(stats.totalWarnings * 100) / 100;
 
     return stats;
 }
@@ -0,0 +1,123 @@
+/**
+ * Data Purge
+ * Removes or pseudonymizes everything stored about a member across all
+ * collections and log files (right-to-be-forgotten requests)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { purgeUserRecords, purgeUserLogs, flushStorage } from './storage.js';
+import { getStorageSettings } from '../config/storageSettings.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Purge modes
+ */
+export const PurgeModes = {
+    DELETE: 'delete',
+    PSEUDONYMIZE: 'pseudonymize'
+};
+
+// Shorter inputs are rejected so small numbers in stored data are never mistaken for a member
+const MIN_NUMBER_LENGTH = 6;
+
+// Readable names for the collections in a report
+const COLLECTION_LABELS = {
+    groups: 'Group records',
+    warnings: 'Warnings',
+    admin_sessions: 'Admin sessions',
+    onboarding_sessions: 'Onboarding sessions',
+    config_history: 'Config history',
+    mutes: 'Mutes',
+    appeals: 'Appeals',
+    federation_bans: 'Shared ban list',
+    bans: 'Bans',
+    notification_settings: 'Notification settings',
+    notification_queue: 'Queued admin notifications',
+    raid_lockdowns: 'Raid lockdowns'
+};
+
+/**
+ * Turn a phone number or WhatsApp ID into bare digits
+ * Returns null when it doesn't look like a phone number
+ */
+export function normalizePhoneNumber(input) {
+    const number = String(input || '').split('@')[0].replace(/\D/g, '');
+    return number.length >= MIN_NUMBER_LENGTH ? number : null;
+}
+
+/**
+ * Count the migration backups, which are taken before schema upgrades and left untouched
+ */
+function countMigrationBackups() {
+    const backupsDir = path.join(getStorageSettings().dataDir, 'backups');
+    return fs.existsSync(backupsDir) ? fs.readdirSync(backupsDir).length : 0;
+}
+
+/**
+ * Purge (or with dryRun, only count) a member's data
+ * options: { groupIds (null = every group), mode, dryRun }
+ */
+export async function purgeUserData(number, { groupIds = null, mode = PurgeModes.DELETE, dryRun = false } = {}) {
+    const pseudonym = mode === PurgeModes.PSEUDONYMIZE
+        ? `anon-${crypto.randomBytes(4).toString('hex')}`
+        : null;
+    const options = { groupIds, replacement: pseudonym, dryRun };
+
+    const report = {
+        number,
+        mode,
+        dryRun,
+        pseudonym,
+        groupCount: groupIds ? groupIds.length : null,
+        collections: purgeUserRecords(number, options),
+        logs: purgeUserLogs(number, options),
+        migrationBackups: countMigrationBackups()
+    };
+
+    // Write the result now so the old values don't stay in the journal
+    if (!dryRun) {
+        await flushStorage();
+
+        if (report.migrationBackups > 0) {
+            logger.warn(`Purged a member's data; ${report.migrationBackups} migration backup(s) in data/backups/ still hold the old data and must be deleted by hand if required`);
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Format a purge report for a WhatsApp message
+ */
+export function formatPurgeReport(report) {
+    const verb = report.mode === PurgeModes.PSEUDONYMIZE ? 'pseudonymized' : 'removed';
+    const lines = [];
+
+    for (const [collection, counts] of Object.entries(report.collections)) {
+        if (counts.removed === 0 && counts.updated === 0) continue;
+
+        const parts = [];
+        if (counts.removed > 0) parts.push(`${counts.removed} record(s) deleted`);
+        if (counts.updated > 0) parts.push(`${counts.references} reference(s) ${verb} in ${counts.updated} record(s)`);
+        lines.push(`• ${COLLECTION_LABELS[collection] || collection}: ${parts.join(', ')}`);
+    }
+
+    const logEntries = report.logs.removed + report.logs.updated;
+    if (logEntries > 0) {
+        lines.push(`• Logs (incl. rotated): ${logEntries} entr${logEntries === 1 ? 'y' : 'ies'} ${verb}`);
+    }
+
+    let text = lines.length > 0 ? lines.join('\n') : '• No stored data found for this number';
+
+    if (report.pseudonym && !report.dryRun) {
+        text += `\n\n🎭 Replaced with: \`${report.pseudonym}\``;
+    }
+
+    if (report.migrationBackups > 0) {
+        text += `\n\n⚠️ *Backups are kept:* ${report.migrationBackups} migration backup(s) in data/backups/ ${report.dryRun ? 'are' : 'were'} not changed by this purge and may still hold this member's data. Only the bot operator can delete them on the server.`;
+    }
+
+    return text;
+}
@@ -0,0 +1,60 @@
+/**
+ * Storage Drivers
+ * Every driver exposes the same interface so storage.js never touches
+ * the underlying medium directly:
+ *
+ *   init()                        Prepare the backing store
+ *   load(collection)              Return all records of a collection as { key: value }
+ *   put(collection, key, value)   Insert or replace one record
+ *   remove(collection, key)       Delete one record
+ *   flush(collection, changes)    Async batch write of [key, value] pairs (undefined value = delete)
+ *   getSchemaVersion(collection)  Stored schema version (0 = unversioned, null = never written)
+ *   replace(collection, records, schemaVersion)
+ *                                 Rewrite a whole collection at the given schema version
+ *   backup(backupDir)             Copy the collection data into backupDir
+ *   appendLog(entry)              Append a structured log entry
+ *   queryLogs(filter)             Return the newest matching log entries, oldest first
+ *                                 filter: { groupId, userId, type, since, until, limit }
+ *   rewriteLogs(needle, transform)
+ *                                 Pass log entries containing needle to transform(entry), which
+ *                                 returns undefined (keep), null (delete) or a replacement entry
+ *   close()                       Release resources
+ */
+
+import { createJsonDriver } from './jsonDriver.js';
+import { createSqliteDriver } from './sqliteDriver.js';
+import { StorageDrivers } from '../../config/storageSettings.js';
+
+/**
+ * Persisted collections
+ */
+export const Collections = {
+    GROUPS: 'groups',
+    WARNINGS: 'warnings',
+    ADMIN_SESSIONS: 'admin_sessions',
+    ONBOARDING_SESSIONS: 'onboarding_sessions',
+    CONFIG_HISTORY: 'config_history',
+    MUTES: 'mutes',
+    APPEALS: 'appeals',
+    FEDERATION_BANS: 'federation_bans',
+    BANS: 'bans',
+    NOTIFICATION_SETTINGS: 'notification_settings',
+    NOTIFICATION_QUEUE: 'notification_queue',
+    RAID_LOCKDOWNS: 'raid_lockdowns'
+};
+
+/**
+ * Create the driver selected by the storage settings
+ */
+export function createDriver(settings) {
+    switch (settings.driver) {
+        case StorageDrivers.JSON:
+            return createJsonDriver(settings);
+
+        case StorageDrivers.SQLITE:
+            return createSqliteDriver(settings);
+
+        default:
+            throw new Error(`Unknown storage driver "${settings.driver}". Use "json" or "sqlite".`);
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * JSON Storage Driver
+ * Persists each collection as a JSON file and logs as rotating JSON Lines
+ * Collection files are stored as { schemaVersion, records }, encrypted when
+ * a storage encryption key is set
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogStore } from '../logStore.js';
+import { createEncryption, verifyEncryptionKey } from '../encryption.js';
+
+/**
+ * Create a JSON file driver rooted at the given data directory
+ */
+export function createJsonDriver(settings) {
+    const { dataDir } = settings;
+    const logStore = createLogStore(settings);
+    const encryption = createEncryption(settings);
+
+    // Collections loaded so far: { [collection]: { schemaVersion, records } }
+    const collections = {};
+
+    /**
+     * Ensure data directory exists
+     */
+    function ensureDataDir() {
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Get the file backing a collection
+     */
+    function collectionFile(collection) {
+        return path.join(dataDir, `${collection}.json`);
+    }
+
+    /**
+     * Safe file read with error handling
+     */
+    function safeReadJSON(filePath, defaultValue = {}) {
+        let data;
+        try {
+            if (!fs.existsSync(filePath)) {
+                return defaultValue;
+            }
+            data = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            console.error(`Error reading ${filePath}:`, error.message);
+            return defaultValue;
+        }
+
+        // Not caught: a file that can't be decrypted must never be mistaken for an empty one
+        data = encryption.decrypt(data, filePath);
+
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            console.error(`Error reading ${filePath}:`, error.message);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Serialize data for a file (encrypted when a key is set)
+     */
+    function serialize(data) {
+        return encryption.encrypt(JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Safe file write with atomic operation
+     */
+    function safeWriteJSON(filePath, data) {
+        try {
+            ensureDataDir();
+            const tempFile = `${filePath}.tmp`;
+
+            // Write to temp file first
+            fs.writeFileSync(tempFile, serialize(data), 'utf8');
+
+            // Atomic rename
+            fs.renameSync(tempFile, filePath);
+
+            return true;
+        } catch (error) {
+            console.error(`Error writing ${filePath}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Atomic file write that doesn't block the event loop
+     */
+    async function writeJSONAsync(filePath, data) {
+        ensureDataDir();
+        const tempFile = `${filePath}.tmp`;
+
+        await fs.promises.writeFile(tempFile, serialize(data), 'utf8');
+        await fs.promises.rename(tempFile, filePath);
+    }
+
+    /**
+     * Get a loaded collection, reading it from disk on first access
+     * Files written before schema versioning hold the bare records (version 0)
+     */
+    function getCollection(collection) {
+        if (!collections[collection]) {
+            const filePath = collectionFile(collection);
+            const data = safeReadJSON(filePath, null);
+
+            if (data === null) {
+                collections[collection] = { schemaVersion: null, records: {} };
+            } else if (Number.isInteger(data.schemaVersion) && data.records instanceof Object) {
+                collections[collection] = { schemaVersion: data.schemaVersion, records: data.records };
+            } else {
+                collections[collection] = { schemaVersion: 0, records: data };
+            }
+        }
+        return collections[collection];
+    }
+
+    /**
+     * Write a whole collection back to its file
+     */
+    function writeCollection(collection) {
+        const { schemaVersion, records } = getCollection(collection);
+        return safeWriteJSON(collectionFile(collection), {
+            schemaVersion: schemaVersion ?? 0,
+            records
+        });
+    }
+
+    return {
+        name: 'json',
+
+        init() {
+            ensureDataDir();
+            verifyEncryptionKey(dataDir, encryption);
+            logStore.init();
+        },
+
+        load(collection) {
+            return getCollection(collection).records;
+        },
+
+        put(collection, key, value) {
+            getCollection(collection).records[key] = value;
+            return writeCollection(collection);
+        },
+
+        remove(collection, key) {
+            delete getCollection(collection).records[key];
+            return writeCollection(collection);
+        },
+
+        async flush(collection, changes) {
+            const { records } = getCollection(collection);
+
+            for (const [key, value] of changes) {
+                if (value === undefined) {
+                    delete records[key];
+                } else {
+                    records[key] = value;
+                }
+            }
+
+            const { schemaVersion } = getCollection(collection);
+            await writeJSONAsync(collectionFile(collection), { schemaVersion: schemaVersion ?? 0, records });
+        },
+
+        getSchemaVersion(collection) {
+            return getCollection(collection).schemaVersion;
+        },
+
+        replace(collection, records, schemaVersion) {
+            collections[collection] = { schemaVersion, records };
+            return writeCollection(collection);
+        },
+
+        backup(backupDir) {
+            fs.mkdirSync(backupDir, { recursive: true });
+
+            for (const file of fs.readdirSync(dataDir)) {
+                if (file.endsWith('.json')) {
+                    fs.copyFileSync(path.join(dataDir, file), path.join(backupDir, file));
+                }
+            }
+
+            return backupDir;
+        },
+
+        appendLog(entry) {
+            try {
+                ensureDataDir();
+                logStore.append(entry);
+                return true;
+            } catch (error) {
+                console.error('Error appending log:', error.message);
+                return false;
+            }
+        },
+
+        queryLogs(filter) {
+            try {
+                return logStore.query(filter);
+            } catch (error) {
+                console.error('Error reading logs:', error.message);
+                return [];
+            }
+        },
+
+        rewriteLogs(needle, transform) {
+            logStore.rewrite(needle, transform);
+        },
+
+        listLogFiles() {
+            return logStore.listFiles();
+        },
+
+        close() { }
+    };
+}
@@ -0,0 +1,281 @@
+/**
+ * SQLite Storage Driver
+ * Persists collections as key/value rows and logs as indexed rows
+ * in a single embedded database file (requires better-sqlite3)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { normalizeLogFilter } from '../logStore.js';
+
+const require = createRequire(import.meta.url);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load better-sqlite3 lazily so JSON deployments don't need the native module
+ */
+function loadDatabaseModule() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('SQLite storage requires the "better-sqlite3" package. Run `npm install better-sqlite3` or set STORAGE_DRIVER=json.');
+    }
+}
+
+/**
+ * Create a SQLite driver backed by the given database file
+ */
+export function createSqliteDriver({ sqliteFile, logRetentionDays, encryptionKey }) {
+    let db = null;
+    let statements = null;
+    let lastRetentionRun = 0;
+
+    /**
+     * Delete log rows older than the retention period (at most once a day)
+     */
+    function applyRetention() {
+        if (!logRetentionDays || logRetentionDays <= 0 || Date.now() - lastRetentionRun < DAY_MS) {
+            return;
+        }
+
+        lastRetentionRun = Date.now();
+        const cutoff = new Date(Date.now() - logRetentionDays * DAY_MS).toISOString();
+        statements.pruneLogs.run(cutoff);
+    }
+
+    return {
+        name: 'sqlite',
+
+        init() {
+            if (encryptionKey) {
+                throw new Error('The SQLite storage driver does not support encryption at rest and would store the data unencrypted. Use STORAGE_DRIVER=json to keep it encrypted, or decrypt the data first with `npm run rotate:key -- --decrypt` and unset STORAGE_ENCRYPTION_KEY.');
+            }
+
+            const Database = loadDatabaseModule();
+
+            fs.mkdirSync(path.dirname(sqliteFile), { recursive: true });
+            db = new Database(sqliteFile);
+            db.pragma('journal_mode = WAL');
+
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS records (
+                    collection TEXT NOT NULL,
+                    key TEXT NOT NULL,
+                    value TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    PRIMARY KEY (collection, key)
+                );
+
+                CREATE TABLE IF NOT EXISTS logs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp TEXT NOT NULL,
+                    type TEXT,
+                    group_id TEXT,
+                    user_id TEXT,
+                    entry TEXT NOT NULL
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_logs_group ON logs (group_id, timestamp);
+                CREATE INDEX IF NOT EXISTS idx_logs_user ON logs (user_id, timestamp);
+                CREATE INDEX IF NOT EXISTS idx_logs_type ON logs (type, timestamp);
+
+                CREATE TABLE IF NOT EXISTS schema_versions (
+                    collection TEXT PRIMARY KEY,
+                    version INTEGER NOT NULL
+                );
+            `);
+
+            statements = {
+                load: db.prepare('SELECT key, value FROM records WHERE collection = ?'),
+                put: db.prepare(`
+                    INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+                    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+                `),
+                remove: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+                clear: db.prepare('DELETE FROM records WHERE collection = ?'),
+                collectionCount: db.prepare('SELECT COUNT(*) AS total FROM records WHERE collection = ?'),
+                getVersion: db.prepare('SELECT version FROM schema_versions WHERE collection = ?'),
+                setVersion: db.prepare(`
+                    INSERT INTO schema_versions (collection, version) VALUES (?, ?)
+                    ON CONFLICT (collection) DO UPDATE SET version = excluded.version
+                `),
+                count: db.prepare('SELECT COUNT(*) AS total FROM records'),
+                appendLog: db.prepare('INSERT INTO logs (timestamp, type, group_id, user_id, entry) VALUES (?, ?, ?, ?, ?)'),
+                pruneLogs: db.prepare('DELETE FROM logs WHERE timestamp < ?'),
+                findLogs: db.prepare(`SELECT id, entry FROM logs WHERE entry LIKE ? ESCAPE '\\'`),
+                updateLog: db.prepare('UPDATE logs SET type = ?, group_id = ?, user_id = ?, entry = ? WHERE id = ?'),
+                deleteLog: db.prepare('DELETE FROM logs WHERE id = ?')
+            };
+
+            applyRetention();
+        },
+
+        load(collection) {
+            const records = {};
+
+            for (const row of statements.load.all(collection)) {
+                try {
+                    records[row.key] = JSON.parse(row.value);
+                } catch (error) {
+                    console.error(`Error parsing ${collection}/${row.key}:`, error.message);
+                }
+            }
+
+            return records;
+        },
+
+        put(collection, key, value) {
+            try {
+                statements.put.run(collection, key, JSON.stringify(value), new Date().toISOString());
+                return true;
+            } catch (error) {
+                console.error(`Error writing ${collection}/${key}:`, error.message);
+                return false;
+            }
+        },
+
+        remove(collection, key) {
+            try {
+                statements.remove.run(collection, key);
+                return true;
+            } catch (error) {
+                console.error(`Error deleting ${collection}/${key}:`, error.message);
+                return false;
+            }
+        },
+
+        async flush(collection, changes) {
+            const now = new Date().toISOString();
+
+            db.transaction(() => {
+                for (const [key, value] of changes) {
+                    if (value === undefined) {
+                        statements.remove.run(collection, key);
+                    } else {
+                        statements.put.run(collection, key, JSON.stringify(value), now);
+                    }
+                }
+            })();
+        },
+
+        getSchemaVersion(collection) {
+            const row = statements.getVersion.get(collection);
+            if (row) {
+                return row.version;
+            }
+
+            // Rows written before schema versioning count as version 0
+            return statements.collectionCount.get(collection).total > 0 ? 0 : null;
+        },
+
+        replace(collection, records, schemaVersion) {
+            try {
+                db.transaction(() => {
+                    const now = new Date().toISOString();
+                    statements.clear.run(collection);
+                    for (const [key, value] of Object.entries(records)) {
+                        statements.put.run(collection, key, JSON.stringify(value), now);
+                    }
+                    statements.setVersion.run(collection, schemaVersion);
+                })();
+                return true;
+            } catch (error) {
+                console.error(`Error replacing ${collection}:`, error.message);
+                return false;
+            }
+        },
+
+        backup(backupDir) {
+            fs.mkdirSync(backupDir, { recursive: true });
+            const backupFile = path.join(backupDir, path.basename(sqliteFile));
+            db.prepare('VACUUM INTO ?').run(backupFile);
+            return backupDir;
+        },
+
+        appendLog(entry) {
+            try {
+                statements.appendLog.run(
+                    entry.timestamp,
+                    entry.type || null,
+                    entry.groupId || null,
+                    entry.userId || entry.adminId || null,
+                    JSON.stringify(entry)
+                );
+                applyRetention();
+                return true;
+            } catch (error) {
+                console.error('Error appending log:', error.message);
+                return false;
+            }
+        },
+
+        queryLogs(rawFilter) {
+            const filter = normalizeLogFilter(rawFilter);
+            const clauses = [
+                ['type = ?', filter.type],
+                ['group_id = ?', filter.groupId],
+                ['user_id = ?', filter.userId],
+                ['timestamp >= ?', filter.since],
+                ['timestamp <= ?', filter.until]
+            ].filter(([, value]) => value);
+
+            const where = clauses.length > 0 ? `WHERE ${clauses.map(([clause]) => clause).join(' AND ')}` : '';
+            const params = clauses.map(([, value]) => value);
+
+            try {
+                return db.prepare(`SELECT entry FROM logs ${where} ORDER BY id DESC LIMIT ?`)
+                    .all(...params, filter.limit)
+                    .reverse()
+                    .map(row => JSON.parse(row.entry));
+            } catch (error) {
+                console.error('Error reading logs:', error.message);
+                return [];
+            }
+        },
+
+        rewriteLogs(needle, transform) {
+            const pattern = `%${needle.replace(/[\\%_]/g, '\\$&')}%`;
+
+            db.transaction(() => {
+                for (const row of statements.findLogs.all(pattern)) {
+                    const result = transform(JSON.parse(row.entry));
+
+                    if (result === null) {
+                        statements.deleteLog.run(row.id);
+                    } else if (result !== undefined) {
+                        statements.updateLog.run(
+                            result.type || null,
+                            result.groupId || null,
+                            result.userId || result.adminId || null,
+                            JSON.stringify(result),
+                            row.id
+                        );
+                    }
+                }
+            })();
+        },
+
+        /**
+         * Run several writes in one transaction (used by the migrator)
+         */
+        transaction(fn) {
+            return db.transaction(fn)();
+        },
+
+        /**
+         * Count stored records across all collections
+         */
+        countRecords() {
+            return statements.count.get().total;
+        },
+
+        close() {
+            if (db) {
+                db.close();
+                db = null;
+            }
+        }
+    };
+}
@@ -0,0 +1,177 @@
+/**
+ * Encryption at Rest
+ * Optional AES-256-GCM encryption of the JSON driver's files: collection
+ * files, log lines, log indexes and the write journal
+ *
+ * Encrypted text is stored as `enc:v1:<keyId>:<base64 iv + tag + ciphertext>`.
+ * The key ID says which configured key decrypts it, so files written with a
+ * previous key stay readable while keys are rotated. Plain text written before
+ * encryption was enabled is passed through unchanged.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Small encrypted file used to detect a wrong key before any data is read
+const KEYCHECK_FILE = 'encryption.check';
+const KEYCHECK_TEXT = 'community-bot-keycheck';
+
+/**
+ * Decode a key given as base64 or hex (32 bytes)
+ */
+function parseKey(value, variable) {
+    const text = value.trim();
+    const key = /^[0-9a-f]{64}$/i.test(text)
+        ? Buffer.from(text, 'hex')
+        : Buffer.from(text, 'base64');
+
+    if (key.length !== 32) {
+        throw new Error(`${variable} must be a 32-byte key encoded as base64 or hex. Generate one with: openssl rand -base64 32`);
+    }
+
+    return key;
+}
+
+/**
+ * Short public identifier of a key
+ */
+function getKeyId(key) {
+    return crypto.createHash('sha256').update('key-id:').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * Create an encoder for the keys in the storage settings
+ * With no encryptionKey, writes stay plain text but files encrypted with
+ * one of the previousEncryptionKeys can still be read
+ */
+export function createEncryption({ encryptionKey = null, previousEncryptionKeys = [] }) {
+    const current = encryptionKey ? parseKey(encryptionKey, 'STORAGE_ENCRYPTION_KEY') : null;
+    const currentId = current ? getKeyId(current) : null;
+
+    // keyId -> key, for decryption
+    const keys = new Map();
+    if (current) keys.set(currentId, current);
+    for (const previous of previousEncryptionKeys) {
+        const key = parseKey(previous, 'STORAGE_ENCRYPTION_PREVIOUS_KEYS');
+        keys.set(getKeyId(key), key);
+    }
+
+    return {
+        enabled: current !== null,
+        keyId: currentId,
+
+        /**
+         * Encrypt text with the current key (returned unchanged when disabled)
+         */
+        encrypt(text) {
+            if (!current) {
+                return text;
+            }
+
+            const iv = crypto.randomBytes(IV_LENGTH);
+            const cipher = crypto.createCipheriv(ALGORITHM, current, iv);
+            const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+            return `${PREFIX}${currentId}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+        },
+
+        /**
+         * Decrypt text written by encrypt(); plain text is returned unchanged
+         * Throws with an explanation when no configured key fits
+         */
+        decrypt(text, source = 'Data') {
+            if (!text.startsWith(PREFIX)) {
+                return text;
+            }
+
+            const separator = text.indexOf(':', PREFIX.length);
+            const keyId = text.slice(PREFIX.length, separator);
+            const key = keys.get(keyId);
+
+            if (!key) {
+                throw new Error(keys.size === 0
+                    ? `${source} is encrypted. Set STORAGE_ENCRYPTION_KEY (or STORAGE_ENCRYPTION_KEY_FILE) to the key it was written with.`
+                    : `${source} was encrypted with a different key (key ID ${keyId}). Check STORAGE_ENCRYPTION_KEY, or list the old key in STORAGE_ENCRYPTION_PREVIOUS_KEYS while rotating.`);
+            }
+
+            try {
+                const payload = Buffer.from(text.slice(separator + 1).trim(), 'base64');
+                const decipher = crypto.createDecipheriv(ALGORITHM, key, payload.subarray(0, IV_LENGTH));
+                decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+                return Buffer.concat([
+                    decipher.update(payload.subarray(IV_LENGTH + TAG_LENGTH)),
+                    decipher.final()
+                ]).toString('utf8');
+            } catch {
+                throw new Error(`${source} could not be decrypted. The key is wrong or the file is damaged.`);
+            }
+        }
+    };
+}
+
+/**
+ * Refuse to continue when the data directory was encrypted with another key
+ * (or is encrypted and no key is set); records the key on first use
+ */
+export function verifyEncryptionKey(dataDir, encryption) {
+    const file = path.join(dataDir, KEYCHECK_FILE);
+
+    if (!fs.existsSync(file)) {
+        writeEncryptionKeyCheck(dataDir, encryption);
+        return;
+    }
+
+    const text = encryption.decrypt(fs.readFileSync(file, 'utf8'), `The data directory (${dataDir})`);
+    if (text !== KEYCHECK_TEXT) {
+        throw new Error(`${file} is damaged. Remove it only if you are sure STORAGE_ENCRYPTION_KEY is correct.`);
+    }
+}
+
+/**
+ * Record the current key in the data directory (removes the record when encryption is off)
+ */
+export function writeEncryptionKeyCheck(dataDir, encryption) {
+    const file = path.join(dataDir, KEYCHECK_FILE);
+
+    if (encryption.enabled) {
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(file, encryption.encrypt(KEYCHECK_TEXT), 'utf8');
+    } else {
+        fs.rmSync(file, { force: true });
+    }
+}
+
+/**
+ * Re-encrypt every data file with the current key (or decrypt them when
+ * encryption is off), including archived logs, the journal and migration backups
+ * Returns the number of rewritten files
+ */
+export function reencryptDataDir(dataDir, encryption) {
+    let rewritten = 0;
+
+    const files = fs.readdirSync(dataDir, { recursive: true })
+        .map(name => path.join(dataDir, name))
+        .filter(file => /\.jsonl?$/.test(file) && fs.statSync(file).isFile());
+
+    for (const file of files) {
+        const source = fs.readFileSync(file, 'utf8');
+        const output = file.endsWith('.jsonl')
+            ? source.split('\n').map(line => (line ? encryption.encrypt(encryption.decrypt(line, file)) : line)).join('\n')
+            : encryption.encrypt(encryption.decrypt(source, file));
+
+        const tempFile = `${file}.tmp`;
+        fs.writeFileSync(tempFile, output, 'utf8');
+        fs.renameSync(tempFile, file);
+        rewritten++;
+    }
+
+    writeEncryptionKeyCheck(dataDir, encryption);
+    return rewritten;
+}
@@ -0,0 +1,282 @@
+/**
+ * Group Backup
+ * Builds, validates, previews and applies per-group backup documents
+ * (group config + warnings) used by the backup/restore DM commands
+ */
+
+import { getGroup, getGroupWarnings, replaceGroupWarnings, WarningDecayModes } from './storage.js';
+import { CURRENT_SCHEMA_VERSION, deepFill } from './migrations.js';
+import {
+    getGroupConfig,
+    updateGroupConfig,
+    flattenConfig,
+    formatConfigValue
+} from '../config/configManager.js';
+import { getDefaultConfig } from '../config/defaults.js';
+import {
+    isValidLadder,
+    FederationPolicies,
+    MAX_BAN_DURATION,
+    isValidTimezone,
+    isValidStrikeWeight,
+    isValidExemptions,
+    ViolationTypes,
+    FLOOD_SETTING_LIMITS,
+    DUPLICATE_SETTING_LIMITS,
+    MIN_SLOW_MODE_SECONDS,
+    MAX_SLOW_MODE_SECONDS,
+    RAID_SETTING_LIMITS,
+    MIN_LOCKDOWN_DURATION,
+    MAX_LOCKDOWN_DURATION,
+    MAX_PROBATION_DURATION
+} from '../config/settingLimits.js';
+import { parseInviteLink } from '../utils/urlParser.js';
+
+export const BACKUP_FORMAT = 'community-bot-group-backup';
+export const BACKUP_VERSION = 1;
+
+// Config keys that describe the group rather than its settings
+const META_KEYS = ['groupId', 'groupName', 'createdAt', 'updatedAt'];
+
+// Maximum number of changed settings listed in a preview
+const MAX_PREVIEW_CHANGES = 15;
+
+/**
+ * Build a backup document for a group
+ */
+export function createGroupBackup(groupId) {
+    const group = getGroup(groupId);
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        group: {
+            id: groupId,
+            name: group?.name || null
+        },
+        config: getGroupConfig(groupId),
+        warnings: getGroupWarnings(groupId)
+    };
+}
+
+/**
+ * Check a date stored as an ISO string
+ */
+function isValidTimestamp(value) {
+    return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Check one warning of a backed-up warning history
+ * type and weight are missing on warnings from before strike weights
+ */
+function isValidHistoryEntry(entry) {
+    return entry instanceof Object && !Array.isArray(entry) &&
+        isValidTimestamp(entry.timestamp) &&
+        (entry.weight === undefined || entry.weight === null || isValidStrikeWeight(entry.weight)) &&
+        (entry.type === undefined || entry.type === null || Object.values(ViolationTypes).includes(entry.type)) &&
+        (entry.reason === undefined || entry.reason === null || typeof entry.reason === 'string') &&
+        (entry.revokedAt === undefined || entry.revokedAt === null || isValidTimestamp(entry.revokedAt));
+}
+
+/**
+ * Validate a parsed backup document
+ * Returns { valid: true } or { valid: false, error }
+ */
+export function validateGroupBackup(doc) {
+    const isObject = value => value instanceof Object && !Array.isArray(value);
+
+    if (!isObject(doc) || doc.format !== BACKUP_FORMAT) {
+        return { valid: false, error: 'This file is not a group backup.' };
+    }
+
+    if (doc.version !== BACKUP_VERSION) {
+        return { valid: false, error: `Unsupported backup version (${doc.version}).` };
+    }
+
+    if (Number.isInteger(doc.schemaVersion) && doc.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        return { valid: false, error: 'This backup was made by a newer version of the bot. Please update the bot first.' };
+    }
+
+    const { config, warnings } = doc;
+
+    if (!isObject(config) || !isObject(config.moderation) || !isObject(config.welcome)) {
+        return { valid: false, error: 'The backup has no valid group settings.' };
+    }
+
+    if (!Array.isArray(config.rules) || !config.rules.every(rule => typeof rule === 'string')) {
+        return { valid: false, error: 'The backup rules are malformed.' };
+    }
+
+    if (config.timezone !== undefined && !isValidTimezone(config.timezone)) {
+        return { valid: false, error: 'The backup timezone is not a known timezone.' };
+    }
+
+    const bannedWords = config.moderation.bannedWords;
+    if (bannedWords && (!Array.isArray(bannedWords.words) || !bannedWords.words.every(word => typeof word === 'string'))) {
+        return { valid: false, error: 'The backup banned words are malformed.' };
+    }
+
+    const threshold = config.moderation.maxWarningsBeforeAction;
+    if (threshold !== undefined && (!Number.isInteger(threshold) || threshold < 1 || threshold > 10)) {
+        return { valid: false, error: 'The backup warning threshold is out of range.' };
+    }
+
+    const decay = config.moderation.warningDecay;
+    if (decay !== undefined && (!isObject(decay) || !Object.values(WarningDecayModes).includes(decay.mode) ||
+        (decay.days !== undefined && (!Number.isInteger(decay.days) || decay.days < 1 || decay.days > 365)))) {
+        return { valid: false, error: 'The backup warning decay setting is malformed.' };
+    }
+
+    const weights = config.moderation.strikeWeights;
+    if (weights !== undefined && (!isObject(weights) || !Object.values(weights).every(isValidStrikeWeight))) {
+        return { valid: false, error: 'The backup strike weights are malformed.' };
+    }
+
+    const spam = config.moderation.spamDetection;
+    if (spam !== undefined && Object.entries(FLOOD_SETTING_LIMITS).some(([key, { min, max }]) =>
+        spam[key] !== undefined && (!Number.isInteger(spam[key]) || spam[key] < min || spam[key] > max))) {
+        return { valid: false, error: 'The backup flood settings are out of range.' };
+    }
+
+    const isDomainList = list => list === undefined || (Array.isArray(list) && list.every(domain => typeof domain === 'string'));
+    if (spam !== undefined && !(isDomainList(spam.allowedDomains) && isDomainList(spam.blockedDomains))) {
+        return { valid: false, error: 'The backup domain lists are malformed.' };
+    }
+
+    if (spam?.allowedInvites !== undefined && !(Array.isArray(spam.allowedInvites) &&
+        spam.allowedInvites.every(link => parseInviteLink(String(link))?.link === link))) {
+        return { valid: false, error: 'The backup allowed invite links are malformed.' };
+    }
+
+    const duplicates = config.moderation.duplicateDetection;
+    if (duplicates !== undefined && (!isObject(duplicates) || Object.entries(DUPLICATE_SETTING_LIMITS).some(([key, { min, max }]) =>
+        duplicates[key] !== undefined && (!Number.isInteger(duplicates[key]) || duplicates[key] < min || duplicates[key] > max)))) {
+        return { valid: false, error: 'The backup duplicate detection settings are out of range.' };
+    }
+
+    const raid = config.moderation.raidMode;
+    if (raid !== undefined && (!isObject(raid) ||
+        Object.entries(RAID_SETTING_LIMITS).some(([key, { min, max }]) =>
+            raid[key] !== undefined && (!Number.isInteger(raid[key]) || raid[key] < min || raid[key] > max)) ||
+        (raid.lockdownDuration !== undefined && (!Number.isInteger(raid.lockdownDuration) ||
+            raid.lockdownDuration < MIN_LOCKDOWN_DURATION || raid.lockdownDuration > MAX_LOCKDOWN_DURATION)) ||
+        (raid.probationDuration !== undefined && (!Number.isInteger(raid.probationDuration) ||
+            raid.probationDuration < 0 || raid.probationDuration > MAX_PROBATION_DURATION)))) {
+        return { valid: false, error: 'The backup raid mode settings are out of range.' };
+    }
+
+    const slowMode = config.moderation.slowModeSeconds;
+    if (slowMode !== undefined && (!Number.isInteger(slowMode) || (slowMode !== 0 &&
+        (slowMode < MIN_SLOW_MODE_SECONDS || slowMode > MAX_SLOW_MODE_SECONDS)))) {
+        return { valid: false, error: 'The backup slow mode interval is out of range.' };
+    }
+
+    const exemptions = config.moderation.exemptions;
+    if (exemptions !== undefined && !isValidExemptions(exemptions)) {
+        return { valid: false, error: 'The backup exemptions are malformed.' };
+    }
+
+    const banDuration = config.moderation.autoRemoveBanDuration;
+    if (banDuration !== undefined && (!Number.isInteger(banDuration) || banDuration < 0 || banDuration > MAX_BAN_DURATION)) {
+        return { valid: false, error: 'The backup removal ban duration is out of range.' };
+    }
+
+    const ladder = config.moderation.escalationLadder;
+    if (ladder !== undefined && !isValidLadder(ladder)) {
+        return { valid: false, error: 'The backup escalation ladder is malformed.' };
+    }
+
+    const federation = config.federation;
+    if (federation !== undefined && (!isObject(federation) || typeof federation.enabled !== 'boolean' ||
+        !Object.values(FederationPolicies).includes(federation.policy))) {
+        return { valid: false, error: 'The backup shared ban list setting is malformed.' };
+    }
+
+    if (warnings !== undefined) {
+        if (!isObject(warnings)) {
+            return { valid: false, error: 'The backup warnings are malformed.' };
+        }
+
+        for (const record of Object.values(warnings)) {
+            if (!isObject(record) || !Number.isInteger(record.count) || record.count < 0 || !Array.isArray(record.history)) {
+                return { valid: false, error: 'The backup warnings are malformed.' };
+            }
+
+            if (!record.history.every(isValidHistoryEntry)) {
+                return { valid: false, error: 'The backup warning history is malformed.' };
+            }
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Settings from a backup, completed with defaults for anything it predates
+ */
+function getBackupSettings(groupId, doc) {
+    const settings = deepFill(doc.config, getDefaultConfig(groupId, null));
+
+    for (const key of META_KEYS) {
+        delete settings[key];
+    }
+
+    return settings;
+}
+
+/**
+ * Summarize warnings as member and strike totals
+ */
+function summarizeWarnings(warnings) {
+    const records = Object.values(warnings || {});
+    return {
+        members: records.length,
+        strikes: records.reduce((total, record) => total + record.count, 0)
+    };
+}
+
+/**
+ * Describe what restoring a backup would change
+ */
+export function previewGroupBackup(groupId, doc) {
+    const current = flattenConfig(getGroupConfig(groupId));
+    const restored = flattenConfig(getBackupSettings(groupId, doc));
+
+    const changes = Object.keys(restored)
+        .filter(key => JSON.stringify(current[key]) !== JSON.stringify(restored[key]))
+        .map(key => `• ${key}: ${formatConfigValue(current[key])} → ${formatConfigValue(restored[key])}`);
+
+    const currentWarnings = summarizeWarnings(getGroupWarnings(groupId));
+    const restoredWarnings = summarizeWarnings(doc.warnings);
+
+    let text = changes.length > 0
+        ? changes.slice(0, MAX_PREVIEW_CHANGES).join('\n')
+        : '• No setting changes';
+
+    if (changes.length > MAX_PREVIEW_CHANGES) {
+        text += `\n• ...and ${changes.length - MAX_PREVIEW_CHANGES} more`;
+    }
+
+    if (doc.warnings !== undefined) {
+        text += `\n\n⚠️ *Warnings:* ${currentWarnings.members} member(s) / ${currentWarnings.strikes} strike(s) now → ${restoredWarnings.members} member(s) / ${restoredWarnings.strikes} strike(s) from backup`;
+    }
+
+    return {
+        settingChanges: changes.length,
+        text
+    };
+}
+
+/**
+ * Apply a validated backup to a group
+ * changeInfo ({ actor, command }) is recorded in the config history
+ */
+export function applyGroupBackup(groupId, doc, changeInfo = {}) {
+    const configRestored = updateGroupConfig(groupId, getBackupSettings(groupId, doc), changeInfo);
+    const warningsRestored = doc.warnings === undefined || replaceGroupWarnings(groupId, doc.warnings);
+
+    return configRestored && warningsRestored;
+}
@@ -0,0 +1,373 @@
+/**
+ * Log Store
+ * Rotating JSON Lines log files used by the JSON driver
+ *
+ * The active file is data/logs.jsonl. On rotation it moves to data/log-archive/
+ * together with a small index (time range and per group/user/type counts), so
+ * queries can skip whole files without reading them. Lines and indexes are
+ * encrypted when a storage encryption key is set.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import { LogRotation } from '../config/storageSettings.js';
+import { createEncryption } from './encryption.js';
+
+const READ_CHUNK_SIZE = 64 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Call back with every non-empty line of a file, reading it in chunks
+ */
+export function forEachLine(filePath, callback) {
+    const fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+    const decoder = new StringDecoder('utf8');
+    let leftover = '';
+
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, null)) > 0) {
+            const lines = (leftover + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+            leftover = lines.pop();
+
+            for (const line of lines) {
+                if (line.length > 0) callback(line);
+            }
+        }
+
+        leftover += decoder.end();
+        if (leftover.length > 0) callback(leftover);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Normalize a Date or date string to an ISO timestamp
+ */
+function toTimestamp(value) {
+    if (!value) return null;
+    return new Date(value).toISOString();
+}
+
+/**
+ * Check a log entry against a query filter
+ */
+export function matchesLogFilter(entry, filter) {
+    if (filter.type && entry.type !== filter.type) return false;
+    if (filter.groupId && entry.groupId !== filter.groupId) return false;
+    if (filter.userId && entry.userId !== filter.userId && entry.adminId !== filter.userId) return false;
+    if (filter.since && entry.timestamp < filter.since) return false;
+    if (filter.until && entry.timestamp > filter.until) return false;
+    return true;
+}
+
+/**
+ * Normalize query filter values
+ */
+export function normalizeLogFilter(filter = {}) {
+    return {
+        ...filter,
+        since: toTimestamp(filter.since),
+        until: toTimestamp(filter.until),
+        limit: filter.limit || 100
+    };
+}
+
+function emptyIndex() {
+    return { from: null, to: null, count: 0, groups: {}, users: {}, types: {} };
+}
+
+function addToIndex(index, entry) {
+    index.from = index.from || entry.timestamp;
+    index.to = entry.timestamp;
+    index.count++;
+
+    const users = [entry.userId, entry.adminId].filter(Boolean);
+    if (entry.groupId) index.groups[entry.groupId] = (index.groups[entry.groupId] || 0) + 1;
+    if (entry.type) index.types[entry.type] = (index.types[entry.type] || 0) + 1;
+    for (const userId of new Set(users)) {
+        index.users[userId] = (index.users[userId] || 0) + 1;
+    }
+}
+
+/**
+ * Check whether a file (by its index) can contain matches for a filter
+ */
+function indexMayMatch(index, filter) {
+    if (index.count === 0) return false;
+    if (filter.groupId && !index.groups[filter.groupId]) return false;
+    if (filter.userId && !index.users[filter.userId]) return false;
+    if (filter.type && !index.types[filter.type]) return false;
+    if (filter.since && index.to < filter.since) return false;
+    if (filter.until && index.from > filter.until) return false;
+    return true;
+}
+
+/**
+ * Create a rotating log store in the given data directory
+ */
+export function createLogStore(settings) {
+    const { dataDir, logRotation, logMaxBytes, logRetentionDays } = settings;
+    const activeFile = path.join(dataDir, 'logs.jsonl');
+    const archiveDir = path.join(dataDir, 'log-archive');
+    const encryption = createEncryption(settings);
+
+    let activeIndex = emptyIndex();
+    let activeSize = 0;
+
+    // Archived files: [{ file, index }], oldest first
+    let archives = [];
+
+    function parseLine(line) {
+        return JSON.parse(encryption.decrypt(line));
+    }
+
+    function formatLine(entry) {
+        return encryption.encrypt(JSON.stringify(entry));
+    }
+
+    function writeIndex(file, index) {
+        fs.writeFileSync(`${file}.index.json`, encryption.encrypt(JSON.stringify(index)), 'utf8');
+    }
+
+    /**
+     * Build an index by scanning a log file
+     */
+    function buildIndex(filePath) {
+        const index = emptyIndex();
+
+        forEachLine(filePath, line => {
+            try {
+                addToIndex(index, parseLine(line));
+            } catch {
+                // Skip unreadable lines
+            }
+        });
+
+        return index;
+    }
+
+    /**
+     * Load archive indexes, rebuilding any that are missing
+     */
+    function loadArchives() {
+        if (!fs.existsSync(archiveDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(archiveDir)
+            .filter(name => name.endsWith('.jsonl'))
+            .map(name => {
+                const file = path.join(archiveDir, name);
+                const indexFile = `${file}.index.json`;
+                let index;
+
+                try {
+                    index = JSON.parse(encryption.decrypt(fs.readFileSync(indexFile, 'utf8')));
+                } catch {
+                    index = buildIndex(file);
+                    writeIndex(file, index);
+                }
+
+                return { file, index };
+            })
+            .sort((a, b) => (a.index.from || '').localeCompare(b.index.from || ''));
+    }
+
+    /**
+     * Delete archived files whose newest entry is older than the retention period
+     */
+    function applyRetention() {
+        if (!logRetentionDays || logRetentionDays <= 0) {
+            return;
+        }
+
+        const cutoff = new Date(Date.now() - logRetentionDays * DAY_MS).toISOString();
+
+        archives = archives.filter(({ file, index }) => {
+            if (index.to && index.to < cutoff) {
+                fs.rmSync(file, { force: true });
+                fs.rmSync(`${file}.index.json`, { force: true });
+                return false;
+            }
+            return true;
+        });
+    }
+
+    function shouldRotate(timestamp, bytes) {
+        if (activeIndex.count === 0) {
+            return false;
+        }
+
+        if (logRotation === LogRotation.SIZE) {
+            return activeSize + bytes > logMaxBytes;
+        }
+
+        // Daily rotation (UTC days)
+        return activeIndex.from.slice(0, 10) !== timestamp.slice(0, 10);
+    }
+
+    /**
+     * Move the active file into the archive with its index
+     */
+    function rotate() {
+        fs.mkdirSync(archiveDir, { recursive: true });
+
+        const label = logRotation === LogRotation.SIZE
+            ? activeIndex.from.replace(/[:.]/g, '-')
+            : activeIndex.from.slice(0, 10);
+
+        let file = path.join(archiveDir, `logs-${label}.jsonl`);
+        for (let n = 1; fs.existsSync(file); n++) {
+            file = path.join(archiveDir, `logs-${label}-${n}.jsonl`);
+        }
+
+        fs.renameSync(activeFile, file);
+        writeIndex(file, activeIndex);
+        archives.push({ file, index: activeIndex });
+
+        activeIndex = emptyIndex();
+        activeSize = 0;
+
+        applyRetention();
+    }
+
+    return {
+        init() {
+            if (fs.existsSync(activeFile)) {
+                activeIndex = buildIndex(activeFile);
+                activeSize = fs.statSync(activeFile).size;
+            }
+
+            archives = loadArchives();
+            applyRetention();
+        },
+
+        append(entry) {
+            const line = formatLine(entry) + '\n';
+            const bytes = Buffer.byteLength(line);
+
+            if (shouldRotate(entry.timestamp, bytes)) {
+                rotate();
+            }
+
+            fs.appendFileSync(activeFile, line, 'utf8');
+            addToIndex(activeIndex, entry);
+            activeSize += bytes;
+        },
+
+        /**
+         * Return the newest `limit` entries matching the filter, oldest first
+         * Files are read newest to oldest and skipped when their index rules them out
+         */
+        query(rawFilter) {
+            const filter = normalizeLogFilter(rawFilter);
+            const files = [
+                { file: activeFile, index: activeIndex },
+                ...[...archives].reverse()
+            ];
+
+            let results = [];
+
+            for (const { file, index } of files) {
+                if (results.length >= filter.limit) break;
+                if (!indexMayMatch(index, filter) || !fs.existsSync(file)) continue;
+
+                const remaining = filter.limit - results.length;
+                const matches = [];
+
+                forEachLine(file, line => {
+                    let entry;
+                    try {
+                        entry = parseLine(line);
+                    } catch {
+                        return;
+                    }
+
+                    if (matchesLogFilter(entry, filter)) {
+                        matches.push(entry);
+                        if (matches.length > remaining) matches.shift();
+                    }
+                });
+
+                results = matches.concat(results);
+            }
+
+            return results;
+        },
+
+        /**
+         * Rewrite entries containing `needle` across every log file
+         * transform(entry) returns undefined to keep the entry, null to drop it
+         * or a replacement entry. Changed files are rewritten with a fresh index.
+         */
+        rewrite(needle, transform) {
+            const files = [...archives, { file: activeFile, index: activeIndex, active: true }];
+
+            for (const target of files) {
+                if (!fs.existsSync(target.file)) continue;
+
+                const tempFile = `${target.file}.tmp`;
+                const fd = fs.openSync(tempFile, 'w');
+                let changed = false;
+
+                try {
+                    forEachLine(target.file, line => {
+                        let output = line;
+
+                        try {
+                            const text = encryption.decrypt(line);
+                            if (text.includes(needle)) {
+                                const result = transform(JSON.parse(text));
+                                if (result !== undefined) {
+                                    output = result === null ? null : formatLine(result);
+                                    changed = true;
+                                }
+                            }
+                        } catch {
+                            // Keep unreadable lines as they are
+                        }
+
+                        if (output !== null) {
+                            fs.writeSync(fd, output + '\n');
+                        }
+                    });
+                } finally {
+                    fs.closeSync(fd);
+                }
+
+                if (!changed) {
+                    fs.rmSync(tempFile, { force: true });
+                    continue;
+                }
+
+                fs.renameSync(tempFile, target.file);
+                const index = buildIndex(target.file);
+
+                if (target.active) {
+                    activeIndex = index;
+                    activeSize = fs.statSync(activeFile).size;
+                } else if (index.count === 0) {
+                    fs.rmSync(target.file, { force: true });
+                    fs.rmSync(`${target.file}.index.json`, { force: true });
+                    archives = archives.filter(archive => archive !== target);
+                } else {
+                    target.index = index;
+                    writeIndex(target.file, index);
+                }
+            }
+        },
+
+        /**
+         * All log files, oldest first
+         */
+        listFiles() {
+            const files = archives.map(({ file }) => file);
+            if (fs.existsSync(activeFile)) files.push(activeFile);
+            return files;
+        }
+    };
+}
@@ -0,0 +1,269 @@
+/**
+ * Schema Migrations
+ * Ordered registry of data migrations, run by initStorage()
+ * Each collection stores the schema version it was last written at; a
+ * migration only touches collections that are behind its version
+ */
+
+import path from 'path';
+import { Collections } from './drivers/index.js';
+import { getDefaultConfig } from '../config/defaults.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Fill missing keys of target from defaults (existing values always win)
+ * Arrays are treated as values, never merged
+ */
+export function deepFill(target, defaults) {
+    const isPlainObject = value => value instanceof Object && !Array.isArray(value);
+
+    if (!isPlainObject(target)) {
+        return structuredClone(defaults);
+    }
+
+    const output = { ...target };
+    for (const [key, defaultValue] of Object.entries(defaults)) {
+        if (output[key] === undefined) {
+            output[key] = structuredClone(defaultValue);
+        } else if (isPlainObject(defaultValue) && isPlainObject(output[key])) {
+            output[key] = deepFill(output[key], defaultValue);
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Bring every group config up to the current DEFAULT_CONFIG
+ */
+function fillGroupConfigDefaults(groups) {
+    for (const [groupId, group] of Object.entries(groups)) {
+        groups[groupId] = {
+            ...group,
+            config: deepFill(group.config, getDefaultConfig(groupId, group.name))
+        };
+    }
+    return groups;
+}
+
+/**
+ * Migration registry - append new entries, never edit released ones
+ * up: { [collection]: (records) => records }
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Stamp legacy data files with a schema version',
+        up: {}
+    },
+    {
+        version: 2,
+        description: 'Fill missing group config defaults and normalize records',
+        up: {
+            [Collections.GROUPS]: (groups) => {
+                for (const [groupId, group] of Object.entries(groups)) {
+                    groups[groupId] = {
+                        id: groupId,
+                        admins: [],
+                        active: true,
+                        ...group
+                    };
+                }
+                return fillGroupConfigDefaults(groups);
+            },
+            [Collections.WARNINGS]: (warnings) => {
+                for (const userWarnings of Object.values(warnings)) {
+                    for (const [userId, record] of Object.entries(userWarnings)) {
+                        const history = Array.isArray(record?.history) ? record.history : [];
+                        userWarnings[userId] = {
+                            ...record,
+                            count: Number.isInteger(record?.count) ? record.count : history.length,
+                            history
+                        };
+                    }
+                }
+                return warnings;
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Add warning decay settings to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 4,
+        description: 'Add escalation ladder to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 5,
+        description: 'Add shared ban list settings to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 6,
+        description: 'Add auto-removal ban duration to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 7,
+        description: 'Add timezone to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 8,
+        description: 'Add strike weights to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 9,
+        description: 'Add moderation exemptions to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 10,
+        description: 'Add flood burst settings to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 11,
+        description: 'Add blocked domains to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 12,
+        description: 'Add invite link filter to group configs',
+        up: {
+            [Collections.GROUPS]: (groups) => {
+                // Exemptions from every check (the default for admins) now include invite links too
+                // (configs filled in by v9 already list them)
+                const previousChecks = ['link', 'flood', 'repeated', 'banned_word', 'off_topic'];
+                const withInvite = checks => (Array.isArray(checks) && !checks.includes('invite')
+                    && previousChecks.every(check => checks.includes(check))
+                    ? [...checks, 'invite']
+                    : checks);
+
+                for (const group of Object.values(groups)) {
+                    const exemptions = group.config?.moderation?.exemptions;
+                    if (!exemptions) continue;
+
+                    exemptions.admins = withInvite(exemptions.admins);
+                    exemptions.members = (exemptions.members || []).map(entry => ({ ...entry, checks: withInvite(entry.checks) }));
+                }
+
+                return fillGroupConfigDefaults(groups);
+            }
+        }
+    },
+    {
+        version: 13,
+        description: 'Add duplicate message detection to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 14,
+        description: 'Add raid mode settings to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 15,
+        description: 'Add slow mode to group configs',
+        up: {
+            [Collections.GROUPS]: fillGroupConfigDefaults
+        }
+    },
+    {
+        version: 16,
+        description: 'Keep shared bans per source group',
+        up: {
+            [Collections.FEDERATION_BANS]: (bans) => {
+                // { [userId]: { sourceGroupId, ...ban } } becomes { [userId]: { [sourceGroupId]: ban } }
+                for (const [userId, record] of Object.entries(bans)) {
+                    if (typeof record?.sourceGroupId !== 'string') continue;
+
+                    const { sourceGroupId, ...ban } = record;
+                    bans[userId] = { [sourceGroupId]: ban };
+                }
+                return bans;
+            }
+        }
+    }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run pending migrations against the driver's collections
+ * Backs up the pre-migration data before the first change is written
+ */
+export function runMigrations(driver, { dataDir }) {
+    const collections = Object.values(Collections);
+    const versions = Object.fromEntries(collections.map(c => [c, driver.getSchemaVersion(c)]));
+
+    // Collections that were never written simply start at the current version
+    const pending = collections.filter(c => versions[c] !== null && versions[c] < CURRENT_SCHEMA_VERSION);
+    const newer = collections.filter(c => versions[c] > CURRENT_SCHEMA_VERSION);
+
+    if (newer.length > 0) {
+        throw new Error(`Data in ${newer.join(', ')} was written by a newer version of the bot (schema v${Math.max(...newer.map(c => versions[c]))}, this build supports v${CURRENT_SCHEMA_VERSION}). Please update the bot.`);
+    }
+
+    if (pending.length > 0) {
+        const fromVersion = Math.min(...pending.map(c => versions[c]));
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupDir = driver.backup(path.join(dataDir, 'backups', `pre-v${CURRENT_SCHEMA_VERSION}-${stamp}`));
+
+        logger.info(`Migrating data from schema v${fromVersion} to v${CURRENT_SCHEMA_VERSION} (backup: ${backupDir})`);
+
+        for (const collection of pending) {
+            let records = driver.load(collection);
+
+            for (const migration of MIGRATIONS) {
+                if (migration.version <= versions[collection]) continue;
+
+                const transform = migration.up[collection];
+                if (transform) {
+                    records = transform(records);
+                }
+            }
+
+            if (!driver.replace(collection, records, CURRENT_SCHEMA_VERSION)) {
+                throw new Error(`Failed to write migrated ${collection}. The original data is preserved in ${backupDir}.`);
+            }
+        }
+
+        for (const migration of MIGRATIONS.filter(m => m.version > fromVersion)) {
+            logger.success(`Applied migration v${migration.version}: ${migration.description}`);
+        }
+    }
+
+    // Stamp collections that have never been written
+    for (const collection of collections) {
+        if (versions[collection] === null) {
+            driver.replace(collection, driver.load(collection), CURRENT_SCHEMA_VERSION);
+        }
+    }
+}
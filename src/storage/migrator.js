@@ -0,0 +1,112 @@
+/**
+ * JSON → SQLite Migrator
+ * One-shot import of the JSON data files and logs (including archived logs)
+ * into the SQLite database
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { createJsonDriver } from './drivers/jsonDriver.js';
+import { createSqliteDriver } from './drivers/sqliteDriver.js';
+import { Collections } from './drivers/index.js';
+import { createPersistence } from './persistence.js';
+
+// Number of log rows inserted per transaction
+const LOG_BATCH_SIZE = 500;
+
+/**
+ * Apply the changes a bot that didn't shut down cleanly left in the journal
+ * (data/journal-*.jsonl) to the JSON files, as the next start would
+ * Returns the number of replayed changes
+ */
+function replayJournal(settings) {
+    const driver = createJsonDriver(settings);
+    driver.init();
+
+    try {
+        return createPersistence(driver, settings, () => null).recover();
+    } finally {
+        driver.close();
+    }
+}
+
+/**
+ * Import all JSON collections and logs into SQLite
+ * Changes still in the journal are applied first, so run it with the bot stopped
+ * Refuses to run against a database that already holds records unless force is set
+ */
+export async function migrateJsonToSqlite({ force = false, ...settings }) {
+    const { sqliteFile } = settings;
+    const target = createSqliteDriver(settings);
+    let source = null;
+
+    target.init();
+
+    try {
+        if (!force && target.countRecords() > 0) {
+            throw new Error(`${sqliteFile} already contains data. Re-run with --force to import anyway.`);
+        }
+
+        const report = { recovered: replayJournal(settings), collections: {}, logs: 0, skippedLogLines: 0 };
+
+        // Opened after the replay so it reads the recovered files
+        source = createJsonDriver(settings);
+        source.init();
+
+        for (const collection of Object.values(Collections)) {
+            const records = source.load(collection);
+            const schemaVersion = source.getSchemaVersion(collection);
+
+            // Keep the source schema version so pending migrations still run on startup
+            if (schemaVersion !== null) {
+                target.replace(collection, records, schemaVersion);
+            }
+
+            report.collections[collection] = Object.keys(records).length;
+        }
+
+        // Archived logs first, then the active file, so entries keep their order
+        for (const logsFile of source.listLogFiles()) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(logsFile, 'utf8'),
+                crlfDelay: Infinity
+            });
+
+            let batch = [];
+            const flushBatch = () => {
+                const entries = batch;
+                batch = [];
+                target.transaction(() => {
+                    for (const entry of entries) {
+                        target.appendLog(entry);
+                    }
+                });
+                report.logs += entries.length;
+            };
+
+            for await (const line of lines) {
+                if (line.trim().length === 0) continue;
+
+                try {
+                    batch.push(JSON.parse(line));
+                } catch {
+                    report.skippedLogLines++;
+                    continue;
+                }
+
+                if (batch.length >= LOG_BATCH_SIZE) {
+                    flushBatch();
+                }
+            }
+
+            if (batch.length > 0) {
+                flushBatch();
+            }
+        }
+
+        return report;
+    } finally {
+        source?.close();
+        target.close();
+    }
+}
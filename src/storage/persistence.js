@@ -0,0 +1,285 @@
+/**
+ * Persistence Layer
+ * Coalesces record writes and flushes them to the driver asynchronously
+ *
+ * Every change is first appended to a journal segment (data/journal-<n>.jsonl)
+ * and the record is marked dirty. Records holding one entry per member (e.g. a
+ * group's warnings) journal only the member that changed (putField/removeField),
+ * so a write costs the same in a large group. Dirty records are flushed on an interval and
+ * at shutdown; a segment is deleted only after everything it covers has been
+ * flushed, so a crash between flushes is recovered by replaying the journal.
+ * Journal lines are encrypted when a storage encryption key is set.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { forEachLine } from './logStore.js';
+import { createEncryption } from './encryption.js';
+import { logger } from '../utils/logger.js';
+
+// Flushes slower than this are reported
+const SLOW_FLUSH_MS = 250;
+
+const SEGMENT_PATTERN = /^journal-(\d+)\.jsonl$/;
+
+/**
+ * Create a persistence layer for a driver
+ * getRecords(collection) must return the live in-memory records of a collection
+ */
+export function createPersistence(driver, settings, getRecords) {
+    const { dataDir, flushIntervalMs } = settings;
+    const encryption = createEncryption(settings);
+
+    // collection -> Set of dirty keys
+    let dirty = new Map();
+    let segmentSeq = 0;
+    let segmentFd = null;
+    let flushing = null;
+    let timer = null;
+
+    const stats = {
+        flushes: 0,
+        failedFlushes: 0,
+        recordsFlushed: 0,
+        lastFlushMs: 0,
+        maxFlushMs: 0,
+        totalFlushMs: 0,
+        lastFlushAt: null
+    };
+
+    /**
+     * Journal segments on disk, oldest first
+     */
+    function listSegments() {
+        if (!fs.existsSync(dataDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(dataDir)
+            .map(name => ({ name, match: name.match(SEGMENT_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ name, match }) => ({ seq: parseInt(match[1]), file: path.join(dataDir, name) }))
+            .sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * Start a new journal segment for upcoming writes
+     */
+    function openSegment() {
+        if (segmentFd !== null) {
+            fs.closeSync(segmentFd);
+        }
+
+        segmentSeq++;
+        segmentFd = fs.openSync(path.join(dataDir, `journal-${segmentSeq}.jsonl`), 'a');
+    }
+
+    function markDirty(collection, key) {
+        if (!dirty.has(collection)) {
+            dirty.set(collection, new Set());
+        }
+        dirty.get(collection).add(key);
+    }
+
+    /**
+     * Append a change to the journal and mark the record dirty
+     * change: { op, collection, key, [field], [value] }
+     */
+    function record(change) {
+        try {
+            fs.writeSync(segmentFd, encryption.encrypt(JSON.stringify(change)) + '\n');
+            markDirty(change.collection, change.key);
+            return true;
+        } catch (error) {
+            logger.error(`Error journaling ${change.collection}/${change.key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Apply a journaled change to a collection's records
+     */
+    function applyChange(records, { op, key, field, value }) {
+        switch (op) {
+            case 'remove':
+                delete records[key];
+                break;
+            case 'putField':
+                records[key] = { ...records[key], [field]: value };
+                break;
+            case 'removeField':
+                if (records[key]) delete records[key][field];
+                break;
+            default:
+                records[key] = value;
+        }
+    }
+
+    /**
+     * Write every dirty record to the driver
+     */
+    async function runFlush() {
+        const batch = dirty;
+        dirty = new Map();
+
+        // Writes made while this flush runs go to a fresh segment
+        const coveredSeq = segmentSeq;
+        openSegment();
+
+        const started = performance.now();
+        let flushed = 0;
+
+        try {
+            for (const [collection, keys] of batch) {
+                const records = getRecords(collection);
+                const changes = [...keys].map(key => [key, records[key]]);
+
+                await driver.flush(collection, changes);
+                flushed += changes.length;
+            }
+
+            for (const segment of listSegments()) {
+                if (segment.seq <= coveredSeq) {
+                    fs.rmSync(segment.file, { force: true });
+                }
+            }
+        } catch (error) {
+            // Keep the journal and retry these records on the next flush
+            for (const [collection, keys] of batch) {
+                for (const key of keys) markDirty(collection, key);
+            }
+            stats.failedFlushes++;
+            logger.error('Error flushing storage (changes are kept in the journal):', error);
+            return;
+        }
+
+        const duration = performance.now() - started;
+        stats.flushes++;
+        stats.recordsFlushed += flushed;
+        stats.lastFlushMs = duration;
+        stats.maxFlushMs = Math.max(stats.maxFlushMs, duration);
+        stats.totalFlushMs += duration;
+        stats.lastFlushAt = new Date().toISOString();
+
+        if (duration > SLOW_FLUSH_MS) {
+            logger.warn(`Slow storage flush: ${flushed} record(s) in ${duration.toFixed(0)}ms`);
+        }
+    }
+
+    return {
+        /**
+         * Replay journal segments left behind by a crash
+         * Returns the number of replayed changes
+         */
+        recover() {
+            const segments = listSegments();
+            const touched = new Map();
+            let replayed = 0;
+
+            for (const { file } of segments) {
+                forEachLine(file, line => {
+                    let change;
+                    try {
+                        change = JSON.parse(encryption.decrypt(line));
+                    } catch {
+                        return; // Torn final line from the crash
+                    }
+
+                    if (!touched.has(change.collection)) {
+                        touched.set(change.collection, driver.load(change.collection));
+                    }
+
+                    applyChange(touched.get(change.collection), change);
+                    replayed++;
+                });
+            }
+
+            for (const [collection, records] of touched) {
+                if (!driver.replace(collection, records, driver.getSchemaVersion(collection))) {
+                    throw new Error(`Failed to recover ${collection} from the journal. Journal files were left in ${dataDir}.`);
+                }
+            }
+
+            for (const { file } of segments) {
+                fs.rmSync(file, { force: true });
+            }
+
+            segmentSeq = segments.length > 0 ? segments[segments.length - 1].seq : 0;
+            return replayed;
+        },
+
+        start() {
+            openSegment();
+
+            timer = setInterval(() => {
+                this.flush().catch(error => logger.error('Error in scheduled flush:', error));
+            }, flushIntervalMs);
+            timer.unref();
+        },
+
+        put(collection, key, value) {
+            return record({ op: 'put', collection, key, value });
+        },
+
+        remove(collection, key) {
+            return record({ op: 'remove', collection, key });
+        },
+
+        /**
+         * Journal one field of a record (e.g. one member's entry in a group's record)
+         */
+        putField(collection, key, field, value) {
+            return record({ op: 'putField', collection, key, field, value });
+        },
+
+        removeField(collection, key, field) {
+            return record({ op: 'removeField', collection, key, field });
+        },
+
+        /**
+         * Flush dirty records now (waits for a flush already in progress)
+         */
+        async flush() {
+            while (flushing) {
+                await flushing;
+            }
+
+            if (dirty.size === 0) {
+                return;
+            }
+
+            flushing = runFlush();
+            try {
+                await flushing;
+            } finally {
+                flushing = null;
+            }
+        },
+
+        getStats() {
+            return {
+                ...stats,
+                avgFlushMs: stats.flushes > 0 ? stats.totalFlushMs / stats.flushes : 0,
+                pendingRecords: [...dirty.values()].reduce((total, keys) => total + keys.size, 0)
+            };
+        },
+
+        async close() {
+            clearInterval(timer);
+            await this.flush();
+
+            if (segmentFd !== null) {
+                fs.closeSync(segmentFd);
+                segmentFd = null;
+            }
+
+            // Everything is flushed, so the last segment is no longer needed
+            if (dirty.size === 0) {
+                for (const { file } of listSegments()) {
+                    fs.rmSync(file, { force: true });
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,73 @@
+/**
+ * User Redaction
+ * Finds references to a user inside stored values so their data can be
+ * removed or pseudonymized (used by the data purge)
+ */
+
+// Stands in for a removed user reference inside a record that is kept
+export const REMOVED_USER = '[removed]';
+
+/**
+ * Check whether a value identifies the user with the given phone number
+ * Matches the bare number and any WhatsApp ID for it (e.g. 123@c.us), never group IDs
+ */
+export function isUserReference(value, number) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+
+    if (value === number) {
+        return true;
+    }
+
+    const at = value.indexOf('@');
+    return at > 0 && value.slice(0, at) === number && !value.endsWith('@g.us');
+}
+
+/**
+ * Replace every reference to a user inside a value
+ * With a null replacement, object keys and array items naming the user are
+ * dropped and other references become REMOVED_USER
+ * Returns { value, count } (value is the original when nothing matched)
+ */
+export function redactUser(value, number, replacement = null) {
+    let count = 0;
+
+    const visit = node => {
+        if (isUserReference(node, number)) {
+            count++;
+            return replacement ?? REMOVED_USER;
+        }
+
+        if (Array.isArray(node)) {
+            const output = [];
+            for (const item of node) {
+                if (isUserReference(item, number)) {
+                    count++;
+                    if (replacement !== null) output.push(replacement);
+                } else {
+                    output.push(visit(item));
+                }
+            }
+            return output;
+        }
+
+        if (node instanceof Object) {
+            const output = {};
+            for (const [key, child] of Object.entries(node)) {
+                if (isUserReference(key, number)) {
+                    count++;
+                    if (replacement !== null) output[replacement] = visit(child);
+                } else {
+                    output[key] = visit(child);
+                }
+            }
+            return output;
+        }
+
+        return node;
+    };
+
+    const result = visit(value);
+    return { value: count > 0 ? result : value, count };
+}
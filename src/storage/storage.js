@@ -1,88 +1,118 @@
 /**
  * Storage Abstraction Layer
- * Handles all data persistence operations with JSON files
- * Designed for easy migration to database in the future
+ * Handles all data persistence operations through a pluggable driver
+ * (JSON files by default, embedded SQLite when STORAGE_DRIVER=sqlite)
+ * Record writes are journaled and flushed in batches by the persistence layer
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { createDriver, Collections } from './drivers/index.js';
+import { runMigrations } from './migrations.js';
+import { createPersistence } from './persistence.js';
+import { isUserReference, redactUser } from './redaction.js';
+import { getStorageSettings } from '../config/storageSettings.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DATA_DIR = path.join(__dirname, '../../data');
-const GROUPS_FILE = path.join(DATA_DIR, 'groups.json');
-const WARNINGS_FILE = path.join(DATA_DIR, 'warnings.json');
-const ADMIN_SESSIONS_FILE = path.join(DATA_DIR, 'admin_sessions.json');
-const ONBOARDING_SESSIONS_FILE = path.join(DATA_DIR, 'onboarding_sessions.json');
-const LOGS_FILE = path.join(DATA_DIR, 'logs.jsonl'); // JSON Lines format
+// Active storage driver and write-coalescing layer (set by initStorage)
+let driver = null;
+let persistence = null;
 
 // In-memory caches (exported for handlers to manage temporal session state)
 export let groupsCache = {};
 export let warningsCache = {};
 export let adminSessionsCache = {};
 export let onboardingSessionsCache = {};
+export let configHistoryCache = {};
+export let mutesCache = {};
+export let appealsCache = {};
+export let federationBansCache = {};
+export let bansCache = {};
+export let notificationSettingsCache = {};
+export let notificationQueueCache = {};
+export let raidLockdownsCache = {};
+
+// Cache for each collection, used by the persistence layer when flushing
+let caches = {};
 
 /**
- * Ensure data directory exists
+ * Initialize storage system
  */
-function ensureDataDir() {
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
+export function initStorage(settings = getStorageSettings()) {
+    driver = createDriver(settings);
+    driver.init();
+
+    persistence = createPersistence(driver, settings, collection => caches[collection]);
+
+    // Apply changes that were journaled but not flushed before a crash
+    const recovered = persistence.recover();
+    if (recovered > 0) {
+        console.log(`♻️ Recovered ${recovered} unsaved change(s) from the journal`);
     }
+
+    // Bring older data files up to the current schema
+    runMigrations(driver, settings);
+
+    // Load all data into memory
+    groupsCache = driver.load(Collections.GROUPS);
+    warningsCache = driver.load(Collections.WARNINGS);
+    adminSessionsCache = driver.load(Collections.ADMIN_SESSIONS);
+    onboardingSessionsCache = driver.load(Collections.ONBOARDING_SESSIONS);
+    configHistoryCache = driver.load(Collections.CONFIG_HISTORY);
+    mutesCache = driver.load(Collections.MUTES);
+    appealsCache = driver.load(Collections.APPEALS);
+    federationBansCache = driver.load(Collections.FEDERATION_BANS);
+    bansCache = driver.load(Collections.BANS);
+    notificationSettingsCache = driver.load(Collections.NOTIFICATION_SETTINGS);
+    notificationQueueCache = driver.load(Collections.NOTIFICATION_QUEUE);
+    raidLockdownsCache = driver.load(Collections.RAID_LOCKDOWNS);
+
+    caches = {
+        [Collections.GROUPS]: groupsCache,
+        [Collections.WARNINGS]: warningsCache,
+        [Collections.ADMIN_SESSIONS]: adminSessionsCache,
+        [Collections.ONBOARDING_SESSIONS]: onboardingSessionsCache,
+        [Collections.CONFIG_HISTORY]: configHistoryCache,
+        [Collections.MUTES]: mutesCache,
+        [Collections.APPEALS]: appealsCache,
+        [Collections.FEDERATION_BANS]: federationBansCache,
+        [Collections.BANS]: bansCache,
+        [Collections.NOTIFICATION_SETTINGS]: notificationSettingsCache,
+        [Collections.NOTIFICATION_QUEUE]: notificationQueueCache,
+        [Collections.RAID_LOCKDOWNS]: raidLockdownsCache
+    };
+
+    persistence.start();
+
+    console.log(`✅ Storage system initialized (${driver.name})`);
 }
 
 /**
- * Safe file read with error handling
+ * Flush pending changes and close the storage driver
  */
-function safeReadJSON(filePath, defaultValue = {}) {
-    try {
-        if (!fs.existsSync(filePath)) {
-            return defaultValue;
-        }
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading ${filePath}:`, error.message);
-        return defaultValue;
+export async function closeStorage() {
+    if (persistence) {
+        await persistence.close();
+        persistence = null;
+    }
+
+    if (driver) {
+        driver.close();
+        driver = null;
     }
 }
 
 /**
- * Safe file write with atomic operation
+ * Write all pending changes now
  */
-function safeWriteJSON(filePath, data) {
-    try {
-        ensureDataDir();
-        const tempFile = `${filePath}.tmp`;
-
-        // Write to temp file first
-        fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), 'utf8');
-
-        // Atomic rename
-        fs.renameSync(tempFile, filePath);
-
-        return true;
-    } catch (error) {
-        console.error(`Error writing ${filePath}:`, error.message);
-        return false;
+export async function flushStorage() {
+    if (persistence) {
+        await persistence.flush();
     }
 }
 
 /**
- * Initialize storage system
+ * Get write latency and backlog statistics of the persistence layer
  */
-export function initStorage() {
-    ensureDataDir();
-
-    // Load all data into memory
-    groupsCache = safeReadJSON(GROUPS_FILE, {});
-    warningsCache = safeReadJSON(WARNINGS_FILE, {});
-    adminSessionsCache = safeReadJSON(ADMIN_SESSIONS_FILE, {});
-    onboardingSessionsCache = safeReadJSON(ONBOARDING_SESSIONS_FILE, {});
-
-    console.log('✅ Storage system initialized');
+export function getPersistenceStats() {
+    return persistence ? persistence.getStats() : null;
 }
 
 // ============================================================================
@@ -112,7 +142,7 @@ export function saveGroup(groupId, groupData) {
         updatedAt: new Date().toISOString()
     };
 
-    return safeWriteJSON(GROUPS_FILE, groupsCache);
+    return persistence.put(Collections.GROUPS, groupId, groupsCache[groupId]);
 }
 
 /**
@@ -129,7 +159,7 @@ export function updateGroup(groupId, updates) {
         updatedAt: new Date().toISOString()
     };
 
-    return safeWriteJSON(GROUPS_FILE, groupsCache);
+    return persistence.put(Collections.GROUPS, groupId, groupsCache[groupId]);
 }
 
 /**
@@ -141,7 +171,7 @@ export function deleteGroup(groupId) {
     }
 
     delete groupsCache[groupId];
-    return safeWriteJSON(GROUPS_FILE, groupsCache);
+    return persistence.remove(Collections.GROUPS, groupId);
 }
 
 /**
@@ -167,24 +197,104 @@ export function getGroupsByAdmin(adminId) {
 // WARNING OPERATIONS
 // ============================================================================
 
+/**
+ * Warning decay modes (group config: moderation.warningDecay)
+ * EXPIRE - each strike stops counting after `days`
+ * DECAY  - one strike is removed for every `days` without a new warning
+ */
+export const WarningDecayModes = {
+    OFF: 'off',
+    EXPIRE: 'expire',
+    DECAY: 'decay'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Strikes a warning adds (warnings from before strike weights count as one)
+ */
+function strikeWeight(entry) {
+    return entry.weight ?? 1;
+}
+
+/**
+ * Round a weighted strike total so that e.g. 0.1 + 0.2 reads as 0.3
+ */
+function roundStrikes(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Count the weighted strikes of a warning record that are still active under a decay policy
+ * Revoked warnings (unwarn/pardon) never count
+ */
+function countActiveStrikes(record, decay, now = Date.now()) {
+    const active = record.history.filter(entry => !entry.revokedAt);
+
+    if (!decay || decay.mode === WarningDecayModes.OFF || !(decay.days > 0)) {
+        // Older records may count warnings whose history entries are gone
+        const untracked = Math.max(0, record.count - record.history.length);
+        return roundStrikes(untracked + active.reduce((total, entry) => total + strikeWeight(entry), 0));
+    }
+
+    const period = decay.days * DAY_MS;
+    const strikes = active.map(entry => ({ time: new Date(entry.timestamp).getTime(), weight: strikeWeight(entry) }));
+
+    if (decay.mode === WarningDecayModes.EXPIRE) {
+        return roundStrikes(strikes
+            .filter(({ time }) => now - time < period)
+            .reduce((total, { weight }) => total + weight, 0));
+    }
+
+    // DECAY: one strike is removed per period; the clock restarts with every new warning
+    let total = 0;
+    let clockStart = null;
+    for (const { time, weight } of strikes) {
+        if (clockStart !== null) {
+            total = Math.max(0, total - Math.floor((time - clockStart) / period));
+        }
+        total += weight;
+        clockStart = time;
+    }
+
+    if (clockStart !== null) {
+        total = Math.max(0, total - Math.floor((now - clockStart) / period));
+    }
+
+    return roundStrikes(total);
+}
+
 /**
  * Get warnings for a specific user in a specific group
+ * count is the weighted total of the strikes that are still active under the
+ * group's warning decay setting and not revoked; totalCount and history cover every warning
  */
 export function getWarnings(groupId, userId) {
     if (!warningsCache[groupId] || !warningsCache[groupId][userId]) {
         return {
             count: 0,
+            totalCount: 0,
             history: []
         };
     }
 
-    return warningsCache[groupId][userId];
+    const record = warningsCache[groupId][userId];
+    const decay = groupsCache[groupId]?.config?.moderation?.warningDecay;
+
+    return {
+        ...record,
+        count: countActiveStrikes(record, decay),
+        totalCount: record.count
+    };
 }
 
 /**
  * Add a warning to a user in a group
+ * issuedBy is the admin who gave it (null for automatic moderation)
+ * type is the kind of violation and weight the strikes it adds
+ * The returned count is the weighted total of active strikes including this one
  */
-export function addWarning(groupId, userId, reason) {
+export function addWarning(groupId, userId, reason, issuedBy = null, { type = null, weight = 1 } = {}) {
     // Initialize group warnings if needed
     if (!warningsCache[groupId]) {
         warningsCache[groupId] = {};
@@ -202,18 +312,81 @@ export function addWarning(groupId, userId, reason) {
     warningsCache[groupId][userId].count++;
     warningsCache[groupId][userId].history.push({
         reason,
-        timestamp: new Date().toISOString()
+        type,
+        weight,
+        timestamp: new Date().toISOString(),
+        issuedBy
     });
 
-    const success = safeWriteJSON(WARNINGS_FILE, warningsCache);
+    const success = persistence.putField(Collections.WARNINGS, groupId, userId, warningsCache[groupId][userId]);
+    const warnings = getWarnings(groupId, userId);
 
     return {
         success,
-        count: warningsCache[groupId][userId].count,
-        history: warningsCache[groupId][userId].history
+        count: warnings.count,
+        totalCount: warnings.totalCount,
+        history: warnings.history
     };
 }
 
+/**
+ * Revoke a user's most recent warning that adds strikes, the warning issued
+ * at `timestamp`, or with all every warning still counting
+ * Revoked warnings stay in the history, marked with revokedAt/revokedBy
+ * Returns the (weighted) number of active strikes removed
+ */
+export function revokeWarnings(groupId, userId, { revokedBy = null, all = false, timestamp = null } = {}) {
+    const record = warningsCache[groupId]?.[userId];
+    const active = record ? getWarnings(groupId, userId).count : 0;
+
+    if (active === 0) {
+        return 0;
+    }
+
+    const revokedAt = new Date().toISOString();
+    const targets = record.history.filter(entry => !entry.revokedAt &&
+        (timestamp ? entry.timestamp === timestamp : all || strikeWeight(entry) > 0));
+
+    if (targets.length === 0) {
+        return 0;
+    }
+
+    for (const entry of all ? targets : targets.slice(-1)) {
+        entry.revokedAt = revokedAt;
+        entry.revokedBy = revokedBy;
+    }
+
+    const removed = all ? active : Math.min(active, strikeWeight(targets.at(-1)));
+    return persistence.putField(Collections.WARNINGS, groupId, userId, record) ? removed : 0;
+}
+
+/**
+ * Record that a user was removed from a group for their strikes
+ * (pass null to clear it once they are back)
+ */
+export function setWarningRemoval(groupId, userId, removedAt) {
+    const record = warningsCache[groupId]?.[userId];
+
+    if (!record) {
+        return false;
+    }
+
+    if (removedAt) {
+        record.removedAt = removedAt;
+    } else {
+        delete record.removedAt;
+    }
+
+    return persistence.putField(Collections.WARNINGS, groupId, userId, record);
+}
+
+/**
+ * Get the IDs of the groups where a user has a warning record
+ */
+export function getWarningGroupIds(userId) {
+    return Object.keys(warningsCache).filter(groupId => warningsCache[groupId][userId]);
+}
+
 /**
  * Clear warnings for a user in a group
  */
@@ -223,7 +396,7 @@ export function clearWarnings(groupId, userId) {
     }
 
     delete warningsCache[groupId][userId];
-    return safeWriteJSON(WARNINGS_FILE, warningsCache);
+    return persistence.removeField(Collections.WARNINGS, groupId, userId);
 }
 
 /**
@@ -233,6 +406,99 @@ export function getGroupWarnings(groupId) {
     return warningsCache[groupId] || {};
 }
 
+/**
+ * Replace all warnings for a group (used when restoring a backup)
+ */
+export function replaceGroupWarnings(groupId, warnings) {
+    warningsCache[groupId] = warnings;
+    return persistence.put(Collections.WARNINGS, groupId, warningsCache[groupId]);
+}
+
+// ============================================================================
+// MUTE OPERATIONS
+// ============================================================================
+
+/**
+ * Get all mutes of a group: { [userId]: { until, reason, mutedBy, mutedAt } }
+ */
+export function getGroupMutes(groupId) {
+    return mutesCache[groupId] || {};
+}
+
+/**
+ * Get the mutes of every group: { [groupId]: { [userId]: mute } }
+ */
+export function getAllMutes() {
+    return mutesCache;
+}
+
+/**
+ * Save a mute for a user in a group
+ */
+export function setMute(groupId, userId, mute) {
+    if (!mutesCache[groupId]) {
+        mutesCache[groupId] = {};
+    }
+
+    mutesCache[groupId][userId] = mute;
+    return persistence.putField(Collections.MUTES, groupId, userId, mute);
+}
+
+/**
+ * Remove a user's mute in a group
+ */
+export function removeMute(groupId, userId) {
+    if (!mutesCache[groupId] || !mutesCache[groupId][userId]) {
+        return false;
+    }
+
+    delete mutesCache[groupId][userId];
+    return persistence.removeField(Collections.MUTES, groupId, userId);
+}
+
+// ============================================================================
+// BAN OPERATIONS
+// ============================================================================
+
+/**
+ * Get all bans of a group: { [userId]: { until, reason, bannedBy, bannedAt } }
+ * until is null for bans without an end
+ */
+export function getGroupBans(groupId) {
+    return bansCache[groupId] || {};
+}
+
+/**
+ * Get the bans of every group: { [groupId]: { [userId]: ban } }
+ */
+export function getAllBans() {
+    return bansCache;
+}
+
+/**
+ * Save a ban for a user in a group
+ */
+export function setBan(groupId, userId, ban) {
+    if (!bansCache[groupId]) {
+        bansCache[groupId] = {};
+    }
+
+    bansCache[groupId][userId] = ban;
+    return persistence.putField(Collections.BANS, groupId, userId, ban);
+}
+
+/**
+ * Remove a user's ban in a group
+ */
+export function removeBan(groupId, userId) {
+    if (!bansCache[groupId] || !bansCache[groupId][userId]) {
+        return false;
+    }
+
+    delete bansCache[groupId][userId];
+    return persistence.removeField(Collections.BANS, groupId, userId);
+}
+
 // ============================================================================
 // ADMIN SESSION OPERATIONS
 // ============================================================================
@@ -253,7 +519,7 @@ export function setAdminContext(adminId, groupId) {
         lastUpdated: new Date().toISOString()
     };
 
-    return safeWriteJSON(ADMIN_SESSIONS_FILE, adminSessionsCache);
+    return persistence.put(Collections.ADMIN_SESSIONS, adminId, adminSessionsCache[adminId]);
 }
 
 /**
@@ -265,7 +531,7 @@ export function clearAdminContext(adminId) {
     }
 
     delete adminSessionsCache[adminId];
-    return safeWriteJSON(ADMIN_SESSIONS_FILE, adminSessionsCache);
+    return persistence.remove(Collections.ADMIN_SESSIONS, adminId);
 }
 
 /**
@@ -295,7 +561,7 @@ export function setOnboardingSession(adminId, sessionData) {
         lastUpdated: new Date().toISOString()
     };
 
-    return safeWriteJSON(ONBOARDING_SESSIONS_FILE, onboardingSessionsCache);
+    return persistence.put(Collections.ONBOARDING_SESSIONS, adminId, onboardingSessionsCache[adminId]);
 }
 
 /**
@@ -307,68 +573,446 @@ export function clearOnboardingSession(adminId) {
     }
 
     delete onboardingSessionsCache[adminId];
-    return safeWriteJSON(ONBOARDING_SESSIONS_FILE, onboardingSessionsCache);
+    return persistence.remove(Collections.ONBOARDING_SESSIONS, adminId);
 }
+
 // ============================================================================
-// LOGGING OPERATIONS
+// CONFIG HISTORY OPERATIONS
 // ============================================================================
 
+// Change sets kept per group (oldest are dropped first)
+const MAX_CONFIG_HISTORY = 200;
+
 /**
- * Append a log entry (JSON Lines format)
+ * Get the config change history of a group, oldest first
  */
-export function appendLog(logEntry) {
-    try {
-        ensureDataDir();
-
-        const logLine = JSON.stringify({
-            ...logEntry,
-            timestamp: new Date().toISOString()
-        }) + '\n';
-
-        fs.appendFileSync(LOGS_FILE, logLine, 'utf8');
-        return true;
-    } catch (error) {
-        console.error('Error appending log:', error.message);
+export function getConfigHistory(groupId) {
+    return configHistoryCache[groupId] || [];
+}
+
+/**
+ * Append a change set to a group's config history
+ * Returns the stored entry (with its id) or null on failure
+ */
+export function addConfigHistoryEntry(groupId, entry) {
+    const history = configHistoryCache[groupId] || [];
+    const lastId = history.length > 0 ? history[history.length - 1].id : 0;
+
+    const stored = {
+        id: lastId + 1,
+        ...entry,
+        timestamp: new Date().toISOString()
+    };
+
+    configHistoryCache[groupId] = [...history, stored].slice(-MAX_CONFIG_HISTORY);
+
+    return persistence.put(Collections.CONFIG_HISTORY, groupId, configHistoryCache[groupId]) ? stored : null;
+}
+
+/**
+ * Update fields of a config history entry
+ */
+export function updateConfigHistoryEntry(groupId, entryId, updates) {
+    const history = configHistoryCache[groupId];
+    const index = history ? history.findIndex(entry => entry.id === entryId) : -1;
+
+    if (index === -1) {
         return false;
     }
+
+    history[index] = { ...history[index], ...updates };
+    return persistence.put(Collections.CONFIG_HISTORY, groupId, history);
+}
+
+// ============================================================================
+// APPEAL OPERATIONS
+// ============================================================================
+
+// Appeals kept per group (oldest are dropped first)
+const MAX_APPEALS = 200;
+
+/**
+ * Get the appeal queue of a group, oldest first
+ */
+export function getGroupAppeals(groupId) {
+    return appealsCache[groupId] || [];
 }
 
 /**
- * Read recent logs (last N entries)
+ * Append an appeal to a group's queue
  */
-export function getRecentLogs(count = 100) {
-    try {
-        if (!fs.existsSync(LOGS_FILE)) {
-            return [];
+export function addAppeal(groupId, appeal) {
+    appealsCache[groupId] = [...getGroupAppeals(groupId), appeal].slice(-MAX_APPEALS);
+    return persistence.put(Collections.APPEALS, groupId, appealsCache[groupId]);
+}
+
+/**
+ * Update fields of an appeal
+ */
+export function updateAppeal(groupId, appealId, updates) {
+    const appeals = appealsCache[groupId];
+    const index = appeals ? appeals.findIndex(appeal => appeal.id === appealId) : -1;
+
+    if (index === -1) {
+        return false;
+    }
+
+    appeals[index] = { ...appeals[index], ...updates };
+    return persistence.put(Collections.APPEALS, groupId, appeals);
+}
+
+// ============================================================================
+// FEDERATION BAN OPERATIONS
+// ============================================================================
+
+/**
+ * Get every shared ban, per user and the group it was made in:
+ * { [userId]: { [sourceGroupId]: { reason, bannedBy, bannedAt, until } } }
+ */
+export function getFederationBans() {
+    return federationBansCache;
+}
+
+/**
+ * Add (or replace) a user's shared ban from one group
+ */
+export function setFederationBan(userId, sourceGroupId, ban) {
+    federationBansCache[userId] = {
+        ...federationBansCache[userId],
+        [sourceGroupId]: ban
+    };
+    return persistence.put(Collections.FEDERATION_BANS, userId, federationBansCache[userId]);
+}
+
+/**
+ * Remove a user's shared ban from one group (or from every group when
+ * sourceGroupId is null)
+ */
+export function removeFederationBan(userId, sourceGroupId = null) {
+    const bans = federationBansCache[userId];
+
+    if (!bans || (sourceGroupId !== null && !bans[sourceGroupId])) {
+        return false;
+    }
+
+    if (sourceGroupId !== null && Object.keys(bans).length > 1) {
+        const { [sourceGroupId]: removed, ...rest } = bans;
+        federationBansCache[userId] = rest;
+        return persistence.put(Collections.FEDERATION_BANS, userId, rest);
+    }
+
+    delete federationBansCache[userId];
+    return persistence.remove(Collections.FEDERATION_BANS, userId);
+}
+
+// ============================================================================
+// ADMIN NOTIFICATION OPERATIONS
+// ============================================================================
+
+// Oldest queued notifications are dropped beyond this many per admin
+const MAX_QUEUED_NOTIFICATIONS = 500;
+
+/**
+ * Get an admin's notification settings: { mode, quietHours } (null when never set)
+ */
+export function getNotificationSettings(adminId) {
+    return notificationSettingsCache[adminId] || null;
+}
+
+/**
+ * Save an admin's notification settings
+ */
+export function setNotificationSettings(adminId, settings) {
+    notificationSettingsCache[adminId] = settings;
+    return persistence.put(Collections.NOTIFICATION_SETTINGS, adminId, settings);
+}
+
+/**
+ * Get every admin's queued notifications: { [adminId]: { events, lastDigestAt } }
+ */
+export function getNotificationQueues() {
+    return notificationQueueCache;
+}
+
+/**
+ * Queue a notification for an admin's next digest
+ */
+export function queueNotification(adminId, event) {
+    const queue = notificationQueueCache[adminId] || { events: [], lastDigestAt: null };
+
+    notificationQueueCache[adminId] = {
+        ...queue,
+        events: [...queue.events, event].slice(-MAX_QUEUED_NOTIFICATIONS)
+    };
+
+    return persistence.put(Collections.NOTIFICATION_QUEUE, adminId, notificationQueueCache[adminId]);
+}
+
+/**
+ * Replace an admin's queue after a digest was sent
+ */
+export function setNotificationQueue(adminId, queue) {
+    notificationQueueCache[adminId] = queue;
+    return persistence.put(Collections.NOTIFICATION_QUEUE, adminId, queue);
+}
+
+// ============================================================================
+// RAID LOCKDOWN OPERATIONS
+// ============================================================================
+
+/**
+ * Get a group's raid lockdown: { until, startedAt, startedBy, wasAdminsOnly, locked, probationCount }
+ */
+export function getRaidLockdown(groupId) {
+    return raidLockdownsCache[groupId] || null;
+}
+
+/**
+ * Get the lockdowns of every group: { [groupId]: lockdown }
+ */
+export function getAllRaidLockdowns() {
+    return raidLockdownsCache;
+}
+
+/**
+ * Save a group's raid lockdown
+ */
+export function setRaidLockdown(groupId, lockdown) {
+    raidLockdownsCache[groupId] = lockdown;
+    return persistence.put(Collections.RAID_LOCKDOWNS, groupId, lockdown);
+}
+
+/**
+ * Remove a group's raid lockdown
+ */
+export function removeRaidLockdown(groupId) {
+    if (!raidLockdownsCache[groupId]) {
+        return false;
+    }
+
+    delete raidLockdownsCache[groupId];
+    return persistence.remove(Collections.RAID_LOCKDOWNS, groupId);
+}
+
+// ============================================================================
+// DATA PURGE OPERATIONS
+// ============================================================================
+
+/**
+ * Check whether a record belongs to one of the given groups (null = all groups)
+ */
+function isRecordInScope(key, record, groupIds) {
+    return groupIds === null ||
+        groupIds.includes(key) ||
+        groupIds.includes(record?.groupId) ||
+        groupIds.includes(record?.activeGroupId);
+}
+
+/**
+ * Records keyed by user that hold data for several groups: shared bans are
+ * keyed by the group they were made in, queued notifications name the group
+ * on each event
+ * mapGroups(record, groupIds, map) applies map to the parts from the given
+ * groups (a part mapped to undefined is dropped) and returns { value, parts };
+ * isEmpty tells whether anything is left worth keeping
+ */
+const MULTI_GROUP_RECORDS = {
+    [Collections.FEDERATION_BANS]: {
+        mapGroups(bans, groupIds, map) {
+            const value = {};
+            let parts = 0;
+
+            for (const [sourceGroupId, ban] of Object.entries(bans)) {
+                if (!groupIds.includes(sourceGroupId)) {
+                    value[sourceGroupId] = ban;
+                    continue;
+                }
+
+                parts++;
+                const mapped = map(ban);
+                if (mapped !== undefined) value[sourceGroupId] = mapped;
+            }
+
+            return { value, parts };
+        },
+        isEmpty: bans => Object.keys(bans).length === 0
+    },
+    [Collections.NOTIFICATION_QUEUE]: {
+        mapGroups(queue, groupIds, map) {
+            const events = [];
+            let parts = 0;
+
+            for (const event of queue.events || []) {
+                if (!groupIds.includes(event.groupId)) {
+                    events.push(event);
+                    continue;
+                }
+
+                parts++;
+                const mapped = map(event);
+                if (mapped !== undefined) events.push(mapped);
+            }
+
+            return { value: { ...queue, events }, parts };
+        },
+        isEmpty: queue => queue.events.length === 0
+    }
+};
+
+/**
+ * Purge the parts of a multi-group record that belong to the given groups
+ * The user's own record loses those parts (and is deleted when nothing is
+ * left); in other users' records the references are redacted
+ * Returns { action: 'removed' | 'updated' | null, value, references }
+ */
+function purgeMultiGroupRecord(collection, key, record, number, groupIds, replacement) {
+    const { mapGroups, isEmpty } = MULTI_GROUP_RECORDS[collection];
+
+    if (isUserReference(key, number)) {
+        const { value, parts } = mapGroups(record, groupIds, () => undefined);
+        if (parts === 0) {
+            return { action: null, value: record, references: 0 };
         }
+        return { action: isEmpty(value) ? 'removed' : 'updated', value, references: parts };
+    }
 
-        const data = fs.readFileSync(LOGS_FILE, 'utf8');
-        const lines = data.trim().split('\n').filter(line => line.length > 0);
+    let references = 0;
+    const { value } = mapGroups(record, groupIds, part => {
+        const result = redactUser(part, number, replacement);
+        references += result.count;
+        return result.value;
+    });
 
-        // Get last N lines
-        const recentLines = lines.slice(-count);
+    return { action: references > 0 ? 'updated' : null, value, references };
+}
+
+/**
+ * Remove or pseudonymize every reference to a user in all collections
+ * Records keyed by the user are deleted; other records have the references
+ * replaced (or dropped when replacement is null). A scoped purge only touches
+ * the parts of multi-group records that belong to the given groups
+ * options: { groupIds (null = all groups), replacement, dryRun }
+ * Returns { [collection]: { removed, updated, references } }
+ */
+export function purgeUserRecords(number, { groupIds = null, replacement = null, dryRun = false } = {}) {
+    const report = {};
+
+    for (const [collection, records] of Object.entries(caches)) {
+        const counts = { removed: 0, updated: 0, references: 0 };
+
+        for (const [key, record] of Object.entries(records)) {
+            if (!isRecordInScope(key, record, groupIds)) {
+                if (!MULTI_GROUP_RECORDS[collection]) continue;
+
+                const { action, value, references } = purgeMultiGroupRecord(collection, key, record, number, groupIds, replacement);
+                if (action === null) continue;
+
+                counts[action]++;
+                if (action === 'updated') counts.references += references;
+                if (!dryRun) {
+                    if (action === 'removed') {
+                        delete records[key];
+                        persistence.remove(collection, key);
+                    } else {
+                        records[key] = value;
+                        persistence.put(collection, key, value);
+                    }
+                }
+                continue;
+            }
 
-        return recentLines.map(line => {
-            try {
-                return JSON.parse(line);
-            } catch {
-                return null;
+            if (isUserReference(key, number)) {
+                counts.removed++;
+                if (!dryRun) {
+                    delete records[key];
+                    persistence.remove(collection, key);
+                }
+                continue;
             }
-        }).filter(entry => entry !== null);
-    } catch (error) {
-        console.error('Error reading logs:', error.message);
-        return [];
+
+            const { value, count } = redactUser(record, number, replacement);
+            if (count > 0) {
+                counts.updated++;
+                counts.references += count;
+                if (!dryRun) {
+                    records[key] = value;
+                    persistence.put(collection, key, value);
+                }
+            }
+        }
+
+        report[collection] = counts;
     }
+
+    return report;
+}
+
+/**
+ * Remove or pseudonymize a user's log entries, including rotated logs
+ * Entries are deleted when replacement is null, otherwise rewritten
+ * options: { groupIds (null = all groups), replacement, dryRun }
+ * Returns { removed, updated }
+ */
+export function purgeUserLogs(number, { groupIds = null, replacement = null, dryRun = false } = {}) {
+    const counts = { removed: 0, updated: 0 };
+
+    driver.rewriteLogs(number, entry => {
+        if (groupIds !== null && !groupIds.includes(entry.groupId)) {
+            return undefined;
+        }
+
+        const { value, count } = redactUser(entry, number, replacement);
+        if (count === 0) {
+            return undefined;
+        }
+
+        if (replacement === null) {
+            counts.removed++;
+            return dryRun ? undefined : null;
+        }
+
+        counts.updated++;
+        return dryRun ? undefined : value;
+    });
+
+    return counts;
+}
+
+// ============================================================================
+// LOGGING OPERATIONS
+// ============================================================================
+
+/**
+ * Append a log entry
+ */
+export function appendLog(logEntry) {
+    return driver.appendLog({
+        ...logEntry,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Query logs by group, user, type and time range
+ * filter: { groupId, userId, type, since, until, limit }
+ * Returns the newest `limit` matching entries, oldest first
+ */
+export function queryLogs(filter = {}) {
+    return driver.queryLogs(filter);
+}
+
+/**
+ * Read recent logs (last N entries)
+ */
+export function getRecentLogs(count = 100) {
+    return queryLogs({ limit: count });
 }
 
 /**
  * Get logs for a specific group
  */
 export function getGroupLogs(groupId, count = 50) {
-    const allLogs = getRecentLogs(1000); // Read more to filter
-    return allLogs
-        .filter(log => log.groupId === groupId)
-        .slice(-count);
+    return queryLogs({ groupId, limit: count });
 }
 
 /**
@@ -379,6 +1023,8 @@ export const LogTypes = {
     MESSAGE_DELETED: 'message_deleted',
     ADMIN_COMMAND: 'admin_command',
     EVERYONE_USAGE: 'everyone_usage',
+    ESCALATION: 'escalation',
+    APPEAL: 'appeal',
     BOT_EVENT: 'bot_event',
     ERROR: 'error'
 };
@@ -409,6 +1055,34 @@ export function logDeletedMessage(groupId, userId, reason, messageHash) {
     });
 }
 
+/**
+ * Helper to log an action taken by the escalation ladder
+ */
+export function logEscalationAction(groupId, userId, strikeCount, action, success) {
+    return appendLog({
+        type: LogTypes.ESCALATION,
+        groupId,
+        userId,
+        strikeCount,
+        action,
+        success
+    });
+}
+
+/**
+ * Helper to log an appeal being filed or decided
+ */
+export function logAppeal(groupId, userId, appealId, status, decidedBy = null) {
+    return appendLog({
+        type: LogTypes.APPEAL,
+        groupId,
+        userId,
+        appealId,
+        status,
+        decidedBy
+    });
+}
+
 /**
  * Helper to log an admin command
  */
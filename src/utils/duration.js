@@ -0,0 +1,58 @@
+/**
+ * Duration utilities
+ * Parses and formats short durations such as "30m", "24h" or "7d"
+ */
+
+const UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_NAMES = {
+    w: 'week',
+    d: 'day',
+    h: 'hour',
+    m: 'minute',
+    s: 'second'
+};
+
+/**
+ * Parse a duration like "90s", "30m", "24h", "7d" or "2w" (combinations such as "1h30m" work too)
+ * Returns milliseconds, or null when the text is not a duration
+ */
+export function parseDuration(text) {
+    const value = String(text || '').trim().toLowerCase();
+
+    if (!/^(\d+[smhdw])+$/.test(value)) {
+        return null;
+    }
+
+    let total = 0;
+    for (const [, amount, unit] of value.matchAll(/(\d+)([smhdw])/g)) {
+        total += parseInt(amount) * UNITS[unit];
+    }
+
+    return total > 0 ? total : null;
+}
+
+/**
+ * Format milliseconds as readable text, e.g. "1 day 2 hours"
+ * Uses at most the two largest units
+ */
+export function formatDuration(ms) {
+    const parts = [];
+    let remaining = Math.max(0, Math.round(ms / 1000) * 1000);
+
+    for (const [unit, name] of Object.entries(UNIT_NAMES)) {
+        const amount = Math.floor(remaining / UNITS[unit]);
+        if (amount > 0) {
+            parts.push(`${amount} ${name}${amount === 1 ? '' : 's'}`);
+            remaining -= amount * UNITS[unit];
+        }
+    }
+
+    return parts.slice(0, 2).join(' ') || '0 seconds';
+}
@@ -5,6 +5,7 @@
 
 import { logger } from './logger.js';
 import { safeGetContactById } from './contactUtils.js';
+import { getBotSettings } from '../config/botSettings.js';
 
 /**
  * Check if a user is an admin in the group
@@ -132,6 +133,20 @@ export async function isAdmin(chat, userId, client = null) {
     }
 }
 
+/**
+ * Check a member's admin status from the chat's participant list only
+ * Quiet and without lookups, for checks that run on every group message
+ * Linked device IDs (@lid) are matched by their number
+ */
+export function isParticipantAdmin(chat, userId) {
+    const participants = chat.participants || [];
+    const number = userId.split(/[@:]/)[0];
+    const participant = participants.find(p => p.id._serialized === userId) ||
+        participants.find(p => p.id.user === number);
+
+    return Boolean(participant && (participant.isAdmin || participant.isSuperAdmin));
+}
+
 /**
  * Check if the bot itself is an admin in the group
  */
@@ -172,3 +187,10 @@ export async function canExecuteAdminCommand(message, client) {
     const authorId = message.author || message.from;
     return await isAdmin(chat, authorId, client);
 }
+
+/**
+ * Check if a user is one of the bot owners (BOT_OWNERS)
+ */
+export function isBotOwner(userId) {
+    return getBotSettings().owners.includes(userId.split('@')[0]);
+}
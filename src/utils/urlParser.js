@@ -0,0 +1,218 @@
+/**
+ * URL parser
+ * Finds links in message text (with or without a scheme, including bare
+ * domains and IP addresses) and matches their hosts against domain lists
+ */
+
+// Links with a scheme, or starting with www.
+const SCHEME_PATTERN = /\b(?:https?|ftp):\/\/[^\s<>"]+|\bwww\.[^\s<>"]+/gi;
+
+// Bare domains ("example.ng/page") and IPv4 addresses ("10.0.0.1:8080")
+// Groups: 1 top-level domain, 2 IPv4 address, 3 port, 4 path
+const BARE_PATTERN = /(?<![\w@.\-/])(?:(?:[a-z0-9\u00a1-\uffff](?:[a-z0-9\u00a1-\uffff-]{0,61}[a-z0-9\u00a1-\uffff])?\.)+([a-z\u00a1-\uffff]{2,63}|xn--[a-z0-9-]{1,59})|(\d{1,3}(?:\.\d{1,3}){3}))(:\d{1,5})?([/?#][^\s<>"]*)?(?![\w@-])/gi;
+
+// Top-level domains that make a bare "name.tld" a link on its own. Everything
+// else ("index.js", "Dr.Smith", "fine.thanks") needs a scheme, www. or a path,
+// or a host that is well known or on one of the group's domain lists
+const KNOWN_TLDS = new Set([
+    // Generic, including the cheap ones popular with spammers
+    'com', 'net', 'org', 'info', 'biz', 'edu', 'gov', 'mil', 'int', 'mobi', 'name', 'pro', 'tel',
+    'travel', 'aero', 'asia', 'coop', 'jobs', 'museum', 'app', 'dev', 'page', 'xyz', 'top',
+    'online', 'site', 'website', 'space', 'store', 'shop', 'club', 'live', 'link', 'click', 'icu',
+    'vip', 'bid', 'loan', 'tech', 'cloud', 'blog', 'news', 'email', 'digital', 'network', 'agency',
+    'media', 'host', 'press', 'social', 'group', 'win', 'buzz', 'fun', 'bet', 'cam', 'lol', 'work',
+    'rest', 'sbs', 'cfd', 'cyou', 'quest', 'monster', 'today', 'world', 'life', 'ltd', 'mom',
+    'casino', 'poker', 'money', 'cash', 'finance', 'trade', 'review', 'download', 'stream', 'racing',
+    'party', 'kim', 'ink', 'wtf', 'guru', 'best', 'bond', 'skin', 'hair', 'beauty',
+    // Country codes, except the ones that double as words or file extensions
+    // (am, as, at, be, by, cc, do, in, is, it, md, me, my, no, pl, ps, py, rs, sh, so, to, us)
+    'ac', 'ad', 'ae', 'af', 'ag', 'ai', 'al', 'ao', 'aq', 'ar', 'au', 'aw', 'ax', 'az', 'ba', 'bb',
+    'bd', 'bf', 'bg', 'bh', 'bi', 'bj', 'bm', 'bn', 'bo', 'br', 'bs', 'bt', 'bw', 'bz', 'ca', 'cd',
+    'cf', 'cg', 'ch', 'ci', 'ck', 'cl', 'cm', 'cn', 'co', 'cr', 'cu', 'cv', 'cw', 'cx', 'cy', 'cz',
+    'de', 'dj', 'dk', 'dm', 'dz', 'ec', 'ee', 'eg', 'er', 'es', 'et', 'eu', 'fi', 'fj', 'fk', 'fm',
+    'fo', 'fr', 'ga', 'gd', 'ge', 'gf', 'gg', 'gh', 'gi', 'gl', 'gm', 'gn', 'gp', 'gq', 'gr', 'gs',
+    'gt', 'gu', 'gw', 'gy', 'hk', 'hm', 'hn', 'hr', 'ht', 'hu', 'id', 'ie', 'il', 'im', 'io', 'iq',
+    'ir', 'je', 'jm', 'jo', 'jp', 'ke', 'kg', 'kh', 'ki', 'km', 'kn', 'kp', 'kr', 'kw', 'ky', 'kz',
+    'la', 'lb', 'lc', 'li', 'lk', 'lr', 'ls', 'lt', 'lu', 'lv', 'ly', 'ma', 'mc', 'mg', 'mh', 'mk',
+    'ml', 'mm', 'mn', 'mo', 'mp', 'mq', 'mr', 'ms', 'mt', 'mu', 'mv', 'mw', 'mx', 'mz', 'na', 'nc',
+    'ne', 'nf', 'ng', 'ni', 'nl', 'np', 'nr', 'nu', 'nz', 'om', 'pa', 'pe', 'pf', 'pg', 'ph', 'pk',
+    'pm', 'pn', 'pr', 'pt', 'pw', 'qa', 're', 'ro', 'ru', 'rw', 'sa', 'sb', 'sc', 'sd', 'se', 'sg',
+    'si', 'sk', 'sl', 'sm', 'sn', 'sr', 'ss', 'st', 'su', 'sv', 'sx', 'sy', 'sz', 'tc', 'td', 'tf',
+    'tg', 'th', 'tj', 'tk', 'tl', 'tm', 'tn', 'tr', 'tt', 'tv', 'tw', 'tz', 'ua', 'ug', 'uk', 'uy',
+    'uz', 'va', 'vc', 've', 'vg', 'vi', 'vn', 'vu', 'wf', 'ws', 'ye', 'yt', 'za', 'zm', 'zw'
+]);
+
+// Links on top-level domains left out above that are common enough to count on their own
+const KNOWN_HOSTS = new Set(['t.me', 'wa.me', 'telegram.me', 'youtu.be']);
+
+// Punctuation that usually ends the sentence rather than the link
+const TRAILING_PUNCTUATION = /[.,;:!?'")\]}>]+$/;
+
+/**
+ * Parse a link, adding http:// when it has no scheme
+ * Returns null when the text is not a valid URL
+ */
+function parseUrl(link) {
+    try {
+        return new URL(/^[a-z]+:\/\//i.test(link) ? link : `http://${link}`);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the host of a link, lowercased and without a trailing dot
+ * Returns null when the text is not a valid URL
+ */
+function parseHost(link) {
+    return parseUrl(link)?.hostname.replace(/\.$/, '') || null;
+}
+
+/**
+ * Decide whether a bare domain or IP address match is meant as a link
+ * Known top-level domains and hosts, and hosts on the given domain lists,
+ * stand on their own; anything else needs a path, and IP addresses
+ * ("version 1.2.3.4") need a port or a path
+ */
+function isBareLink(match, domains) {
+    const [link, tld, ip, port, path] = match;
+    const hasPath = Boolean(path?.replace(TRAILING_PUNCTUATION, ''));
+
+    if (ip) {
+        return Boolean(port || hasPath);
+    }
+
+    if (hasPath || KNOWN_TLDS.has(tld.toLowerCase()) || tld.toLowerCase().startsWith('xn--')) {
+        return true;
+    }
+
+    const host = parseHost(link.replace(TRAILING_PUNCTUATION, ''));
+    return host !== null && (KNOWN_HOSTS.has(host) || findMatchingDomain(host, domains) !== null);
+}
+
+/**
+ * Find every link in a text
+ * options: { domains } - a group's allowed and blocked domains, so a bare
+ * "promo.me" counts as a link when it is listed
+ * Returns [{ url, host }] in the order they appear
+ */
+export function extractUrls(text, { domains = [] } = {}) {
+    if (!text) {
+        return [];
+    }
+
+    const found = [];
+
+    const collect = (match) => {
+        const url = match[0].replace(TRAILING_PUNCTUATION, '');
+        const host = parseHost(url);
+
+        if (host) {
+            found.push({ url, host, index: match.index });
+        }
+    };
+
+    // Blank out the scheme links so their hosts aren't matched again as bare domains
+    const rest = text.replace(SCHEME_PATTERN, (link, ...groups) => {
+        collect({ 0: link, index: groups.at(-2) });
+        return ' '.repeat(link.length);
+    });
+
+    for (const match of rest.matchAll(BARE_PATTERN)) {
+        if (isBareLink(match, domains)) {
+            collect(match);
+        }
+    }
+
+    return found
+        .sort((a, b) => a.index - b.index)
+        .map(({ url, host }) => ({ url, host }));
+}
+
+/**
+ * Check whether a text contains a link
+ */
+export function containsUrl(text) {
+    return extractUrls(text).length > 0;
+}
+
+/**
+ * Normalize a domain list entry: "https://www.Example.com/page" becomes "example.com"
+ * Returns null when the text is not a domain or IP address
+ */
+export function normalizeDomain(text) {
+    const value = String(text || '').trim().replace(/^\*\./, '');
+
+    if (!value || /\s/.test(value)) {
+        return null;
+    }
+
+    const host = parseHost(value);
+
+    if (!host || !host.includes('.')) {
+        return null;
+    }
+
+    return host.replace(/^www\./, '');
+}
+
+/**
+ * Check whether a host is a domain or one of its subdomains
+ * ("m.youtube.com" matches "youtube.com", "notyoutube.com" does not)
+ */
+export function matchesDomain(host, domain) {
+    const entry = normalizeDomain(domain);
+    return entry !== null && (host === entry || host.endsWith(`.${entry}`));
+}
+
+/**
+ * Find the first entry of a domain list that a host matches
+ */
+export function findMatchingDomain(host, domains = []) {
+    return domains.find(domain => matchesDomain(host, domain)) || null;
+}
+
+/**
+ * Kinds of invite links to other chats
+ */
+export const InviteTypes = {
+    WHATSAPP_GROUP: 'whatsapp_group',
+    WHATSAPP_CHANNEL: 'whatsapp_channel',
+    TELEGRAM: 'telegram'
+};
+
+// Invite link formats: the hosts they live on, the path holding the
+// invite code, and how the code is written back into a canonical link
+const INVITE_FORMATS = [
+    {
+        type: InviteTypes.WHATSAPP_GROUP,
+        hosts: ['chat.whatsapp.com'],
+        path: /^\/(?:invite\/)?([A-Za-z0-9]{6,})/,
+        link: code => `chat.whatsapp.com/${code}`
+    },
+    {
+        type: InviteTypes.WHATSAPP_CHANNEL,
+        hosts: ['whatsapp.com', 'www.whatsapp.com'],
+        path: /^\/channel\/([A-Za-z0-9]+)/,
+        link: code => `whatsapp.com/channel/${code}`
+    },
+    {
+        // Public usernames are case-insensitive, private (+ or joinchat) codes are not
+        type: InviteTypes.TELEGRAM,
+        hosts: ['t.me', 'www.t.me', 'telegram.me', 'www.telegram.me'],
+        path: /^\/(?:joinchat\/|\+)([A-Za-z0-9_-]+)|^\/([A-Za-z0-9_]{4,})/,
+        link: (code, username) => (username ? `t.me/${username.toLowerCase()}` : `t.me/+${code}`)
+    }
+];
+
+/**
+ * Recognize an invite link to a WhatsApp group or channel, or a Telegram chat
+ * Returns { type, link } with the link in canonical form, or null
+ */
+export function parseInviteLink(url) {
+    const host = parseHost(url);
+    const format = INVITE_FORMATS.find(entry => entry.hosts.includes(host));
+    const match = format && parseUrl(url).pathname.match(format.path);
+
+    return match ? { type: format.type, link: format.link(match[1], match[2]) } : null;
+}
@@ -0,0 +1,173 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    initStorage,
+    closeStorage,
+    saveGroup,
+    getNotificationQueues,
+    setNotificationQueue
+} from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import {
+    NotificationModes,
+    setNotificationMode,
+    setQuietHours,
+    parseQuietHours,
+    formatQuietHours,
+    isQuietTime,
+    sendAdminAlert,
+    deliverDigests
+} from '../src/moderation/adminNotifier.js';
+import { isValidTimezone } from '../src/config/settingLimits.js';
+
+const HOUR = 60 * 60 * 1000;
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Client that records the DMs it sends
+ */
+function createClient() {
+    const sent = [];
+    return {
+        sent,
+        getContactById: async userId => ({
+            sendMessage: async text => sent.push({ userId, text })
+        })
+    };
+}
+
+/**
+ * Create a group with the given admins and config
+ */
+function createGroup(groupId, admins, config = {}) {
+    saveGroup(groupId, { id: groupId, name: `Group ${groupId}`, admins, config });
+}
+
+const alert = (title, critical = false) => ({ title, summary: `${title} summary`, text: `${title} text`, critical });
+
+const queuedTitles = adminId => (getNotificationQueues()[adminId]?.events || []).map(event => event.title);
+
+test('parseQuietHours reads hour ranges, including ones past midnight', () => {
+    assert.deepEqual(parseQuietHours('22-7'), { start: 22, end: 7 });
+    assert.deepEqual(parseQuietHours(' 08:00-17:00 '), { start: 8, end: 17 });
+    for (const text of ['', '22', '22-22', '24-7', '22:30-7', 'night', null]) {
+        assert.equal(parseQuietHours(text), null, String(text));
+    }
+});
+
+test('formatQuietHours describes hours or off', () => {
+    assert.equal(formatQuietHours({ start: 22, end: 7 }), '22:00-07:00');
+    assert.equal(formatQuietHours(null), 'Off');
+});
+
+test('isValidTimezone accepts IANA names only', () => {
+    assert.equal(isValidTimezone('Europe/Berlin'), true);
+    assert.equal(isValidTimezone('UTC'), true);
+    assert.equal(isValidTimezone('Mars/Olympus'), false);
+    assert.equal(isValidTimezone(42), false);
+});
+
+test('isQuietTime uses the hour in the given timezone', () => {
+    const lateUtc = new Date('2024-06-01T23:30:00Z');
+    const noonUtc = new Date('2024-06-01T12:00:00Z');
+
+    assert.equal(isQuietTime({ start: 22, end: 7 }, 'UTC', lateUtc), true);
+    assert.equal(isQuietTime({ start: 22, end: 7 }, 'UTC', noonUtc), false);
+    assert.equal(isQuietTime({ start: 9, end: 17 }, 'UTC', noonUtc), true);
+    // 23:30 UTC is 08:30 in Tokyo
+    assert.equal(isQuietTime({ start: 22, end: 7 }, 'Asia/Tokyo', lateUtc), false);
+    assert.equal(isQuietTime(null, 'UTC', lateUtc), false);
+});
+
+test('sendAdminAlert sends right away to admins without digests or quiet hours', async () => {
+    const client = createClient();
+    createGroup('instant@g.us', ['a1@c.us', 'a2@c.us']);
+
+    assert.equal(await sendAdminAlert('instant@g.us', alert('Spam'), client), true);
+    assert.deepEqual(client.sent, [
+        { userId: 'a1@c.us', text: 'Spam text' },
+        { userId: 'a2@c.us', text: 'Spam text' }
+    ]);
+    assert.equal(await sendAdminAlert('unknown@g.us', alert('Spam'), client), false);
+});
+
+test('alerts wait for the digest, and during quiet hours, unless critical', async () => {
+    const client = createClient();
+    const currentHour = new Date().getUTCHours();
+    createGroup('held@g.us', ['digest@c.us', 'quiet@c.us']);
+    setNotificationMode('digest@c.us', NotificationModes.HOURLY);
+    setQuietHours('quiet@c.us', { start: currentHour, end: (currentHour + 1) % 24 });
+
+    await sendAdminAlert('held@g.us', alert('Flood'), client);
+    await sendAdminAlert('held@g.us', alert('Raid', true), client);
+
+    assert.deepEqual(client.sent.map(dm => [dm.userId, dm.text]), [
+        ['digest@c.us', 'Raid text'],
+        ['quiet@c.us', 'Raid text']
+    ]);
+    assert.deepEqual(queuedTitles('digest@c.us'), ['Flood']);
+    assert.deepEqual(queuedTitles('quiet@c.us'), ['Flood']);
+});
+
+test('deliverDigests sends a digest once its interval has passed', async () => {
+    const client = createClient();
+    createGroup('digest@g.us', ['hourly@c.us']);
+    setNotificationMode('hourly@c.us', NotificationModes.HOURLY);
+
+    await sendAdminAlert('digest@g.us', alert('Link'), client);
+    await sendAdminAlert('digest@g.us', alert('Banned word'), client);
+
+    await deliverDigests(client);
+    assert.equal(client.sent.filter(dm => dm.userId === 'hourly@c.us').length, 0);
+
+    await deliverDigests(client, Date.now() + 2 * HOUR);
+    const digests = client.sent.filter(dm => dm.userId === 'hourly@c.us');
+    assert.equal(digests.length, 1);
+    assert.match(digests[0].text, /Moderation Digest/);
+    assert.match(digests[0].text, /Group digest@g\.us\* \(2\)/);
+    assert.match(digests[0].text, /Link: Link summary/);
+    assert.match(digests[0].text, /Banned word: Banned word summary/);
+    assert.deepEqual(queuedTitles('hourly@c.us'), []);
+});
+
+test('deliverDigests holds alerts for groups in quiet hours in their timezone', async () => {
+    const client = createClient();
+    createGroup('night@g.us', ['sleeper@c.us'], { timezone: 'UTC' });
+    createGroup('tokyo@g.us', ['sleeper@c.us'], { timezone: 'Asia/Tokyo' });
+    setNotificationMode('sleeper@c.us', NotificationModes.HOURLY);
+    setQuietHours('sleeper@c.us', { start: 22, end: 7 });
+    setNotificationQueue('sleeper@c.us', {
+        events: [
+            { groupId: 'night@g.us', title: 'Night', summary: null, createdAt: '2024-06-01T20:00:00.000Z' },
+            { groupId: 'tokyo@g.us', title: 'Morning', summary: null, createdAt: '2024-06-01T20:00:00.000Z' }
+        ],
+        lastDigestAt: null
+    });
+
+    // 23:30 UTC is 08:30 in Tokyo
+    assert.equal(await deliverDigests(client, new Date('2024-06-01T23:30:00Z').getTime()), 1);
+    assert.match(client.sent[0].text, /Morning/);
+    assert.doesNotMatch(client.sent[0].text, /Night/);
+    assert.deepEqual(queuedTitles('sleeper@c.us'), ['Night']);
+});
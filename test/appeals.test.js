@@ -0,0 +1,189 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    initStorage,
+    closeStorage,
+    saveGroup,
+    getWarnings,
+    replaceGroupWarnings,
+    getGroupAppeals
+} from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import {
+    submitAppeal,
+    decideAppeal,
+    getPendingAppeals,
+    AppealStatus,
+    AppealTypes,
+    MAX_APPEAL_LENGTH
+} from '../src/moderation/appeals.js';
+
+const ADMIN_ID = 'admin@c.us';
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'appeals-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Client that records DMs and members added back to groups
+ */
+function createClient() {
+    const sent = [];
+    const added = [];
+    return {
+        sent,
+        added,
+        getContactById: async userId => ({
+            id: { _serialized: userId },
+            pushname: userId.split('@')[0],
+            sendMessage: async text => sent.push({ userId, text })
+        }),
+        getChatById: async groupId => ({
+            addParticipants: async userIds => added.push(...userIds.map(userId => ({ groupId, userId })))
+        })
+    };
+}
+
+/**
+ * Create a group administered by ADMIN_ID with a member's warnings given as [reason, daysAgo]
+ */
+function setupGroup(groupId, userId, warnings, extra = {}) {
+    const history = warnings.map(([reason, daysAgo]) => ({
+        reason,
+        timestamp: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString()
+    }));
+
+    saveGroup(groupId, { id: groupId, name: `Group ${groupId}`, admins: [ADMIN_ID], config: {} });
+    replaceGroupWarnings(groupId, { [userId]: { count: history.length, history, ...extra } });
+}
+
+test('submitAppeal checks the text and that there is something to appeal', async () => {
+    const client = createClient();
+
+    assert.match((await submitAppeal('nobody@c.us', '  ', client)).error, /Usage/);
+    assert.match((await submitAppeal('nobody@c.us', 'x'.repeat(MAX_APPEAL_LENGTH + 1), client)).error, /under/);
+    assert.match((await submitAppeal('nobody@c.us', 'please', client)).error, /no active warnings/);
+});
+
+test('submitAppeal contests the latest strike and tells the admins', async () => {
+    const client = createClient();
+    setupGroup('old@g.us', 'member1@c.us', [['spam', 5]]);
+    setupGroup('new@g.us', 'member1@c.us', [['link', 3], ['flood', 1]]);
+
+    const result = await submitAppeal('member1@c.us', 'It was a mistake', client);
+
+    assert.equal(result.success, true);
+    assert.equal(result.appeal.groupId, 'new@g.us');
+    assert.equal(result.appeal.type, AppealTypes.WARNING);
+    assert.equal(result.appeal.reason, 'flood');
+    assert.deepEqual(getPendingAppeals('new@g.us').map(appeal => appeal.id), [result.appeal.id]);
+    assert.deepEqual(client.sent.map(dm => dm.userId), [ADMIN_ID]);
+    assert.match(client.sent[0].text, new RegExp(`appeal_accept ${result.appeal.id}`));
+
+    const again = await submitAppeal('member1@c.us', 'Please?', client);
+    assert.match(again.error, /already have an appeal waiting/);
+});
+
+test('accepting a warning appeal revokes that strike and tells the member', async () => {
+    const client = createClient();
+    setupGroup('accept@g.us', 'member2@c.us', [['spam', 2], ['link', 1]]);
+
+    const { appeal } = await submitAppeal('member2@c.us', 'Not spam', client);
+    const result = await decideAppeal(ADMIN_ID, appeal.id.toUpperCase(), true, 'Sorry', client);
+
+    assert.equal(result.success, true);
+    assert.equal(result.appeal.status, AppealStatus.ACCEPTED);
+    assert.equal(result.appeal.revoked, true);
+    assert.equal(getWarnings('accept@g.us', 'member2@c.us').count, 1);
+    assert.equal(getWarnings('accept@g.us', 'member2@c.us').history[1].revokedBy, ADMIN_ID);
+    assert.equal(getPendingAppeals('accept@g.us').length, 0);
+
+    const dm = client.sent.at(-1);
+    assert.equal(dm.userId, 'member2@c.us');
+    assert.match(dm.text, /accepted/);
+    assert.match(dm.text, /Sorry/);
+
+    const twice = await decideAppeal(ADMIN_ID, appeal.id, false, null, client);
+    assert.match(twice.error, /already accepted/);
+
+    const resubmitted = await submitAppeal('member2@c.us', 'And the other one', client);
+    assert.equal(resubmitted.success, true);
+    assert.equal(resubmitted.appeal.reason, 'spam');
+});
+
+test('denying an appeal keeps the strike and a new appeal against it is refused', async () => {
+    const client = createClient();
+    setupGroup('deny@g.us', 'member3@c.us', [['spam', 1]]);
+
+    const { appeal } = await submitAppeal('member3@c.us', 'Not me', client);
+    const result = await decideAppeal(ADMIN_ID, appeal.id, false, null, client);
+
+    assert.equal(result.appeal.status, AppealStatus.DENIED);
+    assert.equal(getWarnings('deny@g.us', 'member3@c.us').count, 1);
+    assert.match(client.sent.at(-1).text, /denied/);
+    assert.match((await submitAppeal('member3@c.us', 'Again', client)).error, /already denied/);
+});
+
+test('accepting a removal appeal adds the member back', async () => {
+    const client = createClient();
+    setupGroup('removed@g.us', 'member4@c.us', [['spam', 2], ['spam', 1]], { removedAt: new Date().toISOString() });
+
+    const { appeal } = await submitAppeal('member4@c.us', 'Let me back', client);
+    assert.equal(appeal.type, AppealTypes.REMOVAL);
+
+    const result = await decideAppeal(ADMIN_ID, appeal.id, true, null, client);
+
+    assert.equal(result.readded, true);
+    assert.deepEqual(client.added, [{ groupId: 'removed@g.us', userId: 'member4@c.us' }]);
+    assert.equal(getWarnings('removed@g.us', 'member4@c.us').removedAt, undefined);
+    assert.match(client.sent.at(-1).text, /added back/);
+});
+
+test('an appeal accepted and denied at the same time is decided once', async () => {
+    const client = createClient();
+    setupGroup('race@g.us', 'member6@c.us', [['spam', 2], ['spam', 1]], { removedAt: new Date().toISOString() });
+
+    const { appeal } = await submitAppeal('member6@c.us', 'Let me back', client);
+    const [accepted, denied] = await Promise.all([
+        decideAppeal(ADMIN_ID, appeal.id, true, null, client),
+        decideAppeal(ADMIN_ID, appeal.id, false, null, client)
+    ]);
+
+    assert.equal(accepted.success, true);
+    assert.equal(denied.success, false);
+    assert.match(denied.error, /already accepted/);
+    assert.deepEqual(client.added, [{ groupId: 'race@g.us', userId: 'member6@c.us' }]);
+    assert.equal(client.sent.filter(dm => dm.userId === 'member6@c.us').length, 1);
+    assert.equal(getPendingAppeals('race@g.us').length, 0);
+    assert.equal(getGroupAppeals('race@g.us')[0].status, AppealStatus.ACCEPTED);
+    assert.equal(getGroupAppeals('race@g.us')[0].readded, true);
+});
+
+test('only admins of the appeal\'s group can decide it', async () => {
+    const client = createClient();
+    setupGroup('other@g.us', 'member5@c.us', [['spam', 1]]);
+
+    const { appeal } = await submitAppeal('member5@c.us', 'Hi', client);
+    const result = await decideAppeal('stranger@c.us', appeal.id, true, null, client);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /No appeal with that code/);
+});
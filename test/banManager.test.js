@@ -0,0 +1,181 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    initStorage,
+    closeStorage,
+    saveGroup,
+    getGroupBans,
+    setBan,
+    getFederationBans,
+    setFederationBan
+} from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import {
+    recordBan,
+    banMember,
+    unbanMember,
+    getActiveBan,
+    getActiveBans,
+    expireBans,
+    enforceBans
+} from '../src/moderation/banManager.js';
+import { addFederatedBan, getFederatedBan } from '../src/moderation/federation.js';
+
+const HOUR = 60 * 60 * 1000;
+const ADMIN_ID = 'admin@c.us';
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bans-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Client that records the DMs it sends
+ */
+function createClient() {
+    const sent = [];
+    return {
+        sent,
+        getContactById: async userId => ({
+            id: { _serialized: userId },
+            pushname: userId.split('@')[0],
+            sendMessage: async text => sent.push({ userId, text })
+        })
+    };
+}
+
+/**
+ * Group chat with the given members that records who it removes
+ */
+function createChat(groupId, memberIds = []) {
+    saveGroup(groupId, { id: groupId, name: 'Test Group', admins: [ADMIN_ID], config: {} });
+
+    return {
+        id: { _serialized: groupId },
+        name: 'Test Group',
+        participants: memberIds.map(userId => ({ id: { _serialized: userId } })),
+        removed: [],
+        async removeParticipants(userIds) {
+            this.removed.push(...userIds);
+        }
+    };
+}
+
+/**
+ * Create a group that takes part in the shared ban list
+ */
+function createFederatedGroup(groupId) {
+    saveGroup(groupId, {
+        id: groupId,
+        name: 'Federated Group',
+        admins: [ADMIN_ID],
+        config: { federation: { enabled: true, policy: 'remove' } }
+    });
+}
+
+const past = () => new Date(Date.now() - 1000).toISOString();
+
+test('banMember records a timed ban and removes the member', async () => {
+    const chat = createChat('a@g.us', ['member@c.us']);
+    const result = await banMember(chat, 'member@c.us', 2 * HOUR, { reason: 'spam', bannedBy: ADMIN_ID });
+
+    assert.equal(result.removed, true);
+    assert.deepEqual(chat.removed, ['member@c.us']);
+    assert.equal(result.ban.reason, 'spam');
+    assert.ok(Math.abs(new Date(result.ban.until).getTime() - (Date.now() + 2 * HOUR)) < 1000);
+    assert.deepEqual(getActiveBan('a@g.us', 'member@c.us'), result.ban);
+});
+
+test('banMember records the ban of someone who already left', async () => {
+    const chat = createChat('b@g.us');
+    const result = await banMember(chat, 'gone@c.us', null);
+
+    assert.equal(result.removed, false);
+    assert.equal(result.ban.until, null);
+    assert.deepEqual(chat.removed, []);
+});
+
+test('getActiveBans lists running bans, bans without an end last', () => {
+    recordBan('c@g.us', 'forever@c.us', null);
+    recordBan('c@g.us', 'long@c.us', 5 * HOUR);
+    recordBan('c@g.us', 'short@c.us', HOUR);
+    setBan('c@g.us', 'over@c.us', { until: past(), reason: null, bannedBy: null, bannedAt: past() });
+
+    assert.deepEqual(getActiveBans('c@g.us').map(ban => ban.userId), ['short@c.us', 'long@c.us', 'forever@c.us']);
+    assert.equal(getActiveBan('c@g.us', 'over@c.us'), null);
+});
+
+test('unbanMember lifts running bans only', () => {
+    recordBan('d@g.us', 'member@c.us', HOUR);
+
+    assert.equal(unbanMember('d@g.us', 'member@c.us', ADMIN_ID), true);
+    assert.equal(getActiveBan('d@g.us', 'member@c.us'), null);
+    assert.equal(unbanMember('d@g.us', 'member@c.us', ADMIN_ID), false);
+});
+
+test('expireBans clears bans that ran out and keeps the rest', () => {
+    setBan('e@g.us', 'done@c.us', { until: past(), reason: null, bannedBy: null, bannedAt: past() });
+    recordBan('e@g.us', 'still@c.us', HOUR);
+
+    // The ban that ran out in an earlier test goes too
+    assert.equal(expireBans(), 2);
+    assert.deepEqual(Object.keys(getGroupBans('e@g.us')), ['still@c.us']);
+    assert.equal(getGroupBans('c@g.us')['over@c.us'], undefined);
+});
+
+test('enforceBans removes banned members who rejoin and tells the admins', async () => {
+    const client = createClient();
+    const chat = createChat('f@g.us');
+    recordBan('f@g.us', 'banned@c.us', HOUR, { reason: 'scam' });
+
+    const banned = await enforceBans(chat, ['banned@c.us', 'welcome@c.us'], client);
+
+    assert.deepEqual(banned, ['banned@c.us']);
+    assert.deepEqual(chat.removed, ['banned@c.us']);
+    assert.deepEqual(client.sent.map(dm => dm.userId), [ADMIN_ID]);
+    assert.match(client.sent[0].text, /Banned Member Rejoined/);
+    assert.match(client.sent[0].text, /scam/);
+    assert.match(client.sent[0].text, /removed again/);
+});
+
+test('shared bans end together with the timed ban they came from', () => {
+    createFederatedGroup('fed-a@g.us');
+    createFederatedGroup('fed-b@g.us');
+
+    const ban = recordBan('fed-a@g.us', 'shared@c.us', HOUR);
+    assert.equal(getFederatedBan('fed-b@g.us', 'shared@c.us').until, ban.until);
+
+    setFederationBan('shared@c.us', 'fed-a@g.us', { reason: null, bannedBy: null, bannedAt: past(), until: past() });
+    assert.equal(getFederatedBan('fed-b@g.us', 'shared@c.us'), null);
+
+    expireBans();
+    assert.equal(getFederationBans()['shared@c.us'], undefined);
+});
+
+test('unbanMember lifts the group\'s shared ban even without a local ban', () => {
+    createFederatedGroup('fed-c@g.us');
+    createFederatedGroup('fed-d@g.us');
+    addFederatedBan('fed-c@g.us', 'listed@c.us', { reason: 'auto-removed' });
+
+    assert.ok(getFederatedBan('fed-d@g.us', 'listed@c.us'));
+    assert.equal(unbanMember('fed-c@g.us', 'listed@c.us', ADMIN_ID), true);
+    assert.equal(getFederatedBan('fed-d@g.us', 'listed@c.us'), null);
+    assert.equal(unbanMember('fed-c@g.us', 'listed@c.us', ADMIN_ID), false);
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initStorage, closeStorage, saveGroup, getGroup } from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import { getDefaultConfig } from '../src/config/defaults.js';
+import {
+    getGroupConfig,
+    updateGroupConfig,
+    getRecentConfigChanges,
+    undoConfigChanges
+} from '../src/config/configManager.js';
+
+const ADMIN_ID = 'admin@c.us';
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-history-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Create a group with the default settings
+ */
+function createGroup(groupId) {
+    saveGroup(groupId, { id: groupId, name: 'Test Group', admins: [ADMIN_ID], config: getDefaultConfig(groupId, 'Test Group') });
+}
+
+/**
+ * Change a group's warning threshold as an admin would
+ */
+function setThreshold(groupId, value) {
+    updateGroupConfig(groupId, { moderation: { maxWarningsBeforeAction: value } }, { actor: ADMIN_ID, command: `!threshold ${value}` });
+}
+
+test('changes are recorded with the values before and after', () => {
+    createGroup('history@g.us');
+    setThreshold('history@g.us', 5);
+
+    const [entry] = getRecentConfigChanges('history@g.us');
+    assert.equal(entry.actor, ADMIN_ID);
+    assert.deepEqual(entry.changes, [{ path: 'moderation.maxWarningsBeforeAction', from: 3, to: 5 }]);
+});
+
+test('undo steps back through the changes still in effect', () => {
+    createGroup('undo@g.us');
+    setThreshold('undo@g.us', 5);
+    setThreshold('undo@g.us', 7);
+
+    assert.equal(undoConfigChanges('undo@g.us', 1, ADMIN_ID).success, true);
+    assert.equal(getGroupConfig('undo@g.us').moderation.maxWarningsBeforeAction, 5);
+
+    assert.equal(undoConfigChanges('undo@g.us', 1, ADMIN_ID).success, true);
+    assert.equal(getGroupConfig('undo@g.us').moderation.maxWarningsBeforeAction, 3);
+
+    assert.equal(undoConfigChanges('undo@g.us', 1, ADMIN_ID).reverted.length, 0);
+});
+
+test('undo refuses to overwrite a setting changed outside the history', () => {
+    createGroup('conflict@g.us');
+    setThreshold('conflict@g.us', 5);
+
+    // e.g. a data migration or a purge writing the group record directly
+    const group = getGroup('conflict@g.us');
+    group.config.moderation.maxWarningsBeforeAction = 8;
+    saveGroup('conflict@g.us', group);
+
+    const result = undoConfigChanges('conflict@g.us', 1, ADMIN_ID);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.conflicts, [{ path: 'moderation.maxWarningsBeforeAction', expected: 5, current: 8 }]);
+    assert.equal(getGroupConfig('conflict@g.us').moderation.maxWarningsBeforeAction, 8);
+    assert.equal(getRecentConfigChanges('conflict@g.us')[0].undoneAt, undefined);
+
+    const forced = undoConfigChanges('conflict@g.us', 1, ADMIN_ID, { force: true });
+
+    assert.equal(forced.success, true);
+    assert.equal(getGroupConfig('conflict@g.us').moderation.maxWarningsBeforeAction, 3);
+});
+
+test('undoing several changes compares against the newest value of each setting', () => {
+    createGroup('several@g.us');
+    setThreshold('several@g.us', 5);
+    setThreshold('several@g.us', 7);
+
+    const result = undoConfigChanges('several@g.us', 2, ADMIN_ID);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.conflicts, []);
+    assert.equal(getGroupConfig('several@g.us').moderation.maxWarningsBeforeAction, 3);
+});
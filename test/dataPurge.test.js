@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    initStorage,
+    closeStorage,
+    getFederationBans,
+    setFederationBan,
+    getNotificationQueues,
+    setNotificationQueue,
+    purgeUserRecords
+} from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import { REMOVED_USER } from '../src/storage/redaction.js';
+import { PurgeModes, formatPurgeReport } from '../src/storage/dataPurge.js';
+
+const NUMBER = '15551234567';
+const MEMBER_ID = `${NUMBER}@c.us`;
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purge-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const ban = bannedBy => ({ reason: null, bannedBy, bannedAt: new Date().toISOString(), until: null });
+
+const event = (groupId, userId = null) => ({ groupId, userId, title: 'Alert', summary: 'text', createdAt: new Date().toISOString() });
+
+test('a scoped purge clears shared bans from those groups only', () => {
+    setFederationBan(MEMBER_ID, 'a@g.us', ban('admin@c.us'));
+    setFederationBan(MEMBER_ID, 'b@g.us', ban('admin@c.us'));
+    setFederationBan('other@c.us', 'a@g.us', ban(MEMBER_ID));
+    setFederationBan('other@c.us', 'b@g.us', ban(MEMBER_ID));
+
+    const report = purgeUserRecords(NUMBER, { groupIds: ['a@g.us'] });
+
+    assert.deepEqual(report.federation_bans, { removed: 0, updated: 2, references: 2 });
+    assert.deepEqual(Object.keys(getFederationBans()[MEMBER_ID]), ['b@g.us']);
+    assert.equal(getFederationBans()['other@c.us']['a@g.us'].bannedBy, REMOVED_USER);
+    assert.equal(getFederationBans()['other@c.us']['b@g.us'].bannedBy, MEMBER_ID);
+
+    purgeUserRecords(NUMBER, { groupIds: ['b@g.us'] });
+    assert.equal(getFederationBans()[MEMBER_ID], undefined);
+});
+
+test('a scoped purge clears queued notifications from those groups only', () => {
+    setNotificationQueue(MEMBER_ID, { events: [event('c@g.us'), event('d@g.us')], lastDigestAt: null });
+    setNotificationQueue('admin@c.us', { events: [event('c@g.us', MEMBER_ID), event('d@g.us', MEMBER_ID)], lastDigestAt: null });
+
+    const report = purgeUserRecords(NUMBER, { groupIds: ['c@g.us'] });
+
+    assert.deepEqual(report.notification_queue, { removed: 0, updated: 2, references: 2 });
+    assert.deepEqual(getNotificationQueues()[MEMBER_ID].events.map(queued => queued.groupId), ['d@g.us']);
+    assert.deepEqual(getNotificationQueues()['admin@c.us'].events.map(queued => queued.userId), [REMOVED_USER, MEMBER_ID]);
+});
+
+test('a dry run counts scoped parts without changing them', () => {
+    setFederationBan(MEMBER_ID, 'e@g.us', ban('admin@c.us'));
+
+    const report = purgeUserRecords(NUMBER, { groupIds: ['e@g.us'], dryRun: true });
+
+    assert.equal(report.federation_bans.removed, 1);
+    assert.ok(getFederationBans()[MEMBER_ID]['e@g.us']);
+});
+
+test('the purge report says migration backups are kept', () => {
+    const report = {
+        mode: PurgeModes.DELETE,
+        dryRun: false,
+        pseudonym: null,
+        collections: {},
+        logs: { removed: 0, updated: 0 },
+        migrationBackups: 2
+    };
+
+    assert.match(formatPurgeReport(report), /Backups are kept/);
+    assert.match(formatPurgeReport(report), /may still hold this member's data/);
+    assert.match(formatPurgeReport(report), /Only the bot operator can delete them/);
+    assert.doesNotMatch(formatPurgeReport({ ...report, migrationBackups: 0 }), /Backups are kept/);
+});
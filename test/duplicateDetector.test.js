@@ -0,0 +1,203 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initStorage, closeStorage, saveGroup } from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import { getDefaultConfig } from '../src/config/defaults.js';
+import { checkForDuplicates, getDuplicateSettings } from '../src/moderation/duplicateDetector.js';
+import { ViolationTypes } from '../src/config/settingLimits.js';
+import { recordJoins } from '../src/moderation/raidMode.js';
+
+const BOT_ID = 'bot@c.us';
+const ADMIN_ID = 'admin@c.us';
+const RAID_TEXT = 'Earn 500 dollars a day from home, sign up now at https://earn-fast.example.com!!';
+const GREETING = 'Happy new year everyone, wishing you all the best for the months ahead!';
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Create a group and a client whose chat has the bot as an admin or not
+ */
+function setup(groupId, { duplicateDetection = {}, botIsAdmin = true } = {}) {
+    const config = getDefaultConfig(groupId, 'Test Group');
+    Object.assign(config.moderation.duplicateDetection, duplicateDetection);
+    saveGroup(groupId, { id: groupId, name: 'Test Group', admins: [ADMIN_ID], config });
+
+    const chat = {
+        id: { _serialized: groupId },
+        name: 'Test Group',
+        isGroup: true,
+        participants: [{ id: { _serialized: BOT_ID }, isAdmin: botIsAdmin, isSuperAdmin: false }]
+    };
+
+    const sent = [];
+    const client = {
+        sent,
+        info: { wid: { _serialized: BOT_ID } },
+        getChatById: async () => chat,
+        getContactById: async userId => ({
+            id: { _serialized: userId },
+            pushname: userId.split('@')[0],
+            sendMessage: async text => sent.push({ userId, text })
+        })
+    };
+
+    return { chat, client };
+}
+
+/**
+ * Group message that records whether it was deleted
+ */
+function createMessage(author, body) {
+    return {
+        author,
+        body,
+        deleted: false,
+        async delete() {
+            this.deleted = true;
+        }
+    };
+}
+
+/**
+ * Post messages as [author, text] pairs and return the messages and whether each was a raid
+ */
+async function post(chat, client, posts, exempt) {
+    const messages = posts.map(([author, body]) => createMessage(author, body));
+    const raids = [];
+    for (const message of messages) {
+        raids.push((await checkForDuplicates(message, chat, client, exempt)).isRaid);
+    }
+    return { messages, raids };
+}
+
+test('getDuplicateSettings fills in defaults', () => {
+    setup('settings@g.us', { duplicateDetection: { minSenders: undefined, windowSeconds: 60 } });
+
+    assert.deepEqual(getDuplicateSettings('settings@g.us'), { enabled: true, minSenders: 3, windowSeconds: 60 });
+});
+
+test('the same message from enough members is a raid and every copy is deleted', async () => {
+    const { chat, client } = setup('raid@g.us');
+
+    const { messages, raids } = await post(chat, client, [
+        ['a@c.us', RAID_TEXT],
+        ['b@c.us', RAID_TEXT.toUpperCase()],
+        ['c@c.us', `${RAID_TEXT} 🤑🤑`]
+    ]);
+
+    assert.deepEqual(raids, [false, false, true]);
+    assert.ok(messages.every(message => message.deleted));
+    assert.deepEqual(client.sent.map(dm => dm.userId), [ADMIN_ID]);
+    assert.match(client.sent[0].text, /Coordinated Raid Detected/);
+    assert.match(client.sent[0].text, /Deleted 3 copies/);
+});
+
+test('later copies of a caught raid are deleted as they arrive', async () => {
+    const { chat, client } = setup('raid@g.us');
+
+    const { messages, raids } = await post(chat, client, [['d@c.us', `${RAID_TEXT}.`]]);
+
+    assert.deepEqual(raids, [true]);
+    assert.equal(messages[0].deleted, true);
+    assert.equal(client.sent.length, 0);
+});
+
+test('copies from one member, short messages and different messages are not a raid', async () => {
+    const { chat, client } = setup('quiet@g.us');
+
+    const { raids } = await post(chat, client, [
+        ['a@c.us', RAID_TEXT],
+        ['a@c.us', RAID_TEXT],
+        ['a@c.us', RAID_TEXT],
+        ['b@c.us', 'good morning'],
+        ['c@c.us', 'good morning'],
+        ['d@c.us', 'good morning'],
+        ['e@c.us', 'Is anyone going to the meetup on Saturday afternoon?'],
+        ['f@c.us', 'Please remember to bring your own chairs to the picnic']
+    ]);
+
+    assert.ok(raids.every(raid => !raid));
+    assert.equal(client.sent.length, 0);
+});
+
+test('copies shared by regulars without a link are not a raid', async () => {
+    const { chat, client } = setup('greetings@g.us');
+
+    const { messages, raids } = await post(chat, client, [
+        ['a@c.us', GREETING],
+        ['b@c.us', GREETING],
+        ['c@c.us', GREETING]
+    ]);
+
+    assert.deepEqual(raids, [false, false, false]);
+    assert.ok(messages.every(message => !message.deleted));
+    assert.equal(client.sent.length, 0);
+});
+
+test('copies from mostly new members are a raid even without a link', async () => {
+    const { chat, client } = setup('newcomers@g.us');
+    await recordJoins(chat, ['new1@c.us', 'new2@c.us'], client);
+
+    const { raids } = await post(chat, client, [
+        ['regular@c.us', GREETING],
+        ['new1@c.us', GREETING],
+        ['new2@c.us', GREETING]
+    ]);
+
+    assert.deepEqual(raids, [false, false, true]);
+    assert.match(client.sent.at(-1).text, /2 of the 3 senders joined in the last day/);
+});
+
+test('the group\'s minimum number of senders applies', async () => {
+    const { chat, client } = setup('pairs@g.us', { duplicateDetection: { minSenders: 2 } });
+
+    const { raids } = await post(chat, client, [['a@c.us', RAID_TEXT], ['b@c.us', RAID_TEXT]]);
+
+    assert.deepEqual(raids, [false, true]);
+});
+
+test('nothing is checked when detection is off or the member is exempt', async () => {
+    const off = setup('off@g.us', { duplicateDetection: { enabled: false, minSenders: 2 } });
+    const exempt = setup('exempt@g.us', { duplicateDetection: { minSenders: 2 } });
+
+    const posts = [['a@c.us', RAID_TEXT], ['b@c.us', RAID_TEXT]];
+
+    assert.deepEqual((await post(off.chat, off.client, posts)).raids, [false, false]);
+    assert.deepEqual((await post(exempt.chat, exempt.client, posts, new Set([ViolationTypes.REPEATED]))).raids, [false, false]);
+});
+
+test('a raid the bot cannot delete is still reported', async () => {
+    const { chat, client } = setup('powerless@g.us', { duplicateDetection: { minSenders: 2 }, botIsAdmin: false });
+
+    const { messages, raids } = await post(chat, client, [['a@c.us', RAID_TEXT], ['b@c.us', RAID_TEXT]]);
+
+    assert.deepEqual(raids, [false, true]);
+    assert.ok(messages.every(message => !message.deleted));
+    assert.match(client.sent[0].text, /could not delete the copies/);
+
+    // Later copies are not deleted or counted as handled either
+    const later = createMessage('c@c.us', RAID_TEXT);
+    assert.deepEqual(await checkForDuplicates(later, chat, client), { isRaid: true, deleted: false });
+    assert.equal(later.deleted, false);
+    assert.equal(client.sent.length, 1);
+});
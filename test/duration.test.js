@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, formatDuration } from '../src/utils/duration.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+test('parseDuration reads single units', () => {
+    assert.equal(parseDuration('90s'), 90 * 1000);
+    assert.equal(parseDuration('30m'), 30 * MINUTE);
+    assert.equal(parseDuration('24h'), 24 * HOUR);
+    assert.equal(parseDuration('7d'), 7 * DAY);
+    assert.equal(parseDuration('2w'), 14 * DAY);
+});
+
+test('parseDuration reads combined units, case and spacing aside', () => {
+    assert.equal(parseDuration('1h30m'), 90 * MINUTE);
+    assert.equal(parseDuration(' 1D12H '), 36 * HOUR);
+});
+
+test('parseDuration rejects anything else', () => {
+    for (const text of ['', '10', 'h', '1y', '1h 30m', '-5m', '0m', '1.5h', null, undefined]) {
+        assert.equal(parseDuration(text), null, String(text));
+    }
+});
+
+test('formatDuration uses the two largest units', () => {
+    assert.equal(formatDuration(DAY + 2 * HOUR + 5 * MINUTE), '1 day 2 hours');
+    assert.equal(formatDuration(2 * HOUR), '2 hours');
+    assert.equal(formatDuration(MINUTE + 1000), '1 minute 1 second');
+    assert.equal(formatDuration(14 * DAY), '2 weeks');
+});
+
+test('formatDuration rounds to seconds and never goes negative', () => {
+    assert.equal(formatDuration(1499), '1 second');
+    assert.equal(formatDuration(0), '0 seconds');
+    assert.equal(formatDuration(-5000), '0 seconds');
+});
+
+test('formatDuration reads back what parseDuration accepts', () => {
+    assert.equal(formatDuration(parseDuration('1h30m')), '1 hour 30 minutes');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXAMPLE_LADDER, getEscalationStep, parseEscalationActions } from '../src/moderation/escalation.js';
+import { MAX_LADDER_STRIKE, isValidLadder, parseEscalationAction } from '../src/config/settingLimits.js';
+
+const ladder = [
+    { strike: 3, actions: ['mute:24h'] },
+    { strike: 1, actions: ['dm'] },
+    { strike: 2, actions: ['notice', 'delete'] }
+];
+
+test('getEscalationStep picks the highest step at or below the strike count', () => {
+    assert.equal(getEscalationStep(ladder, 1).strike, 1);
+    assert.equal(getEscalationStep(ladder, 2).strike, 2);
+    assert.equal(getEscalationStep(ladder, 2.5).strike, 2);
+    assert.equal(getEscalationStep(ladder, 10).strike, 3);
+});
+
+test('getEscalationStep returns null below the first step or without a ladder', () => {
+    assert.equal(getEscalationStep(ladder, 0.5), null);
+    assert.equal(getEscalationStep([], 3), null);
+    assert.equal(getEscalationStep(undefined, 3), null);
+});
+
+test('isValidLadder accepts well-formed ladders', () => {
+    assert.equal(isValidLadder([]), true);
+    assert.equal(isValidLadder(ladder), true);
+    assert.equal(isValidLadder(EXAMPLE_LADDER), true);
+});
+
+test('isValidLadder rejects bad strikes and actions', () => {
+    assert.equal(isValidLadder(null), false);
+    assert.equal(isValidLadder([{ strike: 0, actions: ['dm'] }]), false);
+    assert.equal(isValidLadder([{ strike: 1.5, actions: ['dm'] }]), false);
+    assert.equal(isValidLadder([{ strike: MAX_LADDER_STRIKE + 1, actions: ['dm'] }]), false);
+    assert.equal(isValidLadder([{ strike: 1, actions: [] }]), false);
+    assert.equal(isValidLadder([{ strike: 1, actions: ['shout'] }]), false);
+    assert.equal(isValidLadder([{ strike: 1, actions: ['mute:forever'] }]), false);
+});
+
+test('parseEscalationAction reads mute durations', () => {
+    assert.deepEqual(parseEscalationAction('mute:1h'), { type: 'mute', durationMs: 60 * 60 * 1000 });
+    assert.deepEqual(parseEscalationAction('DM'), { type: 'dm', durationMs: null });
+    assert.equal(parseEscalationAction('dm:1h'), null);
+    assert.equal(parseEscalationAction('mute'), null);
+});
+
+test('parseEscalationActions splits, lowercases and dedupes actions', () => {
+    assert.deepEqual(parseEscalationActions('Notice, delete notice'), ['notice', 'delete']);
+    assert.equal(parseEscalationActions('notice, shout'), null);
+    assert.equal(parseEscalationActions(''), null);
+});
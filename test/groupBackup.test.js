@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGroupBackup, BACKUP_FORMAT, BACKUP_VERSION } from '../src/storage/groupBackup.js';
+import { CURRENT_SCHEMA_VERSION } from '../src/storage/migrations.js';
+import { getDefaultConfig } from '../src/config/defaults.js';
+
+/**
+ * A warning history entry as storage records it, with changes
+ */
+function warning(changes = {}) {
+    return { reason: 'spam', timestamp: new Date().toISOString(), type: 'link', weight: 1, issuedBy: null, ...changes };
+}
+
+/**
+ * A valid backup document, with changes applied to its config
+ */
+function backup(changeConfig = () => {}, extra = {}) {
+    const config = getDefaultConfig('backup@g.us', 'Backup Group');
+    changeConfig(config);
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        group: { id: 'backup@g.us', name: 'Backup Group' },
+        config,
+        warnings: { 'member@c.us': { count: 1, history: [warning()] } },
+        ...extra
+    };
+}
+
+const errorOf = doc => validateGroupBackup(doc).error;
+
+test('validateGroupBackup accepts a backup of the default settings', () => {
+    assert.deepEqual(validateGroupBackup(backup()), { valid: true });
+    assert.deepEqual(validateGroupBackup(backup(() => {}, { warnings: undefined })), { valid: true });
+});
+
+test('validateGroupBackup accepts backups from older schema versions', () => {
+    const doc = backup(config => {
+        delete config.features;
+        delete config.moderation.groupNoticesEnabled;
+    }, { schemaVersion: 1 });
+
+    assert.deepEqual(validateGroupBackup(doc), { valid: true });
+});
+
+test('validateGroupBackup rejects other files and versions', () => {
+    assert.match(errorOf(null), /not a group backup/);
+    assert.match(errorOf({ format: 'something-else' }), /not a group backup/);
+    assert.match(errorOf(backup(() => {}, { version: BACKUP_VERSION + 1 })), /Unsupported backup version/);
+    assert.match(errorOf(backup(() => {}, { schemaVersion: CURRENT_SCHEMA_VERSION + 1 })), /newer version/);
+});
+
+test('validateGroupBackup rejects malformed settings', () => {
+    const cases = [
+        [config => { delete config.moderation; }, /no valid group settings/],
+        [config => { config.rules = [1]; }, /rules are malformed/],
+        [config => { config.moderation.maxWarningsBeforeAction = 0; }, /threshold/],
+        [config => { config.moderation.bannedWords.words = ['ok', null]; }, /banned words/],
+        [config => { config.moderation.warningDecay = { mode: 'sometimes' }; }, /decay/],
+        [config => { config.moderation.escalationLadder = [{ strike: 1, actions: ['shout'] }]; }, /escalation ladder/],
+        [config => { config.federation = { enabled: 'yes', policy: 'remove' }; }, /shared ban list/],
+        [config => { config.moderation.autoRemoveBanDuration = -1; }, /ban duration/],
+        [config => { config.timezone = 'Mars/Olympus'; }, /timezone/],
+        [config => { config.moderation.strikeWeights = { link: -1 }; }, /strike weights/],
+        [config => { config.moderation.exemptions = { admins: ['everything'], members: [] }; }, /exemptions/],
+        [config => { config.moderation.spamDetection.maxMessagesPerMinute = 10000; }, /flood settings/],
+        [config => { config.moderation.spamDetection.blockedDomains = [42]; }, /domain lists/],
+        [config => { config.moderation.spamDetection.allowedInvites = ['https://chat.whatsapp.com/AbC123xyz']; }, /invite links/],
+        [config => { config.moderation.duplicateDetection = { minSenders: 1 }; }, /duplicate detection/],
+        [config => { config.moderation.raidMode.lockdownDuration = 1000; }, /raid mode/],
+        [config => { config.moderation.slowModeSeconds = 1; }, /slow mode/]
+    ];
+
+    for (const [change, error] of cases) {
+        assert.match(errorOf(backup(change)) || '', error, String(error));
+    }
+});
+
+test('validateGroupBackup accepts canonical invite links and slow mode off', () => {
+    const doc = backup(config => {
+        config.moderation.spamDetection.allowedInvites = ['chat.whatsapp.com/AbC123xyz'];
+        config.moderation.slowModeSeconds = 0;
+    });
+
+    assert.deepEqual(validateGroupBackup(doc), { valid: true });
+});
+
+test('validateGroupBackup rejects malformed warnings', () => {
+    assert.match(errorOf(backup(() => {}, { warnings: [] })), /warnings are malformed/);
+    assert.match(errorOf(backup(() => {}, { warnings: { 'member@c.us': { count: -1, history: [] } } })), /warnings are malformed/);
+    assert.match(errorOf(backup(() => {}, { warnings: { 'member@c.us': { count: 1 } } })), /warnings are malformed/);
+});
+
+test('validateGroupBackup checks every warning in the history', () => {
+    const withHistory = (...history) => backup(() => {}, { warnings: { 'member@c.us': { count: history.length, history } } });
+
+    // Warnings from before strike weights have no type or weight
+    assert.deepEqual(validateGroupBackup(withHistory(warning({ type: undefined, weight: undefined }))), { valid: true });
+    assert.deepEqual(validateGroupBackup(withHistory(warning({ weight: 0.5, revokedAt: new Date().toISOString() }))), { valid: true });
+
+    const malformed = [
+        'spam',
+        warning({ timestamp: undefined }),
+        warning({ timestamp: 'yesterday' }),
+        warning({ weight: '1' }),
+        warning({ weight: 11 }),
+        warning({ type: 'shouting' }),
+        warning({ reason: 42 }),
+        warning({ revokedAt: 'never' })
+    ];
+
+    for (const entry of malformed) {
+        assert.match(errorOf(withHistory(warning(), entry)), /warning history is malformed/, JSON.stringify(entry));
+    }
+});
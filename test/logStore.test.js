@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogStore, matchesLogFilter, normalizeLogFilter } from '../src/storage/logStore.js';
+import { LogRotation } from '../src/config/storageSettings.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Open a log store in a fresh data directory
+ */
+function openStore(options = {}) {
+    const dataDir = options.dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'logstore-test-'));
+    const store = createLogStore({
+        dataDir,
+        logRotation: LogRotation.DAILY,
+        logMaxBytes: 10 * 1024 * 1024,
+        logRetentionDays: 0,
+        encryptionKey: null,
+        previousEncryptionKeys: [],
+        ...options
+    });
+    store.init();
+    return { store, dataDir };
+}
+
+const daysAgo = (days, hour = 12) => {
+    const date = new Date(Date.now() - days * DAY);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date.toISOString();
+};
+
+const archiveNames = dataDir => fs.readdirSync(path.join(dataDir, 'log-archive')).sort();
+
+test('daily rotation archives each day with an index', () => {
+    const { store, dataDir } = openStore();
+
+    store.append({ type: 'warning', groupId: 'a@g.us', userId: '1@c.us', timestamp: daysAgo(2) });
+    store.append({ type: 'warning', groupId: 'a@g.us', userId: '2@c.us', timestamp: daysAgo(2, 13) });
+    store.append({ type: 'bot_event', timestamp: daysAgo(1) });
+    store.append({ type: 'warning', groupId: 'b@g.us', userId: '1@c.us', timestamp: daysAgo(0) });
+
+    const day = daysAgo(2).slice(0, 10);
+    assert.deepEqual(archiveNames(dataDir), [
+        `logs-${day}.jsonl`,
+        `logs-${day}.jsonl.index.json`,
+        `logs-${daysAgo(1).slice(0, 10)}.jsonl`,
+        `logs-${daysAgo(1).slice(0, 10)}.jsonl.index.json`
+    ].sort());
+
+    const index = JSON.parse(fs.readFileSync(path.join(dataDir, 'log-archive', `logs-${day}.jsonl.index.json`), 'utf8'));
+    assert.equal(index.count, 2);
+    assert.deepEqual(index.groups, { 'a@g.us': 2 });
+    assert.deepEqual(index.users, { '1@c.us': 1, '2@c.us': 1 });
+    assert.equal(store.listFiles().length, 3);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('size rotation starts a new file once the limit is reached', () => {
+    const { store, dataDir } = openStore({ logRotation: LogRotation.SIZE, logMaxBytes: 200 });
+
+    for (let i = 0; i < 10; i++) {
+        store.append({ type: 'bot_event', n: i, timestamp: new Date(Date.now() + i).toISOString() });
+    }
+
+    assert.ok(store.listFiles().length > 1);
+    for (const file of store.listFiles()) {
+        assert.ok(fs.statSync(file).size <= 200);
+    }
+    assert.equal(store.query({ limit: 100 }).length, 10);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('query filters across files and returns the newest entries oldest first', () => {
+    const { store, dataDir } = openStore();
+
+    store.append({ type: 'warning', groupId: 'a@g.us', userId: '1@c.us', n: 1, timestamp: daysAgo(3) });
+    store.append({ type: 'admin_command', groupId: 'a@g.us', adminId: '1@c.us', n: 2, timestamp: daysAgo(2) });
+    store.append({ type: 'warning', groupId: 'b@g.us', userId: '2@c.us', n: 3, timestamp: daysAgo(1) });
+    store.append({ type: 'warning', groupId: 'a@g.us', userId: '2@c.us', n: 4, timestamp: daysAgo(0) });
+
+    const numbers = filter => store.query(filter).map(entry => entry.n);
+
+    assert.deepEqual(numbers({}), [1, 2, 3, 4]);
+    assert.deepEqual(numbers({ groupId: 'a@g.us' }), [1, 2, 4]);
+    assert.deepEqual(numbers({ userId: '1@c.us' }), [1, 2]);
+    assert.deepEqual(numbers({ type: 'warning', limit: 2 }), [3, 4]);
+    assert.deepEqual(numbers({ since: daysAgo(2, 0), until: daysAgo(1, 23) }), [2, 3]);
+    assert.deepEqual(numbers({ groupId: 'c@g.us' }), []);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('retention deletes archives older than the retention period', () => {
+    const { store, dataDir } = openStore({ logRetentionDays: 30 });
+
+    store.append({ type: 'bot_event', n: 1, timestamp: daysAgo(60) });
+    store.append({ type: 'bot_event', n: 2, timestamp: daysAgo(10) });
+    store.append({ type: 'bot_event', n: 3, timestamp: daysAgo(0) });
+
+    assert.deepEqual(store.query({}).map(entry => entry.n), [2, 3]);
+    assert.deepEqual(archiveNames(dataDir), [
+        `logs-${daysAgo(10).slice(0, 10)}.jsonl`,
+        `logs-${daysAgo(10).slice(0, 10)}.jsonl.index.json`
+    ]);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('reopening a store keeps its files and rebuilds missing indexes', () => {
+    const { store, dataDir } = openStore();
+
+    store.append({ type: 'warning', groupId: 'a@g.us', n: 1, timestamp: daysAgo(1) });
+    store.append({ type: 'warning', groupId: 'a@g.us', n: 2, timestamp: daysAgo(0) });
+
+    const indexFile = path.join(dataDir, 'log-archive', `logs-${daysAgo(1).slice(0, 10)}.jsonl.index.json`);
+    fs.rmSync(indexFile);
+
+    const reopened = openStore({ dataDir }).store;
+    assert.deepEqual(reopened.query({ groupId: 'a@g.us' }).map(entry => entry.n), [1, 2]);
+    assert.ok(fs.existsSync(indexFile));
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('rewrite replaces or drops matching entries in every file', () => {
+    const { store, dataDir } = openStore();
+
+    store.append({ type: 'warning', userId: '111111@c.us', n: 1, timestamp: daysAgo(1) });
+    store.append({ type: 'warning', userId: '222222@c.us', n: 2, timestamp: daysAgo(1, 13) });
+    store.append({ type: 'warning', userId: '111111@c.us', n: 3, timestamp: daysAgo(0) });
+
+    store.rewrite('111111', entry => (entry.n === 1 ? null : { ...entry, userId: 'anon' }));
+
+    assert.deepEqual(store.query({}).map(entry => [entry.n, entry.userId]), [[2, '222222@c.us'], [3, 'anon']]);
+    assert.deepEqual(store.query({ userId: 'anon' }).map(entry => entry.n), [3]);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('entries are unreadable on disk when encryption is on', () => {
+    const encryptionKey = crypto.randomBytes(32).toString('base64');
+    const { store, dataDir } = openStore({ encryptionKey });
+
+    store.append({ type: 'warning', userId: '333333@c.us', timestamp: daysAgo(0) });
+
+    assert.ok(!fs.readFileSync(path.join(dataDir, 'logs.jsonl'), 'utf8').includes('333333'));
+    assert.equal(store.query({ userId: '333333@c.us' }).length, 1);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('matchesLogFilter treats userId as the member or the admin', () => {
+    const filter = normalizeLogFilter({ userId: '1@c.us' });
+
+    assert.equal(filter.limit, 100);
+    assert.equal(matchesLogFilter({ userId: '1@c.us' }, filter), true);
+    assert.equal(matchesLogFilter({ adminId: '1@c.us' }, filter), true);
+    assert.equal(matchesLogFilter({ userId: '2@c.us' }, filter), false);
+});
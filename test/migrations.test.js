@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Collections } from '../src/storage/drivers/index.js';
+import { MIGRATIONS, CURRENT_SCHEMA_VERSION, deepFill, runMigrations } from '../src/storage/migrations.js';
+import { getDefaultConfig } from '../src/config/defaults.js';
+
+/**
+ * In-memory driver with the parts of the driver interface runMigrations uses
+ * versions: { [collection]: schemaVersion } (missing = never written)
+ */
+function createMemoryDriver(data = {}, versions = {}) {
+    const backups = [];
+
+    return {
+        backups,
+        data,
+        versions,
+        getSchemaVersion: collection => (collection in versions ? versions[collection] : null),
+        load: collection => structuredClone(data[collection] || {}),
+        replace(collection, records, schemaVersion) {
+            data[collection] = records;
+            versions[collection] = schemaVersion;
+            return true;
+        },
+        backup(backupDir) {
+            backups.push(backupDir);
+            return backupDir;
+        }
+    };
+}
+
+test('deepFill adds missing keys without overwriting existing values', () => {
+    const filled = deepFill(
+        { a: 1, nested: { kept: 'yes' }, list: [1] },
+        { a: 2, b: 3, nested: { kept: 'no', added: true }, list: [4, 5] }
+    );
+
+    assert.deepEqual(filled, { a: 1, b: 3, nested: { kept: 'yes', added: true }, list: [1] });
+});
+
+test('deepFill returns a copy of the defaults when the target is not an object', () => {
+    const defaults = { nested: { value: 1 } };
+    const filled = deepFill(undefined, defaults);
+
+    assert.deepEqual(filled, defaults);
+    filled.nested.value = 2;
+    assert.equal(defaults.nested.value, 1);
+});
+
+test('deepFill does not change the target', () => {
+    const target = { nested: {} };
+    deepFill(target, { nested: { value: 1 } });
+
+    assert.deepEqual(target, { nested: {} });
+});
+
+test('migrations are registered in increasing version order', () => {
+    const versions = MIGRATIONS.map(migration => migration.version);
+
+    assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+    assert.equal(new Set(versions).size, versions.length);
+    assert.equal(CURRENT_SCHEMA_VERSION, versions.at(-1));
+});
+
+test('runMigrations brings unversioned data up to the current defaults', () => {
+    const groupId = '123@g.us';
+    const driver = createMemoryDriver({
+        [Collections.GROUPS]: {
+            [groupId]: { name: 'Test Group', config: { moderation: { maxWarnings: 5 } } }
+        },
+        [Collections.WARNINGS]: {
+            [groupId]: { 'user@c.us': { history: [{ reason: 'spam' }, { reason: 'spam' }] } }
+        }
+    }, {
+        [Collections.GROUPS]: 0,
+        [Collections.WARNINGS]: 0
+    });
+
+    runMigrations(driver, { dataDir: '/tmp/unused' });
+
+    const group = driver.data[Collections.GROUPS][groupId];
+    const defaults = getDefaultConfig(groupId, 'Test Group');
+
+    assert.equal(group.id, groupId);
+    assert.equal(group.active, true);
+    assert.equal(group.config.moderation.maxWarnings, 5);
+    assert.deepEqual(group.config.moderation.spamDetection, defaults.moderation.spamDetection);
+    assert.equal(driver.data[Collections.WARNINGS][groupId]['user@c.us'].count, 2);
+    assert.equal(driver.versions[Collections.GROUPS], CURRENT_SCHEMA_VERSION);
+    assert.equal(driver.backups.length, 1);
+});
+
+test('runMigrations lists each exempt check once when migrating from before v9', () => {
+    const groupId = '123@g.us';
+    const driver = createMemoryDriver({
+        [Collections.GROUPS]: { [groupId]: { name: 'Old Group', config: {} } }
+    }, {
+        [Collections.GROUPS]: 0
+    });
+
+    runMigrations(driver, { dataDir: '/tmp/unused' });
+
+    const admins = driver.data[Collections.GROUPS][groupId].config.moderation.exemptions.admins;
+    assert.deepEqual([...admins].sort(), [...new Set(admins)].sort());
+    assert.ok(admins.includes('invite'));
+});
+
+test('runMigrations adds invite links to exemptions from every check made before v12', () => {
+    const groupId = '123@g.us';
+    const allChecks = ['link', 'flood', 'repeated', 'banned_word', 'off_topic'];
+    const driver = createMemoryDriver({
+        [Collections.GROUPS]: {
+            [groupId]: {
+                name: 'Group',
+                config: {
+                    moderation: {
+                        exemptions: {
+                            admins: allChecks,
+                            members: [
+                                { userId: 'trusted@c.us', checks: allChecks },
+                                { userId: 'partial@c.us', checks: ['link'] }
+                            ]
+                        }
+                    }
+                }
+            }
+        }
+    }, {
+        [Collections.GROUPS]: 11
+    });
+
+    runMigrations(driver, { dataDir: '/tmp/unused' });
+
+    const exemptions = driver.data[Collections.GROUPS][groupId].config.moderation.exemptions;
+    assert.deepEqual(exemptions.admins, [...allChecks, 'invite']);
+    assert.deepEqual(exemptions.members[0].checks, [...allChecks, 'invite']);
+    assert.deepEqual(exemptions.members[1].checks, ['link']);
+});
+
+test('runMigrations leaves current data alone and stamps new collections', () => {
+    const driver = createMemoryDriver({}, { [Collections.GROUPS]: CURRENT_SCHEMA_VERSION });
+
+    runMigrations(driver, { dataDir: '/tmp/unused' });
+
+    assert.equal(driver.backups.length, 0);
+    for (const collection of Object.values(Collections)) {
+        assert.equal(driver.versions[collection], CURRENT_SCHEMA_VERSION);
+    }
+});
+
+test('runMigrations refuses data written by a newer version', () => {
+    const driver = createMemoryDriver({}, { [Collections.GROUPS]: CURRENT_SCHEMA_VERSION + 1 });
+
+    assert.throws(() => runMigrations(driver, { dataDir: '/tmp/unused' }), /newer version/);
+});
+
+test('runMigrations keeps shared bans per source group', () => {
+    const ban = { reason: 'spam', bannedBy: 'admin@c.us', bannedAt: '2024-01-01T00:00:00.000Z' };
+    const driver = createMemoryDriver({
+        [Collections.FEDERATION_BANS]: {
+            'user@c.us': { ...ban, sourceGroupId: 'a@g.us' }
+        }
+    }, {
+        [Collections.FEDERATION_BANS]: 15
+    });
+
+    runMigrations(driver, { dataDir: '/tmp/unused' });
+
+    assert.deepEqual(driver.data[Collections.FEDERATION_BANS], { 'user@c.us': { 'a@g.us': ban } });
+});
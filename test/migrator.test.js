@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDriver, Collections } from '../src/storage/drivers/index.js';
+import { createPersistence } from '../src/storage/persistence.js';
+import { createSqliteDriver } from '../src/storage/drivers/sqliteDriver.js';
+import { migrateJsonToSqlite } from '../src/storage/migrator.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+
+/**
+ * Storage settings for a fresh data directory (no timed flushes)
+ */
+function createSettings() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrator-test-'));
+    return {
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        sqliteFile: path.join(dataDir, 'test.db'),
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    };
+}
+
+test('changes left in the journal are imported too', async () => {
+    const settings = createSettings();
+    const driver = createDriver(settings);
+    driver.init();
+
+    const caches = { [Collections.WARNINGS]: {}, [Collections.MUTES]: {} };
+    const persistence = createPersistence(driver, settings, collection => caches[collection]);
+    persistence.recover();
+    persistence.start();
+
+    caches[Collections.WARNINGS].flushed = { a: { count: 1 } };
+    persistence.put(Collections.WARNINGS, 'flushed', caches[Collections.WARNINGS].flushed);
+    await persistence.flush();
+
+    // Journaled only, as if the bot crashed before the next flush
+    persistence.put(Collections.WARNINGS, 'journaled', { b: { count: 2 } });
+    persistence.put(Collections.MUTES, 'group', { c: { until: null } });
+
+    const report = await migrateJsonToSqlite(settings);
+
+    assert.equal(report.recovered, 2);
+    assert.equal(report.collections[Collections.WARNINGS], 2);
+    assert.equal(report.collections[Collections.MUTES], 1);
+    assert.deepEqual(fs.readdirSync(settings.dataDir).filter(name => name.startsWith('journal-')), []);
+
+    const target = createSqliteDriver(settings);
+    target.init();
+    assert.deepEqual(target.load(Collections.WARNINGS), { flushed: { a: { count: 1 } }, journaled: { b: { count: 2 } } });
+    assert.deepEqual(target.load(Collections.MUTES), { group: { c: { until: null } } });
+    target.close();
+
+    await persistence.close();
+    fs.rmSync(settings.dataDir, { recursive: true, force: true });
+});
+
+test('the import refuses to run with an encryption key set', async () => {
+    const settings = { ...createSettings(), encryptionKey: Buffer.alloc(32).toString('base64') };
+
+    await assert.rejects(migrateJsonToSqlite(settings), /does not support encryption at rest/);
+    fs.rmSync(settings.dataDir, { recursive: true, force: true });
+});
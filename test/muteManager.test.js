@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initStorage, closeStorage, getGroupMutes, setMute } from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import {
+    muteMember,
+    unmuteMember,
+    getActiveMute,
+    getActiveMutes,
+    expireMutes,
+    enforceMute
+} from '../src/moderation/muteManager.js';
+
+const HOUR = 60 * 60 * 1000;
+const BOT_ID = 'bot@c.us';
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mutes-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Client that records the DMs it sends
+ */
+function createClient() {
+    const sent = [];
+    return {
+        sent,
+        info: { wid: { _serialized: BOT_ID } },
+        getContactById: async userId => ({
+            sendMessage: async text => sent.push({ userId, text })
+        })
+    };
+}
+
+/**
+ * Group chat where the bot is or is not an admin
+ */
+function createChat(groupId, botIsAdmin = true) {
+    return {
+        id: { _serialized: groupId },
+        name: 'Test Group',
+        isGroup: true,
+        participants: [{ id: { _serialized: BOT_ID }, isAdmin: botIsAdmin, isSuperAdmin: false }]
+    };
+}
+
+/**
+ * Group message that records whether it was deleted
+ */
+function createMessage(author, body = 'hello') {
+    return {
+        author,
+        body,
+        deleted: false,
+        async delete() {
+            this.deleted = true;
+        }
+    };
+}
+
+test('muteMember stores the mute and lets the member know', async () => {
+    const client = createClient();
+    const mute = await muteMember('a@g.us', 'member@c.us', 2 * HOUR, { reason: 'spam', mutedBy: 'admin@c.us' }, client);
+
+    assert.equal(mute.reason, 'spam');
+    assert.equal(mute.mutedBy, 'admin@c.us');
+    assert.ok(Math.abs(new Date(mute.until).getTime() - (Date.now() + 2 * HOUR)) < 1000);
+    assert.deepEqual(getActiveMute('a@g.us', 'member@c.us'), mute);
+    assert.equal(client.sent.length, 1);
+    assert.match(client.sent[0].text, /muted/);
+    assert.match(client.sent[0].text, /2 hours/);
+});
+
+test('getActiveMutes lists running mutes, soonest to end first', async () => {
+    await muteMember('b@g.us', 'long@c.us', 5 * HOUR);
+    await muteMember('b@g.us', 'short@c.us', HOUR);
+    setMute('b@g.us', 'over@c.us', { until: new Date(Date.now() - 1000).toISOString() });
+
+    assert.deepEqual(getActiveMutes('b@g.us').map(mute => mute.userId), ['short@c.us', 'long@c.us']);
+    assert.equal(getActiveMute('b@g.us', 'over@c.us'), null);
+});
+
+test('unmuteMember lifts a running mute only', async () => {
+    const client = createClient();
+    await muteMember('c@g.us', 'member@c.us', HOUR);
+
+    assert.equal(await unmuteMember('c@g.us', 'member@c.us', client), true);
+    assert.equal(getActiveMute('c@g.us', 'member@c.us'), null);
+    assert.match(client.sent[0].text, /lifted/);
+
+    assert.equal(await unmuteMember('c@g.us', 'member@c.us', client), false);
+    assert.equal(client.sent.length, 1);
+});
+
+test('expireMutes removes mutes that ran out and lets the members know', async () => {
+    const client = createClient();
+    setMute('d@g.us', 'done@c.us', { until: new Date(Date.now() - 1000).toISOString() });
+    setMute('d@g.us', 'still@c.us', { until: new Date(Date.now() + HOUR).toISOString() });
+
+    // The mute that ran out in the previous test goes too
+    assert.equal(await expireMutes(client), 2);
+    assert.deepEqual(Object.keys(getGroupMutes('d@g.us')), ['still@c.us']);
+    assert.deepEqual(Object.keys(getGroupMutes('b@g.us')).sort(), ['long@c.us', 'short@c.us']);
+    assert.deepEqual(client.sent.map(dm => dm.userId).sort(), ['done@c.us', 'over@c.us']);
+});
+
+test('enforceMute deletes messages from muted members when the bot is an admin', async () => {
+    const client = createClient();
+    await muteMember('e@g.us', 'muted@c.us', HOUR);
+
+    const fromMuted = createMessage('muted@c.us');
+    assert.equal(await enforceMute(fromMuted, createChat('e@g.us'), client), true);
+    assert.equal(fromMuted.deleted, true);
+
+    const fromOther = createMessage('other@c.us');
+    assert.equal(await enforceMute(fromOther, createChat('e@g.us'), client), false);
+    assert.equal(fromOther.deleted, false);
+
+    const notAdmin = createMessage('muted@c.us');
+    assert.equal(await enforceMute(notAdmin, createChat('e@g.us', false), client), false);
+    assert.equal(notAdmin.deleted, false);
+});
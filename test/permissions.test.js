@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isParticipantAdmin } from '../src/utils/permissions.js';
+
+const participant = (serialized, { isAdmin = false, isSuperAdmin = false } = {}) => ({
+    id: { _serialized: serialized, user: serialized.split('@')[0] },
+    isAdmin,
+    isSuperAdmin
+});
+
+const chat = {
+    participants: [
+        participant('111@c.us', { isAdmin: true }),
+        participant('222@c.us', { isSuperAdmin: true }),
+        participant('333@c.us')
+    ]
+};
+
+test('isParticipantAdmin reads admin status from the participant list', () => {
+    assert.equal(isParticipantAdmin(chat, '111@c.us'), true);
+    assert.equal(isParticipantAdmin(chat, '222@c.us'), true);
+    assert.equal(isParticipantAdmin(chat, '333@c.us'), false);
+    assert.equal(isParticipantAdmin(chat, '444@c.us'), false);
+});
+
+test('isParticipantAdmin matches linked device IDs by number', () => {
+    assert.equal(isParticipantAdmin(chat, '111:12@lid'), true);
+    assert.equal(isParticipantAdmin(chat, '333@lid'), false);
+});
+
+test('isParticipantAdmin handles a chat without participants', () => {
+    assert.equal(isParticipantAdmin({}, '111@c.us'), false);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDriver, Collections } from '../src/storage/drivers/index.js';
+import { createPersistence } from '../src/storage/persistence.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+
+/**
+ * Storage settings for a fresh data directory (no timed flushes)
+ */
+function createSettings() {
+    return {
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'persistence-test-')),
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    };
+}
+
+/**
+ * Open a driver and persistence layer over live records, as initStorage does
+ */
+function open(settings) {
+    const driver = createDriver(settings);
+    driver.init();
+
+    const caches = {};
+    const persistence = createPersistence(driver, settings, collection => caches[collection]);
+    const recovered = persistence.recover();
+    caches[Collections.WARNINGS] = driver.load(Collections.WARNINGS);
+    persistence.start();
+
+    return { driver, persistence, caches, recovered };
+}
+
+const journalLines = dataDir => fs.readdirSync(dataDir)
+    .filter(name => name.startsWith('journal-'))
+    .flatMap(name => fs.readFileSync(path.join(dataDir, name), 'utf8').split('\n').filter(Boolean));
+
+test('field writes journal only the member that changed', async () => {
+    const settings = createSettings();
+    const { persistence, caches } = open(settings);
+
+    const warnings = caches[Collections.WARNINGS];
+    warnings.group = {};
+    for (let i = 0; i < 50; i++) {
+        warnings.group[`member${i}`] = { count: 1, history: [] };
+    }
+    persistence.put(Collections.WARNINGS, 'group', warnings.group);
+
+    warnings.group.member7 = { count: 2, history: [] };
+    persistence.putField(Collections.WARNINGS, 'group', 'member7', warnings.group.member7);
+
+    const last = JSON.parse(journalLines(settings.dataDir).at(-1));
+    assert.deepEqual(last, {
+        op: 'putField',
+        collection: Collections.WARNINGS,
+        key: 'group',
+        field: 'member7',
+        value: { count: 2, history: [] }
+    });
+
+    await persistence.close();
+    fs.rmSync(settings.dataDir, { recursive: true, force: true });
+});
+
+test('recover replays record and field changes left in the journal', async () => {
+    const settings = createSettings();
+    const first = open(settings);
+
+    first.persistence.put(Collections.WARNINGS, 'group', { a: { count: 1 }, b: { count: 1 } });
+    first.persistence.putField(Collections.WARNINGS, 'group', 'c', { count: 3 });
+    first.persistence.removeField(Collections.WARNINGS, 'group', 'a');
+    first.persistence.putField(Collections.WARNINGS, 'other', 'd', { count: 1 });
+    first.persistence.put(Collections.WARNINGS, 'gone', { e: { count: 1 } });
+    first.persistence.remove(Collections.WARNINGS, 'gone');
+
+    // No flush or close: the next start finds only the journal
+    const second = open(settings);
+
+    assert.equal(second.recovered, 6);
+    assert.deepEqual(second.caches[Collections.WARNINGS], {
+        group: { b: { count: 1 }, c: { count: 3 } },
+        other: { d: { count: 1 } }
+    });
+    assert.deepEqual(journalLines(settings.dataDir), []);
+
+    await second.persistence.close();
+    fs.rmSync(settings.dataDir, { recursive: true, force: true });
+});
+
+test('flush writes dirty records and clears the journal', async () => {
+    const settings = createSettings();
+    const { driver, persistence, caches } = open(settings);
+
+    caches[Collections.WARNINGS].group = { a: { count: 1 } };
+    persistence.putField(Collections.WARNINGS, 'group', 'a', { count: 1 });
+    await persistence.flush();
+
+    assert.deepEqual(driver.load(Collections.WARNINGS), { group: { a: { count: 1 } } });
+    assert.equal(persistence.getStats().pendingRecords, 0);
+
+    await persistence.close();
+    assert.deepEqual(journalLines(settings.dataDir), []);
+    fs.rmSync(settings.dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,202 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initStorage, closeStorage, saveGroup, getRaidLockdown, setRaidLockdown } from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import { getDefaultConfig } from '../src/config/defaults.js';
+import { getActiveMute } from '../src/moderation/muteManager.js';
+import {
+    getRaidSettings,
+    getActiveLockdown,
+    startLockdown,
+    endLockdown,
+    recordJoins,
+    recordViolation,
+    expireLockdowns
+} from '../src/moderation/raidMode.js';
+
+const MINUTE = 60 * 1000;
+const ADMIN_ID = 'admin@c.us';
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'raid-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Create a group with raid settings and a client whose chat records admins-only changes
+ */
+function setup(groupId, { raidMode = {}, adminsOnly = false } = {}) {
+    const config = getDefaultConfig(groupId, 'Test Group');
+    Object.assign(config.moderation.raidMode, raidMode);
+    saveGroup(groupId, { id: groupId, name: 'Test Group', admins: [ADMIN_ID], config });
+
+    const chat = {
+        id: { _serialized: groupId },
+        name: 'Test Group',
+        groupMetadata: { announce: adminsOnly },
+        adminsOnlyChanges: [],
+        async setMessagesAdminsOnly(value) {
+            this.adminsOnlyChanges.push(value);
+            this.groupMetadata.announce = value;
+            return true;
+        }
+    };
+
+    const sent = [];
+    const client = {
+        sent,
+        getChatById: async () => chat,
+        getContactById: async userId => ({
+            id: { _serialized: userId },
+            sendMessage: async text => sent.push({ userId, text })
+        })
+    };
+
+    return { chat, client };
+}
+
+const alertsTo = (client, userId) => client.sent.filter(dm => dm.userId === userId).map(dm => dm.text);
+
+test('getRaidSettings fills in defaults', () => {
+    setup('settings@g.us', { raidMode: { joinThreshold: 4, probationDuration: 0 } });
+
+    const settings = getRaidSettings('settings@g.us');
+    assert.equal(settings.joinThreshold, 4);
+    assert.equal(settings.probationDuration, 0);
+    assert.equal(settings.autoDetect, true);
+    assert.equal(settings.violationThreshold, 5);
+});
+
+test('joins and violations over both thresholds lock the group down', async () => {
+    const { chat, client } = setup('raid@g.us', { raidMode: { joinThreshold: 3, violationThreshold: 2 } });
+
+    assert.equal(await recordJoins(chat, ['j1@c.us', 'j2@c.us', 'j3@c.us'], client), false);
+    assert.equal(await recordViolation(chat, client), false);
+    assert.equal(getActiveLockdown('raid@g.us'), null);
+
+    assert.equal(await recordViolation(chat, client), true);
+
+    const lockdown = getActiveLockdown('raid@g.us');
+    assert.equal(lockdown.locked, true);
+    assert.equal(lockdown.wasAdminsOnly, false);
+    assert.equal(lockdown.startedBy, null);
+    assert.equal(lockdown.probationCount, 3);
+    assert.deepEqual(chat.adminsOnlyChanges, [true]);
+    assert.ok(getActiveMute('raid@g.us', 'j1@c.us'));
+    assert.match(alertsTo(client, ADMIN_ID)[0], /Raid Lockdown/);
+    assert.match(alertsTo(client, ADMIN_ID)[0], /3 recent joiner\(s\) are on probation/);
+});
+
+test('members who join during a lockdown go on probation', async () => {
+    const { chat, client } = setup('raid@g.us', { raidMode: { joinThreshold: 3, violationThreshold: 2 } });
+
+    assert.equal(await recordJoins(chat, ['late@c.us'], client), false);
+    assert.ok(getActiveMute('raid@g.us', 'late@c.us'));
+});
+
+test('violations without a wave of joins are not a raid', async () => {
+    const { chat, client } = setup('busy@g.us', { raidMode: { joinThreshold: 3, violationThreshold: 2 } });
+
+    await recordJoins(chat, ['j1@c.us'], client);
+    for (let i = 0; i < 5; i++) {
+        assert.equal(await recordViolation(chat, client), false);
+    }
+    assert.equal(getActiveLockdown('busy@g.us'), null);
+});
+
+test('automatic detection can be turned off', async () => {
+    const { chat, client } = setup('manual@g.us', { raidMode: { autoDetect: false, joinThreshold: 2, violationThreshold: 1 } });
+
+    await recordJoins(chat, ['j1@c.us', 'j2@c.us'], client);
+    assert.equal(await recordViolation(chat, client), false);
+    assert.equal(getActiveLockdown('manual@g.us'), null);
+});
+
+test('an admin lockdown without probation runs for the given time', async () => {
+    const { chat, client } = setup('admin@g.us', { raidMode: { probationDuration: 0 } });
+    await recordJoins(chat, ['j1@c.us'], client);
+
+    const lockdown = await startLockdown(chat, client, { duration: 10 * MINUTE, startedBy: ADMIN_ID, reason: 'spam wave' });
+
+    assert.equal(lockdown.probationCount, 0);
+    assert.equal(getActiveMute('admin@g.us', 'j1@c.us'), null);
+    assert.ok(Math.abs(new Date(lockdown.until) - (Date.now() + 10 * MINUTE)) < 1000);
+    assert.equal(await startLockdown(chat, client, { startedBy: ADMIN_ID }), null);
+});
+
+test('ending a lockdown reopens the group', async () => {
+    const { chat, client } = setup('admin@g.us');
+
+    const result = await endLockdown('admin@g.us', client, ADMIN_ID);
+
+    assert.deepEqual(result, { success: true, reopened: true });
+    assert.deepEqual(chat.adminsOnlyChanges, [false]);
+    assert.equal(getRaidLockdown('admin@g.us'), null);
+    assert.match(alertsTo(client, ADMIN_ID).at(-1), /Members can send messages again/);
+    assert.equal((await endLockdown('admin@g.us', client)).success, false);
+});
+
+test('a group that was admins-only stays that way after the lockdown', async () => {
+    const { chat, client } = setup('announce@g.us', { adminsOnly: true });
+
+    const lockdown = await startLockdown(chat, client, { startedBy: ADMIN_ID });
+    assert.equal(lockdown.wasAdminsOnly, true);
+
+    await endLockdown('announce@g.us', client, ADMIN_ID);
+    assert.deepEqual(chat.adminsOnlyChanges, []);
+    assert.match(alertsTo(client, ADMIN_ID).at(-1), /stays that way/);
+});
+
+test('triggers that arrive while a lockdown is starting do not start a second one', async () => {
+    const { chat, client } = setup('race@g.us', { raidMode: { joinThreshold: 2, violationThreshold: 1 } });
+    await recordJoins(chat, ['j1@c.us', 'j2@c.us'], client);
+
+    const [first, second, detected] = await Promise.all([
+        startLockdown(chat, client, { startedBy: ADMIN_ID }),
+        startLockdown(chat, client, { startedBy: ADMIN_ID }),
+        recordViolation(chat, client)
+    ]);
+
+    assert.ok(first);
+    assert.equal(second, null);
+    assert.equal(detected, false);
+    assert.deepEqual(chat.adminsOnlyChanges, [true]);
+    assert.equal(alertsTo(client, ADMIN_ID).filter(text => /Raid Lockdown/.test(text)).length, 1);
+    assert.equal(getRaidLockdown('race@g.us').locked, true);
+    assert.equal(getRaidLockdown('race@g.us').probationCount, 2);
+});
+
+test('expireLockdowns lifts lockdowns that ran out', async () => {
+    const { chat, client } = setup('expired@g.us');
+    setRaidLockdown('expired@g.us', {
+        until: new Date(Date.now() - 1000).toISOString(),
+        startedAt: new Date(Date.now() - 30 * MINUTE).toISOString(),
+        startedBy: null,
+        reason: null,
+        wasAdminsOnly: false,
+        locked: true,
+        probationCount: 0
+    });
+
+    assert.equal(getActiveLockdown('expired@g.us'), null);
+    assert.equal(await expireLockdowns(client), 1);
+    assert.equal(getRaidLockdown('expired@g.us'), null);
+    assert.deepEqual(chat.adminsOnlyChanges, [false]);
+});
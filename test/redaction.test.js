@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isUserReference, redactUser, REMOVED_USER } from '../src/storage/redaction.js';
+
+const NUMBER = '15551234567';
+
+test('isUserReference matches the number and its WhatsApp IDs', () => {
+    assert.equal(isUserReference(NUMBER, NUMBER), true);
+    assert.equal(isUserReference(`${NUMBER}@c.us`, NUMBER), true);
+    assert.equal(isUserReference(`${NUMBER}@lid`, NUMBER), true);
+});
+
+test('isUserReference ignores group IDs, other numbers and non-strings', () => {
+    assert.equal(isUserReference(`${NUMBER}@g.us`, NUMBER), false);
+    assert.equal(isUserReference(`${NUMBER}9@c.us`, NUMBER), false);
+    assert.equal(isUserReference(`1${NUMBER}`, NUMBER), false);
+    assert.equal(isUserReference(`text mentioning ${NUMBER}`, NUMBER), false);
+    assert.equal(isUserReference(15551234567, NUMBER), false);
+    assert.equal(isUserReference(null, NUMBER), false);
+});
+
+test('redactUser drops keys and list items naming the user', () => {
+    const record = {
+        [`${NUMBER}@c.us`]: { count: 2 },
+        'other@c.us': { count: 1, issuedBy: `${NUMBER}@c.us` },
+        admins: ['admin@c.us', `${NUMBER}@c.us`],
+        groupId: `${NUMBER}@g.us`
+    };
+
+    const { value, count } = redactUser(record, NUMBER);
+
+    assert.equal(count, 3);
+    assert.deepEqual(value, {
+        'other@c.us': { count: 1, issuedBy: REMOVED_USER },
+        admins: ['admin@c.us'],
+        groupId: `${NUMBER}@g.us`
+    });
+});
+
+test('redactUser replaces every reference with a pseudonym', () => {
+    const record = {
+        [`${NUMBER}@c.us`]: { history: [{ issuedBy: NUMBER }] },
+        admins: [`${NUMBER}@c.us`]
+    };
+
+    const { value, count } = redactUser(record, NUMBER, 'anon-1234');
+
+    assert.equal(count, 3);
+    assert.deepEqual(value, {
+        'anon-1234': { history: [{ issuedBy: 'anon-1234' }] },
+        admins: ['anon-1234']
+    });
+});
+
+test('redactUser leaves records without references untouched', () => {
+    const record = { userId: 'other@c.us', list: [1, 2, { nested: true }] };
+    const result = redactUser(record, NUMBER);
+
+    assert.equal(result.count, 0);
+    assert.equal(result.value, record);
+});
+
+test('redactUser does not change the original record', () => {
+    const record = { userId: `${NUMBER}@c.us` };
+    redactUser(record, NUMBER);
+
+    assert.deepEqual(record, { userId: `${NUMBER}@c.us` });
+});
@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initStorage, closeStorage, saveGroup } from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import { getDefaultConfig } from '../src/config/defaults.js';
+import { getSlowMode, setSlowMode, enforceSlowMode } from '../src/moderation/slowMode.js';
+
+const BOT_ID = 'bot@c.us';
+const ADMIN_ID = 'admin@c.us';
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slowmode-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Create a group with slow mode on and a client that records DMs
+ */
+function setup(groupId, { seconds = 60, trusted = [], botIsAdmin = true } = {}) {
+    const config = getDefaultConfig(groupId, 'Test Group');
+    config.moderation.slowModeSeconds = seconds;
+    config.moderation.exemptions.members = trusted;
+    saveGroup(groupId, { id: groupId, name: 'Test Group', admins: [ADMIN_ID], config });
+
+    const chat = {
+        id: { _serialized: groupId },
+        name: 'Test Group',
+        isGroup: true,
+        participants: [
+            { id: { _serialized: BOT_ID }, isAdmin: botIsAdmin, isSuperAdmin: false },
+            { id: { _serialized: ADMIN_ID }, isAdmin: true, isSuperAdmin: false }
+        ]
+    };
+
+    const sent = [];
+    const client = {
+        sent,
+        info: { wid: { _serialized: BOT_ID } },
+        getChatById: async () => chat,
+        getContactById: async userId => ({
+            sendMessage: async text => sent.push({ userId, text })
+        })
+    };
+
+    return { chat, client };
+}
+
+/**
+ * Send messages from a member and return whether slow mode removed each one
+ */
+async function send(chat, client, author, count) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+        const message = {
+            author,
+            body: `message ${i}`,
+            deleted: false,
+            async delete() {
+                this.deleted = true;
+            }
+        };
+        const removed = await enforceSlowMode(message, chat, client);
+        assert.equal(message.deleted, removed);
+        results.push(removed);
+    }
+    return results;
+}
+
+test('setSlowMode stores the interval and 0 turns it off', () => {
+    setup('settings@g.us', { seconds: 0 });
+
+    assert.equal(getSlowMode('settings@g.us'), 0);
+    assert.ok(setSlowMode('settings@g.us', 30, { actor: ADMIN_ID, command: 'slowmode' }));
+    assert.equal(getSlowMode('settings@g.us'), 30);
+});
+
+test('messages sent before the interval has passed are removed, with one DM', async () => {
+    const { chat, client } = setup('slow@g.us');
+
+    assert.deepEqual(await send(chat, client, 'member@c.us', 3), [false, true, true]);
+    assert.equal(client.sent.length, 1);
+    assert.equal(client.sent[0].userId, 'member@c.us');
+    assert.match(client.sent[0].text, /Slow mode is on/);
+    assert.match(client.sent[0].text, /1 minute/);
+    assert.match(client.sent[0].text, /doesn't count as a warning/);
+});
+
+test('each member and group has their own interval', async () => {
+    const { chat, client } = setup('slow2@g.us');
+    const other = setup('slow3@g.us');
+
+    assert.deepEqual(await send(chat, client, 'first@c.us', 1), [false]);
+    assert.deepEqual(await send(chat, client, 'second@c.us', 1), [false]);
+    assert.deepEqual(await send(other.chat, other.client, 'first@c.us', 1), [false]);
+});
+
+test('nothing is removed with slow mode off', async () => {
+    const { chat, client } = setup('off@g.us', { seconds: 0 });
+
+    assert.deepEqual(await send(chat, client, 'member@c.us', 3), [false, false, false]);
+});
+
+test('admins and members trusted for flood are exempt', async () => {
+    const { chat, client } = setup('exempt@g.us', {
+        trusted: [{ userId: 'trusted@c.us', checks: ['flood'] }]
+    });
+
+    assert.deepEqual(await send(chat, client, ADMIN_ID, 2), [false, false]);
+    assert.deepEqual(await send(chat, client, 'trusted@c.us', 2), [false, false]);
+});
+
+test('members trusted for other checks are still slowed down', async () => {
+    const { chat, client } = setup('links@g.us', {
+        trusted: [{ userId: 'linker@c.us', checks: ['link'] }]
+    });
+
+    assert.deepEqual(await send(chat, client, 'linker@c.us', 2), [false, true]);
+});
+
+test('nothing is removed when the bot is not an admin', async () => {
+    const { chat, client } = setup('powerless@g.us', { botIsAdmin: false });
+
+    assert.deepEqual(await send(chat, client, 'member@c.us', 2), [false, false]);
+    assert.equal(client.sent.length, 0);
+});
@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initStorage, closeStorage, saveGroup, getWarnings } from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import { getDefaultConfig } from '../src/config/defaults.js';
+import { checkForSpam, getFloodSettings } from '../src/moderation/spamDetector.js';
+import { ViolationTypes } from '../src/config/settingLimits.js';
+
+const BOT_ID = 'bot@c.us';
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spam-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const chats = new Map();
+
+const client = {
+    info: { wid: { _serialized: BOT_ID } },
+    getChatById: async groupId => chats.get(groupId),
+    getContactById: async userId => ({ id: { _serialized: userId }, sendMessage: async () => {} })
+};
+
+/**
+ * Create a group with changes to its spam detection settings and return its chat
+ */
+function createChat(groupId, spamDetection = {}, botIsAdmin = true) {
+    const config = getDefaultConfig(groupId, 'Test Group');
+    Object.assign(config.moderation.spamDetection, spamDetection);
+    saveGroup(groupId, { id: groupId, name: 'Test Group', admins: [], config });
+
+    const chat = {
+        id: { _serialized: groupId },
+        name: 'Test Group',
+        isGroup: true,
+        participants: [{ id: { _serialized: BOT_ID }, isAdmin: botIsAdmin }],
+        sendMessage: async () => {}
+    };
+    chats.set(groupId, chat);
+    return chat;
+}
+
+let messageCount = 0;
+
+/**
+ * A distinct text message from a member
+ */
+function createMessage(author, body = null) {
+    messageCount++;
+    return {
+        author,
+        body: body || `message number ${messageCount}`,
+        type: 'chat',
+        deleted: false,
+        getContact: async () => ({ pushname: 'Member', id: { _serialized: author } }),
+        async delete() {
+            this.deleted = true;
+        }
+    };
+}
+
+/**
+ * Send messages in quick succession and return the results of the spam check
+ */
+async function sendMessages(chat, author, count, exempt) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+        results.push((await checkForSpam(createMessage(author), chat, client, exempt)).isSpam);
+    }
+    return results;
+}
+
+test('getFloodSettings uses the group\'s limits with defaults for unset ones', () => {
+    createChat('settings@g.us', { maxMessagesPerMinute: 8, burstThreshold: undefined });
+
+    assert.deepEqual(getFloodSettings('settings@g.us'), {
+        maxMessagesPerMinute: 8,
+        burstThreshold: 15,
+        burstWindowSeconds: 5,
+        maxRepeatedMessages: 3
+    });
+});
+
+test('a burst over the group\'s limits is flooding', async () => {
+    const chat = createChat('strict@g.us', { maxMessagesPerMinute: 4, burstThreshold: 3 });
+
+    assert.deepEqual(await sendMessages(chat, 'fast@c.us', 4), [false, false, false, true]);
+    assert.equal(getWarnings('strict@g.us', 'fast@c.us').count, 1);
+});
+
+test('messages are counted per group', async () => {
+    const strict = createChat('strict2@g.us', { maxMessagesPerMinute: 4, burstThreshold: 3 });
+    const relaxed = createChat('relaxed@g.us', { maxMessagesPerMinute: 20, burstThreshold: 10 });
+
+    assert.deepEqual(await sendMessages(strict, 'busy@c.us', 3), [false, false, false]);
+    assert.deepEqual(await sendMessages(relaxed, 'busy@c.us', 6), [false, false, false, false, false, false]);
+    assert.deepEqual(await sendMessages(strict, 'busy@c.us', 1), [true]);
+});
+
+test('members exempt from flood checks are never flagged', async () => {
+    const chat = createChat('exempt@g.us', { maxMessagesPerMinute: 2, burstThreshold: 2 });
+
+    assert.deepEqual(await sendMessages(chat, 'trusted@c.us', 3, new Set([ViolationTypes.FLOOD])), [false, false, false]);
+});
+
+test('flagged messages are deleted only when the bot is an admin', async () => {
+    const admin = createChat('links-admin@g.us', { linkBlockingEnabled: true });
+    const member = createChat('links-member@g.us', { linkBlockingEnabled: true }, false);
+
+    const removable = createMessage('poster@c.us', 'see example.com');
+    assert.equal((await checkForSpam(removable, admin, client)).isSpam, true);
+    assert.equal(removable.deleted, true);
+
+    const kept = createMessage('poster@c.us', 'see example.com');
+    assert.equal((await checkForSpam(kept, member, client)).isSpam, true);
+    assert.equal(kept.deleted, false);
+});
+
+test('invites to other groups are blocked unless the group allows them', async () => {
+    const chat = createChat('invites@g.us', {
+        linkBlockingEnabled: true,
+        allowedInvites: ['chat.whatsapp.com/OurOwnGroup1']
+    });
+    const check = async body => (await checkForSpam(createMessage('poster@c.us', body), chat, client)).reason || null;
+
+    assert.equal(await check('join https://chat.whatsapp.com/OtherGroup99'), 'invite');
+    assert.equal(await check('or t.me/+SecretChat'), 'invite');
+    assert.equal(await check('our group: chat.whatsapp.com/invite/OurOwnGroup1'), null);
+    assert.equal(await check('see example.com'), 'link');
+});
+
+test('invite blocking can be turned off and skipped for exempt members', async () => {
+    const off = createChat('invites-off@g.us', { inviteBlockingEnabled: false });
+    const on = createChat('invites-on@g.us');
+
+    assert.equal((await checkForSpam(createMessage('a@c.us', 'chat.whatsapp.com/OtherGroup99'), off, client)).isSpam, false);
+    assert.equal((await checkForSpam(createMessage('b@c.us', 'chat.whatsapp.com/OtherGroup99'), on, client, new Set([ViolationTypes.INVITE]))).isSpam, false);
+});
+
+test('blocked domains match bare links whose top-level domain is also a word', async () => {
+    const chat = createChat('blocked@g.us', { blockedDomains: ['promo.me'] });
+    const check = async body => (await checkForSpam(createMessage('poster@c.us', body), chat, client)).reason || null;
+
+    assert.equal(await check('cheap deals at promo.me'), 'link');
+    assert.equal(await check('call me later'), null);
+});
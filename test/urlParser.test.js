@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    extractUrls,
+    containsUrl,
+    normalizeDomain,
+    matchesDomain,
+    findMatchingDomain,
+    parseInviteLink,
+    InviteTypes
+} from '../src/utils/urlParser.js';
+
+const hosts = text => extractUrls(text).map(link => link.host);
+
+test('extractUrls finds links with a scheme or www.', () => {
+    assert.deepEqual(extractUrls('see https://Example.com/page?q=1, and www.test.org.'), [
+        { url: 'https://Example.com/page?q=1', host: 'example.com' },
+        { url: 'www.test.org', host: 'www.test.org' }
+    ]);
+});
+
+test('extractUrls finds bare domains with a known top-level domain', () => {
+    assert.deepEqual(hosts('buy at example.ng or evil.gg today'), ['example.ng', 'evil.gg']);
+    assert.deepEqual(hosts('shop.example.co.uk!'), ['shop.example.co.uk']);
+});
+
+test('extractUrls finds bare domains on top-level domains popular with spammers', () => {
+    assert.deepEqual(hosts('freemoney.win scam.buzz site.fun crypto.bet'), ['freemoney.win', 'scam.buzz', 'site.fun', 'crypto.bet']);
+});
+
+test('extractUrls finds well-known short link hosts without a path', () => {
+    assert.deepEqual(hosts('message me on wa.me or t.me'), ['wa.me', 't.me']);
+});
+
+test('extractUrls finds bare domains on a domain list even when the top-level domain is a word', () => {
+    const domains = ['promo.me', 'https://getrich.us/', '*.example.in'];
+
+    assert.deepEqual(hosts('promo.me getrich.us shop.example.in'), []);
+    assert.deepEqual(extractUrls('promo.me getrich.us shop.example.in', { domains }).map(link => link.host),
+        ['promo.me', 'getrich.us', 'shop.example.in']);
+    assert.deepEqual(extractUrls('I am fine.thanks, log.in later', { domains }), []);
+});
+
+test('extractUrls finds bare domains with a path', () => {
+    assert.deepEqual(extractUrls('short link bit.ly/x'), [{ url: 'bit.ly/x', host: 'bit.ly' }]);
+    assert.deepEqual(hosts('join t.me/+AbCdEf and cool.so/page'), ['t.me', 'cool.so']);
+});
+
+test('extractUrls ignores words joined by a dot, file names and version numbers', () => {
+    for (const text of [
+        'I am fine.thanks',
+        'Dr.Smith will see you',
+        'open index.js',
+        'see file.txt?',
+        'built with node.js',
+        'ok.so what now',
+        'version 1.2.3.4',
+        'e.g. this'
+    ]) {
+        assert.deepEqual(extractUrls(text), [], text);
+    }
+});
+
+test('extractUrls finds IP addresses with a port or path', () => {
+    assert.deepEqual(hosts('try 10.0.0.1:8080 or 192.168.1.1/admin'), ['10.0.0.1', '192.168.1.1']);
+    assert.deepEqual(hosts('bad 999.1.1.1:80'), []);
+});
+
+test('extractUrls ignores email addresses and returns links in order', () => {
+    assert.deepEqual(hosts('mail me@example.com'), []);
+    assert.deepEqual(hosts('first.com then https://second.com'), ['first.com', 'second.com']);
+    assert.deepEqual(extractUrls(''), []);
+});
+
+test('containsUrl reports whether a text has a link', () => {
+    assert.equal(containsUrl('visit example.com'), true);
+    assert.equal(containsUrl('no links here.'), false);
+});
+
+test('normalizeDomain reduces list entries to a bare host', () => {
+    assert.equal(normalizeDomain('https://www.Example.com/page'), 'example.com');
+    assert.equal(normalizeDomain('*.example.com'), 'example.com');
+    assert.equal(normalizeDomain('localhost'), null);
+    assert.equal(normalizeDomain('not a domain'), null);
+    assert.equal(normalizeDomain(''), null);
+});
+
+test('matchesDomain matches a domain and its subdomains only', () => {
+    assert.equal(matchesDomain('youtube.com', 'youtube.com'), true);
+    assert.equal(matchesDomain('m.youtube.com', 'www.youtube.com'), true);
+    assert.equal(matchesDomain('notyoutube.com', 'youtube.com'), false);
+    assert.equal(findMatchingDomain('docs.google.com', ['example.com', 'google.com']), 'google.com');
+    assert.equal(findMatchingDomain('example.org', ['example.com']), null);
+});
+
+test('parseInviteLink recognizes WhatsApp and Telegram invites in canonical form', () => {
+    assert.deepEqual(parseInviteLink('https://chat.whatsapp.com/invite/AbC123xyz'), {
+        type: InviteTypes.WHATSAPP_GROUP,
+        link: 'chat.whatsapp.com/AbC123xyz'
+    });
+    assert.deepEqual(parseInviteLink('www.whatsapp.com/channel/0029Va'), {
+        type: InviteTypes.WHATSAPP_CHANNEL,
+        link: 'whatsapp.com/channel/0029Va'
+    });
+    assert.deepEqual(parseInviteLink('telegram.me/joinchat/AbC-12'), {
+        type: InviteTypes.TELEGRAM,
+        link: 't.me/+AbC-12'
+    });
+    assert.deepEqual(parseInviteLink('t.me/SomeChannel'), {
+        type: InviteTypes.TELEGRAM,
+        link: 't.me/somechannel'
+    });
+});
+
+test('parseInviteLink keeps private Telegram codes as written', () => {
+    assert.deepEqual(parseInviteLink('https://t.me/+AbCdEf'), {
+        type: InviteTypes.TELEGRAM,
+        link: 't.me/+AbCdEf'
+    });
+});
+
+test('parseInviteLink ignores other links', () => {
+    assert.equal(parseInviteLink('https://whatsapp.com/download'), null);
+    assert.equal(parseInviteLink('chat.whatsapp.com/'), null);
+    assert.equal(parseInviteLink('example.com/channel/abc'), null);
+});
@@ -0,0 +1,178 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    initStorage,
+    closeStorage,
+    saveGroup,
+    getWarnings,
+    replaceGroupWarnings,
+    revokeWarnings,
+    addWarning,
+    WarningDecayModes
+} from '../src/storage/storage.js';
+import { getStorageSettings } from '../src/config/storageSettings.js';
+import { ViolationTypes } from '../src/config/settingLimits.js';
+import { revokeLastWarning, pardonUser, addWarning as issueWarning } from '../src/moderation/warningSystem.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const GROUP_ID = 'decay@g.us';
+const USER_ID = 'member@c.us';
+
+let dataDir;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'warnings-test-'));
+    initStorage({
+        ...getStorageSettings(),
+        driver: 'json',
+        dataDir,
+        flushIntervalMs: 60 * 60 * 1000,
+        encryptionKey: null,
+        previousEncryptionKeys: []
+    });
+});
+
+after(async () => {
+    await closeStorage();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Store a member's warnings given as [daysAgo, weight] pairs and count them under a decay setting
+ */
+function countStrikes(warningDecay, strikes, extra = {}) {
+    const now = Date.now();
+    const history = strikes.map(([daysAgo, weight]) => ({
+        reason: 'test',
+        weight,
+        timestamp: new Date(now - daysAgo * DAY).toISOString()
+    }));
+
+    saveGroup(GROUP_ID, { id: GROUP_ID, name: 'Decay', config: { moderation: { warningDecay } } });
+    replaceGroupWarnings(GROUP_ID, { [USER_ID]: { count: history.length, history, ...extra } });
+
+    return getWarnings(GROUP_ID, USER_ID).count;
+}
+
+test('without decay every warning counts with its weight', () => {
+    assert.equal(countStrikes({ mode: WarningDecayModes.OFF, days: 0 }, [[100, 1], [50, 2], [1, 0.5]]), 3.5);
+    assert.equal(countStrikes(undefined, [[100, 1]]), 1);
+});
+
+test('warnings from before strike weights count as one strike', () => {
+    assert.equal(countStrikes(null, [[1, undefined], [1, undefined]]), 2);
+});
+
+test('older records count warnings whose history is gone', () => {
+    assert.equal(countStrikes(null, [[1, 1]], { count: 3 }), 3);
+});
+
+test('weighted totals are rounded', () => {
+    assert.equal(countStrikes(null, [[1, 0.1], [1, 0.2]]), 0.3);
+});
+
+test('expire mode only counts warnings inside the period', () => {
+    const decay = { mode: WarningDecayModes.EXPIRE, days: 7 };
+
+    assert.equal(countStrikes(decay, [[10, 1], [6, 1], [1, 2]]), 3);
+    assert.equal(countStrikes(decay, [[8, 1], [30, 5]]), 0);
+});
+
+test('decay mode removes one strike per quiet period', () => {
+    const decay = { mode: WarningDecayModes.DECAY, days: 7 };
+
+    // 20 and 15 days ago: one strike is left after the first, then both decay
+    assert.equal(countStrikes(decay, [[20, 1], [15, 1]]), 0);
+
+    // A new warning restarts the clock: 2 - 1 (9 days) + 1, then less than a period since
+    assert.equal(countStrikes(decay, [[10, 2], [1, 1]]), 2);
+
+    // Never below zero
+    assert.equal(countStrikes(decay, [[100, 1]]), 0);
+});
+
+test('totalCount and history keep every warning', () => {
+    countStrikes({ mode: WarningDecayModes.EXPIRE, days: 7 }, [[10, 1], [1, 1]]);
+
+    const warnings = getWarnings(GROUP_ID, USER_ID);
+    assert.equal(warnings.count, 1);
+    assert.equal(warnings.totalCount, 2);
+    assert.equal(warnings.history.length, 2);
+});
+
+test('revoked warnings never count', () => {
+    countStrikes(null, [[3, 1], [2, 1], [1, 2]]);
+
+    assert.equal(revokeWarnings(GROUP_ID, USER_ID, { revokedBy: 'admin@c.us' }), 2);
+    assert.equal(getWarnings(GROUP_ID, USER_ID).count, 2);
+    assert.equal(getWarnings(GROUP_ID, USER_ID).totalCount, 3);
+
+    assert.equal(revokeWarnings(GROUP_ID, USER_ID, { all: true }), 2);
+    assert.equal(getWarnings(GROUP_ID, USER_ID).count, 0);
+});
+
+test('revoked warnings stay out of decayed counts', () => {
+    const decay = { mode: WarningDecayModes.EXPIRE, days: 7 };
+    countStrikes(decay, [[10, 1], [2, 1], [1, 1]]);
+
+    assert.equal(revokeWarnings(GROUP_ID, USER_ID), 1);
+    assert.equal(getWarnings(GROUP_ID, USER_ID).count, 1);
+});
+
+test('unwarn revokes the latest strike and pardon every other one', () => {
+    countStrikes(null, []);
+    addWarning(GROUP_ID, USER_ID, 'first', 'admin@c.us');
+    addWarning(GROUP_ID, USER_ID, 'second', null);
+    addWarning(GROUP_ID, USER_ID, 'third', 'admin@c.us');
+
+    assert.equal(revokeLastWarning(GROUP_ID, USER_ID, 'admin@c.us'), true);
+
+    let { count, history } = getWarnings(GROUP_ID, USER_ID);
+    assert.equal(count, 2);
+    assert.deepEqual(history.map(entry => [entry.reason, entry.issuedBy, entry.revokedBy || null]), [
+        ['first', 'admin@c.us', null],
+        ['second', null, null],
+        ['third', 'admin@c.us', 'admin@c.us']
+    ]);
+
+    assert.equal(pardonUser(GROUP_ID, USER_ID, 'owner@c.us'), 2);
+    ({ count, history } = getWarnings(GROUP_ID, USER_ID));
+    assert.equal(count, 0);
+    assert.equal(history.length, 3);
+    assert.ok(history.every(entry => entry.revokedAt));
+
+    assert.equal(revokeLastWarning(GROUP_ID, USER_ID, 'admin@c.us'), false);
+    assert.equal(pardonUser(GROUP_ID, USER_ID, 'admin@c.us'), 0);
+});
+
+test('a strike below the first ladder step still sends the warning DM', async () => {
+    const groupId = 'ladder@g.us';
+    const sent = [];
+    const client = {
+        getContactById: async userId => ({
+            id: { _serialized: userId },
+            pushname: 'Member',
+            sendMessage: async text => sent.push({ userId, text })
+        })
+    };
+    saveGroup(groupId, {
+        id: groupId,
+        name: 'Ladder',
+        config: {
+            moderation: {
+                strikeWeights: { link: 0.5 },
+                escalationLadder: [{ strike: 1, actions: ['mute:1h'] }]
+            }
+        }
+    });
+
+    const result = await issueWarning(groupId, USER_ID, 'link', client, { type: ViolationTypes.LINK });
+
+    assert.equal(result.count, 0.5);
+    assert.equal(result.escalation, null);
+    assert.deepEqual(sent.map(dm => dm.userId), [USER_ID]);
+    assert.match(sent[0].text, /Strike Count:\* 0\.5\/3/);
+});